@@ -0,0 +1,661 @@
+const API_BASE_ADMIN = COSMIC_CONFIG.apiBase;
+const FRONTEND_BASE_ADMIN = COSMIC_CONFIG.frontendBase;
+
+const FILES_PAGE_SIZE = 100;
+const GB = 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+
+const REMOVAL_REASONS = {
+    capacity: 'Evicted for space',
+    expired: 'Expired',
+    'download-limit': 'Download limit reached',
+    owner: 'Deleted by uploader',
+    admin: 'Deleted by an administrator',
+    blocked: 'Blocked',
+    missing: 'Missing from storage',
+    incomplete: 'Collection upload failed'
+};
+
+const EVICTION_DECISIONS = {
+    evicted: 'Evicted',
+    skipped: 'Skipped',
+    rejected: 'Upload refused',
+    'over-capacity': 'Still over capacity'
+};
+
+let filesOffset = 0;
+let searchTimer = null;
+
+document.getElementById('accountForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    signIn();
+});
+
+document.getElementById('settingsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveSettings();
+});
+
+document.getElementById('webhookForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addWebhook();
+});
+
+document.getElementById('fileSearch').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadFiles(), 300);
+});
+
+// Calls the admin API with the session cookie; failures throw with the
+// server's message, and a lost session shows the sign-in form again
+async function adminFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE_ADMIN}/api${path}`, {
+        ...options,
+        credentials: 'include',
+        headers: options.body ? { 'Content-Type': 'application/json' } : {}
+    });
+    if (response.status === 204) return null;
+
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        showSignIn();
+    }
+    if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result;
+}
+
+async function loadAdmin() {
+    try {
+        const response = await fetch(`${API_BASE_ADMIN}/api/account`, { credentials: 'include' });
+        if (!response.ok) {
+            showSignIn();
+            return;
+        }
+        showAccount(await response.json());
+    } catch (error) {
+        showError('Network error occurred - Please check your connection');
+    }
+}
+
+function showAccount(account) {
+    document.getElementById('accountStatus').textContent = `Signed in as ${account.username}`;
+    document.getElementById('signOutBtn').style.display = 'inline';
+    document.getElementById('accountForm').style.display = 'none';
+
+    if (!account.admin) {
+        showError(`This account is not an administrator. To make it one, add its ID (${account.accountId}) to ADMIN_ACCOUNTS on the server.`);
+        return;
+    }
+
+    document.getElementById('errorSection').style.display = 'none';
+    document.getElementById('adminPage').style.display = 'block';
+    refreshDashboard();
+}
+
+function showSignIn() {
+    document.getElementById('accountStatus').textContent = '';
+    document.getElementById('signOutBtn').style.display = 'none';
+    document.getElementById('accountForm').style.display = 'block';
+    document.getElementById('adminPage').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'none';
+}
+
+function showError(message) {
+    document.getElementById('adminPage').style.display = 'none';
+    document.getElementById('errorSection').style.display = 'block';
+    document.getElementById('errorText').textContent = message;
+}
+
+async function signIn() {
+    const accountError = document.getElementById('accountError');
+    const passwordInput = document.getElementById('accountPassword');
+    accountError.textContent = '';
+
+    try {
+        const account = await adminFetch('/account/login', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: document.getElementById('accountUsername').value.trim(),
+                password: passwordInput.value
+            })
+        });
+        passwordInput.value = '';
+        showAccount(account);
+    } catch (error) {
+        accountError.textContent = error instanceof TypeError
+            ? 'Network error occurred - Please check your connection'
+            : error.message;
+    }
+}
+
+async function signOut() {
+    await fetch(`${API_BASE_ADMIN}/api/account/logout`, { method: 'POST', credentials: 'include' }).catch(() => {});
+    showSignIn();
+}
+
+function refreshDashboard() {
+    loadOverview();
+    loadStorageHistory();
+    loadFiles();
+    loadBlocks();
+    loadRemovals();
+    loadEvictions();
+    loadAccounts();
+    loadWebhooks();
+}
+
+async function loadOverview() {
+    try {
+        const overview = await adminFetch('/admin/overview');
+        const percent = overview.capacity > 0 ? Math.min(overview.used / overview.capacity * 100, 100) : 0;
+
+        document.getElementById('usageFill').style.width = `${percent}%`;
+        document.getElementById('usageSummary').textContent =
+            `${formatFileSize(overview.used)} of ${formatFileSize(overview.capacity)} used (${percent.toFixed(1)}%)` +
+            ` • ${formatFileSize(overview.logicalSize)} before deduplication`;
+
+        const removed = Object.entries(overview.removedToday)
+        .map(([reason, count]) => `${count} ${(REMOVAL_REASONS[reason] || reason).toLowerCase()}`);
+        document.getElementById('countsSummary').textContent =
+            `${overview.files} files • ${overview.collections} collections • ${overview.accounts} accounts • ` +
+            `${overview.blocked} blocked` + (removed.length > 0 ? ` • Removed in the last day: ${removed.join(', ')}` : '') +
+            (overview.scans ? ` • Scans: ${overview.scans.pending} pending, ${overview.scans.quarantined} quarantined, ${overview.scans.failed} failed` : '') +
+            ` • Webhooks: ${overview.webhooks.subscriptions} subscribed, ${overview.webhooks.pending} pending, ` +
+            `${overview.webhooks.deadLetters} given up in the last day`;
+
+        showSettings(overview.settings);
+    } catch (error) {
+        document.getElementById('usageSummary').textContent = error.message;
+    }
+}
+
+// Draws used storage over time as a line, with the capacity as a dashed line
+async function loadStorageHistory() {
+    const chart = document.getElementById('usageChart');
+    try {
+        const hours = document.getElementById('historyRange').value;
+        const { samples } = await adminFetch(`/admin/storage-history?hours=${hours}`);
+        chart.innerHTML = '';
+
+        if (samples.length < 2) {
+            chart.textContent = 'Not enough samples yet - usage is recorded every 10 minutes';
+            return;
+        }
+
+        const width = 700;
+        const height = 160;
+        const times = samples.map(sample => new Date(sample.at).getTime());
+        const start = times[0];
+        const span = Math.max(times[times.length - 1] - start, 1);
+        const top = Math.max(...samples.map(sample => Math.max(sample.used, sample.capacity)), 1);
+        const toPoints = (key) => samples
+        .map((sample, i) => `${((times[i] - start) / span * width).toFixed(1)},${(height - sample[key] / top * height).toFixed(1)}`)
+        .join(' ');
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        for (const [key, className] of [['capacity', 'chart-capacity'], ['used', 'chart-used']]) {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('points', toPoints(key));
+            line.setAttribute('class', className);
+            svg.appendChild(line);
+        }
+
+        const legend = document.createElement('p');
+        legend.className = 'admin-summary';
+        legend.textContent = `${new Date(start).toLocaleString()} – ${new Date(times[times.length - 1]).toLocaleString()}` +
+            ` • Peak ${formatFileSize(Math.max(...samples.map(sample => sample.used)))}`;
+        chart.append(svg, legend);
+    } catch (error) {
+        chart.textContent = error.message;
+    }
+}
+
+function showSettings(settings) {
+    document.getElementById('maxStorageInput').value = +(settings.maxStorage / GB).toFixed(3);
+    document.getElementById('evictionPolicyInput').value = settings.evictionPolicy;
+    document.getElementById('maxExpiryInput').value = +(settings.maxExpirySeconds / 3600).toFixed(2);
+    document.getElementById('accountMaxExpiryInput').value = +(settings.accountMaxExpirySeconds / 3600).toFixed(2);
+    document.getElementById('defaultExpiryInput').value = +(settings.defaultExpirySeconds / 3600).toFixed(2);
+}
+
+async function saveSettings() {
+    const status = document.getElementById('settingsStatus');
+    const hoursToSeconds = (id) => Math.round(Number(document.getElementById(id).value) * 3600);
+    status.textContent = 'Saving...';
+
+    try {
+        const settings = await adminFetch('/admin/settings', {
+            method: 'PATCH',
+            body: JSON.stringify({
+                maxStorage: Math.round(Number(document.getElementById('maxStorageInput').value) * GB),
+                evictionPolicy: document.getElementById('evictionPolicyInput').value,
+                maxExpirySeconds: hoursToSeconds('maxExpiryInput'),
+                accountMaxExpirySeconds: hoursToSeconds('accountMaxExpiryInput'),
+                defaultExpirySeconds: hoursToSeconds('defaultExpiryInput')
+            })
+        });
+        showSettings(settings);
+        status.textContent = 'Saved';
+        // A lower capacity may have evicted files
+        loadOverview();
+        loadFiles();
+        loadRemovals();
+        loadEvictions();
+    } catch (error) {
+        status.textContent = error.message;
+    }
+}
+
+async function loadFiles(more = false) {
+    const table = document.getElementById('filesTable');
+    const summary = document.getElementById('filesSummary');
+    filesOffset = more ? filesOffset + FILES_PAGE_SIZE : 0;
+
+    try {
+        const params = new URLSearchParams({
+            q: document.getElementById('fileSearch').value.trim(),
+            sort: document.getElementById('fileSort').value,
+            order: 'desc',
+            offset: filesOffset,
+            limit: FILES_PAGE_SIZE
+        });
+        const { files, total, totalSize } = await adminFetch(`/admin/files?${params}`);
+
+        if (!more) table.innerHTML = '';
+        files.forEach(file => table.appendChild(renderFileRow(file)));
+        summary.textContent = `${total} files • ${formatFileSize(totalSize)}`;
+        document.getElementById('moreFilesBtn').style.display = filesOffset + files.length < total ? 'inline' : 'none';
+    } catch (error) {
+        summary.textContent = error.message;
+    }
+}
+
+function renderFileRow(file) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `${FRONTEND_BASE_ADMIN}/file.html?id=${file.fileId}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = file.encrypted ? `🔒 ${file.fileId}` : file.originalName;
+    const id = document.createElement('div');
+    id.className = 'admin-muted';
+    id.textContent = [
+        file.fileId,
+        file.pinned ? '📌 pinned' : '',
+        file.protectedBy === 'downloading' ? 'downloading' : '',
+        file.passwordProtected ? 'password' : '',
+        file.scan.status === 'quarantined' ? `⛔ quarantined: ${file.scan.signature}` : '',
+        ['pending', 'failed'].includes(file.scan.status) ? `scan ${file.scan.status}` : '',
+        file.maxDownloads ? `${file.downloadCount}/${file.maxDownloads} downloads` : `${file.downloadCount} downloads`
+    ].filter(Boolean).join(' • ');
+    name.append(link, id);
+
+    const hash = document.createElement('td');
+    hash.className = 'admin-hash';
+    hash.textContent = file.sha256.slice(0, 12);
+    hash.title = file.sha256;
+
+    const actions = document.createElement('td');
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'revoke-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.onclick = () => deleteFile(file, row);
+    const blockBtn = document.createElement('button');
+    blockBtn.className = 'revoke-btn';
+    blockBtn.textContent = 'Block';
+    blockBtn.onclick = () => blockFile(file);
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'revoke-btn';
+    pinBtn.textContent = file.pinned ? 'Unpin' : 'Pin';
+    pinBtn.onclick = () => pinFile(file, row);
+    actions.append(pinBtn, deleteBtn, blockBtn);
+
+    row.append(
+        name,
+        createCell(formatFileSize(file.size)),
+        createCell(file.mimetype),
+        createCell(file.uploadedBy || 'anonymous'),
+        hash,
+        createCell(formatRemaining(file.remainingSeconds)),
+        actions
+    );
+    return row;
+}
+
+async function deleteFile(file, row) {
+    if (!confirm(`Delete ${file.originalName} (${file.fileId})?`)) return;
+    try {
+        await adminFetch(`/admin/files/${file.fileId}`, { method: 'DELETE' });
+        row.remove();
+        loadOverview();
+        loadRemovals();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Pinned files are never evicted to make room
+async function pinFile(file, row) {
+    try {
+        const updated = await adminFetch(`/admin/files/${file.fileId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ pinned: !file.pinned })
+        });
+        row.replaceWith(renderFileRow(updated));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function blockFile(file) {
+    const reason = prompt(`Block ${file.originalName} (${file.fileId})? Every file with the same content is removed ` +
+        'and it cannot be uploaded again.\n\nReason (optional):');
+    if (reason === null) return;
+    try {
+        await adminFetch('/admin/blocks', { method: 'POST', body: JSON.stringify({ fileId: file.fileId, reason }) });
+        refreshDashboard();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function loadBlocks() {
+    const list = document.getElementById('blocksList');
+    try {
+        const { blocks } = await adminFetch('/admin/blocks');
+        list.innerHTML = '';
+        if (blocks.length === 0) {
+            list.appendChild(createEmptyItem('No blocked files'));
+            return;
+        }
+
+        blocks.forEach(block => {
+            const item = document.createElement('li');
+            item.className = 'my-upload';
+
+            const details = document.createElement('div');
+            details.className = 'my-upload-details';
+            details.textContent = `${block.originalName} (${block.fileId})`;
+            const info = document.createElement('div');
+            info.className = 'my-upload-expiry';
+            info.textContent = `Blocked by ${block.blockedBy} ${new Date(block.blockedAt).toLocaleString()}` +
+                (block.reason ? ` • ${block.reason}` : '');
+            details.appendChild(info);
+
+            const unblockBtn = document.createElement('button');
+            unblockBtn.className = 'revoke-btn';
+            unblockBtn.textContent = 'Unblock';
+            unblockBtn.onclick = async () => {
+                try {
+                    await adminFetch(`/admin/blocks/${block.fileId}`, { method: 'DELETE' });
+                    loadBlocks();
+                    loadOverview();
+                } catch (error) {
+                    alert(error.message);
+                }
+            };
+
+            item.append(details, unblockBtn);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        list.innerHTML = '';
+        list.appendChild(createEmptyItem(error.message));
+    }
+}
+
+async function loadRemovals() {
+    const table = document.getElementById('removalsTable');
+    try {
+        const reason = document.getElementById('removalReason').value;
+        const { removals } = await adminFetch(`/admin/removals?limit=200${reason ? `&reason=${reason}` : ''}`);
+        table.innerHTML = '';
+        removals.forEach(removal => {
+            const row = document.createElement('tr');
+            row.append(
+                createCell(new Date(removal.at).toLocaleString()),
+                createCell(`${removal.originalName} (${removal.fileId})`),
+                createCell(formatFileSize(removal.size)),
+                createCell(removal.uploadedBy || 'anonymous'),
+                createCell(REMOVAL_REASONS[removal.reason] || removal.reason)
+            );
+            table.appendChild(row);
+        });
+    } catch (error) {
+        table.innerHTML = '';
+    }
+}
+
+async function loadEvictions() {
+    const table = document.getElementById('evictionsTable');
+    try {
+        const decision = document.getElementById('evictionDecision').value;
+        const { evictions } = await adminFetch(`/admin/evictions?limit=200${decision ? `&decision=${decision}` : ''}`);
+        table.innerHTML = '';
+        evictions.forEach(entry => {
+            const row = document.createElement('tr');
+            const label = EVICTION_DECISIONS[entry.decision] || entry.decision;
+            row.append(
+                createCell(new Date(entry.at).toLocaleString()),
+                createCell(entry.reason ? `${label} (${entry.reason})` : label),
+                createCell(entry.fileId ? `${entry.originalName} (${entry.fileId})` : ''),
+                createCell(entry.size !== undefined ? formatFileSize(entry.size) : ''),
+                createCell(entry.score !== undefined ? `${entry.policy} (${entry.score})` : entry.policy),
+                createCell(`${formatFileSize(entry.used)} of ${formatFileSize(entry.capacity)}`)
+            );
+            table.appendChild(row);
+        });
+    } catch (error) {
+        table.innerHTML = '';
+    }
+}
+
+async function loadAccounts() {
+    const table = document.getElementById('accountsTable');
+    try {
+        const { accounts } = await adminFetch('/admin/accounts');
+        table.innerHTML = '';
+        accounts.forEach(account => {
+            const row = document.createElement('tr');
+            const custom = account.customLimits;
+            const inputs = {
+                maxFileSize: createLimitInput(custom.maxFileSize, MB, account.limits.maxFileSize),
+                maxExpirySeconds: createLimitInput(custom.maxExpirySeconds, 3600, account.limits.maxExpirySeconds),
+                uploadQuota: createLimitInput(custom.uploadQuota, MB, account.limits.uploadQuota)
+            };
+            const scales = { maxFileSize: MB, maxExpirySeconds: 3600, uploadQuota: MB };
+
+            const actions = document.createElement('td');
+            const saveBtn = document.createElement('button');
+            saveBtn.className = 'revoke-btn';
+            saveBtn.textContent = 'Save';
+            saveBtn.onclick = async () => {
+                const limits = {};
+                for (const [name, input] of Object.entries(inputs)) {
+                    limits[name] = input.value === '' ? null : Math.round(Number(input.value) * scales[name]);
+                }
+                try {
+                    await adminFetch(`/admin/accounts/${account.accountId}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify({ limits })
+                    });
+                    loadAccounts();
+                } catch (error) {
+                    alert(error.message);
+                }
+            };
+            actions.appendChild(saveBtn);
+
+            const cells = Object.values(inputs).map(input => {
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                return cell;
+            });
+            row.append(
+                createCell(account.admin ? `${account.username} (admin)` : account.username),
+                createCell(`${account.files} files • ${formatFileSize(account.storedSize)}`),
+                ...cells,
+                actions
+            );
+            table.appendChild(row);
+        });
+    } catch (error) {
+        table.innerHTML = '';
+    }
+}
+
+async function loadWebhooks() {
+    const list = document.getElementById('webhooksList');
+    try {
+        const { webhooks, events, pending, deadLetters } = await adminFetch('/admin/webhooks');
+        showWebhookEvents(events);
+        document.getElementById('webhooksSummary').textContent =
+            `Deliveries waiting to be retried: ${pending} • Given up in the last day: ${deadLetters}`;
+
+        list.innerHTML = '';
+        if (webhooks.length === 0) {
+            list.appendChild(createEmptyItem('No webhooks'));
+        }
+        webhooks.forEach(webhook => {
+            const item = document.createElement('li');
+            item.className = 'my-upload';
+
+            const details = document.createElement('div');
+            details.className = 'my-upload-details';
+            details.textContent = webhook.description ? `${webhook.description} (${webhook.url})` : webhook.url;
+            const info = document.createElement('div');
+            info.className = 'my-upload-expiry';
+            info.textContent = `${webhook.events.length === events.length ? 'All events' : webhook.events.join(', ')}` +
+                ` • Added by ${webhook.createdBy} ${new Date(webhook.createdAt).toLocaleString()}`;
+            details.appendChild(info);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'revoke-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.onclick = async () => {
+                if (!confirm(`Stop sending events to ${webhook.url}?`)) return;
+                try {
+                    await adminFetch(`/admin/webhooks/${webhook.id}`, { method: 'DELETE' });
+                    loadWebhooks();
+                    loadOverview();
+                } catch (error) {
+                    alert(error.message);
+                }
+            };
+
+            item.append(details, removeBtn);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        list.innerHTML = '';
+        list.appendChild(createEmptyItem(error.message));
+    }
+    loadDeadLetters();
+}
+
+// Fills the event choice for new webhooks the first time the list loads
+function showWebhookEvents(events) {
+    const select = document.getElementById('webhookEvent');
+    if (select.options.length > 1) return;
+    events.forEach(event => {
+        const option = document.createElement('option');
+        option.value = event;
+        option.textContent = event;
+        select.appendChild(option);
+    });
+}
+
+async function addWebhook() {
+    const status = document.getElementById('webhookStatus');
+    const urlInput = document.getElementById('webhookUrl');
+    const descriptionInput = document.getElementById('webhookDescription');
+    const event = document.getElementById('webhookEvent').value;
+    status.textContent = '';
+
+    try {
+        const webhook = await adminFetch('/admin/webhooks', {
+            method: 'POST',
+            body: JSON.stringify({
+                url: urlInput.value.trim(),
+                description: descriptionInput.value.trim(),
+                events: event ? [event] : undefined
+            })
+        });
+        urlInput.value = '';
+        descriptionInput.value = '';
+        // The secret is only returned once
+        status.textContent = `Added. Signing secret (copy it now, it is not shown again): ${webhook.secret}`;
+        loadWebhooks();
+        loadOverview();
+    } catch (error) {
+        status.textContent = error.message;
+    }
+}
+
+async function loadDeadLetters() {
+    const table = document.getElementById('deadLettersTable');
+    try {
+        const { deadLetters } = await adminFetch('/admin/webhooks/dead-letters?limit=100');
+        table.innerHTML = '';
+        deadLetters.forEach(entry => {
+            const row = document.createElement('tr');
+            row.append(
+                createCell(new Date(entry.at).toLocaleString()),
+                createCell(entry.event.data.fileId ? `${entry.type} (${entry.event.data.fileId})` : entry.type),
+                createCell(entry.subscriptionId ? entry.url : `${entry.url} (download callback)`),
+                createCell(String(entry.attempts)),
+                createCell(entry.error)
+            );
+            table.appendChild(row);
+        });
+    } catch (error) {
+        table.innerHTML = '';
+    }
+}
+
+// An input for one of an account's limits, empty when it follows the defaults
+function createLimitInput(value, scale, effective) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = 'any';
+    input.value = value === undefined || value === null ? '' : +(value / scale).toFixed(2);
+    input.placeholder = String(+(effective / scale).toFixed(2));
+    return input;
+}
+
+function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+function createEmptyItem(text) {
+    const item = document.createElement('li');
+    item.className = 'my-upload my-upload-expiry';
+    item.textContent = text;
+    return item;
+}
+
+function formatRemaining(seconds) {
+    if (seconds <= 0) return 'Expired';
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+    return `${Math.floor(seconds / 86400)}d ${Math.floor(seconds % 86400 / 3600)}h`;
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+loadAdmin();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const TOKEN_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Failed unlock attempts allowed per file within the window before locking it
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+// Tokens are signed with a random secret unless setTokenSecret gives one
+// (TOKEN_SECRET), so by default they only live as long as the process
+let tokenSecret = crypto.randomBytes(32).toString('hex');
+
+const setTokenSecret = (secret) => {
+    tokenSecret = secret;
+};
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// Hash a password with a random salt; only the result is ever stored
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    return {
+        algorithm: 'scrypt',
+        params: SCRYPT_PARAMS,
+        salt: salt.toString('hex'),
+        hash: hash.toString('hex')
+    };
+};
+
+const verifyPassword = async (password, stored) => {
+    if (typeof password !== 'string' || !stored || stored.algorithm !== 'scrypt') {
+        return false;
+    }
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(stored.salt, 'hex'), expected.length, stored.params);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Issue a signed token granting access to a single file or collection ID
+const createAccessToken = (resourceId, ttl = TOKEN_TTL) => {
+    const expiresAt = Date.now() + ttl;
+    const payload = base64url(JSON.stringify({ sub: resourceId, exp: expiresAt }));
+    const signature = base64url(crypto.createHmac('sha256', tokenSecret).update(payload).digest());
+    return { token: `${payload}.${signature}`, expiresAt };
+};
+
+// Return true if the token is valid, unexpired and issued for one of the given IDs
+const verifyAccessToken = (token, resourceIds) => {
+    if (typeof token !== 'string') return false;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', tokenSecret).update(payload).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return false;
+    }
+
+    try {
+        const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Date.now() < exp && resourceIds.includes(sub);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Read an access token from the Authorization header, or the query string for
+// plain links and media elements that cannot set headers
+const getRequestToken = (req) => {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length);
+    }
+    return typeof req.query.token === 'string' ? req.query.token : null;
+};
+
+// Management tokens let an uploader change or delete their upload later. They
+// are random and long, so a plain SHA-256 is enough for the stored copy.
+const hashManagementToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createManagementToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, hash: hashManagementToken(token) };
+};
+
+const verifyManagementToken = (token, storedHash) => {
+    if (typeof token !== 'string' || typeof storedHash !== 'string') return false;
+    const actual = Buffer.from(hashManagementToken(token), 'hex');
+    const expected = Buffer.from(storedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Per-resource limiter for failed password attempts
+const failedAttempts = new Map();
+
+// Milliseconds until the resource may be tried again, or 0 if it is not locked
+const getUnlockRetryDelay = (resourceId) => {
+    const entry = failedAttempts.get(resourceId);
+    if (!entry) return 0;
+
+    const elapsed = Date.now() - entry.windowStart;
+    if (elapsed > ATTEMPT_WINDOW) {
+        failedAttempts.delete(resourceId);
+        return 0;
+    }
+    return entry.count >= MAX_FAILED_ATTEMPTS ? ATTEMPT_WINDOW - elapsed : 0;
+};
+
+const recordFailedAttempt = (resourceId) => {
+    const entry = failedAttempts.get(resourceId);
+    if (!entry || Date.now() - entry.windowStart > ATTEMPT_WINDOW) {
+        failedAttempts.set(resourceId, { count: 1, windowStart: Date.now() });
+    } else {
+        entry.count++;
+    }
+};
+
+const clearFailedAttempts = (resourceId) => {
+    failedAttempts.delete(resourceId);
+};
+
+module.exports = {
+    setTokenSecret,
+    hashPassword,
+    verifyPassword,
+    createAccessToken,
+    verifyAccessToken,
+    getRequestToken,
+    createManagementToken,
+    verifyManagementToken,
+    getUnlockRetryDelay,
+    recordFailedAttempt,
+    clearFailedAttempts
+};
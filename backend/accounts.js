@@ -0,0 +1,343 @@
+const express = require('express');
+const crypto = require('crypto');
+const {
+    hashPassword,
+    verifyPassword,
+    getUnlockRetryDelay,
+    recordFailedAttempt,
+    clearFailedAttempts
+} = require('./access-control');
+
+const SESSION_COOKIE = 'cosmic_session';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const API_KEY_PREFIX = 'cu_';
+const MAX_API_KEYS = 20;
+const MAX_KEY_NAME_LENGTH = 100;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+// How often an API key's last-used time is written back
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Session cookies and API keys are random and long, so a plain SHA-256 is
+// enough for the stored copy
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A cookie that cannot be decoded is treated as absent
+const getCookie = (req, name) => {
+    for (const part of (req.get('Cookie') || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+// User accounts: registration and login with session cookies, and personal
+// API keys for scripts sent in X-API-Key. authenticate sets req.account to
+// { id, ...record } for signed-in requests and leaves it unset otherwise.
+//   POST   /register      create an account and sign in
+//   POST   /login         sign in
+//   POST   /logout        sign out
+//   GET    /              the signed-in account
+//   GET    /keys          list API keys
+//   POST   /keys          create an API key (the key is only shown once)
+//   DELETE /keys/:keyId   revoke an API key
+// Accounts, sessions and keys are kept in the given MetadataStores; sessions
+// and keys are stored under the hash of their secret. describeAccount builds
+// the public view of an account, including the limits that apply to it.
+// Cookie-authenticated requests that change something must come from
+// allowedOrigin, so other sites cannot act for a signed-in user. Accounts
+// whose IDs are in adminAccountIds are administrators; usernames would not do,
+// as anyone could register a name before its owner does.
+const createAccounts = ({
+    accounts,
+    sessions,
+    apiKeys,
+    allowRegistration,
+    allowedOrigin,
+    secureCookies,
+    adminAccountIds = [],
+    describeAccount
+}) => {
+    const router = express.Router();
+    // Lowercased username to account ID
+    const usernames = new Map();
+
+    const load = async () => {
+        await Promise.all([accounts.load(), sessions.load(), apiKeys.load()]);
+        usernames.clear();
+        for (const [accountId, account] of accounts.entries()) {
+            usernames.set(account.username.toLowerCase(), accountId);
+        }
+    };
+
+    const getAccount = (accountId) => {
+        const account = accounts.get(accountId);
+        return account ? { id: accountId, ...account } : null;
+    };
+
+    const listAccounts = () => Array.from(accounts.entries()).map(([accountId, account]) => ({ id: accountId, ...account }));
+
+    const isAdmin = (account) => Boolean(account && adminAccountIds.includes(account.id));
+
+    // Change stored fields of an account; returns the updated account
+    const updateAccount = async (accountId, changes) => {
+        const account = accounts.get(accountId);
+        if (!account) return null;
+        await accounts.set(accountId, { ...account, ...changes });
+        return getAccount(accountId);
+    };
+
+    const setSessionCookie = (res, token, maxAge) => {
+        // A frontend on another site only gets the cookie back with SameSite=None
+        const attributes = secureCookies ? 'Secure; SameSite=None' : 'SameSite=Lax';
+        res.set('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; ${attributes}; ` +
+            `Max-Age=${Math.floor(maxAge / 1000)}`);
+    };
+
+    const startSession = async (res, accountId) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        await sessions.set(hashSecret(token), { accountId, createdAt: now, expiresAt: now + SESSION_TTL });
+        setSessionCookie(res, token, SESSION_TTL);
+    };
+
+    // Only requests that cannot change anything, or that come from the
+    // frontend (or have no Origin at all, like scripts), may use the cookie
+    const isTrustedOrigin = (req) => {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+        const origin = req.get('Origin');
+        return !origin || origin === allowedOrigin;
+    };
+
+    const authenticate = async (req, res, next) => {
+        try {
+            const apiKey = req.get('X-API-Key');
+            if (apiKey) {
+                const hash = hashSecret(apiKey);
+                const key = apiKeys.get(hash);
+                const account = key && getAccount(key.accountId);
+                if (!account) {
+                    return res.status(401).json({ error: 'Invalid API key' });
+                }
+                if (Date.now() - (key.lastUsedAt || 0) > LAST_USED_RESOLUTION) {
+                    await apiKeys.set(hash, { ...key, lastUsedAt: Date.now() });
+                }
+                req.account = account;
+                return next();
+            }
+
+            const token = getCookie(req, SESSION_COOKIE);
+            if (token && isTrustedOrigin(req)) {
+                const session = sessions.get(hashSecret(token));
+                if (session && session.expiresAt > Date.now()) {
+                    req.account = getAccount(session.accountId) || undefined;
+                    req.sessionHash = hashSecret(token);
+                }
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    const requireAccount = (req, res, next) => {
+        if (!req.account) {
+            return res.status(401).json({ error: 'Sign in required' });
+        }
+        next();
+    };
+
+    const requireAdmin = (req, res, next) => {
+        if (!req.account) {
+            return res.status(401).json({ error: 'Sign in required' });
+        }
+        if (!isAdmin(req.account)) {
+            return res.status(403).json({ error: 'Administrator access required' });
+        }
+        next();
+    };
+
+    const validateCredentials = (body = {}) => {
+        const { username, password } = body;
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return 'Usernames are 3 to 32 letters, digits, dots, dashes or underscores';
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    };
+
+    // Create an account and sign in
+    router.post('/register', async (req, res) => {
+        try {
+            if (!allowRegistration) {
+                return res.status(403).json({ error: 'Registration is closed' });
+            }
+
+            const invalid = validateCredentials(req.body);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+
+            const { username, password } = req.body;
+            const passwordHash = await hashPassword(password);
+            // Checked after hashing, which yields, so two requests cannot both take the name
+            if (usernames.has(username.toLowerCase())) {
+                return res.status(409).json({ error: 'That username is taken' });
+            }
+
+            const accountId = crypto.randomBytes(16).toString('hex');
+            usernames.set(username.toLowerCase(), accountId);
+            await accounts.set(accountId, { username, passwordHash, createdAt: Date.now(), limits: {} });
+            await startSession(res, accountId);
+
+            res.status(201).json(describeAccount(getAccount(accountId)));
+        } catch (error) {
+            console.error('Registration error:', error);
+            res.status(500).json({ error: 'Registration failed' });
+        }
+    });
+
+    // Sign in
+    router.post('/login', async (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({ error: 'Username and password required' });
+            }
+
+            // Failed logins are limited per username, like password-protected links
+            const attemptKey = `login:${username.toLowerCase()}`;
+            const retryDelay = getUnlockRetryDelay(attemptKey);
+            if (retryDelay > 0) {
+                const retryAfter = Math.ceil(retryDelay / 1000);
+                return res.status(429).set('Retry-After', String(retryAfter))
+                .json({ error: 'Too many incorrect attempts - Please try again later', retryAfter });
+            }
+
+            const account = getAccount(usernames.get(username.toLowerCase()));
+            if (!account || !(await verifyPassword(password, account.passwordHash))) {
+                recordFailedAttempt(attemptKey);
+                return res.status(401).json({ error: 'Incorrect username or password' });
+            }
+
+            clearFailedAttempts(attemptKey);
+            await startSession(res, account.id);
+            res.json(describeAccount(account));
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    });
+
+    // Sign out
+    router.post('/logout', async (req, res) => {
+        try {
+            if (req.sessionHash) {
+                await sessions.delete(req.sessionHash);
+            }
+            setSessionCookie(res, '', 0);
+            res.status(204).end();
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+
+    // The signed-in account
+    router.get('/', requireAccount, (req, res) => {
+        res.json(describeAccount(req.account));
+    });
+
+    const describeKey = (hash, key) => ({
+        keyId: hash.slice(0, 16),
+        name: key.name,
+        prefix: key.prefix,
+        createdAt: new Date(key.createdAt).toISOString(),
+        lastUsedAt: key.lastUsedAt ? new Date(key.lastUsedAt).toISOString() : null
+    });
+
+    const getAccountKeys = (accountId) => Array.from(apiKeys.entries())
+    .filter(([, key]) => key.accountId === accountId);
+
+    // List API keys
+    router.get('/keys', requireAccount, (req, res) => {
+        res.json({ keys: getAccountKeys(req.account.id).map(([hash, key]) => describeKey(hash, key)) });
+    });
+
+    // Create an API key; only its hash is kept, so this is the one chance to see it
+    router.post('/keys', requireAccount, async (req, res) => {
+        try {
+            const { name = '' } = req.body || {};
+            if (typeof name !== 'string' || name.length > MAX_KEY_NAME_LENGTH) {
+                return res.status(400).json({ error: 'Invalid key name' });
+            }
+            if (getAccountKeys(req.account.id).length >= MAX_API_KEYS) {
+                return res.status(409).json({ error: `An account can have at most ${MAX_API_KEYS} API keys` });
+            }
+
+            const apiKey = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+            const hash = hashSecret(apiKey);
+            const key = {
+                accountId: req.account.id,
+                name: name.trim(),
+                prefix: apiKey.slice(0, API_KEY_PREFIX.length + 4),
+                createdAt: Date.now()
+            };
+            await apiKeys.set(hash, key);
+
+            res.status(201).json({ ...describeKey(hash, key), apiKey });
+        } catch (error) {
+            console.error('API key error:', error);
+            res.status(500).json({ error: 'Could not create API key' });
+        }
+    });
+
+    // Revoke an API key
+    router.delete('/keys/:keyId', requireAccount, async (req, res) => {
+        try {
+            const match = getAccountKeys(req.account.id).find(([hash]) => hash.slice(0, 16) === req.params.keyId);
+            if (!match) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+            await apiKeys.delete(match[0]);
+            res.status(204).end();
+        } catch (error) {
+            console.error('API key error:', error);
+            res.status(500).json({ error: 'Could not revoke API key' });
+        }
+    });
+
+    // Drop expired sign-in sessions
+    const cleanExpiredSessions = async () => {
+        const now = Date.now();
+        for (const [hash, session] of Array.from(sessions.entries())) {
+            if (session.expiresAt <= now || !accounts.has(session.accountId)) {
+                await sessions.delete(hash).catch(console.error);
+            }
+        }
+    };
+
+    return {
+        router,
+        load,
+        authenticate,
+        requireAccount,
+        requireAdmin,
+        isAdmin,
+        getAccount,
+        listAccounts,
+        updateAccount,
+        cleanExpiredSessions
+    };
+};
+
+module.exports = createAccounts;
@@ -0,0 +1,349 @@
+const zlib = require('zlib');
+const path = require('path');
+const { PassThrough, Transform, pipeline } = require('stream');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+
+const MB = 1024 * 1024;
+
+// Listings stop after this many entries
+const MAX_ENTRIES = 10000;
+// Zip bomb guards. A single entry may not expand past MAX_ENTRY_SIZE, nor
+// past MAX_COMPRESSION_RATIO times its compressed size once it is bigger than
+// RATIO_THRESHOLD. A tar.gz is one compressed stream, so the same ratio caps
+// the whole stream, up to MAX_EXPANDED_SIZE.
+const MAX_ENTRY_SIZE = 1024 * MB;
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_THRESHOLD = 1 * MB;
+const MAX_EXPANDED_SIZE = 10 * 1024 * MB;
+
+// Types an entry may be previewed as, by extension. Anything that a browser
+// could run (HTML, SVG) is shown as text, and anything else is only downloaded.
+const IMAGE_PREVIEW_TYPES = {
+    '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.bmp': 'image/bmp'
+};
+const TEXT_PREVIEW_EXTENSIONS = [
+    '.txt', '.text', '.log', '.out', '.md', '.markdown', '.mdown', '.mkd', '.json', '.geojson', '.har',
+    '.webmanifest', '.csv', '.tsv', '.tab', '.xml', '.xsd', '.xsl', '.plist', '.csproj', '.gpx', '.kml',
+    '.yml', '.yaml', '.toml', '.ini', '.cfg', '.conf', '.properties', '.env', '.html', '.htm', '.xhtml',
+    '.vue', '.svelte', '.css', '.scss', '.less', '.svg', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx',
+    '.mts', '.cts', '.py', '.pyw', '.pyi', '.rb', '.rake', '.gemspec', '.go', '.rs', '.java', '.kt',
+    '.kts', '.swift', '.c', '.h', '.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx', '.cs', '.php', '.sh',
+    '.bash', '.zsh', '.ksh', '.fish', '.sql', '.gradle', '.mk', '.gitignore', '.dockerfile'
+];
+
+const archiveError = (message, status) => Object.assign(new Error(message), { status });
+
+// Helper function to tell the archive format from the first bytes of a file
+const detectFormat = (head) => {
+    if (head.length >= 4 && [0x04034b50, 0x06054b50].includes(head.readUInt32LE(0))) return 'zip';
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'tar.gz';
+    if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    return null;
+};
+
+// Helper function to make an entry name safe to show and to look up. Names
+// are stored however the archiver liked: they may be absolute, use
+// backslashes or climb out of the archive with "..". Leading slashes are
+// dropped, as extractors do; names that climb out, start with a drive letter
+// or hold control characters are left out (null) rather than guessed at.
+const normalizeEntryPath = (name) => {
+    if (/[\x00-\x1f\x7f]/.test(name) || /^[a-z]:[\\/]/i.test(name)) return null;
+    const parts = [];
+    for (const part of name.replace(/\\/g, '/').split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') return null;
+        parts.push(part);
+    }
+    return parts.length ? parts.join('/') : null;
+};
+
+// Helper function to turn a date into ISO form, or null when the archive held nonsense
+const toISODate = (date) => (date instanceof Date && !isNaN(date) ? date.toISOString() : null);
+
+// The content type a file in an archive (or any file, by its name) may be
+// shown inline as, or null when it is only downloaded
+const getEntryPreviewType = (entryPath) => {
+    const ext = path.extname(entryPath).toLowerCase();
+    if (IMAGE_PREVIEW_TYPES[ext]) return IMAGE_PREVIEW_TYPES[ext];
+    if (TEXT_PREVIEW_EXTENSIONS.includes(ext)) return 'text/plain; charset=utf-8';
+    return null;
+};
+
+// yauzl reads what it needs of a ZIP (its central directory, then single
+// entries) by byte range, which stored files support on any storage driver
+class StorageReader extends yauzl.RandomAccessReader {
+    constructor(openRange) {
+        super();
+        this.openRange = openRange;
+    }
+
+    _readStreamForRange(start, end) {
+        const stream = new PassThrough();
+        this.openRange(start, end - 1).then(source => {
+            source.on('error', error => stream.destroy(error));
+            source.pipe(stream);
+        }, error => stream.destroy(error));
+        return stream;
+    }
+}
+
+// Helper function to open a stored ZIP for reading its entries one at a time
+const openZip = (openRange, size) => new Promise((resolve, reject) => {
+    // Names are decoded here rather than by yauzl, which gives up on the
+    // whole archive at the first unsafe one
+    yauzl.fromRandomAccessReader(new StorageReader(openRange), size, {
+        lazyEntries: true, decodeStrings: false, validateEntrySizes: true
+    }, (error, zipfile) => {
+        if (error) return reject(archiveError(`Unreadable ZIP archive: ${error.message}`, 422));
+        resolve(zipfile);
+    });
+});
+
+// Helper function to call onEntry with each ZIP entry and its normalized path,
+// until it returns true or the entries run out
+const walkZip = (zipfile, onEntry) => new Promise((resolve, reject) => {
+    zipfile.on('entry', (entry) => {
+        const rawName = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+        let done;
+        try {
+            done = onEntry(entry, normalizeEntryPath(rawName), rawName.endsWith('/'));
+        } catch (error) {
+            zipfile.close();
+            return reject(error);
+        }
+        if (done) {
+            return resolve();
+        }
+        zipfile.readEntry();
+    });
+    zipfile.on('end', resolve);
+    zipfile.on('error', error => reject(archiveError(`Unreadable ZIP archive: ${error.message}`, 422)));
+    zipfile.readEntry();
+});
+
+// Helper function to refuse entries that expand suspiciously far
+const checkEntrySize = (size, compressedSize) => {
+    if (size > MAX_ENTRY_SIZE) {
+        throw archiveError('This entry is too large to extract', 413);
+    }
+    if (compressedSize !== null && size > RATIO_THRESHOLD && size > compressedSize * MAX_COMPRESSION_RATIO) {
+        throw archiveError('This entry expands too far to be extracted safely', 422);
+    }
+};
+
+const listZip = async (openRange, size) => {
+    const zipfile = await openZip(openRange, size);
+    const listing = { entries: [], skipped: 0, truncated: false };
+    await walkZip(zipfile, (entry, entryPath, isDirectory) => {
+        if (!entryPath) {
+            listing.skipped++;
+        } else {
+            listing.entries.push({
+                path: entryPath,
+                type: isDirectory ? 'directory' : 'file',
+                size: isDirectory ? 0 : entry.uncompressedSize,
+                compressedSize: isDirectory ? 0 : entry.compressedSize,
+                modifiedAt: toISODate(entry.getLastModDate()),
+                encrypted: entry.isEncrypted()
+            });
+        }
+        if (listing.entries.length >= MAX_ENTRIES) {
+            listing.truncated = true;
+            zipfile.close();
+            return true;
+        }
+        return false;
+    });
+    return listing;
+};
+
+const openZipEntry = async (openRange, size, wanted) => {
+    const zipfile = await openZip(openRange, size);
+    let found = null;
+    await walkZip(zipfile, (entry, entryPath, isDirectory) => {
+        if (entryPath !== wanted || isDirectory) return false;
+        found = entry;
+        return true;
+    });
+    if (!found) {
+        zipfile.close();
+        throw archiveError('No such entry in this archive', 404);
+    }
+    if (found.isEncrypted()) {
+        zipfile.close();
+        throw archiveError('This entry is password protected', 415);
+    }
+    try {
+        checkEntrySize(found.uncompressedSize, found.isCompressed() ? found.compressedSize : null);
+    } catch (error) {
+        zipfile.close();
+        throw error;
+    }
+
+    const stream = await new Promise((resolve, reject) => {
+        zipfile.openReadStream(found, (error, readStream) => {
+            if (error) return reject(archiveError(`Unreadable ZIP entry: ${error.message}`, 422));
+            resolve(readStream);
+        });
+    });
+    // Entries are read one at a time, so the archive is done with after this one
+    stream.on('close', () => zipfile.close());
+    return {
+        stream,
+        size: found.uncompressedSize,
+        modifiedAt: toISODate(found.getLastModDate()),
+        close: () => stream.destroy()
+    };
+};
+
+// Helper function to stop a decompressed stream that grows past a limit
+const limitExpansion = (limit) => {
+    let total = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            total += chunk.length;
+            if (total > limit) {
+                return callback(archiveError('This archive expands too far to be read safely', 422));
+            }
+            callback(null, chunk);
+        }
+    });
+};
+
+// Helper function to read a stored tar or tar.gz from the start, calling
+// onEntry with each header, its normalized path and its body stream. onEntry
+// returns false to skip the body and go on, null to stop there, or true to
+// take the body over; the returned close() then stops reading the archive.
+const walkTar = async (openRange, size, gzipped, onEntry) => {
+    const source = await openRange(0, size - 1);
+    const extract = tar.extract();
+    const close = () => source.destroy();
+    const streams = gzipped
+        ? [source, zlib.createGunzip(), limitExpansion(Math.min(size * MAX_COMPRESSION_RATIO, MAX_EXPANDED_SIZE)), extract]
+        : [source, extract];
+
+    const done = new Promise((resolve, reject) => {
+        let taken = false;
+        extract.on('entry', (header, stream, next) => {
+            let take;
+            try {
+                take = onEntry(header, normalizeEntryPath(header.name), stream);
+            } catch (error) {
+                close();
+                return reject(error);
+            }
+            if (take) {
+                taken = true;
+                return resolve();
+            }
+            if (take === null) {
+                close();
+                return resolve();
+            }
+            stream.on('end', next);
+            stream.resume();
+        });
+        extract.on('finish', resolve);
+        pipeline(streams, (error) => {
+            if (!error || taken) return;
+            reject(error.status ? error : archiveError(`Unreadable ${gzipped ? 'tar.gz' : 'tar'} archive: ${error.message}`, 422));
+        });
+    });
+    await done;
+    return close;
+};
+
+const listTar = async (openRange, size, gzipped) => {
+    const listing = { entries: [], skipped: 0, truncated: false };
+    await walkTar(openRange, size, gzipped, (header, entryPath) => {
+        // Links and devices have nothing to show, and links could point anywhere
+        if (!entryPath || !['file', 'contiguous-file', 'directory'].includes(header.type)) {
+            listing.skipped++;
+        } else {
+            listing.entries.push({
+                path: entryPath,
+                type: header.type === 'directory' ? 'directory' : 'file',
+                size: header.type === 'directory' ? 0 : header.size,
+                compressedSize: null,
+                modifiedAt: toISODate(header.mtime),
+                encrypted: false
+            });
+        }
+        if (listing.entries.length >= MAX_ENTRIES) {
+            listing.truncated = true;
+            return null;
+        }
+        return false;
+    });
+    return listing;
+};
+
+const openTarEntry = async (openRange, size, gzipped, wanted) => {
+    let found = null;
+    const close = await walkTar(openRange, size, gzipped, (header, entryPath, stream) => {
+        if (entryPath !== wanted || !['file', 'contiguous-file'].includes(header.type)) return false;
+        checkEntrySize(header.size, null);
+        found = { stream, size: header.size, modifiedAt: toISODate(header.mtime) };
+        return true;
+    });
+    if (!found) {
+        throw archiveError('No such entry in this archive', 404);
+    }
+    // Nothing after this entry is needed
+    found.stream.on('end', close);
+    return { ...found, close };
+};
+
+// Helper function to find which kind of archive a stored file is
+const getFormat = async (openRange, size) => {
+    if (size === 0) {
+        throw archiveError('Not a ZIP, tar or tar.gz archive', 415);
+    }
+    const head = await new Promise((resolve, reject) => {
+        const chunks = [];
+        openRange(0, Math.min(size, 512) - 1).then(stream => {
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        }, reject);
+    });
+    const format = detectFormat(head);
+    if (!format) {
+        throw archiveError('Not a ZIP, tar or tar.gz archive', 415);
+    }
+    return format;
+};
+
+// The entries of a stored archive, read from its index (ZIP) or its headers
+// (tar, tar.gz) without extracting anything. openRange(start, end) opens a
+// stream of bytes start to end inclusive, like a storage driver's get().
+// Resolves with { format, entries, skipped, truncated }, where skipped counts
+// entries left out for having unsafe names or no content (links, devices),
+// and each entry's preview says how it can be shown inline ('image', 'text'
+// or null).
+const listArchive = async (openRange, size) => {
+    const format = await getFormat(openRange, size);
+    const listing = format === 'zip'
+        ? await listZip(openRange, size)
+        : await listTar(openRange, size, format === 'tar.gz');
+    for (const entry of listing.entries) {
+        const previewType = entry.type === 'file' && !entry.encrypted ? getEntryPreviewType(entry.path) : null;
+        entry.preview = previewType ? previewType.split('/')[0] : null;
+    }
+    return { format, ...listing };
+};
+
+// One file in a stored archive, by its path as listed. Resolves with
+// { stream, size, modifiedAt, close }; call close() if the stream is not read
+// to its end.
+const openArchiveEntry = async (openRange, size, entryPath) => {
+    const format = await getFormat(openRange, size);
+    if (format === 'zip') {
+        return openZipEntry(openRange, size, entryPath);
+    }
+    return openTarEntry(openRange, size, format === 'tar.gz', entryPath);
+};
+
+module.exports = { listArchive, openArchiveEntry, getEntryPreviewType, MAX_ENTRIES };
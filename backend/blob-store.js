@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+
+// Content-addressed storage for uploaded files. Each distinct content is kept
+// once in the storage driver, keyed by its SHA-256, alongside a count of the
+// file records that use it; the object is only deleted when the last of those
+// records goes away. Reference counts live in a MetadataStore keyed by hash.
+class BlobStore {
+    constructor(records, storage) {
+        this.records = records;
+        this.storage = storage;
+        // Changes to the same blob are chained so adding and releasing it
+        // cannot race in the storage backend
+        this.locks = new Map();
+    }
+
+    load() {
+        return this.records.load();
+    }
+
+    has(hash) {
+        return this.records.has(hash);
+    }
+
+    // Total bytes stored, counting shared content once
+    get totalSize() {
+        let total = 0;
+        for (const [, blob] of this.records.entries()) {
+            total += blob.size;
+        }
+        return total;
+    }
+
+    run(hash, task) {
+        const pending = (this.locks.get(hash) || Promise.resolve()).then(task);
+        const settled = pending.catch(() => {});
+        this.locks.set(hash, settled);
+        settled.then(() => {
+            if (this.locks.get(hash) === settled) this.locks.delete(hash);
+        });
+        return pending;
+    }
+
+    // Take ownership of a freshly uploaded local file with the given hash,
+    // either storing it as a new blob or discarding it in favour of an existing copy
+    add(hash, tempPath, size) {
+        return this.run(hash, async () => {
+            const blob = this.records.get(hash);
+
+            if (blob) {
+                await fs.rm(tempPath, { force: true });
+                await this.records.set(hash, { ...blob, refCount: blob.refCount + 1 });
+            } else {
+                await this.storage.putFile(hash, tempPath);
+                await this.records.set(hash, { size, refCount: 1 });
+            }
+        });
+    }
+
+    // Drop one reference, deleting the blob once nothing uses it
+    release(hash) {
+        return this.run(hash, async () => {
+            const blob = this.records.get(hash);
+            if (!blob) return;
+
+            if (blob.refCount > 1) {
+                await this.records.set(hash, { ...blob, refCount: blob.refCount - 1 });
+                return;
+            }
+
+            await this.storage.delete(hash);
+            await this.records.delete(hash);
+        });
+    }
+
+    // Replace the stored counts with ones derived from the file records, which
+    // are authoritative after a crash between writing one store and the other
+    async rebuild(counts) {
+        for (const [hash] of Array.from(this.records.entries())) {
+            if (!counts.has(hash)) {
+                await this.records.delete(hash);
+            }
+        }
+        for (const [hash, blob] of counts) {
+            const current = this.records.get(hash);
+            if (!current || current.refCount !== blob.refCount || current.size !== blob.size) {
+                await this.records.set(hash, blob);
+            }
+        }
+    }
+}
+
+module.exports = BlobStore;
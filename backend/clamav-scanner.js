@@ -0,0 +1,99 @@
+const net = require('net');
+const { once } = require('events');
+
+// clamd takes a stream as chunks of at most this many bytes
+const CHUNK_SIZE = 64 * 1024;
+
+// Scans content with a ClamAV daemon (clamd), over its Unix socket or TCP,
+// using the INSTREAM command: the content is sent as length-prefixed chunks
+// ended by a zero-length one, and clamd answers
+//   stream: OK                    nothing found
+//   stream: <signature> FOUND     malware found
+//   <message> ERROR               the scan failed, e.g. "INSTREAM size limit
+//                                 exceeded" past clamd's StreamMaxLength
+// Anything that speaks this protocol on the socket will do, so a fake
+// server can stand in for clamd.
+class ClamAVScanner {
+    constructor({ socketPath, host = '127.0.0.1', port = 3310, timeout = 60 * 1000 }) {
+        this.name = 'clamav';
+        this.socketPath = socketPath;
+        this.host = host;
+        this.port = port;
+        this.timeout = timeout;
+    }
+
+    // Scan a readable stream. Resolves with { infected, signature }, and
+    // rejects when clamd cannot be reached or reports an error.
+    scan(stream) {
+        return new Promise((resolve, reject) => {
+            const socket = this.socketPath
+                ? net.createConnection({ path: this.socketPath })
+                : net.createConnection({ host: this.host, port: this.port });
+            let reply = '';
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                stream.destroy();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            const finishWithReply = () => {
+                try {
+                    finish(null, parseReply(reply));
+                } catch (error) {
+                    finish(error);
+                }
+            };
+
+            socket.setTimeout(this.timeout, () => finish(new Error('ClamAV did not answer in time')));
+            socket.on('data', (chunk) => {
+                reply += chunk.toString('utf8');
+                if (reply.includes('\0')) finishWithReply();
+            });
+            // clamd may answer and hang up before it has all the content
+            socket.on('end', () => (reply ? finishWithReply() : finish(new Error('ClamAV closed the connection'))));
+            socket.on('error', (error) => (reply ? finishWithReply() : finish(error)));
+            stream.on('error', (error) => finish(error));
+
+            socket.on('connect', async () => {
+                try {
+                    socket.write('zINSTREAM\0');
+                    for await (const data of stream) {
+                        for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+                            if (settled) return;
+                            const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+                            const length = Buffer.alloc(4);
+                            length.writeUInt32BE(chunk.length);
+                            if (!socket.write(Buffer.concat([length, chunk]))) {
+                                await Promise.race([once(socket, 'drain'), once(socket, 'close')]);
+                            }
+                        }
+                    }
+                    if (!settled) socket.write(Buffer.alloc(4));
+                } catch (error) {
+                    finish(error);
+                }
+            });
+        });
+    }
+}
+
+// Helper function to read clamd's answer to INSTREAM
+const parseReply = (reply) => {
+    const message = reply.replace(/\0/g, '').trim().replace(/^stream:\s*/, '');
+    if (message === 'OK') {
+        return { infected: false, signature: null };
+    }
+    if (message.endsWith(' FOUND')) {
+        return { infected: true, signature: message.slice(0, -' FOUND'.length) };
+    }
+    throw new Error(`ClamAV error: ${message.replace(/\s*ERROR$/, '')}`);
+};
+
+module.exports = ClamAVScanner;
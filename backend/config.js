@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { EVICTION_POLICIES } = require('./eviction');
+
+// Server settings. Each is named by its environment variable, and can also be
+// set in a JSON file named by CONFIG_FILE, whose keys are the same names; the
+// environment wins over the file. Every setting is checked at startup, and
+// the server refuses to start while any is invalid.
+//
+// Sizes are in MB (GB for MAX_STORAGE_GB), durations in hours (minutes for
+// the intervals) and limits of 0 turn that limit off. Defaults that are
+// functions follow another setting unless set themselves.
+const SETTINGS = {
+    PORT: { type: 'integer', default: 3000, min: 1, max: 65535 },
+    FRONTEND_URL: { type: 'url', default: 'https://yourusername.github.io' },
+    // Where the frontend pages are, path included, for links that lead to them
+    FRONTEND_BASE_URL: { type: 'url', keepPath: true, default: (values) => values.FRONTEND_URL },
+    // Separate origin for previews (see the preview routes in server.js)
+    PREVIEW_ORIGIN: { type: 'url', default: null },
+    // Signs access and management tokens so they outlive a restart; a random
+    // one is used when unset
+    TOKEN_SECRET: { type: 'string', default: null },
+    // A hop count, "true" or a subnet list, as Express's "trust proxy" takes
+    TRUST_PROXY: { type: 'string', default: null },
+    DATA_DIR: { type: 'string', default: path.join(__dirname, 'data') },
+    DERIVED_DIR: { type: 'string', default: path.join(__dirname, 'derived') },
+
+    MAX_FILE_SIZE_MB: { type: 'number', default: 1024, min: 1 },
+    MAX_COLLECTION_FILES: { type: 'integer', default: 100, min: 1 },
+    MAX_STORAGE_GB: { type: 'number', default: 5, min: 0.001 },
+    EVICTION_POLICY: { type: 'string', default: 'lru', values: Object.keys(EVICTION_POLICIES) },
+    MAX_EXPIRY_HOURS: { type: 'number', default: 7 * 24, min: 1 },
+    DEFAULT_EXPIRY_HOURS: { type: 'number', default: (values) => Math.min(24, values.MAX_EXPIRY_HOURS), min: 1 },
+    ACCOUNT_MAX_EXPIRY_HOURS: { type: 'number', default: (values) => values.MAX_EXPIRY_HOURS, min: 1 },
+
+    UPLOAD_RATE_LIMIT: { type: 'integer', default: 60, min: 0 }, // new uploads per hour
+    UPLOAD_QUOTA_MB: { type: 'number', default: 10 * 1024, min: 0 }, // per day
+    DOWNLOAD_RATE_LIMIT: { type: 'integer', default: 300, min: 0 }, // downloads per 10 minutes
+    DOWNLOAD_QUOTA_MB: { type: 'number', default: 50 * 1024, min: 0 }, // per day
+    LOOKUP_RATE_LIMIT: { type: 'integer', default: 60, min: 0 }, // unknown file IDs and short links per 10 minutes
+
+    ALLOW_ANONYMOUS_UPLOADS: { type: 'boolean', default: true },
+    ALLOW_REGISTRATION: { type: 'boolean', default: true },
+    ANONYMOUS_MAX_FILE_SIZE_MB: { type: 'number', default: (values) => values.MAX_FILE_SIZE_MB, min: 1 },
+    ACCOUNT_MAX_FILE_SIZE_MB: { type: 'number', default: (values) => values.MAX_FILE_SIZE_MB, min: 1 },
+    ACCOUNT_UPLOAD_QUOTA_MB: { type: 'number', default: (values) => values.UPLOAD_QUOTA_MB, min: 0 },
+    // Account IDs allowed into the admin API and dashboard. ADMIN_USERS, which
+    // named them by username, is no longer honoured; it only gets a warning.
+    ADMIN_ACCOUNTS: { type: 'list', default: [] },
+    ADMIN_USERS: { type: 'list', default: [] },
+    SESSION_COOKIE_SECURE: { type: 'boolean', default: true },
+
+    // Where file content is stored (see storage.js). The S3 credentials fall
+    // back to the standard AWS variables.
+    STORAGE_DRIVER: { type: 'string', default: 'local', values: ['local', 's3'] },
+    AWS_REGION: { type: 'string', default: null },
+    AWS_ACCESS_KEY_ID: { type: 'string', default: null },
+    AWS_SECRET_ACCESS_KEY: { type: 'string', default: null },
+    AWS_SESSION_TOKEN: { type: 'string', default: null },
+    S3_BUCKET: { type: 'string', default: null },
+    S3_REGION: { type: 'string', default: (values) => values.AWS_REGION || 'us-east-1' },
+    S3_ENDPOINT: { type: 'url', default: null },
+    S3_ACCESS_KEY_ID: { type: 'string', default: (values) => values.AWS_ACCESS_KEY_ID },
+    S3_SECRET_ACCESS_KEY: { type: 'string', default: (values) => values.AWS_SECRET_ACCESS_KEY },
+    S3_SESSION_TOKEN: { type: 'string', default: (values) => values.AWS_SESSION_TOKEN },
+    // Empty for the bucket root
+    S3_PREFIX: { type: 'string', default: 'cosmic-uploads/', allowEmpty: true },
+    // Path-style addressing; on by default with S3_ENDPOINT
+    S3_FORCE_PATH_STYLE: { type: 'boolean', default: null },
+    S3_TIMEOUT_SECONDS: { type: 'number', default: 30, min: 1 },
+
+    // Malware scanning (see scanner.js)
+    SCANNER: { type: 'string', default: 'none', values: ['none', 'clamav'] },
+    CLAMAV_SOCKET: { type: 'string', default: null },
+    CLAMAV_HOST: { type: 'string', default: '127.0.0.1' },
+    CLAMAV_PORT: { type: 'integer', default: 3310, min: 1, max: 65535 },
+    CLAMAV_TIMEOUT_SECONDS: { type: 'number', default: 60, min: 1 },
+
+    PDFTOPPM_PATH: { type: 'string', default: 'pdftoppm' },
+    MAX_THUMBNAIL_SOURCE_MB: { type: 'number', default: 100, min: 1 },
+    SCAN_CONCURRENCY: { type: 'integer', default: 1, min: 1 },
+    SCAN_MAX_ATTEMPTS: { type: 'integer', default: 5, min: 1 },
+
+    // Webhooks: tries before a delivery goes to the dead-letter log, and how
+    // long each may take. Uploaders' download callbacks may only reach public
+    // addresses unless CALLBACK_ALLOW_PRIVATE_ADDRESSES is set.
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 8, min: 1 },
+    WEBHOOK_TIMEOUT_SECONDS: { type: 'number', default: 10, min: 1 },
+    CALLBACK_ALLOW_PRIVATE_ADDRESSES: { type: 'boolean', default: false },
+    // Live event streams (file pages following a file) open at once, in all
+    // and from any one address
+    MAX_EVENT_STREAMS: { type: 'integer', default: 1000, min: 1 },
+    MAX_EVENT_STREAMS_PER_IP: { type: 'integer', default: 20, min: 1 },
+
+    // How often expired files, abandoned uploads, expired sessions and old
+    // history are cleared away, and how often storage capacity is checked
+    CLEANUP_INTERVAL_MINUTES: { type: 'number', default: 60, min: 1 },
+    STORAGE_CHECK_INTERVAL_MINUTES: { type: 'number', default: 10, min: 1 }
+};
+
+// Helper function to turn a raw value (a string from the environment, or any
+// JSON value from the file) into the setting's type. Throws when it cannot.
+const parseValue = (name, setting, raw) => {
+    if (setting.type === 'boolean') {
+        if (typeof raw === 'boolean') return raw;
+        if (['true', '1'].includes(String(raw).toLowerCase())) return true;
+        if (['false', '0'].includes(String(raw).toLowerCase())) return false;
+        throw new Error(`${name} must be true or false`);
+    }
+
+    if (setting.type === 'number' || setting.type === 'integer') {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (String(raw).trim() === '' || !Number.isFinite(value)) throw new Error(`${name} must be a number`);
+        if (setting.type === 'integer' && !Number.isInteger(value)) throw new Error(`${name} must be a whole number`);
+        if (setting.min !== undefined && value < setting.min) throw new Error(`${name} must be at least ${setting.min}`);
+        if (setting.max !== undefined && value > setting.max) throw new Error(`${name} must be at most ${setting.max}`);
+        return value;
+    }
+
+    if (setting.type === 'list') {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+
+    const value = String(raw).trim();
+    if (setting.type === 'url') {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error(`${name} must be a URL`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${name} must be an http or https URL`);
+        return setting.keepPath ? `${url.origin}${url.pathname.replace(/\/+$/, '')}` : url.origin;
+    }
+    // Choices are matched whatever their case
+    if (setting.values) {
+        const choice = value.toLowerCase();
+        if (!setting.values.includes(choice)) throw new Error(`${name} must be one of ${setting.values.join(', ')}`);
+        return choice;
+    }
+    return value;
+};
+
+// Helper function to read the config file, if there is one
+const readConfigFile = (file) => {
+    if (!file) return {};
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read CONFIG_FILE ${file}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`CONFIG_FILE ${file} must hold a JSON object`);
+    }
+    return values;
+};
+
+// Load and check every setting. Returns the settings by name.
+const loadConfig = ({ env = process.env } = {}) => {
+    const fileValues = readConfigFile(env.CONFIG_FILE);
+    const raw = { ...fileValues };
+    for (const [name, value] of Object.entries(env)) {
+        if (value !== undefined) raw[name] = value;
+    }
+
+    const errors = [];
+    const unknown = Object.keys(fileValues).filter(name => !Object.hasOwn(SETTINGS, name));
+    const config = {};
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        const value = raw[name];
+        try {
+            if (value === undefined || value === null || (value === '' && !setting.allowEmpty)) {
+                config[name] = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+            } else {
+                config[name] = parseValue(name, setting, value);
+            }
+        } catch (error) {
+            errors.push(error.message);
+            config[name] = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+        }
+    }
+
+    if (config.DEFAULT_EXPIRY_HOURS > config.MAX_EXPIRY_HOURS) {
+        errors.push('DEFAULT_EXPIRY_HOURS must not be more than MAX_EXPIRY_HOURS');
+    }
+    if (config.STORAGE_DRIVER === 's3') {
+        if (!config.S3_BUCKET) errors.push('S3_BUCKET is required with STORAGE_DRIVER=s3');
+        if (!config.S3_ACCESS_KEY_ID || !config.S3_SECRET_ACCESS_KEY) {
+            errors.push('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required with STORAGE_DRIVER=s3');
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+    // Other keys in the file are most likely typos
+    if (unknown.length > 0) {
+        console.warn(`Unknown CONFIG_FILE settings: ${unknown.join(', ')}`);
+    }
+
+    return Object.freeze(config);
+};
+
+module.exports = { SETTINGS, loadConfig };
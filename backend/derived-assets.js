@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+
+// Longest edge of each thumbnail size, in pixels
+const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 1024 };
+
+// Types, as sniffed from the content, that thumbnails are made of
+const IMAGE_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff', 'image/svg+xml'
+];
+const PDF_TYPE = 'application/pdf';
+
+// Time allowed for rendering one PDF page
+const PDF_RENDER_TIMEOUT = 30 * 1000;
+
+// Assets derived from stored files: thumbnails of images at a few sizes and
+// of the first page of PDFs, and listings of archives. They are generated on
+// first request and cached on local disk under the content hash of their
+// source, as
+//   <dir>/<hash>/thumbnail-<size>.webp
+//   <dir>/<hash>/archive-index.json (or archive-index.json.failed)
+// so files sharing content share them. The cache is only a cache: it is
+// safe to delete, and remove(hash) should be called once the source content
+// is gone so derived assets leave with it. PDFs are rendered with poppler's
+// pdftoppm, so PDF thumbnails need it installed.
+//
+// Which decoder a file goes to is decided by the type sniffed from its
+// content (see safe-preview.js), never by the type its uploader declared, so
+// a file cannot be passed to one it was not made for. Other documents (office
+// files and the like) get no thumbnail: rendering them would need a converter
+// such as LibreOffice, which is out of scope here.
+class DerivedAssets {
+    constructor({ dir, storage, pdftoppm = 'pdftoppm', maxSourceSize = 100 * 1024 * 1024, concurrency = 2 }) {
+        this.dir = dir;
+        this.storage = storage;
+        this.pdftoppm = pdftoppm;
+        this.maxSourceSize = maxSourceSize;
+        this.concurrency = concurrency;
+        // Generation in progress, by output path, so concurrent requests share it
+        this.pending = new Map();
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    supports(sniffedType) {
+        return IMAGE_TYPES.includes(sniffedType) || sniffedType === PDF_TYPE;
+    }
+
+    pathFor(hash, name) {
+        return path.join(this.dir, path.basename(hash), name);
+    }
+
+    // The cached thumbnail of some content, generating it first if needed,
+    // given the type sniffed from its first bytes.
+    // Resolves with { path, size, createdAt }.
+    async getThumbnail({ contentHash, sniffedType, size }, thumbnailSize) {
+        if (!this.supports(sniffedType)) {
+            throw Object.assign(new Error('No thumbnail for this file type'), { status: 415 });
+        }
+        if (size > this.maxSourceSize) {
+            throw Object.assign(new Error('File too large for a thumbnail'), { status: 413 });
+        }
+
+        const filePath = this.pathFor(contentHash, `thumbnail-${thumbnailSize}.webp`);
+        const cached = await this.stat(filePath);
+        if (cached) return cached;
+
+        if (!this.pending.has(filePath)) {
+            const task = this.run(() => this.generate(contentHash, sniffedType, THUMBNAIL_SIZES[thumbnailSize], filePath))
+            .finally(() => this.pending.delete(filePath));
+            this.pending.set(filePath, task);
+        }
+        await this.pending.get(filePath);
+        return this.stat(filePath);
+    }
+
+    // A cached JSON document derived from some content, such as an archive's
+    // listing, calling build() to create it first if needed. When build()
+    // rejects with a 4xx status the content itself is at fault (an archive
+    // that is corrupt or expands too far), so that failure is cached too, as
+    // <name>.failed, and the work is not repeated for every request.
+    async getDocument(hash, name, build) {
+        const filePath = this.pathFor(hash, name);
+        const failedPath = `${filePath}.failed`;
+        for (const cachedPath of [filePath, failedPath]) {
+            let cached;
+            try {
+                cached = JSON.parse(await fs.promises.readFile(cachedPath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            if (cachedPath === failedPath) {
+                throw Object.assign(new Error(cached.error), { status: cached.status });
+            }
+            return cached;
+        }
+
+        // Write a file whole, so a reader never sees part of it
+        const save = async (savePath, value) => {
+            await fs.promises.mkdir(path.dirname(savePath), { recursive: true });
+            const tmpPath = `${savePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(value));
+            await fs.promises.rename(tmpPath, savePath);
+        };
+
+        if (!this.pending.has(filePath)) {
+            const task = this.run(async () => {
+                let document;
+                try {
+                    document = await build();
+                } catch (error) {
+                    if (error.status >= 400 && error.status < 500) {
+                        await save(failedPath, { error: error.message, status: error.status });
+                    }
+                    throw error;
+                }
+                await save(filePath, document);
+                return document;
+            })
+            .finally(() => this.pending.delete(filePath));
+            this.pending.set(filePath, task);
+        }
+        return this.pending.get(filePath);
+    }
+
+    async stat(filePath) {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return { path: filePath, size: stats.size, createdAt: stats.mtimeMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Only a few images are decoded at once, since each can use a lot of memory
+    async run(task) {
+        while (this.active >= this.concurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        this.active++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            const next = this.waiting.shift();
+            if (next) next();
+        }
+    }
+
+    async generate(hash, sniffedType, pixels, filePath) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        // Honour EXIF orientation, then fit within a square of the given size
+        const thumbnail = (input) => (input ? sharp(input, { failOn: 'error' }) : sharp({ failOn: 'error' }))
+        .rotate()
+        .resize({ width: pixels, height: pixels, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 });
+
+        try {
+            if (sniffedType === PDF_TYPE) {
+                await thumbnail(await this.renderFirstPage(hash, pixels)).toFile(tmpPath);
+            } else {
+                await pipeline(await this.storage.get(hash), thumbnail(), fs.createWriteStream(tmpPath));
+            }
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tmpPath, { force: true });
+            if (error.status) throw error;
+            console.error(`Thumbnail error for ${hash}:`, error.message);
+            throw Object.assign(new Error('Could not create a thumbnail of this file'), { status: 422 });
+        }
+    }
+
+    // Render the first page of a stored PDF to a PNG buffer no larger than
+    // pixels on its longest edge
+    async renderFirstPage(hash, pixels) {
+        const workDir = await fs.promises.mkdtemp(path.join(this.dir, '.render-'));
+        try {
+            const pdfPath = path.join(workDir, 'source.pdf');
+            await pipeline(await this.storage.get(hash), fs.createWriteStream(pdfPath));
+
+            const outputRoot = path.join(workDir, 'page');
+            await new Promise((resolve, reject) => {
+                execFile(this.pdftoppm, [
+                    '-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', String(pixels), pdfPath, outputRoot
+                ], { timeout: PDF_RENDER_TIMEOUT }, (error) => {
+                    if (error && error.code === 'ENOENT') {
+                        reject(Object.assign(new Error('PDF previews are not available on this server'), { status: 501 }));
+                    } else if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+            return await fs.promises.readFile(`${outputRoot}.png`);
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    // Drop everything derived from some content
+    async remove(hash) {
+        await fs.promises.rm(path.join(this.dir, path.basename(hash)), { recursive: true, force: true });
+    }
+
+    // Drop derived assets whose source content is no longer stored, and any
+    // leftovers from renders interrupted by a restart
+    async prune(isStored) {
+        for (const entry of await fs.promises.readdir(this.dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.render-') || (entry.isDirectory() && !isStored(entry.name))) {
+                await fs.promises.rm(path.join(this.dir, entry.name), { recursive: true, force: true });
+            }
+        }
+    }
+}
+
+module.exports = { DerivedAssets, THUMBNAIL_SIZES };
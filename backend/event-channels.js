@@ -0,0 +1,135 @@
+// Server-sent event streams grouped into channels, such as one per file ID.
+// Every open response on a channel gets each event sent to it as
+//   event: <type>
+//   data: <JSON>
+// followed by a blank line. A comment line goes out every heartbeatInterval
+// so proxies do not close streams that are quiet for a while.
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_DELAY = 5000;
+
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+class EventChannels {
+    constructor({ maxConnections = 1000, maxPerClient = 20, heartbeatInterval = HEARTBEAT_INTERVAL, onEmpty = () => {} } = {}) {
+        this.maxConnections = maxConnections;
+        this.maxPerClient = maxPerClient;
+        this.heartbeatInterval = heartbeatInterval;
+        // Called with a channel's key once its last stream closes
+        this.onEmpty = onEmpty;
+        // Open responses by channel key
+        this.channels = new Map();
+        this.connections = 0;
+        // How many streams each client (such as an IP address) has open, and
+        // the client each stream belongs to
+        this.clients = new Map();
+        this.owners = new Map();
+        this.heartbeat = null;
+    }
+
+    // Start an event stream on a response and add it to a channel, for the
+    // client given. Sends a 429 and returns false when that client has
+    // maxPerClient streams open already, and a 503 when everyone together
+    // has maxConnections.
+    open(key, res, client) {
+        const clientStreams = this.clients.get(client) || 0;
+        if (clientStreams >= this.maxPerClient) {
+            res.status(429).set('Retry-After', '60').json({ error: 'Too many live connections from your address - Please close some pages' });
+            return false;
+        }
+        if (this.connections >= this.maxConnections) {
+            res.status(503).set('Retry-After', '60').json({ error: 'Too many live connections - Please try again later' });
+            return false;
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            // Stops nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+        if (!this.channels.has(key)) {
+            this.channels.set(key, new Set());
+        }
+        this.channels.get(key).add(res);
+        this.connections++;
+        this.clients.set(client, clientStreams + 1);
+        this.owners.set(res, client);
+        res.on('close', () => this.remove(key, res));
+
+        if (!this.heartbeat) {
+            this.heartbeat = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+            this.heartbeat.unref();
+        }
+        return true;
+    }
+
+    remove(key, res) {
+        const streams = this.channels.get(key);
+        if (!streams || !streams.delete(res)) return;
+
+        this.connections--;
+        const client = this.owners.get(res);
+        this.owners.delete(res);
+        const clientStreams = this.clients.get(client) - 1;
+        if (clientStreams > 0) {
+            this.clients.set(client, clientStreams);
+        } else {
+            this.clients.delete(client);
+        }
+        if (streams.size === 0) {
+            this.channels.delete(key);
+            this.onEmpty(key);
+        }
+        if (this.connections === 0) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    // Whether anyone is listening on a channel
+    has(key) {
+        return this.channels.has(key);
+    }
+
+    // Send an event to one stream, such as the state when it opens
+    sendTo(res, type, data) {
+        res.write(formatEvent(type, data));
+    }
+
+    // Send an event to every stream on a channel
+    send(key, type, data) {
+        const streams = this.channels.get(key);
+        if (!streams) return;
+        const message = formatEvent(type, data);
+        for (const res of streams) {
+            res.write(message);
+        }
+    }
+
+    // End every stream on a channel, after a last event if one is given.
+    // Clients reconnect on their own, so the last event should tell them not to.
+    close(key, type, data) {
+        const streams = this.channels.get(key);
+        if (!streams) return;
+        for (const res of Array.from(streams)) {
+            if (type) res.write(formatEvent(type, data));
+            res.end();
+            this.remove(key, res);
+        }
+    }
+
+    sendHeartbeat() {
+        for (const streams of this.channels.values()) {
+            for (const res of streams) {
+                res.write(': keep-alive\n\n');
+            }
+        }
+    }
+}
+
+module.exports = EventChannels;
@@ -0,0 +1,47 @@
+const HOUR = 60 * 60 * 1000;
+
+// Eviction policies decide which files go first when stored content is over
+// capacity. Each gives every candidate a score, and the highest scores are
+// evicted first. Candidates are { id, ...metadata } file records; a file that
+// has never been read counts as last accessed when it was uploaded.
+//   oldest    upload order
+//   lru       least recently downloaded or previewed
+//   largest   biggest files
+//   weighted  a mix of time since last access, size and how close the file
+//             is to expiring anyway, each scaled against the other candidates
+const WEIGHTS = { idle: 0.5, size: 0.3, expiring: 0.2 };
+
+const getLastAccess = (file) => file.lastAccessedAt || file.uploadTime;
+
+const EVICTION_POLICIES = {
+    oldest: (files, now) => files.map(file => (now - file.uploadTime) / HOUR),
+    lru: (files, now) => files.map(file => (now - getLastAccess(file)) / HOUR),
+    largest: (files) => files.map(file => file.size),
+    weighted: (files, now) => {
+        const maxIdle = Math.max(...files.map(file => now - getLastAccess(file)), 1);
+        const maxSize = Math.max(...files.map(file => file.size), 1);
+        return files.map(file => {
+            const lifetime = Math.max(file.expiresAt - file.uploadTime, 1);
+            const elapsed = Math.min(Math.max((now - file.uploadTime) / lifetime, 0), 1);
+            return WEIGHTS.idle * (now - getLastAccess(file)) / maxIdle +
+                WEIGHTS.size * file.size / maxSize +
+                WEIGHTS.expiring * elapsed;
+        });
+    }
+};
+
+// Order files most evictable first under the named policy, adding each one's score
+const rankForEviction = (policy, files, now = Date.now()) => {
+    const score = EVICTION_POLICIES[policy];
+    if (!score) {
+        throw new Error(`Unknown eviction policy: ${policy}`);
+    }
+    if (files.length === 0) return [];
+
+    const scores = score(files, now);
+    return files
+    .map((file, i) => ({ ...file, score: Math.round(scores[i] * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score || a.uploadTime - b.uploadTime);
+};
+
+module.exports = { EVICTION_POLICIES, rankForEviction };
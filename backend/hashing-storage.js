@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+
+// Multer storage engine that writes each incoming file to a temporary name in
+// dir and computes its SHA-256 on the way through, reported as file.sha256
+const createHashingStorage = (dir) => ({
+    _handleFile(req, file, cb) {
+        const filename = `${crypto.randomBytes(16).toString('hex')}.upload`;
+        const filePath = path.join(dir, filename);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        const hasher = new Transform({
+            transform(chunk, encoding, next) {
+                hash.update(chunk);
+                size += chunk.length;
+                next(null, chunk);
+            }
+        });
+
+        pipeline(file.stream, hasher, fs.createWriteStream(filePath), (error) => {
+            if (error) {
+                fs.rm(filePath, { force: true }, () => cb(error));
+                return;
+            }
+            cb(null, {
+                destination: dir,
+                filename,
+                path: filePath,
+                size,
+                sha256: hash.digest('hex')
+            });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        fs.rm(file.path, { force: true }, cb);
+    }
+});
+
+module.exports = createHashingStorage;
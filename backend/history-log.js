@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Append-only, time-ordered log kept in a MetadataStore, trimmed to the most
+// recent maxEntries entries and to those younger than maxAge. Keys start with
+// a zero-padded timestamp so they sort in the order entries were added.
+class HistoryLog {
+    constructor(store, { maxEntries = 10000, maxAge = 30 * 24 * 60 * 60 * 1000 } = {}) {
+        this.store = store;
+        this.maxEntries = maxEntries;
+        this.maxAge = maxAge;
+    }
+
+    load() {
+        return this.store.load();
+    }
+
+    async add(entry) {
+        const at = Date.now();
+        const key = `${String(at).padStart(15, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+        await this.store.set(key, { ...entry, at });
+
+        if (this.store.size > this.maxEntries) {
+            await this.prune();
+        }
+    }
+
+    // Entries oldest first, optionally only those since a time and matching a filter
+    list({ since = 0, filter = () => true } = {}) {
+        return Array.from(this.store.entries())
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([, entry]) => entry)
+        .filter(entry => entry.at >= since && filter(entry));
+    }
+
+    async prune() {
+        const keys = Array.from(this.store.entries()).map(([key]) => key).sort();
+        const cutoff = Date.now() - this.maxAge;
+        const excess = keys.length - this.maxEntries;
+
+        for (const [index, key] of keys.entries()) {
+            if (index >= excess && this.store.get(key).at >= cutoff) break;
+            await this.store.delete(key);
+        }
+    }
+}
+
+module.exports = HistoryLog;
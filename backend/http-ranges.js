@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Requests asking for more ranges than this get the whole file instead
+const MAX_RANGES = 20;
+
+// Parse the If-None-Match / If-Match style list of entity tags
+const parseETagList = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+const stripWeak = (tag) => tag.replace(/^W\//, '');
+
+// Weak comparison, as used by If-None-Match
+const matchesWeak = (header, etag) => parseETagList(header).some(tag =>
+    tag === '*' || stripWeak(tag) === stripWeak(etag)
+);
+
+// HTTP dates only have second precision
+const toHttpSeconds = (time) => Math.floor(time / 1000);
+
+// Parse a "bytes=" Range header into satisfiable { start, end } pairs (end inclusive).
+// Returns null when the header is malformed or not a byte range, so it is ignored,
+// and an empty array when it is well-formed but nothing in it can be satisfied.
+const parseRange = (header, size) => {
+    const match = /^bytes=(.+)$/i.exec(header.trim());
+    if (!match) return null;
+
+    const ranges = [];
+    for (const spec of match[1].split(',')) {
+        const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+        if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+        let start;
+        let end;
+        if (parts[1] === '') {
+            // Suffix range: the last N bytes
+            const length = Number(parts[2]);
+            if (length === 0) continue;
+            start = Math.max(0, size - length);
+            end = size - 1;
+        } else {
+            start = Number(parts[1]);
+            end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+            if (parts[2] !== '' && Number(parts[2]) < start) return null;
+        }
+
+        if (start < size) {
+            ranges.push({ start, end });
+        }
+    }
+    return ranges;
+};
+
+// Decide how to answer a GET/HEAD for a stored file:
+//   { status: 304 }                    conditional request matched
+//   { status: 416 }                    Range could not be satisfied
+//   { status: 206, ranges: [...] }     partial content
+//   { status: 200 }                    the whole file
+// Pass allowRanges: false to always send the whole file (Range is optional for servers).
+const evaluateRequest = (req, { size, etag, lastModified, allowRanges = true }) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    const ifModifiedSince = req.get('If-Modified-Since');
+
+    if (ifNoneMatch) {
+        if (matchesWeak(ifNoneMatch, etag)) return { status: 304 };
+    } else if (ifModifiedSince) {
+        const since = Date.parse(ifModifiedSince);
+        if (!Number.isNaN(since) && toHttpSeconds(lastModified) <= toHttpSeconds(since)) {
+            return { status: 304 };
+        }
+    }
+
+    const rangeHeader = req.get('Range');
+    if (!allowRanges || !rangeHeader || req.method !== 'GET') {
+        return { status: 200 };
+    }
+
+    // If-Range: only honour Range if the client's copy is still current
+    const ifRange = req.get('If-Range');
+    if (ifRange) {
+        const isETag = ifRange.startsWith('"') || ifRange.startsWith('W/');
+        const current = isETag
+            ? ifRange === etag // strong comparison; weak tags never match
+            : toHttpSeconds(Date.parse(ifRange)) === toHttpSeconds(lastModified);
+        if (!current) return { status: 200 };
+    }
+
+    const ranges = parseRange(rangeHeader, size);
+    if (!ranges || ranges.length > MAX_RANGES) return { status: 200 };
+    if (ranges.length === 0) return { status: 416 };
+    return { status: 206, ranges };
+};
+
+// Clients abort range requests all the time (media seeking, paused downloads)
+const ignoreAborted = (error) => {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+};
+
+// Send a stored file according to the result of evaluateRequest. openRange(start, end)
+// resolves with a readable stream of those bytes (end inclusive). Headers such
+// as Content-Disposition should be set on res beforehand.
+const sendFileResponse = async (req, res, openRange, result, { size, etag, lastModified, contentType }) => {
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': new Date(lastModified).toUTCString(),
+        'Cache-Control': 'private, no-cache'
+    });
+
+    if (result.status === 304) {
+        return res.status(304).end();
+    }
+
+    if (result.status === 416) {
+        return res.status(416).set('Content-Range', `bytes */${size}`).end();
+    }
+
+    const isHead = req.method === 'HEAD';
+
+    if (result.status === 200 || result.ranges.length === 1) {
+        const { start, end } = result.status === 200 ? { start: 0, end: size - 1 } : result.ranges[0];
+        res.status(result.status).set({
+            'Content-Type': contentType,
+            'Content-Length': String(Math.max(0, end - start + 1))
+        });
+        if (result.status === 206) {
+            res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+        if (isHead || size === 0) return res.end();
+        return pipeline(await openRange(start, end), res).catch(ignoreAborted);
+    }
+
+    // Several ranges: multipart/byteranges with each part's headers up front,
+    // so the total length is known before anything is sent
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const parts = result.ranges.map(({ start, end }) => ({
+        start,
+        end,
+        header: `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    }));
+    const trailer = `--${boundary}--\r\n`;
+    const length = parts.reduce((total, part, index) =>
+        total + (index > 0 ? 2 : 0) + Buffer.byteLength(part.header) + part.end - part.start + 1, 0
+    ) + 2 + Buffer.byteLength(trailer);
+
+    res.status(206).set({
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': String(length)
+    });
+    if (isHead) return res.end();
+
+    for (const [index, part] of parts.entries()) {
+        res.write((index > 0 ? '\r\n' : '') + part.header);
+        await pipeline(await openRange(part.start, part.end), res, { end: false })
+        .catch(ignoreAborted);
+        if (res.destroyed) return;
+    }
+    res.end('\r\n' + trailer);
+};
+
+module.exports = { evaluateRequest, sendFileResponse };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Storage driver keeping each object as a file in a local directory
+class LocalStorage {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    pathFor(key) {
+        return path.join(this.dir, path.basename(key));
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    // Write to a temporary name first so a half-written object is never visible
+    async put(key, stream) {
+        const filePath = this.pathFor(key);
+        const tmpPath = `${filePath}.tmp`;
+        try {
+            await pipeline(stream, fs.createWriteStream(tmpPath));
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tmpPath, { force: true });
+            throw error;
+        }
+    }
+
+    // Moving the file is much cheaper than copying it through put
+    async putFile(key, filePath) {
+        const target = this.pathFor(key);
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            await this.put(key, fs.createReadStream(filePath));
+            await fs.promises.unlink(filePath);
+        }
+    }
+
+    // Opening the file first makes a missing object fail here rather than
+    // part-way through a response
+    async get(key, { start, end } = {}) {
+        const handle = await fs.promises.open(this.pathFor(key), 'r');
+        return handle.createReadStream({ start, end });
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.pathFor(key), { force: true });
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.pathFor(key));
+            return { size: stats.size, lastModified: stats.mtimeMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async *list() {
+        for (const entry of await fs.promises.readdir(this.dir, { withFileTypes: true })) {
+            if (!entry.isFile()) continue;
+            const { size } = await fs.promises.stat(path.join(this.dir, entry.name));
+            yield { key: entry.name, size };
+        }
+    }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rewrite the snapshot once the journal has grown past this many entries
+const COMPACT_THRESHOLD = 500;
+
+// Durable metadata store backed by a JSON snapshot plus an append-only journal.
+// Reads are served from memory; every write is appended to the journal before
+// it resolves, so the state can be rebuilt after a restart or crash.
+class MetadataStore {
+    constructor(dataDir, name = 'metadata') {
+        this.dataDir = dataDir;
+        this.snapshotPath = path.join(dataDir, `${name}.json`);
+        this.journalPath = path.join(dataDir, `${name}.journal`);
+        this.records = new Map();
+        this.journalLength = 0;
+        // Writes are chained so journal lines never interleave
+        this.queue = Promise.resolve();
+    }
+
+    // Rebuild in-memory state from the snapshot and journal, then compact.
+    // Rejects, leaving both files as they are, if either exists but cannot be
+    // read: carrying on with what could be read would compact it over the
+    // real state, and the server would then take every stored file for an
+    // orphan.
+    async load() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        this.records.clear();
+
+        let snapshot = {};
+        try {
+            snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read metadata snapshot ${this.snapshotPath}: ${error.message}`);
+            }
+        }
+        if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+            throw new Error(`Metadata snapshot ${this.snapshotPath} does not hold a JSON object`);
+        }
+        for (const [id, metadata] of Object.entries(snapshot)) {
+            this.records.set(id, metadata);
+        }
+
+        let journal = '';
+        try {
+            journal = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read metadata journal ${this.journalPath}: ${error.message}`);
+            }
+        }
+
+        for (const line of journal.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line from a crash mid-write is expected; skip it
+                console.warn('Skipping unreadable metadata journal entry');
+                continue;
+            }
+            this.apply(entry);
+        }
+
+        await this.compact();
+    }
+
+    apply(entry) {
+        if (entry.op === 'set') {
+            this.records.set(entry.id, entry.metadata);
+        } else if (entry.op === 'delete') {
+            this.records.delete(entry.id);
+        }
+    }
+
+    get(id) {
+        return this.records.get(id);
+    }
+
+    has(id) {
+        return this.records.has(id);
+    }
+
+    entries() {
+        return this.records.entries();
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    set(id, metadata) {
+        return this.write({ op: 'set', id, metadata });
+    }
+
+    delete(id) {
+        if (!this.records.has(id)) {
+            return Promise.resolve(false);
+        }
+        return this.write({ op: 'delete', id }).then(() => true);
+    }
+
+    write(entry) {
+        this.apply(entry);
+        const pending = this.queue.then(async () => {
+            await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n');
+            this.journalLength++;
+            if (this.journalLength >= COMPACT_THRESHOLD) {
+                await this.writeSnapshot();
+            }
+        });
+        // Keep the chain alive even if this write fails
+        this.queue = pending.catch(error => {
+            console.error('Error writing metadata journal:', error);
+        });
+        return pending;
+    }
+
+    compact() {
+        const pending = this.queue.then(() => this.writeSnapshot());
+        this.queue = pending.catch(error => {
+            console.error('Error compacting metadata store:', error);
+        });
+        return pending;
+    }
+
+    // Atomically replace the snapshot, then start a fresh journal
+    async writeSnapshot() {
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        const snapshot = Object.fromEntries(this.records);
+        await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.rename(tmpPath, this.snapshotPath);
+        await fs.writeFile(this.journalPath, '');
+        this.journalLength = 0;
+    }
+}
+
+module.exports = MetadataStore;
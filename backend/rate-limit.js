@@ -0,0 +1,120 @@
+// Per-client rate limits and rolling quotas.
+//
+// Each limiter allows `limit` units (requests or bytes) per rolling window,
+// estimated from two fixed windows: the current one plus the previous one
+// weighted by how much of it still overlaps the rolling window. This only needs
+// two counters per client, so the counts can live in any shared key/value
+// store. A store implements:
+//   get(key)                    current total for the key, or 0
+//   increment(key, amount, ttl) add to the key, creating it to expire after ttl ms
+// Both may return promises. Checking and recording are separate steps, so
+// concurrent requests can overshoot a limit slightly.
+
+// In-memory store, used unless another is configured; counts are lost on restart
+class MemoryStore {
+    constructor() {
+        this.counters = new Map();
+        // Drop expired counters now and then so idle clients do not pile up
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= Date.now()) return 0;
+        return counter.value;
+    }
+
+    increment(key, amount, ttl) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            counter = { value: 0, expiresAt: now + ttl };
+            this.counters.set(key, counter);
+        }
+        counter.value += amount;
+        return counter.value;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.expiresAt <= now) this.counters.delete(key);
+        }
+    }
+}
+
+class RateLimiter {
+    constructor({ name, limit, windowMs, store = new MemoryStore() }) {
+        this.name = name;
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.store = store;
+    }
+
+    // A limit of 0 turns the limiter off
+    get enabled() {
+        return this.limit > 0;
+    }
+
+    key(clientId, windowIndex) {
+        return `${this.name}:${clientId}:${windowIndex}`;
+    }
+
+    async getUsage(clientId, now) {
+        const index = Math.floor(now / this.windowMs);
+        const [current, previous] = await Promise.all([
+            this.store.get(this.key(clientId, index)),
+            this.store.get(this.key(clientId, index - 1))
+        ]);
+        const windowEnd = (index + 1) * this.windowMs;
+        const overlap = (windowEnd - now) / this.windowMs;
+        return { current, previous, used: previous * overlap + current, windowEnd };
+    }
+
+    // Whether amount more units fit right now, without using them. When they
+    // do not, retryAfter is the number of milliseconds until they will (null if
+    // they exceed the limit on their own). A
+    // client-specific limit can stand in for the default one.
+    async check(clientId, amount = 1, limit = this.limit) {
+        const now = Date.now();
+        const { current, previous, used, windowEnd } = await this.getUsage(clientId, now);
+        const remaining = Math.max(Math.floor(limit - used), 0);
+        // Usage has drained completely once the current window has also rolled out
+        const resetAt = current > 0 ? windowEnd + this.windowMs : previous > 0 ? windowEnd : now;
+        const result = { limit, remaining, resetAt, allowed: true, retryAfter: 0 };
+
+        if (!(limit > 0) || used + amount <= limit) return result;
+        result.allowed = false;
+
+        // More than the whole limit at once never fits
+        if (amount > limit) {
+            result.retryAfter = null;
+            return result;
+        }
+
+        // The previous window's share shrinks steadily until the current
+        // window ends; after that the current window's share does
+        const excess = used + amount - limit;
+        const untilWindowEnd = windowEnd - now;
+        const previousDrain = previous * untilWindowEnd / this.windowMs;
+        if (previousDrain >= excess) {
+            result.retryAfter = Math.ceil(excess * this.windowMs / previous);
+        } else {
+            const allowance = limit - amount;
+            const afterEnd = current > allowance ? (1 - allowance / current) * this.windowMs : 0;
+            result.retryAfter = Math.ceil(untilWindowEnd + afterEnd);
+        }
+        return result;
+    }
+
+    // Count units against the client's limit
+    async record(clientId, amount = 1) {
+        if (amount <= 0) return;
+        const index = Math.floor(Date.now() / this.windowMs);
+        // Counters are read for two windows, so they must outlive both
+        await this.store.increment(this.key(clientId, index), amount, 2 * this.windowMs);
+    }
+}
+
+module.exports = { RateLimiter, MemoryStore };
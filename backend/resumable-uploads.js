@@ -0,0 +1,343 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+
+// Largest body accepted by a single PATCH request
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
+// Sessions with no activity for this long are discarded
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Least time between progress reports while a chunk arrives
+const PROGRESS_INTERVAL = 250;
+
+// Resumable upload protocol modelled on tus:
+//   POST   /             create a session for a file of known size
+//   HEAD   /:uploadId    report the current offset
+//   PATCH  /:uploadId    append a chunk at Upload-Offset
+//   POST   /:uploadId/complete   finalize and register the file
+//   DELETE /:uploadId    abandon the session
+// Bytes are appended to a partial file whose size is the authoritative offset,
+// so a chunk interrupted mid-stream still keeps whatever reached the disk.
+// Extra upload options in the creation body go through prepareOptions (given
+// the body and the request), whose result is stored with the session and
+// handed back to onComplete along with the SHA-256 of the content. onComplete
+// may throw an error with a status to reject the finished upload, which also
+// discards the session.
+// With assignFileId, each session is given the ID its file will be stored
+// under when it is created. The ID is returned to the client, passed to
+// onComplete, and reported to onProgress ({ fileId, receivedBytes, size })
+// as chunks arrive, so others can follow the upload by the file's ID.
+const createResumableUploads = ({ sessions, partialDir, maxFileSize, prepareOptions, onComplete, assignFileId, onProgress = () => {} }) => {
+    const router = express.Router();
+    // Sessions currently receiving a chunk or being completed; concurrent
+    // PATCHes would corrupt the file, and concurrent completions would
+    // register it twice
+    const activeSessions = new Set();
+    // Running SHA-256 of each partial file, kept in memory so the hash is ready
+    // when the upload completes; rebuilt from the partial file after a restart
+    const hashStates = new Map();
+
+    const partialPath = (uploadId) => path.join(partialDir, uploadId);
+
+    const getOffset = async (uploadId) => {
+        try {
+            const stats = await fs.promises.stat(partialPath(uploadId));
+            return stats.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    };
+
+    // Hash state covering exactly the first offset bytes of the partial file
+    const getHashState = async (uploadId, offset) => {
+        const existing = hashStates.get(uploadId);
+        if (existing && existing.length === offset) return existing;
+
+        const state = { hash: crypto.createHash('sha256'), length: 0 };
+        for await (const chunk of fs.createReadStream(partialPath(uploadId))) {
+            state.hash.update(chunk);
+            state.length += chunk.length;
+        }
+        hashStates.set(uploadId, state);
+        return state;
+    };
+
+    const discardSession = async (uploadId) => {
+        hashStates.delete(uploadId);
+        await fs.promises.rm(partialPath(uploadId), { force: true });
+        await sessions.delete(uploadId);
+    };
+
+    const findSession = (req, res) => {
+        const { uploadId } = req.params;
+        const session = /^[a-f0-9]{32}$/.test(uploadId) ? sessions.get(uploadId) : null;
+        if (!session) {
+            res.status(404).json({ error: 'Upload session not found' });
+            return null;
+        }
+        return session;
+    };
+
+    // Create upload session
+    router.post('/', express.json(), async (req, res) => {
+        try {
+            const { filename, size, mimetype } = req.body || {};
+
+            if (typeof filename !== 'string' || !filename) {
+                return res.status(400).json({ error: 'Missing filename' });
+            }
+            if (!Number.isSafeInteger(size) || size < 0) {
+                return res.status(400).json({ error: 'Invalid file size' });
+            }
+            if (size > maxFileSize) {
+                return res.status(413).json({ error: 'File too large' });
+            }
+
+            let options;
+            try {
+                options = prepareOptions ? await prepareOptions(req.body, req) : {};
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                throw error;
+            }
+
+            const uploadId = crypto.randomBytes(16).toString('hex');
+            const fileId = assignFileId ? assignFileId() : undefined;
+            const now = Date.now();
+            await fs.promises.writeFile(partialPath(uploadId), '');
+            await sessions.set(uploadId, {
+                fileId,
+                originalName: path.basename(filename),
+                size,
+                mimetype: typeof mimetype === 'string' && mimetype ? mimetype : 'application/octet-stream',
+                options,
+                createdAt: now,
+                updatedAt: now
+            });
+
+            res.status(201)
+            .location(`${req.baseUrl}/${uploadId}`)
+            .set('Upload-Offset', '0')
+            .set('Upload-Length', String(size))
+            .json({ uploadId, fileId, offset: 0, size, maxChunkSize: MAX_CHUNK_SIZE });
+        } catch (error) {
+            console.error('Upload session error:', error);
+            res.status(500).json({ error: 'Could not create upload session' });
+        }
+    });
+
+    // Query current offset
+    router.head('/:uploadId', async (req, res) => {
+        try {
+            const session = findSession(req, res);
+            if (!session) return;
+
+            const offset = await getOffset(req.params.uploadId);
+            res.set('Cache-Control', 'no-store')
+            .set('Upload-Offset', String(offset))
+            .set('Upload-Length', String(session.size))
+            .status(204).end();
+        } catch (error) {
+            console.error('Upload offset error:', error);
+            res.status(500).end();
+        }
+    });
+
+    // Append a chunk
+    router.patch('/:uploadId', async (req, res) => {
+        const { uploadId } = req.params;
+        try {
+            const session = findSession(req, res);
+            if (!session) return;
+
+            if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+                return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+            }
+
+            const clientOffset = Number(req.get('Upload-Offset'));
+            if (!Number.isSafeInteger(clientOffset) || clientOffset < 0) {
+                return res.status(400).json({ error: 'Invalid Upload-Offset header' });
+            }
+
+            if (activeSessions.has(uploadId)) {
+                return res.status(423).json({ error: 'Another chunk is already being written' });
+            }
+            activeSessions.add(uploadId);
+
+            try {
+                const offset = await getOffset(uploadId);
+                if (clientOffset !== offset) {
+                    return res.status(409).set('Upload-Offset', String(offset))
+                    .json({ error: 'Offset mismatch', offset });
+                }
+
+                const state = await getHashState(uploadId, offset);
+                const remaining = Math.min(session.size - offset, MAX_CHUNK_SIZE);
+                const reportProgress = (receivedBytes) => {
+                    if (session.fileId) onProgress({ fileId: session.fileId, receivedBytes, size: session.size });
+                };
+                let received = 0;
+                let reportedAt = Date.now();
+                // Bytes past the declared length are never written, so
+                // everything before them is kept
+                const limiter = new Transform({
+                    transform(chunk, encoding, cb) {
+                        received += chunk.length;
+                        if (received > remaining) {
+                            return cb(Object.assign(new Error('Chunk exceeds upload length'), { status: 413 }));
+                        }
+                        state.hash.update(chunk);
+                        state.length += chunk.length;
+                        if (Date.now() - reportedAt >= PROGRESS_INTERVAL) {
+                            reportedAt = Date.now();
+                            reportProgress(offset + received);
+                        }
+                        cb(null, chunk);
+                    }
+                });
+
+                try {
+                    await new Promise((resolve, reject) => {
+                        pipeline(req, limiter, fs.createWriteStream(partialPath(uploadId), { flags: 'a' }), (error) => {
+                            error ? reject(error) : resolve();
+                        });
+                    });
+                } finally {
+                    // A write that failed part-way leaves the hash ahead of the
+                    // file; drop it so it is rebuilt from disk next time
+                    if (state.length !== await getOffset(uploadId)) {
+                        hashStates.delete(uploadId);
+                    }
+                }
+
+                const newOffset = await getOffset(uploadId);
+                await sessions.set(uploadId, { ...session, updatedAt: Date.now() });
+                reportProgress(newOffset);
+
+                res.set('Upload-Offset', String(newOffset)).status(204).end();
+            } finally {
+                activeSessions.delete(uploadId);
+            }
+        } catch (error) {
+            if (error.status === 413) {
+                return res.status(413).json({ error: error.message });
+            }
+            if (req.aborted || error.code === 'ECONNRESET' || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                // Client went away; the stored offset already reflects what arrived
+                console.log(`Upload chunk interrupted: ${uploadId}`);
+                return;
+            }
+            console.error('Upload chunk error:', error);
+            res.status(500).json({ error: 'Chunk upload failed' });
+        }
+    });
+
+    // Finalize upload
+    router.post('/:uploadId/complete', async (req, res) => {
+        const { uploadId } = req.params;
+        try {
+            const session = findSession(req, res);
+            if (!session) return;
+
+            if (activeSessions.has(uploadId)) {
+                return res.status(423).json({ error: 'A chunk is still being written or the upload is being completed' });
+            }
+            // Taken before anything is awaited, so a second request sees it
+            activeSessions.add(uploadId);
+
+            try {
+                const offset = await getOffset(uploadId);
+                if (offset !== session.size) {
+                    return res.status(409).set('Upload-Offset', String(offset))
+                    .json({ error: 'Upload is incomplete', offset, size: session.size });
+                }
+
+                const state = await getHashState(uploadId, offset);
+                const sha256 = state.hash.digest('hex');
+                hashStates.delete(uploadId);
+
+                let result;
+                try {
+                    result = await onComplete({
+                        fileId: session.fileId,
+                        originalName: session.originalName,
+                        size: session.size,
+                        mimetype: session.mimetype,
+                        sha256,
+                        options: session.options || {},
+                        tempPath: partialPath(uploadId)
+                    });
+                } catch (error) {
+                    if (!error.status) throw error;
+                    await discardSession(uploadId);
+                    return res.status(error.status).json({ error: error.message, ...error.details });
+                }
+                await sessions.delete(uploadId);
+
+                res.json(result);
+            } finally {
+                activeSessions.delete(uploadId);
+            }
+        } catch (error) {
+            console.error('Upload finalize error:', error);
+            res.status(500).json({ error: 'Upload failed' });
+        }
+    });
+
+    // Abandon upload
+    router.delete('/:uploadId', async (req, res) => {
+        const { uploadId } = req.params;
+        try {
+            const session = findSession(req, res);
+            if (!session) return;
+
+            if (activeSessions.has(uploadId)) {
+                return res.status(423).json({ error: 'A chunk is still being written or the upload is being completed' });
+            }
+            await discardSession(uploadId);
+            res.status(204).end();
+        } catch (error) {
+            console.error('Upload abort error:', error);
+            res.status(500).json({ error: 'Could not cancel upload' });
+        }
+    });
+
+    // Drop stale sessions and partial files that no session refers to
+    const cleanStaleSessions = async () => {
+        const now = Date.now();
+
+        for (const [uploadId, session] of Array.from(sessions.entries())) {
+            if (now - session.updatedAt <= SESSION_TTL) continue;
+            if (activeSessions.has(uploadId)) continue;
+            try {
+                await discardSession(uploadId);
+                console.log(`Deleted stale upload session: ${uploadId}`);
+            } catch (error) {
+                console.error(`Error deleting upload session ${uploadId}:`, error);
+            }
+        }
+
+        for (const name of await fs.promises.readdir(partialDir)) {
+            if (sessions.has(name)) continue;
+            await fs.promises.rm(path.join(partialDir, name), { force: true }).catch(console.error);
+        }
+    };
+
+    // Progress of the upload that will be stored under a file ID, or null
+    const getUploadProgress = async (fileId) => {
+        for (const [uploadId, session] of sessions.entries()) {
+            if (session.fileId === fileId) {
+                return { fileId, receivedBytes: await getOffset(uploadId), size: session.size };
+            }
+        }
+        return null;
+    };
+
+    return { router, cleanStaleSessions, getUploadProgress };
+};
+
+module.exports = createResumableUploads;
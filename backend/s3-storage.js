@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+// Objects go under this prefix unless S3_PREFIX says otherwise, so the bucket
+// can be shared and the orphan sweep never sees anything else in it
+const DEFAULT_PREFIX = 'cosmic-uploads/';
+// Longest a request may go without any data moving before it is abandoned
+const REQUEST_TIMEOUT = 30 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// encodeURIComponent leaves a few characters alone that SigV4 requires encoded
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+.replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Query string in SigV4 canonical form, which is also fine to send as-is
+const encodeQuery = (query) => Object.keys(query).sort()
+.map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+.join('&');
+
+const decodeXml = (value) => value
+.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+const readBody = async (res) => {
+    const chunks = [];
+    for await (const chunk of res) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+// Sign a request with AWS Signature Version 4. headers must already include
+// host, x-amz-date and x-amz-content-sha256; returns the Authorization value.
+const signRequest = ({ method, path, query = {}, headers, region, accessKeyId, secretAccessKey, service = 's3' }) => {
+    const amzDate = headers['x-amz-date'];
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/${service}/aws4_request`;
+
+    const canonicalQuery = encodeQuery(query);
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = headerNames
+    .map(name => `${name}:${String(lowerHeaders[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+        method,
+        path,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        lowerHeaders['x-amz-content-sha256']
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), service), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+// Storage driver for Amazon S3 and S3-compatible services (MinIO, R2, ...).
+// Requests are signed by hand so no SDK is needed. Objects are stored under
+// prefix + key; with a custom endpoint, path-style addressing is used.
+class S3Storage {
+    constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, sessionToken, prefix = DEFAULT_PREFIX, forcePathStyle, timeout = REQUEST_TIMEOUT }) {
+        if (!bucket) throw new Error('S3 storage needs a bucket name');
+        if (!accessKeyId || !secretAccessKey) throw new Error('S3 storage needs an access key ID and secret');
+
+        this.bucket = bucket;
+        this.region = region;
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.pathStyle = forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint);
+        this.credentials = { accessKeyId, secretAccessKey, sessionToken };
+        this.prefix = prefix;
+        this.timeout = timeout;
+    }
+
+    get host() {
+        return this.pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    }
+
+    objectPath(key = '') {
+        const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+        return this.pathStyle ? `/${this.bucket}/${encodedKey}` : `/${encodedKey}`;
+    }
+
+    // Send a signed request and resolve with the response once headers arrive.
+    // A body stream is sent unsigned (UNSIGNED-PAYLOAD) so it never needs buffering.
+    // The request fails with ETIMEDOUT when the connection sits idle for longer
+    // than the timeout, including while the response body is read.
+    request({ method, key, query = {}, headers = {}, body }) {
+        const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const path = this.objectPath(key);
+        const signedHeaders = {
+            ...headers,
+            'host': this.host,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': body ? 'UNSIGNED-PAYLOAD' : EMPTY_HASH
+        };
+        if (this.credentials.sessionToken) {
+            signedHeaders['x-amz-security-token'] = this.credentials.sessionToken;
+        }
+
+        const authorization = signRequest({
+            method,
+            path,
+            query,
+            headers: signedHeaders,
+            region: this.region,
+            accessKeyId: this.credentials.accessKeyId,
+            secretAccessKey: this.credentials.secretAccessKey
+        });
+
+        const search = encodeQuery(query);
+        const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.pathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+                port: this.endpoint.port || undefined,
+                method,
+                path: search ? `${path}?${search}` : path,
+                headers: { ...signedHeaders, authorization }
+            }, resolve);
+            req.on('error', reject);
+            req.setTimeout(this.timeout, () => {
+                req.destroy(Object.assign(new Error(`S3 request timed out: ${method} ${path}`), { code: 'ETIMEDOUT' }));
+            });
+
+            if (body) {
+                body.on('error', error => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    // Turn an unexpected response into an error carrying the S3 error code
+    async fail(res, action) {
+        const body = await readBody(res);
+        const code = (/<Code>([^<]*)<\/Code>/.exec(body) || [])[1] || res.statusCode;
+        return Object.assign(new Error(`S3 ${action} failed: ${code}`), { statusCode: res.statusCode });
+    }
+
+    // Check the bucket is reachable with these credentials
+    async init() {
+        const res = await this.request({ method: 'HEAD' });
+        res.resume();
+        if (res.statusCode !== 200) {
+            throw new Error(`S3 bucket ${this.bucket} is not accessible (HTTP ${res.statusCode})`);
+        }
+    }
+
+    async put(key, stream, size) {
+        const res = await this.request({
+            method: 'PUT',
+            key: this.prefix + key,
+            headers: { 'content-length': String(size) },
+            body: stream
+        });
+        if (res.statusCode !== 200) throw await this.fail(res, 'upload');
+        res.resume();
+    }
+
+    async putFile(key, filePath) {
+        const { size } = await fs.promises.stat(filePath);
+        await this.put(key, fs.createReadStream(filePath), size);
+        await fs.promises.unlink(filePath);
+    }
+
+    async get(key, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined) {
+            headers.range = `bytes=${start}-${end !== undefined ? end : ''}`;
+        }
+        const res = await this.request({ method: 'GET', key: this.prefix + key, headers });
+        if (res.statusCode === 404) {
+            res.resume();
+            throw Object.assign(new Error(`Object not found: ${key}`), { code: 'ENOENT' });
+        }
+        if (res.statusCode !== 200 && res.statusCode !== 206) throw await this.fail(res, 'download');
+        // The body is streamed to clients, who may pause it for as long as
+        // they like; stalls are theirs to give up on
+        res.setTimeout(0);
+        return res;
+    }
+
+    async delete(key) {
+        const res = await this.request({ method: 'DELETE', key: this.prefix + key });
+        if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+            throw await this.fail(res, 'delete');
+        }
+        res.resume();
+    }
+
+    async stat(key) {
+        const res = await this.request({ method: 'HEAD', key: this.prefix + key });
+        res.resume();
+        if (res.statusCode === 404) return null;
+        if (res.statusCode !== 200) {
+            throw Object.assign(new Error(`S3 stat failed: HTTP ${res.statusCode}`), { statusCode: res.statusCode });
+        }
+        return {
+            size: Number(res.headers['content-length']),
+            lastModified: Date.parse(res.headers['last-modified'])
+        };
+    }
+
+    async *list() {
+        let continuationToken;
+        do {
+            const query = { 'list-type': '2', 'prefix': this.prefix };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const res = await this.request({ method: 'GET', query });
+            if (res.statusCode !== 200) throw await this.fail(res, 'list');
+            const body = await readBody(res);
+
+            for (const [, contents] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = decodeXml((/<Key>([^<]*)<\/Key>/.exec(contents) || [])[1] || '');
+                const size = Number((/<Size>(\d+)<\/Size>/.exec(contents) || [])[1]);
+                yield { key: key.slice(this.prefix.length), size };
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(body);
+            const token = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(body);
+            continuationToken = truncated && token ? decodeXml(token[1]) : null;
+        } while (continuationToken);
+    }
+}
+
+module.exports = S3Storage;
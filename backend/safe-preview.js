@@ -0,0 +1,140 @@
+// Deciding how a stored file may be shown inline. The uploader's mimetype is
+// only a hint: the type is sniffed from the first bytes of the content, and
+// anything a browser could run (HTML, SVG, XML) is never served as itself.
+//   - images, video, audio and PDFs recognised from their content are served
+//     as the type the content says they are
+//   - text, including markup, is served as text/plain
+//   - anything else the uploader called previewable is served as an
+//     attachment of application/octet-stream
+// Every preview response also gets a sandboxing Content-Security-Policy, so
+// even a type a browser misjudges cannot run script or reach the API.
+
+// How much of a file is read to sniff its type
+const SNIFF_LENGTH = 4096;
+
+const TEXT_TYPE = 'text/plain; charset=utf-8';
+
+// The same policy GitHub uses for raw files: no script, no subresources, no
+// plugins, and a unique origin for the document
+const PREVIEW_CSP = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+
+// Types the uploader may declare for a file to be previewed at all
+const PREVIEWABLE_TYPES = ['image/', 'text/', 'video/', 'audio/', 'application/json', 'application/pdf'];
+
+// Types served inline as themselves once the content has been recognised
+const PASSIVE_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp', 'image/x-icon',
+    'image/tiff', 'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 'audio/mpeg', 'audio/mp4',
+    'audio/ogg', 'audio/webm', 'audio/wav', 'audio/flac', 'application/pdf'
+];
+
+// Types a browser would run script in if asked to show them
+const ACTIVE_TYPES = ['text/html', 'image/svg+xml', 'text/xml'];
+
+// Leading markup that makes a browser treat a document as HTML (after the
+// WHATWG MIME sniffing rules), each followed by a space or ">"
+const HTML_STARTS = [
+    '<!doctype html', '<html', '<head', '<script', '<iframe', '<h1', '<div', '<font', '<table', '<a',
+    '<style', '<title', '<b', '<body', '<br', '<p', '<!--'
+];
+
+// Helper function to check the bytes at an offset
+const startsWith = (head, bytes, offset = 0) =>
+    head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+// Helper function to name the type of an ISO media file (MP4, MOV, AVIF,
+// M4A) by its major brand
+const sniffIsoMedia = (head) => {
+    const boxSize = head.length >= 8 ? head.readUInt32BE(0) : 0;
+    if (boxSize < 12 || !startsWith(head, ascii('ftyp'), 4)) return null;
+    const brand = head.toString('latin1', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+};
+
+// Helper function to recognise a file from its magic bytes
+const sniffBinary = (head) => {
+    if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'))) return 'image/gif';
+    if (startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WAVE'), 8)) return 'audio/wav';
+    // "BM" alone starts plenty of text, so the reserved header bytes must be zero too
+    if (startsWith(head, ascii('BM')) && startsWith(head, [0, 0, 0, 0], 6)) return 'image/bmp';
+    if (startsWith(head, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+    if (startsWith(head, ascii('II*\0')) || startsWith(head, ascii('MM\0*'))) return 'image/tiff';
+    if (startsWith(head, ascii('%PDF-'))) return 'application/pdf';
+    if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+        return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+    if (startsWith(head, ascii('OggS'))) return 'audio/ogg';
+    if (startsWith(head, ascii('fLaC'))) return 'audio/flac';
+    if (startsWith(head, ascii('ID3')) || (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) {
+        return 'audio/mpeg';
+    }
+    if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+    if (startsWith(head, [0x1f, 0x8b])) return 'application/gzip';
+    return sniffIsoMedia(head);
+};
+
+// Helper function to tell text from binary data: text has none of the
+// control bytes that only binary formats use
+const isText = (head) => !head.some(byte => byte <= 0x08 || byte === 0x0b || (byte >= 0x0e && byte <= 0x1a) ||
+    (byte >= 0x1c && byte <= 0x1f));
+
+// Helper function to recognise text a browser would treat as a document
+const sniffMarkup = (head) => {
+    const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (/<svg[\s>]/.test(text)) return 'image/svg+xml';
+    if (HTML_STARTS.some(start => text.startsWith(start) && /^[\s>]/.test(text.slice(start.length)))) {
+        return 'text/html';
+    }
+    if (text.startsWith('<?xml')) return 'text/xml';
+    return null;
+};
+
+// Sniff a file's type from its first bytes (up to SNIFF_LENGTH). Returns a
+// mimetype; text is text/plain, or the markup type for HTML, SVG and XML,
+// and unrecognised binary data is application/octet-stream.
+const sniffContentType = (head) => {
+    // UTF-16 text is full of zero bytes
+    if (startsWith(head, [0xfe, 0xff]) || startsWith(head, [0xff, 0xfe])) return 'text/plain';
+    const binaryType = sniffBinary(head);
+    if (binaryType) return binaryType;
+    if (!isText(head)) return 'application/octet-stream';
+    return sniffMarkup(head) || 'text/plain';
+};
+
+// Decide how a file may be previewed, from the type the uploader gave it, the
+// type sniffed from its content and the type its name implies (null if none).
+// Returns { contentType, inline }, or null if it is not previewable at all.
+const getPreviewType = (declaredType, sniffedType, nameType = null) => {
+    const declared = String(declaredType || '').toLowerCase().split(';')[0].trim();
+    const previewable = PREVIEWABLE_TYPES.some(type => declared.startsWith(type)) || Boolean(nameType);
+    if (!previewable) return null;
+
+    if (PASSIVE_TYPES.includes(sniffedType)) {
+        // Ogg and WebM hold either audio or video; only the uploader knows which
+        const [, subtype] = sniffedType.split('/');
+        const contentType = [`audio/${subtype}`, `video/${subtype}`].includes(declared) ? declared : sniffedType;
+        return { contentType, inline: true };
+    }
+    if (sniffedType === 'text/plain' || ACTIVE_TYPES.includes(sniffedType)) {
+        return { contentType: TEXT_TYPE, inline: true };
+    }
+    return { contentType: 'application/octet-stream', inline: false };
+};
+
+// Set the headers every preview response carries. The frontend runs on
+// another origin, so previews must be embeddable cross-origin.
+const setPreviewHeaders = (res) => {
+    res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+};
+
+module.exports = { SNIFF_LENGTH, sniffContentType, getPreviewType, setPreviewHeaders };
@@ -0,0 +1,140 @@
+const MINUTE = 60 * 1000;
+
+// Malware scan results for stored content, by content hash, with the queue
+// of content waiting to be scanned. Each record has a status:
+//   pending      waiting for the scanner, or being scanned
+//   clean        the scanner found nothing
+//   quarantined  the scanner found something, named by signature
+//   failed       the scanner could not check it after maxAttempts tries
+//                (clamd unreachable, or the file is past its size limit)
+// Scans that fail are retried after retryDelay, growing with each attempt.
+// Pending records are kept in the store, so scans interrupted by a restart
+// are picked up again by enqueue().
+class ScanQueue {
+    constructor({ store, scanner, storage, concurrency = 1, maxAttempts = 5, retryDelay = MINUTE, onResult = () => {} }) {
+        this.store = store;
+        this.scanner = scanner;
+        this.storage = storage;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.onResult = onResult;
+        this.queue = [];
+        // Hashes queued, being scanned or waiting to retry
+        this.scheduled = new Set();
+        this.active = 0;
+    }
+
+    async load() {
+        await this.store.load();
+    }
+
+    get(hash) {
+        return this.store.get(hash) || null;
+    }
+
+    // Queue content for scanning unless it already has a result. Resolves
+    // with its record once it is queued.
+    async enqueue(hash) {
+        let record = this.get(hash);
+        if (record && record.status !== 'pending') return record;
+        if (!record) {
+            record = { status: 'pending', queuedAt: Date.now(), attempts: 0 };
+            await this.store.set(hash, record);
+        }
+        if (!this.scheduled.has(hash)) {
+            this.scheduled.add(hash);
+            this.queue.push(hash);
+            this.pump();
+        }
+        return record;
+    }
+
+    pump() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const hash = this.queue.shift();
+            this.active++;
+            this.scan(hash)
+            .catch(error => console.error(`Scan error for ${hash}:`, error))
+            .finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async scan(hash) {
+        const record = this.get(hash);
+        // Content removed while it waited
+        if (!record) {
+            this.scheduled.delete(hash);
+            return;
+        }
+
+        try {
+            const { infected, signature } = await this.scanner.scan(await this.storage.get(hash));
+            this.scheduled.delete(hash);
+            if (!this.get(hash)) return;
+            const result = {
+                status: infected ? 'quarantined' : 'clean',
+                signature: infected ? signature : undefined,
+                scanner: this.scanner.name,
+                queuedAt: record.queuedAt,
+                scannedAt: Date.now()
+            };
+            await this.store.set(hash, result);
+            this.onResult(hash, result);
+        } catch (error) {
+            if (!this.get(hash)) {
+                this.scheduled.delete(hash);
+                return;
+            }
+            const attempts = record.attempts + 1;
+            if (attempts >= this.maxAttempts) {
+                this.scheduled.delete(hash);
+                const result = {
+                    status: 'failed',
+                    error: error.message,
+                    scanner: this.scanner.name,
+                    queuedAt: record.queuedAt,
+                    scannedAt: Date.now()
+                };
+                await this.store.set(hash, result);
+                this.onResult(hash, result);
+                return;
+            }
+
+            console.warn(`Scan of ${hash} failed (attempt ${attempts}), retrying:`, error.message);
+            await this.store.set(hash, { ...record, attempts, error: error.message });
+            setTimeout(() => {
+                this.queue.push(hash);
+                this.pump();
+            }, this.retryDelay * attempts).unref();
+        }
+    }
+
+    // Forget the result for content that is no longer stored
+    async remove(hash) {
+        await this.store.delete(hash);
+    }
+
+    // Drop results for content that is no longer stored
+    async prune(isStored) {
+        for (const [hash] of Array.from(this.store.entries())) {
+            if (!isStored(hash)) {
+                await this.store.delete(hash);
+            }
+        }
+    }
+
+    // How much content is in each status
+    counts() {
+        const counts = { pending: 0, clean: 0, quarantined: 0, failed: 0 };
+        for (const [, record] of this.store.entries()) {
+            counts[record.status] = (counts[record.status] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+module.exports = ScanQueue;
@@ -0,0 +1,34 @@
+const ClamAVScanner = require('./clamav-scanner');
+
+// Scanners check uploaded content for malware before anyone can download it.
+// Every scanner has:
+//   name            recorded with each result
+//   scan(stream)    resolves with { infected, signature } for a readable
+//                   stream of the content; rejects if the scan could not run
+//
+// The scanner is chosen with SCANNER, from the checked settings (see config.js):
+//   none (default)  uploads are not scanned
+//   clamav          a ClamAV daemon listening on CLAMAV_SOCKET (a Unix socket
+//                   path), or else on CLAMAV_HOST and CLAMAV_PORT (default
+//                   127.0.0.1:3310), with CLAMAV_TIMEOUT_SECONDS per scan
+//                   (default 60)
+const createScanner = ({ config }) => {
+    const scanner = config.SCANNER;
+
+    if (scanner === 'none') {
+        return null;
+    }
+
+    if (scanner === 'clamav') {
+        return new ClamAVScanner({
+            socketPath: config.CLAMAV_SOCKET || undefined,
+            host: config.CLAMAV_HOST,
+            port: config.CLAMAV_PORT,
+            timeout: config.CLAMAV_TIMEOUT_SECONDS * 1000
+        });
+    }
+
+    throw new Error(`Unknown SCANNER: ${scanner}`);
+};
+
+module.exports = createScanner;
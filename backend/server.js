@@ -2,42 +2,183 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const helmet = require('helmet');
+const archiver = require('archiver');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const MetadataStore = require('./metadata-store');
+const BlobStore = require('./blob-store');
+const createStorage = require('./storage');
+const createHashingStorage = require('./hashing-storage');
+const createResumableUploads = require('./resumable-uploads');
+const { evaluateRequest, sendFileResponse } = require('./http-ranges');
+const { RateLimiter, MemoryStore } = require('./rate-limit');
+const createAccounts = require('./accounts');
+const HistoryLog = require('./history-log');
+const { EVICTION_POLICIES, rankForEviction } = require('./eviction');
+const { DerivedAssets, THUMBNAIL_SIZES } = require('./derived-assets');
+const { listArchive, openArchiveEntry, getEntryPreviewType } = require('./archive-browser');
+const createScanner = require('./scanner');
+const ScanQueue = require('./scan-queue');
+const SlugRegistry = require('./slug-registry');
+const { WEBHOOK_EVENTS, WebhookDispatcher, parseWebhookUrl } = require('./webhooks');
+const EventChannels = require('./event-channels');
+const { SNIFF_LENGTH, sniffContentType, getPreviewType, setPreviewHeaders } = require('./safe-preview');
+const { loadConfig } = require('./config');
+const {
+    setTokenSecret,
+    hashPassword,
+    verifyPassword,
+    createAccessToken,
+    verifyAccessToken,
+    getRequestToken,
+    createManagementToken,
+    verifyManagementToken,
+    getUnlockRetryDelay,
+    recordFailedAttempt,
+    clearFailedAttempts
+} = require('./access-control');
+
+// Every setting, from the environment and CONFIG_FILE (see config.js)
+const config = loadConfig();
+if (config.TOKEN_SECRET) setTokenSecret(config.TOKEN_SECRET);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.PORT;
+
+// Behind a reverse proxy, TRUST_PROXY (a hop count, "true" or a subnet list)
+// makes req.ip the real client address, which the rate limits are keyed by
+if (config.TRUST_PROXY) {
+    const trustProxy = config.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+const FRONTEND_ORIGIN = config.FRONTEND_URL;
 
 // Security middleware
 app.use(helmet());
 app.use(cors({
-    origin: process.env.FRONTEND_URL || 'https://yourusername.github.io',
-    credentials: true
+    origin: FRONTEND_ORIGIN,
+    credentials: true,
+    exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Retry-After']
 }));
 
 app.use(express.json());
 
-// Ensure uploads directory exists
+// Previews can be served from an origin of their own (PREVIEW_ORIGIN, e.g.
+// https://preview.example.com, another hostname pointed at this server), so
+// uploaded content never shares an origin with the API. Preview routes are
+// then redirected there, and nothing else is served there.
+const PREVIEW_ORIGIN = config.PREVIEW_ORIGIN;
+const PREVIEW_ROUTES = [/^\/api\/preview\/[^/]+$/, /^\/api\/thumbnail\/[^/]+$/, /^\/api\/archive\/[^/]+\/entry$/];
+
+if (PREVIEW_ORIGIN) {
+    const previewHostname = new URL(PREVIEW_ORIGIN).hostname;
+    app.use((req, res, next) => {
+        // Archive entries are only previews when shown inline
+        const isPreview = PREVIEW_ROUTES.some(route => route.test(req.path)) &&
+            (!req.path.endsWith('/entry') || req.query.inline === '1');
+        const onPreviewOrigin = req.hostname === previewHostname;
+        if (isPreview && !onPreviewOrigin) {
+            return res.redirect(307, `${PREVIEW_ORIGIN}${req.originalUrl}`);
+        }
+        if (!isPreview && onPreviewOrigin) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        next();
+    });
+}
+
+// Uploads directory (local storage driver), in-progress resumable uploads,
+// single-request uploads being received and cached thumbnails (created on startup)
 const uploadsDir = path.join(__dirname, 'uploads');
-fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
+const partialDir = path.join(__dirname, 'partial');
+const incomingDir = path.join(__dirname, 'incoming');
+const derivedDir = config.DERIVED_DIR;
 
-// File storage configuration
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadsDir);
-    },
-    filename: (req, file, cb) => {
-        const fileId = crypto.randomBytes(16).toString('hex');
-        const ext = path.extname(file.originalname);
-        cb(null, `${fileId}${ext}`);
-    }
+const MB = 1024 * 1024;
+const MAX_FILE_SIZE = config.MAX_FILE_SIZE_MB * MB; // the most anyone may upload
+const MAX_COLLECTION_FILES = config.MAX_COLLECTION_FILES;
+const MAX_PASSWORD_LENGTH = 1024;
+
+// Expiry options (per upload, capped by the runtime settings below)
+const MIN_EXPIRY = 10 * 60 * 1000; // 10 minutes
+const MAX_DOWNLOAD_LIMIT = 10000;
+const MAX_FILENAME_LENGTH = 255;
+const MAX_ENCRYPTED_METADATA_LENGTH = 4096;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Preset expiry choices offered by the upload page, up to the maximum in force
+const EXPIRY_PRESETS = [10 * MINUTE, HOUR, 6 * HOUR, DAY, 3 * DAY, 7 * DAY];
+
+// Storage capacity, eviction and expiry limits. These start from the
+// configuration and can be changed by administrators while the server runs;
+// changes are kept in the settings store and override the configuration from
+// then on. See eviction.js for the eviction policies.
+const DEFAULT_SETTINGS = {
+    maxStorage: config.MAX_STORAGE_GB * 1024 * MB,
+    evictionPolicy: config.EVICTION_POLICY,
+    maxExpiry: config.MAX_EXPIRY_HOURS * HOUR,
+    defaultExpiry: config.DEFAULT_EXPIRY_HOURS * HOUR,
+    accountMaxExpiry: config.ACCOUNT_MAX_EXPIRY_HOURS * HOUR
+};
+
+// Per-client limits over rolling windows; set any of them to 0 to turn it off
+const UPLOAD_RATE_LIMIT = config.UPLOAD_RATE_LIMIT; // new uploads per hour
+const UPLOAD_QUOTA = config.UPLOAD_QUOTA_MB * MB; // per day
+const DOWNLOAD_RATE_LIMIT = config.DOWNLOAD_RATE_LIMIT; // downloads per 10 minutes
+const DOWNLOAD_QUOTA = config.DOWNLOAD_QUOTA_MB * MB; // per day
+const LOOKUP_RATE_LIMIT = config.LOOKUP_RATE_LIMIT; // unknown file IDs and short links per 10 minutes
+
+// Accounts. Anonymous uploads can be switched off; each account may carry its
+// own limits, and falls back to the account defaults for any it lacks.
+const ALLOW_ANONYMOUS_UPLOADS = config.ALLOW_ANONYMOUS_UPLOADS;
+const ALLOW_REGISTRATION = config.ALLOW_REGISTRATION;
+const ANONYMOUS_LIMITS = {
+    maxFileSize: config.ANONYMOUS_MAX_FILE_SIZE_MB * MB,
+    uploadQuota: UPLOAD_QUOTA
+};
+const ACCOUNT_LIMITS = {
+    maxFileSize: config.ACCOUNT_MAX_FILE_SIZE_MB * MB,
+    uploadQuota: config.ACCOUNT_UPLOAD_QUOTA_MB * MB
+};
+
+// Accounts allowed into the admin API and dashboard, by account ID
+const ADMIN_ACCOUNTS = config.ADMIN_ACCOUNTS;
+
+// Generate a new file ID
+const generateFileId = () => crypto.randomBytes(16).toString('hex');
+
+// Where stored files live, chosen with STORAGE_DRIVER (see storage.js)
+const storageDriver = createStorage({ localDir: uploadsDir, config });
+
+// File storage configuration: files are hashed as they arrive, then handed
+// to the blob store under their hash
+const storage = createHashingStorage(incomingDir);
+
+// Thumbnails of images and PDFs, made on demand and cached on local disk
+const derivedAssets = new DerivedAssets({
+    dir: derivedDir,
+    storage: storageDriver,
+    pdftoppm: config.PDFTOPPM_PATH,
+    maxSourceSize: config.MAX_THUMBNAIL_SOURCE_MB * MB
 });
 
+// Malware scanner, chosen with SCANNER (see scanner.js). With one set up,
+// new content cannot be downloaded until it has been scanned clean.
+const scanner = createScanner({ config });
+const SCAN_RETRY_AFTER = 5; // seconds clients are told to wait for a pending scan
+
 const upload = multer({
     storage: storage,
     limits: {
-        fileSize: 1024 * 1024 * 1024 // 1GB limit
+        fileSize: MAX_FILE_SIZE,
+        files: MAX_COLLECTION_FILES
     },
     fileFilter: (req, file, cb) => {
         // Allow all file types
@@ -45,8 +186,294 @@ const upload = multer({
     }
 });
 
-// File metadata storage (in-memory for simplicity)
-const fileMetadata = new Map();
+// File metadata storage (persisted to disk so share links survive restarts)
+const dataDir = config.DATA_DIR;
+const fileMetadata = new MetadataStore(dataDir);
+const uploadSessions = new MetadataStore(dataDir, 'sessions');
+const collections = new MetadataStore(dataDir, 'collections');
+const blobs = new BlobStore(new MetadataStore(dataDir, 'blobs'), storageDriver);
+const accountRecords = new MetadataStore(dataDir, 'accounts');
+const accountSessions = new MetadataStore(dataDir, 'account-sessions');
+const apiKeyRecords = new MetadataStore(dataDir, 'api-keys');
+const settingsStore = new MetadataStore(dataDir, 'settings');
+// File IDs blocked by an administrator; their content may not be uploaded again
+const blocklist = new MetadataStore(dataDir, 'blocklist');
+// Every file removal with its reason, every eviction decision, and storage
+// usage sampled over time
+const removals = new HistoryLog(new MetadataStore(dataDir, 'removals'));
+const evictionAudit = new HistoryLog(new MetadataStore(dataDir, 'eviction-audit'));
+const storageHistory = new HistoryLog(new MetadataStore(dataDir, 'storage-history'));
+// Short links: slugs like brave-golden-otter-4821 that stand in for file IDs
+const slugs = new SlugRegistry(new MetadataStore(dataDir, 'slugs'));
+// Scan results by content hash, and the content waiting to be scanned
+const scanQueue = scanner && new ScanQueue({
+    store: new MetadataStore(dataDir, 'scans'),
+    scanner,
+    storage: storageDriver,
+    concurrency: config.SCAN_CONCURRENCY,
+    maxAttempts: config.SCAN_MAX_ATTEMPTS,
+    onResult: (hash, result) => {
+        if (result.status === 'quarantined') {
+            console.warn(`Quarantined content ${hash}: ${result.signature}`);
+        } else if (result.status === 'failed') {
+            console.error(`Could not scan content ${hash}: ${result.error}`);
+        }
+        for (const [fileId, metadata] of Array.from(fileMetadata.entries())) {
+            if (metadata.contentHash === hash) {
+                emitFileEvent('file.scanned', fileId, metadata);
+            }
+        }
+    }
+});
+
+// Webhook subscriptions, deliveries waiting for their next try, and
+// deliveries that ran out of tries (see webhooks.js)
+const webhookDeadLetters = new HistoryLog(new MetadataStore(dataDir, 'webhook-dead-letters'));
+const webhooks = new WebhookDispatcher({
+    subscriptions: new MetadataStore(dataDir, 'webhooks'),
+    deliveries: new MetadataStore(dataDir, 'webhook-deliveries'),
+    deadLetters: webhookDeadLetters,
+    maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+    timeout: config.WEBHOOK_TIMEOUT_SECONDS * 1000,
+    allowPrivateCallbacks: config.CALLBACK_ALLOW_PRIVATE_ADDRESSES
+});
+
+// Internal event bus for file lifecycle events. The WEBHOOK_EVENTS are passed
+// on to the webhooks subscribed to them; file.updated, file.scanned and
+// file.download-finished only matter to live streams.
+const fileEvents = new EventEmitter();
+for (const type of WEBHOOK_EVENTS) {
+    fileEvents.on(type, event => webhooks.publish(event).catch(console.error));
+}
+
+// Live event streams, one channel per file ID, for pages following a file
+// (GET /api/file/:fileId/events). Streams are sent
+//   upload    how much of a resumable upload has arrived
+//   state     the file's expiry, download counts and scan status, when the
+//             stream opens and whenever they change
+//   download  the same when a download starts or finishes
+//   removed   that the file was deleted and why; the stream then ends
+const fileStreams = new EventChannels({
+    maxConnections: config.MAX_EVENT_STREAMS,
+    maxPerClient: config.MAX_EVENT_STREAMS_PER_IP,
+    onEmpty: fileId => clearExpiryTimer(fileId)
+});
+// Bus events that change what streams show, and the stream event each becomes
+const STREAM_EVENTS = {
+    'file.uploaded': 'state',
+    'file.updated': 'state',
+    'file.scanned': 'state',
+    'file.downloaded': 'download',
+    'file.download-finished': 'download'
+};
+// Number of responses sending each file right now
+const activeDownloads = new Map();
+// Timers removing followed files the moment they expire, by file ID
+const expiryTimers = new Map();
+// Longest delay setTimeout takes
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+for (const [type, streamEvent] of Object.entries(STREAM_EVENTS)) {
+    fileEvents.on(type, ({ data }) => {
+        const metadata = fileMetadata.get(data.fileId);
+        if (!metadata || !fileStreams.has(data.fileId)) return;
+        fileStreams.send(data.fileId, streamEvent, { type, ...getLiveState(data.fileId, metadata), completed: data.completed });
+        scheduleExpiry(data.fileId, metadata);
+    });
+}
+for (const type of ['file.expired', 'file.evicted', 'file.deleted']) {
+    fileEvents.on(type, ({ data }) => fileStreams.close(data.fileId, 'removed', { fileId: data.fileId, reason: data.reason }));
+}
+
+// Rate limit counters; any store with the same interface (see rate-limit.js)
+// can replace the in-memory one to share limits between instances
+const rateLimitStore = new MemoryStore();
+const limits = {
+    uploads: new RateLimiter({ name: 'uploads', limit: UPLOAD_RATE_LIMIT, windowMs: HOUR, store: rateLimitStore }),
+    uploadBytes: new RateLimiter({ name: 'upload-bytes', limit: UPLOAD_QUOTA, windowMs: DAY, store: rateLimitStore }),
+    downloads: new RateLimiter({ name: 'downloads', limit: DOWNLOAD_RATE_LIMIT, windowMs: HOUR / 6, store: rateLimitStore }),
+    downloadBytes: new RateLimiter({ name: 'download-bytes', limit: DOWNLOAD_QUOTA, windowMs: DAY, store: rateLimitStore }),
+    lookups: new RateLimiter({ name: 'lookups', limit: LOOKUP_RATE_LIMIT, windowMs: HOUR / 6, store: rateLimitStore })
+};
+
+// Helper function to remove a file, treating an already-missing file as removed
+const unlinkIfExists = async (filePath) => {
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+// Helper function to get the capacity and expiry limits currently in force
+const getSettings = () => ({ ...DEFAULT_SETTINGS, ...settingsStore.get('limits') });
+
+// Helper function to get when a file expires (records from before per-upload
+// expiry only have an upload time)
+const getExpiryTime = (metadata) => metadata.expiresAt || metadata.uploadTime + getSettings().defaultExpiry;
+
+// Helper function to get how many downloads a file has left, or null if unlimited
+const getRemainingDownloads = (metadata) => {
+    if (!metadata.maxDownloads) return null;
+    return Math.max(metadata.maxDownloads - (metadata.downloadCount || 0), 0);
+};
+
+// Helper function to announce something that happened to a file on the event
+// bus. Returns the event: its type, when it happened and the file as it was.
+const emitFileEvent = (type, fileId, metadata, details = {}) => {
+    const event = {
+        id: crypto.randomBytes(12).toString('hex'),
+        type,
+        createdAt: new Date().toISOString(),
+        data: {
+            fileId,
+            slug: metadata.slug || null,
+            originalName: metadata.originalName,
+            size: metadata.size,
+            mimetype: metadata.mimetype,
+            sha256: metadata.contentHash,
+            uploadTime: new Date(metadata.uploadTime).toISOString(),
+            expiresAt: new Date(getExpiryTime(metadata)).toISOString(),
+            downloadCount: metadata.downloadCount || 0,
+            maxDownloads: metadata.maxDownloads || null,
+            collectionId: metadata.collectionId || null,
+            passwordProtected: Boolean(metadata.passwordHash),
+            encrypted: Boolean(metadata.encrypted),
+            uploadedBy: getOwnerName(metadata.ownerId),
+            ...details
+        }
+    };
+    fileEvents.emit(type, event);
+    return event;
+};
+
+// Helper function to get what live streams show of a file
+const getLiveState = (fileId, metadata) => ({
+    fileId,
+    expiresAt: new Date(getExpiryTime(metadata)).toISOString(),
+    downloadCount: metadata.downloadCount || 0,
+    completedDownloads: metadata.completedDownloads || 0,
+    activeDownloads: activeDownloads.get(fileId) || 0,
+    maxDownloads: metadata.maxDownloads || null,
+    remainingDownloads: getRemainingDownloads(metadata),
+    scan: getScanInfo(metadata)
+});
+
+// Helper function to remove a file someone is following as soon as it
+// expires, rather than at the next cleanup, so they hear of it on time
+const scheduleExpiry = (fileId, metadata) => {
+    clearTimeout(expiryTimers.get(fileId));
+    const delay = Math.min(Math.max(getExpiryTime(metadata) - Date.now() + 1, 0), MAX_TIMER_DELAY);
+    const timer = setTimeout(() => {
+        expiryTimers.delete(fileId);
+        const current = fileMetadata.get(fileId);
+        if (!current) return;
+        if (Date.now() > getExpiryTime(current)) {
+            removeFile(fileId, 'expired')
+            .then(() => console.log(`Deleted expired file: ${fileId}`))
+            .catch(console.error);
+        } else if (fileStreams.has(fileId)) {
+            scheduleExpiry(fileId, current);
+        }
+    }, delay);
+    timer.unref();
+    expiryTimers.set(fileId, timer);
+};
+
+const clearExpiryTimer = (fileId) => {
+    clearTimeout(expiryTimers.get(fileId));
+    expiryTimers.delete(fileId);
+};
+
+// Removal reasons with an event of their own; the rest are file.deleted
+const REMOVAL_EVENTS = { expired: 'file.expired', capacity: 'file.evicted' };
+
+// Helper function to delete a file's record, and its stored content once no
+// other record shares it. The removal is logged with the reason given
+// (expired, download-limit, capacity, owner, admin, blocked, missing, or
+// incomplete for files of a collection upload that failed part-way).
+const removeFile = async (fileId, reason) => {
+    const metadata = fileMetadata.get(fileId);
+    if (!metadata) return;
+    await fileMetadata.delete(fileId);
+    if (metadata.slug) await slugs.release(metadata.slug, fileId).catch(console.error);
+    await blobs.release(metadata.contentHash);
+    // Thumbnails go with the last file using the content
+    if (!blobs.has(metadata.contentHash)) {
+        await derivedAssets.remove(metadata.contentHash).catch(console.error);
+        if (scanQueue) await scanQueue.remove(metadata.contentHash).catch(console.error);
+    }
+    await removals.add({
+        fileId,
+        reason,
+        originalName: metadata.originalName,
+        size: metadata.size,
+        sha256: metadata.contentHash,
+        uploadedBy: getOwnerName(metadata.ownerId),
+        uploadTime: metadata.uploadTime
+    }).catch(console.error);
+    emitFileEvent(REMOVAL_EVENTS[reason] || 'file.deleted', fileId, metadata, { reason });
+};
+
+// Helper function to reconcile stored metadata with the storage backend.
+// Also moves local files stored before deduplication into the blob store.
+const reconcileStorage = async () => {
+    const stored = new Map();
+    for await (const { key, size } of storageDriver.list()) {
+        stored.set(key, size);
+    }
+
+    const counts = new Map();
+    for (const [fileId, metadata] of Array.from(fileMetadata.entries())) {
+        let { contentHash } = metadata;
+
+        if (!contentHash) {
+            try {
+                contentHash = await hashFile(metadata.filePath);
+                if (stored.has(contentHash)) {
+                    await unlinkIfExists(metadata.filePath);
+                } else {
+                    await storageDriver.putFile(contentHash, metadata.filePath);
+                    stored.set(contentHash, metadata.size);
+                }
+                // The local driver may have listed the old file itself
+                stored.delete(path.basename(metadata.filePath));
+                const { filePath, filename, ...rest } = metadata;
+                await fileMetadata.set(fileId, { ...rest, contentHash });
+                console.log(`Moved file into blob store: ${fileId}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                contentHash = null;
+            }
+        }
+
+        // Drop records whose content is gone
+        if (!contentHash || !stored.has(contentHash)) {
+            await fileMetadata.delete(fileId);
+            console.log(`Dropped record with missing file: ${fileId}`);
+            continue;
+        }
+
+        const blob = counts.get(contentHash) || { size: metadata.size, refCount: 0 };
+        counts.set(contentHash, { ...blob, refCount: blob.refCount + 1 });
+    }
+
+    await blobs.rebuild(counts);
+    await derivedAssets.prune(hash => counts.has(hash));
+    if (scanQueue) await scanQueue.prune(hash => counts.has(hash));
+
+    // Remove stored objects that no record refers to. Only keys shaped like a
+    // blob's SHA-256 are ours to delete; anything else is left alone.
+    for (const key of stored.keys()) {
+        if (counts.has(key) || !/^[a-f0-9]{64}$/.test(key)) continue;
+        try {
+            await storageDriver.delete(key);
+            console.log(`Removed orphaned file: ${key}`);
+        } catch (error) {
+            console.error(`Error removing orphaned file ${key}:`, error);
+        }
+    }
+};
 
 // Helper function to clean expired files
 const cleanExpiredFiles = async () => {
@@ -54,195 +481,2172 @@ const cleanExpiredFiles = async () => {
     const expiredFiles = [];
 
     for (const [fileId, metadata] of fileMetadata.entries()) {
-        if (now - metadata.uploadTime > 24 * 60 * 60 * 1000) { // 24 hours
+        if (now > getExpiryTime(metadata)) {
             expiredFiles.push(fileId);
         }
     }
 
     for (const fileId of expiredFiles) {
         try {
-            const metadata = fileMetadata.get(fileId);
-            await fs.unlink(metadata.filePath);
-            fileMetadata.delete(fileId);
+            await removeFile(fileId, 'expired');
             console.log(`Deleted expired file: ${fileId}`);
         } catch (error) {
             console.error(`Error deleting expired file ${fileId}:`, error);
         }
     }
+
+    await cleanEmptyCollections();
+};
+
+// Helper function to drop collections whose files have all been removed
+const cleanEmptyCollections = async () => {
+    for (const [collectionId, collection] of Array.from(collections.entries())) {
+        if (collection.fileIds.some(fileId => fileMetadata.has(fileId))) continue;
+        try {
+            await collections.delete(collectionId);
+            console.log(`Deleted empty collection: ${collectionId}`);
+        } catch (error) {
+            console.error(`Error deleting collection ${collectionId}:`, error);
+        }
+    }
+};
+
+// Content hashes being streamed to clients, with how many streams each has
+const activeStreams = new Map();
+
+// Helper function to note that a response is streaming some stored content,
+// until the response closes
+const trackStream = (contentHash, res) => {
+    activeStreams.set(contentHash, (activeStreams.get(contentHash) || 0) + 1);
+    res.once('close', () => {
+        const count = activeStreams.get(contentHash) - 1;
+        if (count > 0) {
+            activeStreams.set(contentHash, count);
+        } else {
+            activeStreams.delete(contentHash);
+        }
+    });
+};
+
+// Helper function to get why a file may not be evicted, or null if it may
+const getEvictionProtection = (metadata) => {
+    if (metadata.pinned) return 'pinned';
+    if (activeStreams.has(metadata.contentHash)) return 'downloading';
+    return null;
 };
 
-// Helper function to manage storage capacity
+// Helper function to bring stored content back under capacity, evicting files
+// in the order the eviction policy ranks them. Pinned files and files being
+// downloaded are skipped. Every decision goes into the eviction audit log.
 const manageStorageCapacity = async () => {
-    const MAX_STORAGE = 5 * 1024 * 1024 * 1024; // 5GB total storage
+    const { maxStorage, evictionPolicy } = getSettings();
 
-    // Calculate total storage used
-    let totalSize = 0;
-    const files = Array.from(fileMetadata.entries())
-    .map(([id, metadata]) => ({ id, ...metadata }))
-    .sort((a, b) => a.uploadTime - b.uploadTime); // Oldest first
+    if (blobs.totalSize > maxStorage) {
+        const files = rankForEviction(evictionPolicy, Array.from(fileMetadata.entries())
+        .map(([id, metadata]) => ({ id, ...metadata, expiresAt: getExpiryTime(metadata) })));
+        const audit = (decision, file, details = {}) => evictionAudit.add({
+            decision,
+            policy: evictionPolicy,
+            capacity: maxStorage,
+            used: blobs.totalSize,
+            ...(file && {
+                fileId: file.id,
+                originalName: file.originalName,
+                size: file.size,
+                score: file.score
+            }),
+            ...details
+        }).catch(console.error);
 
-    for (const file of files) {
-        totalSize += file.size;
-    }
+        // Shared content only counts once and only frees space when its last file goes
+        for (const file of files) {
+            if (blobs.totalSize <= maxStorage) break;
+            const protection = getEvictionProtection(fileMetadata.get(file.id) || file);
+            if (protection) {
+                await audit('skipped', file, { reason: protection });
+                continue;
+            }
+            try {
+                const used = blobs.totalSize;
+                await removeFile(file.id, 'capacity');
+                await audit('evicted', file, { used });
+                console.log(`Deleted file due to storage limit (${evictionPolicy}): ${file.id}`);
+            } catch (error) {
+                console.error(`Error deleting file ${file.id}:`, error);
+            }
+        }
 
-    // Delete oldest files if over capacity
-    while (totalSize > MAX_STORAGE && files.length > 0) {
-        const oldestFile = files.shift();
-        try {
-            await fs.unlink(oldestFile.filePath);
-            fileMetadata.delete(oldestFile.id);
-            totalSize -= oldestFile.size;
-            console.log(`Deleted file due to storage limit: ${oldestFile.id}`);
-        } catch (error) {
-            console.error(`Error deleting file ${oldestFile.id}:`, error);
+        if (blobs.totalSize > maxStorage) {
+            await audit('over-capacity', null);
+            console.warn('Storage is still over capacity; the remaining files are protected');
         }
     }
+
+    await cleanEmptyCollections();
 };
 
-// Clean expired files every hour
-setInterval(cleanExpiredFiles, 60 * 60 * 1000);
-// Manage storage capacity every 10 minutes
-setInterval(manageStorageCapacity, 10 * 60 * 1000);
+// Helper function to check there is room to store size more bytes. Uploads
+// that do not fit are refused with a 507 rather than evicting other people's
+// files, and the refusal is recorded in the eviction audit log.
+const ensureCapacity = async (size, contentHash = null) => {
+    // Content that is already stored takes no extra space
+    if (contentHash && blobs.has(contentHash)) return;
 
-// Upload endpoint
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+    const { maxStorage, evictionPolicy } = getSettings();
+    const used = blobs.totalSize;
+    if (used + size <= maxStorage) return;
 
-        const fileId = path.basename(req.file.filename, path.extname(req.file.filename));
-        const metadata = {
-            originalName: req.file.originalname,
-            size: req.file.size,
-            mimetype: req.file.mimetype,
-            uploadTime: Date.now(),
-         filePath: req.file.path,
-         filename: req.file.filename
+    await evictionAudit.add({ decision: 'rejected', policy: evictionPolicy, capacity: maxStorage, used, size })
+    .catch(console.error);
+    throw Object.assign(new Error('Storage is full - This upload does not fit right now'), { status: 507 });
+};
+
+// Helper function to record how much storage is in use, for the admin dashboard
+const recordStorageUsage = async () => {
+    let logicalSize = 0;
+    for (const [, metadata] of fileMetadata.entries()) {
+        logicalSize += metadata.size;
+    }
+    await storageHistory.add({
+        used: blobs.totalSize,
+        logicalSize,
+        files: fileMetadata.size,
+        capacity: getSettings().maxStorage
+    });
+};
+
+// Helper function to get the limits that apply to an uploader's account, or
+// to anonymous uploads when there is none
+const getUploadLimits = (account) => {
+    const settings = getSettings();
+    if (!account) {
+        return {
+            ...ANONYMOUS_LIMITS,
+            maxFileSize: Math.min(ANONYMOUS_LIMITS.maxFileSize, MAX_FILE_SIZE),
+            maxExpiry: settings.maxExpiry
         };
+    }
+    const limits = { ...ACCOUNT_LIMITS, maxExpiry: settings.accountMaxExpiry, ...account.limits };
+    return { ...limits, maxFileSize: Math.min(limits.maxFileSize, MAX_FILE_SIZE) };
+};
+
+// Helper function to find the block covering some content, if any
+const getContentBlock = (contentHash) => {
+    for (const [fileId, block] of blocklist.entries()) {
+        if (block.sha256 === contentHash) return { fileId, ...block };
+    }
+    return null;
+};
 
-        fileMetadata.set(fileId, metadata);
+// Helper function to get the name of the account that uploaded something
+const getOwnerName = (ownerId) => {
+    const owner = ownerId && accounts.getAccount(ownerId);
+    return owner ? owner.username : null;
+};
 
-        // Manage storage after upload
-        await manageStorageCapacity();
+// Helper function to validate a requested lifetime in seconds
+const parseExpiresIn = (value, maxExpiry = getSettings().maxExpiry) => {
+    const expiresIn = Number(value) * 1000;
+    if (!Number.isFinite(expiresIn) || expiresIn < MIN_EXPIRY || expiresIn > maxExpiry) {
+        throw Object.assign(new Error(
+            `Expiry must be between ${MIN_EXPIRY / 60000} minutes and ${maxExpiry / 3600000} hours`
+        ), { status: 400 });
+    }
+    return expiresIn;
+};
 
-        res.json({
-            fileId: fileId,
-            message: 'File uploaded successfully',
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+// Helper function to validate per-upload options sent alongside a file by the
+// given account (or anonymously)
+const parseUploadOptions = async (body = {}, account = null) => {
+    const options = {};
+
+    if (!account && !ALLOW_ANONYMOUS_UPLOADS) {
+        throw Object.assign(new Error('Sign in or use an API key to upload'), { status: 401 });
+    }
+    const limits = getUploadLimits(account);
+    if (account) {
+        options.ownerId = account.id;
+    }
+
+    // Resumable uploads declare their size up front, so an oversized file is
+    // refused before any of it is sent
+    if (Number.isSafeInteger(body.size) && body.size > limits.maxFileSize) {
+        throw Object.assign(new Error('File too large'), { status: 413 });
+    }
+
+    if (body.password !== undefined && body.password !== '') {
+        if (typeof body.password !== 'string' || body.password.length > MAX_PASSWORD_LENGTH) {
+            throw Object.assign(new Error('Invalid password'), { status: 400 });
+        }
+        options.passwordHash = await hashPassword(body.password);
+    }
+
+    // Lifetime in seconds; multipart form fields arrive as strings
+    if (body.expiresIn !== undefined && body.expiresIn !== '') {
+        options.expiresIn = parseExpiresIn(body.expiresIn, limits.maxExpiry);
+    }
+
+    // Burn after N downloads
+    if (body.maxDownloads !== undefined && body.maxDownloads !== '') {
+        const maxDownloads = Number(body.maxDownloads);
+        if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_DOWNLOAD_LIMIT) {
+            throw Object.assign(new Error(`Download limit must be between 1 and ${MAX_DOWNLOAD_LIMIT}`), { status: 400 });
+        }
+        options.maxDownloads = maxDownloads;
+    }
+
+    // Client-side encrypted upload: the server only ever sees ciphertext, plus
+    // the name and type encrypted by the client into an opaque string
+    if (body.encrypted === true || body.encrypted === 'true') {
+        const { encryptedMetadata } = body;
+        if (typeof encryptedMetadata !== 'string' ||
+            encryptedMetadata.length > MAX_ENCRYPTED_METADATA_LENGTH ||
+            !/^[A-Za-z0-9_-]+$/.test(encryptedMetadata)) {
+            throw Object.assign(new Error('Invalid encrypted metadata'), { status: 400 });
+        }
+        options.encrypted = true;
+        options.encryptedMetadata = encryptedMetadata;
+    }
+
+    // Expected SHA-256 of the content; the upload is rejected if it differs
+    if (body.sha256 !== undefined && body.sha256 !== '') {
+        if (typeof body.sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(body.sha256)) {
+            throw Object.assign(new Error('Invalid SHA-256 checksum'), { status: 400 });
+        }
+        options.expectedHash = body.sha256.toLowerCase();
+    }
+
+    // Short link: a slug of the uploader's choosing, or one made from words.
+    // A chosen slug is checked now so the upload is refused before it is sent,
+    // and claimed once it completes.
+    if (body.slug !== undefined && body.slug !== '') {
+        options.slug = slugs.parse(body.slug);
+        if (!slugs.isAvailable(options.slug)) {
+            throw Object.assign(new Error('That short link is already taken'), { status: 409 });
+        }
+    } else if (body.shortLink === true || body.shortLink === 'true') {
+        options.shortLink = true;
+    }
+
+    // One-time callback to this URL when the file is first downloaded
+    if (body.notifyUrl !== undefined && body.notifyUrl !== '') {
+        options.notifyUrl = parseWebhookUrl(body.notifyUrl);
+    }
+
+    return options;
+};
+
+// Helper function to hash a stored file's content, for records from before
+// hashes were computed during upload
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Helper function to store an uploaded file, record it and build the upload
+// response. Throws a 422 (after discarding the file) when the content does not
+// match the checksum the client sent.
+const registerFile = async (fileId, { originalName, size, mimetype, sha256, tempPath }, options = {}) => {
+    const limits = getUploadLimits(options.ownerId ? accounts.getAccount(options.ownerId) : null);
+    if (size > limits.maxFileSize) {
+        await unlinkIfExists(tempPath);
+        throw Object.assign(new Error('File too large'), { status: 413 });
+    }
+
+    if (options.expectedHash && options.expectedHash !== sha256) {
+        await unlinkIfExists(tempPath);
+        throw Object.assign(new Error('Checksum mismatch'), {
+            status: 422,
+            details: { expected: options.expectedHash, actual: sha256 }
         });
+    }
+
+    if (getContentBlock(sha256)) {
+        await unlinkIfExists(tempPath);
+        throw Object.assign(new Error('This file has been blocked by an administrator'), { status: 403 });
+    }
+
+    let slug;
+    try {
+        await ensureCapacity(size, sha256);
+        if (options.slug) {
+            slug = await slugs.claim(options.slug, fileId);
+        } else if (options.shortLink) {
+            slug = await slugs.generate(fileId);
+        }
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Upload failed' });
+        await unlinkIfExists(tempPath);
+        throw error;
     }
-});
 
-// Get file metadata
-app.get('/api/file/:fileId', (req, res) => {
-    const { fileId } = req.params;
+    await blobs.add(sha256, tempPath, size);
+    const uploadTime = Date.now();
+    const manageToken = createManagementToken();
+    // The uploader checks the download callback's signature with this secret
+    const downloadCallback = options.notifyUrl && {
+        url: options.notifyUrl,
+        secret: crypto.randomBytes(32).toString('base64url')
+    };
+    const metadata = {
+        // Whatever name and type came with an encrypted upload mean nothing
+        originalName: options.encrypted ? 'encrypted.bin' : originalName,
+        size,
+        mimetype: options.encrypted ? 'application/octet-stream' : mimetype,
+        uploadTime,
+        expiresAt: uploadTime + (options.expiresIn || Math.min(getSettings().defaultExpiry, limits.maxExpiry)),
+        maxDownloads: options.maxDownloads,
+        downloadCount: 0,
+        contentHash: sha256,
+        passwordHash: options.passwordHash,
+        manageTokenHash: manageToken.hash,
+        encrypted: Boolean(options.encrypted),
+        encryptedMetadata: options.encryptedMetadata,
+        ownerId: options.ownerId,
+        slug,
+        downloadCallback: downloadCallback || undefined
+    };
+
+    await fileMetadata.set(fileId, metadata);
+    emitFileEvent('file.uploaded', fileId, metadata);
+    // Content the server can read is scanned before it can be downloaded;
+    // content already scanned for an earlier upload keeps its result
+    if (scanQueue && !metadata.encrypted) {
+        await scanQueue.enqueue(sha256);
+    }
+
+    // Concurrent uploads can still overshoot the capacity between them
+    await manageStorageCapacity();
+
+    return {
+        fileId: fileId,
+        slug: slug || null,
+        message: 'File uploaded successfully',
+        expiresAt: new Date(metadata.expiresAt).toISOString(),
+        maxDownloads: metadata.maxDownloads || null,
+        passwordProtected: Boolean(metadata.passwordHash),
+        encrypted: metadata.encrypted,
+        sha256,
+        scanStatus: getScanInfo(metadata).status,
+        manageToken: manageToken.token,
+        callbackSecret: downloadCallback ? downloadCallback.secret : undefined
+    };
+};
+
+// Helper function to check the request may read a protected file or collection.
+// A token issued for the file's collection also opens the file itself.
+// Sends a 401 and returns false when access is refused.
+const checkAccess = (req, res, resourceIds, passwordHash) => {
+    if (!passwordHash) return true;
+    if (verifyAccessToken(getRequestToken(req), resourceIds)) return true;
+
+    res.status(401).json({ error: 'Password required', passwordRequired: true });
+    return false;
+};
+
+// Shared access check for every route that reads a file: the file must exist,
+// be unexpired, have downloads left, and the request must hold a valid token
+// if it is password protected. Expired or used-up files are removed on sight.
+// Sends the error response and returns null when access is refused.
+const getAccessibleFile = async (req, res, fileId) => {
     const metadata = fileMetadata.get(fileId);
 
+    if (blocklist.has(fileId)) {
+        res.status(410).json({ error: 'File was removed by an administrator' });
+        return null;
+    }
+
     if (!metadata) {
-        return res.status(404).json({ error: 'File not found' });
+        res.status(404).json({ error: 'File not found' });
+        return null;
     }
 
-    // Check if file has expired
-    if (Date.now() - metadata.uploadTime > 24 * 60 * 60 * 1000) {
-        fileMetadata.delete(fileId);
-        fs.unlink(metadata.filePath).catch(console.error);
-        return res.status(404).json({ error: 'File has expired' });
+    if (Date.now() > getExpiryTime(metadata)) {
+        await removeFile(fileId, 'expired').catch(console.error);
+        res.status(404).json({ error: 'File has expired' });
+        return null;
     }
 
-    res.json({
-        fileId: fileId,
-        originalName: metadata.originalName,
-        size: metadata.size,
-        mimetype: metadata.mimetype,
-        uploadTime: metadata.uploadTime,
-        expiresAt: new Date(metadata.uploadTime + 24 * 60 * 60 * 1000).toISOString()
-    });
-});
+    if (getRemainingDownloads(metadata) === 0) {
+        await removeFile(fileId, 'download-limit').catch(console.error);
+        res.status(410).json({ error: 'Download limit reached' });
+        return null;
+    }
 
-// Download file
-app.get('/api/download/:fileId', async (req, res) => {
-    try {
-        const { fileId } = req.params;
-        const metadata = fileMetadata.get(fileId);
+    if (!checkAccess(req, res, [fileId, metadata.collectionId], metadata.passwordHash)) return null;
 
-        if (!metadata) {
-            return res.status(404).json({ error: 'File not found' });
-        }
+    return metadata;
+};
+
+// Helper function to get a file's malware scan status: unscanned when there
+// is no scanner or the content is end-to-end encrypted (the server cannot
+// read it), otherwise pending, clean, quarantined or failed (see scan-queue.js)
+const getScanInfo = (metadata) => {
+    if (!scanQueue || metadata.encrypted) return { status: 'unscanned' };
+    const record = scanQueue.get(metadata.contentHash);
+    if (!record) return { status: 'pending' };
+    return {
+        status: record.status,
+        signature: record.signature || undefined,
+        scannedAt: record.scannedAt ? new Date(record.scannedAt).toISOString() : undefined
+    };
+};
+
+// Helper function to check a file's content may be served: it must be
+// scanned clean, or not scanned at all. Sends a 423 while the scan is
+// pending and a 403 for quarantined or unscannable content, returning false.
+const checkScanStatus = (res, metadata) => {
+    const scan = getScanInfo(metadata);
+    if (scan.status === 'pending') {
+        res.status(423).set('Retry-After', String(SCAN_RETRY_AFTER))
+        .json({ error: 'File is being scanned for malware - Please try again shortly', scanStatus: scan.status, retryAfter: SCAN_RETRY_AFTER });
+        return false;
+    }
+    if (scan.status === 'quarantined') {
+        res.status(403).json({ error: 'File was quarantined: malware was detected', scanStatus: scan.status, signature: scan.signature });
+        return false;
+    }
+    if (scan.status === 'failed') {
+        res.status(403).json({ error: 'File could not be scanned for malware', scanStatus: scan.status });
+        return false;
+    }
+    return true;
+};
+
+// Helper function to identify the client that rate limits are counted against:
+// the signed-in account, or else the address the request came from
+const getClientId = (req) => req.account ? `account:${req.account.id}` : `ip:${req.ip}`;
+
+// What a client is told when each limit stops it
+const LIMIT_MESSAGES = {
+    uploads: 'Too many uploads - Please try again later',
+    'upload-bytes': 'Upload quota exceeded - Please try again later',
+    downloads: 'Too many downloads - Please try again later',
+    'download-bytes': 'Download quota exceeded - Please try again later'
+};
+
+// Helper function to charge a request against per-client limits, given as
+// [limiter, amount, limit] with an optional client-specific limit. Nothing is
+// counted unless every limit has room; otherwise sends a 429 with Retry-After
+// (or a 413 if the request alone is over a limit) and returns false.
+const enforceLimits = async (req, res, charges) => {
+    const clientId = getClientId(req);
+    const active = charges.filter(([limiter, , limit = limiter.limit]) => limit > 0);
+    const results = await Promise.all(active.map(([limiter, amount, limit]) => limiter.check(clientId, amount, limit)));
+
+    const denied = results
+    .map((result, i) => ({ ...result, name: active[i][0].name }))
+    .filter(result => !result.allowed)
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+    if (denied.some(result => result.retryAfter === null)) {
+        res.status(413).json({ error: 'Larger than your quota allows' });
+        return false;
+    }
+    if (denied.length > 0) {
+        const retryAfter = Math.max(Math.ceil(denied[0].retryAfter / 1000), 1);
+        res.status(429).set('Retry-After', String(retryAfter))
+        .json({ error: LIMIT_MESSAGES[denied[0].name], retryAfter });
+        return false;
+    }
+
+    await Promise.all(active.map(([limiter, amount]) => limiter.record(clientId, amount)));
+    return true;
+};
 
-        // Check if file has expired
-        if (Date.now() - metadata.uploadTime > 24 * 60 * 60 * 1000) {
-            fileMetadata.delete(fileId);
-            await fs.unlink(metadata.filePath).catch(console.error);
-            return res.status(404).json({ error: 'File has expired' });
+// Middleware counting a new upload against the client's limits. getSize gives
+// the bytes it adds, or null when they cannot be known up front.
+const limitUploads = (getSize) => async (req, res, next) => {
+    try {
+        if (!req.account && !ALLOW_ANONYMOUS_UPLOADS) {
+            return res.status(401).json({ error: 'Sign in or use an API key to upload' });
         }
 
-        // Check if file exists on disk
+        const { uploadQuota } = getUploadLimits(req.account);
+        const size = getSize(req);
+        if (size === null && uploadQuota > 0) {
+            return res.status(411).json({ error: 'Content-Length required' });
+        }
+        // A resumable upload that names its checksum may turn out to be stored already
+        const { sha256 } = req.body || {};
         try {
-            await fs.access(metadata.filePath);
+            await ensureCapacity(size || 0, typeof sha256 === 'string' ? sha256.toLowerCase() : null);
         } catch (error) {
-            fileMetadata.delete(fileId);
-            return res.status(404).json({ error: 'File not found on disk' });
+            if (!error.status) throw error;
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (await enforceLimits(req, res, [[limits.uploads, 1], [limits.uploadBytes, size || 0, uploadQuota]])) {
+            next();
         }
-
-        res.setHeader('Content-Disposition', `attachment; filename="${metadata.originalName}"`);
-        res.setHeader('Content-Type', metadata.mimetype);
-        res.sendFile(path.resolve(metadata.filePath));
     } catch (error) {
-        console.error('Download error:', error);
-        res.status(500).json({ error: 'Download failed' });
+        next(error);
     }
-});
+};
 
-// Preview file (for supported types)
-app.get('/api/preview/:fileId', async (req, res) => {
+// Middleware counting a download request against the client's limits; the
+// bytes are charged once it is known how many will be sent
+const limitDownloads = async (req, res, next) => {
     try {
-        const { fileId } = req.params;
-        const metadata = fileMetadata.get(fileId);
-
-        if (!metadata) {
-            return res.status(404).json({ error: 'File not found' });
+        if (await enforceLimits(req, res, [[limits.downloads, 1]])) {
+            next();
         }
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Check if file has expired
-        if (Date.now() - metadata.uploadTime > 24 * 60 * 60 * 1000) {
-            fileMetadata.delete(fileId);
-            await fs.unlink(metadata.filePath).catch(console.error);
-            return res.status(404).json({ error: 'File has expired' });
-        }
+// Helper function to read a request's declared body size, or null if it has none
+const getContentLength = (req) => {
+    const length = Number(req.get('Content-Length'));
+    return Number.isSafeInteger(length) && length >= 0 ? length : null;
+};
 
-        // Only allow preview for safe file types
-        const previewableTypes = [
-            'image/', 'text/', 'application/json', 'application/pdf'
-        ];
+// Helper function to count a download against a file's limit, just before
+// streaming. The remaining count is checked and taken with nothing awaited in
+// between (the store applies changes at once), so concurrent requests cannot
+// exceed the limit. Resolves with false when no downloads are left. The file
+// is removed once the final permitted download has been sent.
+const recordDownload = async (fileId, res) => {
+    const current = fileMetadata.get(fileId);
+    if (!current || getRemainingDownloads(current) === 0) return false;
 
-        const isPreviewable = previewableTypes.some(type =>
-        metadata.mimetype.startsWith(type)
-        );
+    // A download callback is only made once, for the first download
+    const { downloadCallback, ...metadata } = current;
+    const updated = { ...metadata, downloadCount: (metadata.downloadCount || 0) + 1 };
+    await fileMetadata.set(fileId, updated);
 
-        if (!isPreviewable) {
-            return res.status(400).json({ error: 'File type not previewable' });
+    activeDownloads.set(fileId, (activeDownloads.get(fileId) || 0) + 1);
+    // Registered before the final download's removal, so streams hear how the
+    // download ended before they hear the file is gone
+    res.on('close', () => {
+        const active = activeDownloads.get(fileId) - 1;
+        active > 0 ? activeDownloads.set(fileId, active) : activeDownloads.delete(fileId);
+
+        const latest = fileMetadata.get(fileId);
+        if (!latest) return;
+        const completed = res.writableFinished;
+        const finished = completed ? { ...latest, completedDownloads: (latest.completedDownloads || 0) + 1 } : latest;
+        if (completed) fileMetadata.set(fileId, finished).catch(console.error);
+        emitFileEvent('file.download-finished', fileId, finished, { completed });
+    });
+
+    const event = emitFileEvent('file.downloaded', fileId, updated, { remainingDownloads: getRemainingDownloads(updated) });
+    if (downloadCallback) {
+        await webhooks.notify(downloadCallback, event).catch(console.error);
+    }
+
+    if (getRemainingDownloads(updated) === 0) {
+        res.on('close', () => {
+            removeFile(fileId, 'download-limit')
+            .then(() => console.log(`Deleted file after final download: ${fileId}`))
+            .catch(console.error);
+        });
+    }
+    return true;
+};
+
+// How often a file's last access time is written back
+const ACCESS_RESOLUTION = 60 * 1000;
+
+// Helper function to note that a file was read, for least-recently-used eviction
+const touchFile = async (fileId) => {
+    const metadata = fileMetadata.get(fileId);
+    const now = Date.now();
+    if (metadata && now - (metadata.lastAccessedAt || 0) > ACCESS_RESOLUTION) {
+        await fileMetadata.set(fileId, { ...metadata, lastAccessedAt: now });
+    }
+};
+
+// Helper function to get a file's type as sniffed from its first bytes. It is
+// worked out on the first preview and kept with the file's record.
+const getSniffedType = async (fileId, metadata) => {
+    if (metadata.sniffedType) return metadata.sniffedType;
+
+    const chunks = [];
+    if (metadata.size > 0) {
+        const end = Math.min(SNIFF_LENGTH, metadata.size) - 1;
+        for await (const chunk of await storageDriver.get(metadata.contentHash, { start: 0, end })) {
+            chunks.push(chunk);
         }
+    }
+    const sniffedType = sniffContentType(Buffer.concat(chunks));
 
-        res.setHeader('Content-Type', metadata.mimetype);
-        res.sendFile(path.resolve(metadata.filePath));
-    } catch (error) {
-        console.error('Preview error:', error);
-        res.status(500).json({ error: 'Preview failed' });
+    const current = fileMetadata.get(fileId);
+    if (current) {
+        await fileMetadata.set(fileId, { ...current, sniffedType });
     }
-});
+    return sniffedType;
+};
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// Helper function to send a stored file, honouring Range and conditional
+// request headers. Downloads are counted when the response includes the start
+// of the file, so resuming a paused download does not use up another one.
+// Download-limited files are always sent whole, since a client could
+// otherwise fetch the rest of the file in ranges that are never counted.
+const serveStoredFile = async (req, res, fileId, metadata, { contentType, attachmentName, countDownload = false }) => {
+    const entity = {
+        size: metadata.size,
+        etag: `"${metadata.contentHash}"`,
+        lastModified: metadata.uploadTime,
+        contentType
+    };
+    const result = evaluateRequest(req, {
+        ...entity,
+        allowRanges: !(countDownload && metadata.maxDownloads)
+    });
+
+    // Only bytes that will actually be sent count against the download quota
+    let bytes = 0;
+    if (req.method === 'GET' && result.status === 200) {
+        bytes = metadata.size;
+    } else if (req.method === 'GET' && result.status === 206) {
+        bytes = result.ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0);
+    }
+    if (!(await enforceLimits(req, res, [[limits.downloadBytes, bytes]]))) return;
+
+    if (attachmentName) {
+        // Encodes names with quotes or non-ASCII characters (RFC 6266)
+        res.attachment(attachmentName);
+    }
+
+    const sendsStart = result.status === 200 || (result.status === 206 && result.ranges.some(range => range.start === 0));
+    if (countDownload && req.method === 'GET' && sendsStart && !(await recordDownload(fileId, res))) {
+        res.status(410).json({ error: 'Download limit reached' });
+        return;
+    }
+    // Content being sent cannot be evicted until the response ends
+    if (req.method === 'GET' && (result.status === 200 || result.status === 206)) {
+        trackStream(metadata.contentHash, res);
+        await touchFile(fileId);
+    }
+
+    const openRange = (start, end) => storageDriver.get(metadata.contentHash, { start, end });
+    await sendFileResponse(req, res, openRange, result, entity);
+};
+
+// Helper function to check whether a request may manage a file or
+// collection: it holds the management token (by default the one sent with
+// X-Management-Token), or comes from the account that uploaded it
+const canManage = (req, { manageTokenHash, ownerId }, token = req.get('X-Management-Token')) => {
+    if (req.account && ownerId && req.account.id === ownerId) return true;
+    return verifyManagementToken(token, manageTokenHash);
+};
+
+// Helper function to check the request may manage a file or collection (see
+// canManage). Sends a 403 and returns false otherwise.
+const checkManagementToken = (req, res, resource) => {
+    if (canManage(req, resource)) return true;
+
+    res.status(403).json({ error: 'Invalid management token' });
+    return false;
+};
+
+// Helper function to build the uploader's view of a file
+const getManagementInfo = (fileId, metadata) => ({
+    fileId,
+    slug: metadata.slug || null,
+    originalName: metadata.originalName,
+    size: metadata.size,
+    mimetype: metadata.mimetype,
+    uploadTime: metadata.uploadTime,
+    expiresAt: new Date(getExpiryTime(metadata)).toISOString(),
+    maxDownloads: metadata.maxDownloads || null,
+    downloadCount: metadata.downloadCount || 0,
+    remainingDownloads: getRemainingDownloads(metadata),
+    collectionId: metadata.collectionId,
+    passwordProtected: Boolean(metadata.passwordHash),
+    encrypted: Boolean(metadata.encrypted),
+    encryptedMetadata: metadata.encryptedMetadata,
+    sha256: metadata.contentHash,
+    uploadedBy: getOwnerName(metadata.ownerId),
+    scan: getScanInfo(metadata),
+    // Still waiting for the first download
+    notifyUrl: metadata.downloadCallback ? metadata.downloadCallback.url : null
+});
+
+// Helper function to exchange a password for a short-lived access token
+const unlockResource = async (req, res, resourceId, passwordHash) => {
+    if (!passwordHash) {
+        return res.status(400).json({ error: 'This link is not password protected' });
+    }
+
+    const retryDelay = getUnlockRetryDelay(resourceId);
+    if (retryDelay > 0) {
+        const retryAfter = Math.ceil(retryDelay / 1000);
+        return res.status(429).set('Retry-After', String(retryAfter))
+        .json({ error: 'Too many incorrect attempts - Please try again later', retryAfter });
+    }
+
+    const { password } = req.body || {};
+    if (!(await verifyPassword(password, passwordHash))) {
+        recordFailedAttempt(resourceId);
+        return res.status(403).json({ error: 'Incorrect password' });
+    }
+
+    clearFailedAttempts(resourceId);
+    const { token, expiresAt } = createAccessToken(resourceId);
+    res.json({ token, expiresAt: new Date(expiresAt).toISOString() });
+};
+
+// Helper function to group stored files into a shareable collection
+const createCollection = async (fileIds, options = {}) => {
+    const collectionId = generateFileId();
+    const createdAt = Date.now();
+    const manageToken = createManagementToken();
+
+    await collections.set(collectionId, {
+        fileIds,
+        createdAt,
+        passwordHash: options.passwordHash,
+        manageTokenHash: manageToken.hash,
+        ownerId: options.ownerId,
+        // Every file was uploaded with the collection or grouped by its uploader
+        filesVerified: true
+    });
+    for (const fileId of fileIds) {
+        await fileMetadata.set(fileId, { ...fileMetadata.get(fileId), collectionId });
+    }
+
+    const expiresAt = Math.max(...fileIds.map(fileId => getExpiryTime(fileMetadata.get(fileId))));
+    return {
+        collectionId,
+        fileIds,
+        message: 'Files uploaded successfully',
+        expiresAt: new Date(expiresAt).toISOString(),
+        maxDownloads: options.maxDownloads || null,
+        passwordProtected: Boolean(options.passwordHash),
+        manageToken: manageToken.token
+    };
+};
+
+// Helper function to list the files of a collection that are still available
+const getCollectionFiles = (collection) => {
+    const now = Date.now();
+    return collection.fileIds
+    .map(fileId => ({ fileId, metadata: fileMetadata.get(fileId) }))
+    .filter(({ metadata }) => metadata && now <= getExpiryTime(metadata) && getRemainingDownloads(metadata) !== 0);
+};
+
+// Helper function to build an account's own view of itself
+const describeAccount = (account) => {
+    const limits = getUploadLimits(account);
+    return {
+        accountId: account.id,
+        username: account.username,
+        createdAt: new Date(account.createdAt).toISOString(),
+        admin: accounts.isAdmin(account),
+        limits: {
+            maxFileSize: limits.maxFileSize,
+            maxExpirySeconds: limits.maxExpiry / 1000,
+            uploadQuota: limits.uploadQuota
+        }
+    };
+};
+
+// Accounts, sign-in sessions and API keys
+const accounts = createAccounts({
+    accounts: accountRecords,
+    sessions: accountSessions,
+    apiKeys: apiKeyRecords,
+    allowRegistration: ALLOW_REGISTRATION,
+    allowedOrigin: FRONTEND_ORIGIN,
+    secureCookies: config.SESSION_COOKIE_SECURE,
+    adminAccountIds: ADMIN_ACCOUNTS,
+    describeAccount
+});
+
+// Resumable (chunked) uploads
+const resumableUploads = createResumableUploads({
+    sessions: uploadSessions,
+    partialDir,
+    maxFileSize: MAX_FILE_SIZE,
+    prepareOptions: (body, req) => parseUploadOptions(body, req.account),
+    // The file ID is given out with the session so the upload can be followed
+    // on the file's live stream; sessions from before then have none
+    assignFileId: generateFileId,
+    onProgress: progress => fileStreams.send(progress.fileId, 'upload', progress),
+    onComplete: ({ fileId, originalName, size, mimetype, sha256, options, tempPath }) =>
+        registerFile(fileId || generateFileId(), { originalName, size, mimetype, sha256, tempPath }, options)
+});
+
+// Clean expired files, abandoned resumable uploads, expired sign-in sessions
+// and old history entries every CLEANUP_INTERVAL_MINUTES (hourly by default)
+const CLEANUP_INTERVAL = config.CLEANUP_INTERVAL_MINUTES * MINUTE;
+setInterval(() => cleanExpiredFiles().catch(console.error), CLEANUP_INTERVAL);
+setInterval(() => resumableUploads.cleanStaleSessions().catch(console.error), CLEANUP_INTERVAL);
+setInterval(() => accounts.cleanExpiredSessions().catch(console.error), CLEANUP_INTERVAL);
+setInterval(() => {
+    removals.prune().catch(console.error);
+    evictionAudit.prune().catch(console.error);
+    storageHistory.prune().catch(console.error);
+    webhookDeadLetters.prune().catch(console.error);
+    slugs.prune(fileId => fileMetadata.has(fileId)).catch(console.error);
+}, CLEANUP_INTERVAL);
+// Manage storage capacity and record usage every STORAGE_CHECK_INTERVAL_MINUTES
+// (10 by default)
+setInterval(() => {
+    manageStorageCapacity().then(recordStorageUsage).catch(console.error);
+}, config.STORAGE_CHECK_INTERVAL_MINUTES * MINUTE);
+
+// Requests from signed-in users or with an API key carry req.account
+app.use(accounts.authenticate);
+
+// Account endpoints
+app.use('/api/account', accounts.router);
+
+// Files uploaded by the signed-in account, newest first
+app.get('/api/account/files', accounts.requireAccount, (req, res) => {
+    const now = Date.now();
+    const files = Array.from(fileMetadata.entries())
+    .filter(([, metadata]) => metadata.ownerId === req.account.id && now <= getExpiryTime(metadata))
+    .sort(([, a], [, b]) => b.uploadTime - a.uploadTime)
+    .map(([fileId, metadata]) => getManagementInfo(fileId, metadata));
+
+    res.json({
+        files,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0)
+    });
+});
+
+// Resumable upload endpoints; the declared size is charged when a session is
+// created, so retried chunks are not counted twice
+app.post('/api/uploads', limitUploads(req => {
+    const size = req.body && req.body.size;
+    return Number.isSafeInteger(size) && size > 0 ? size : 0;
+}));
+app.use('/api/uploads', resumableUploads.router);
+
+// Upload endpoint (single request)
+app.post('/api/upload', limitUploads(getContentLength), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let options;
+        try {
+            options = await parseUploadOptions(req.body, req.account);
+        } catch (error) {
+            await unlinkIfExists(req.file.path);
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        const result = await registerFile(generateFileId(), {
+            originalName: req.file.originalname,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            sha256: req.file.sha256,
+            tempPath: req.file.path
+        }, options);
+
+        res.json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+// Collection upload endpoint: many files in one request, or files already
+// uploaded through resumable sessions referenced by ID
+app.post('/api/collections', (req, res, next) => {
+    // Grouping files uploaded earlier adds nothing new to count
+    if (!req.is('multipart/form-data')) return next();
+    limitUploads(getContentLength)(req, res, next);
+}, upload.array('files', MAX_COLLECTION_FILES), async (req, res) => {
+    try {
+        let fileIds;
+        let options;
+
+        try {
+            options = await parseUploadOptions(req.body, req.account);
+        } catch (error) {
+            for (const file of req.files || []) {
+                await unlinkIfExists(file.path);
+            }
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        if (options.encrypted) {
+            for (const file of req.files || []) {
+                await unlinkIfExists(file.path);
+            }
+            return res.status(400).json({ error: 'Encrypted files must be uploaded one at a time and grouped by ID' });
+        }
+
+        // One short link or callback secret cannot serve several files
+        if (options.slug || options.shortLink || options.notifyUrl) {
+            for (const file of req.files || []) {
+                await unlinkIfExists(file.path);
+            }
+            return res.status(400).json({ error: 'Short links and download callbacks can only be given for single-file uploads' });
+        }
+
+        if (req.files && req.files.length > 0) {
+            // A single expected checksum cannot describe several files
+            if (options.expectedHash) {
+                for (const file of req.files) {
+                    await unlinkIfExists(file.path);
+                }
+                return res.status(400).json({ error: 'Checksums can only be given for single-file uploads' });
+            }
+
+            // Check every size first so a collection is not left half registered
+            if (req.files.some(file => file.size > getUploadLimits(req.account).maxFileSize)) {
+                for (const file of req.files) {
+                    await unlinkIfExists(file.path);
+                }
+                return res.status(413).json({ error: 'File too large' });
+            }
+            try {
+                await ensureCapacity(req.files.reduce((sum, file) => sum + file.size, 0));
+            } catch (error) {
+                for (const file of req.files) {
+                    await unlinkIfExists(file.path);
+                }
+                throw error;
+            }
+
+            if (req.files.some(file => getContentBlock(file.sha256))) {
+                for (const file of req.files) {
+                    await unlinkIfExists(file.path);
+                }
+                return res.status(403).json({ error: 'This file has been blocked by an administrator' });
+            }
+
+            // Should a file still be refused, the files before it are removed
+            // again and the rest are not kept either
+            fileIds = [];
+            for (const [index, file] of req.files.entries()) {
+                const fileId = generateFileId();
+                try {
+                    await registerFile(fileId, {
+                        originalName: file.originalname,
+                        size: file.size,
+                        mimetype: file.mimetype,
+                        sha256: file.sha256,
+                        tempPath: file.path
+                    }, options);
+                } catch (error) {
+                    for (const remaining of req.files.slice(index)) {
+                        await unlinkIfExists(remaining.path);
+                    }
+                    for (const registered of fileIds) {
+                        await removeFile(registered, 'incomplete').catch(console.error);
+                    }
+                    throw error;
+                }
+                fileIds.push(fileId);
+            }
+        } else if (Array.isArray(req.body.fileIds)) {
+            fileIds = [...new Set(req.body.fileIds)];
+            if (fileIds.length > MAX_COLLECTION_FILES) {
+                return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_FILES} files` });
+            }
+            const unknown = fileIds.filter(fileId => typeof fileId !== 'string' || !fileMetadata.has(fileId));
+            if (unknown.length > 0) {
+                return res.status(404).json({ error: 'File not found', fileIds: unknown });
+            }
+            const grouped = fileIds.filter(fileId => fileMetadata.get(fileId).collectionId);
+            if (grouped.length > 0) {
+                return res.status(409).json({ error: 'File already belongs to a collection', fileIds: grouped });
+            }
+            // Only a file's uploader may group it: the same account, or whoever
+            // sends its management token in manageTokens ({ fileId: token })
+            const { manageTokens } = req.body;
+            const tokens = manageTokens && typeof manageTokens === 'object' ? manageTokens : {};
+            const refused = fileIds.filter(fileId => !canManage(req, fileMetadata.get(fileId), tokens[fileId]));
+            if (refused.length > 0) {
+                return res.status(403).json({ error: 'Invalid management token', fileIds: refused });
+            }
+            // Bundling protected files requires knowing their password
+            for (const fileId of fileIds) {
+                const { passwordHash } = fileMetadata.get(fileId);
+                if (passwordHash && !(await verifyPassword(req.body.password, passwordHash))) {
+                    return res.status(403).json({ error: 'Incorrect password', fileIds: [fileId] });
+                }
+            }
+        }
+
+        if (!fileIds || fileIds.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        res.json(await createCollection(fileIds, options));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Collection upload error:', error);
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+// Get collection metadata
+app.get('/api/collection/:collectionId', (req, res) => {
+    const { collectionId } = req.params;
+    const collection = collections.get(collectionId);
+
+    if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const files = getCollectionFiles(collection);
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'Collection has expired' });
+    }
+
+    if (!checkAccess(req, res, [collectionId], collection.passwordHash)) return;
+
+    const expiresAt = Math.max(...files.map(({ metadata }) => getExpiryTime(metadata)));
+    res.json({
+        collectionId,
+        passwordProtected: Boolean(collection.passwordHash),
+        encrypted: files.every(({ metadata }) => metadata.encrypted),
+        uploadedBy: getOwnerName(collection.ownerId),
+        createdAt: collection.createdAt,
+        expiresAt: new Date(expiresAt).toISOString(),
+        totalSize: files.reduce((sum, { metadata }) => sum + metadata.size, 0),
+        files: files.map(({ fileId, metadata }) => ({
+            fileId,
+            originalName: metadata.originalName,
+            size: metadata.size,
+            mimetype: metadata.mimetype,
+            uploadTime: metadata.uploadTime,
+            expiresAt: new Date(getExpiryTime(metadata)).toISOString(),
+            remainingDownloads: getRemainingDownloads(metadata),
+            encrypted: Boolean(metadata.encrypted),
+            encryptedMetadata: metadata.encryptedMetadata,
+            sha256: metadata.contentHash,
+            scan: getScanInfo(metadata)
+        }))
+    });
+});
+
+// Download a whole collection as a ZIP archive, streamed as it is built
+app.get('/api/collection/:collectionId/zip', limitDownloads, async (req, res) => {
+    const { collectionId } = req.params;
+    try {
+        const collection = collections.get(collectionId);
+
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+
+        const collectionFiles = getCollectionFiles(collection);
+        if (collectionFiles.length === 0) {
+            return res.status(404).json({ error: 'Collection has expired' });
+        }
+
+        if (!checkAccess(req, res, [collectionId], collection.passwordHash)) return;
+
+        // The archive waits for every scan to finish, and leaves out files
+        // that were quarantined or could not be scanned
+        const scanStatuses = collectionFiles.map(({ metadata }) => getScanInfo(metadata).status);
+        if (scanStatuses.includes('pending')) {
+            return res.status(423).set('Retry-After', String(SCAN_RETRY_AFTER))
+            .json({ error: 'Files are being scanned for malware - Please try again shortly', scanStatus: 'pending', retryAfter: SCAN_RETRY_AFTER });
+        }
+        const files = collectionFiles.filter((file, index) => ['clean', 'unscanned'].includes(scanStatuses[index]));
+        if (files.length === 0) {
+            return res.status(403).json({ error: 'No files in this collection passed the malware scan' });
+        }
+
+        // Compression makes the archive's size unknown up front, so the
+        // contents are charged instead
+        const totalSize = files.reduce((sum, { metadata }) => sum + metadata.size, 0);
+        if (!(await enforceLimits(req, res, [[limits.downloadBytes, totalSize]]))) return;
+
+        // The archive counts as one download of every file in it. A file whose
+        // last download another request took since the checks above is left
+        // out, as are files removed in the meantime.
+        const included = [];
+        for (const file of files) {
+            if (!(await recordDownload(file.fileId, res))) continue;
+            trackStream(file.metadata.contentHash, res);
+            await touchFile(file.fileId);
+            included.push(file);
+        }
+        if (included.length === 0) {
+            return res.status(410).json({ error: 'Download limit reached' });
+        }
+
+        const archive = archiver('zip', { zlib: { level: 6 } });
+
+        archive.on('warning', (error) => {
+            console.warn(`Collection archive warning ${collectionId}:`, error);
+        });
+        archive.on('error', (error) => {
+            console.error(`Collection archive error ${collectionId}:`, error);
+            // Headers are already sent, so all we can do is cut the stream short
+            res.destroy(error);
+        });
+        res.on('close', () => {
+            if (!res.writableFinished) archive.abort();
+        });
+
+        res.attachment(`collection-${collectionId}.zip`);
+        res.setHeader('Content-Type', 'application/zip');
+        archive.pipe(res);
+
+        // Entry names must be unique inside the archive. Files are fetched from
+        // storage one at a time, each once the previous entry has been written.
+        const usedNames = new Set();
+        const closed = new Promise(resolve => res.once('close', resolve));
+        for (const { metadata } of included) {
+            if (res.destroyed) return;
+            const ext = path.extname(metadata.originalName);
+            const base = path.basename(metadata.originalName, ext);
+            let name = metadata.originalName;
+            for (let i = 1; usedNames.has(name); i++) {
+                name = `${base} (${i})${ext}`;
+            }
+            usedNames.add(name);
+            const written = new Promise(resolve => archive.once('entry', resolve));
+            archive.append(await storageDriver.get(metadata.contentHash), { name, date: new Date(metadata.uploadTime) });
+            await Promise.race([written, closed]);
+        }
+
+        archive.finalize();
+    } catch (error) {
+        console.error('Collection download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Download failed' });
+        } else {
+            res.destroy();
+        }
+    }
+});
+
+// Every route that takes a file ID also takes the file's short link (slug)
+// in its place; handlers only ever see the file ID. Each ID or slug that
+// leads nowhere counts against the client's lookup limit, and once that is
+// used up only file IDs work, so short links cannot be found by guessing.
+app.param('fileId', async (req, res, next, fileId) => {
+    try {
+        if (fileMetadata.has(fileId)) return next();
+
+        const clientId = getClientId(req);
+        const { allowed, retryAfter } = await limits.lookups.check(clientId);
+        if (!allowed) {
+            const seconds = Math.max(Math.ceil(retryAfter / 1000), 1);
+            return res.status(429).set('Retry-After', String(seconds))
+            .json({ error: 'Too many unknown links - Please try again later', retryAfter: seconds });
+        }
+
+        const resolved = slugs.resolve(fileId);
+        if (resolved) {
+            req.params.fileId = resolved;
+        } else if (limits.lookups.enabled) {
+            await limits.lookups.record(clientId);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Exchange a collection password for an access token
+app.post('/api/collection/:collectionId/unlock', async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+        const collection = collections.get(collectionId);
+
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+
+        await unlockResource(req, res, collectionId, collection.passwordHash);
+    } catch (error) {
+        console.error('Unlock error:', error);
+        res.status(500).json({ error: 'Unlock failed' });
+    }
+});
+
+// Exchange a file password for an access token
+app.post('/api/file/:fileId/unlock', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = fileMetadata.get(fileId);
+
+        if (!metadata) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await unlockResource(req, res, fileId, metadata.passwordHash);
+    } catch (error) {
+        console.error('Unlock error:', error);
+        res.status(500).json({ error: 'Unlock failed' });
+    }
+});
+
+// Uploader's view of a file, including download counts
+app.get('/api/file/:fileId/manage', (req, res) => {
+    const { fileId } = req.params;
+    const metadata = fileMetadata.get(fileId);
+
+    if (!metadata || Date.now() > getExpiryTime(metadata)) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!checkManagementToken(req, res, metadata)) return;
+
+    res.json(getManagementInfo(fileId, metadata));
+});
+
+// Rename a file or change when it expires
+app.patch('/api/file/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = fileMetadata.get(fileId);
+
+        if (!metadata || Date.now() > getExpiryTime(metadata)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!checkManagementToken(req, res, metadata)) return;
+
+        const { originalName, expiresIn } = req.body || {};
+        const updated = { ...metadata };
+
+        if (originalName !== undefined) {
+            const name = typeof originalName === 'string' ? path.basename(originalName.trim()) : '';
+            // Names end up in Content-Disposition headers, which cannot hold control characters
+            if (!name || name.length > MAX_FILENAME_LENGTH || /[\x00-\x1f\x7f]/.test(name)) {
+                return res.status(400).json({ error: 'Invalid file name' });
+            }
+            updated.originalName = name;
+        }
+
+        if (expiresIn !== undefined) {
+            const { maxExpiry } = getUploadLimits(metadata.ownerId ? accounts.getAccount(metadata.ownerId) : null);
+            let lifetime;
+            try {
+                lifetime = parseExpiresIn(expiresIn, maxExpiry);
+            } catch (error) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            // Extensions still count against the maximum lifetime from upload
+            const latest = metadata.uploadTime + maxExpiry;
+            updated.expiresAt = Math.min(Date.now() + lifetime, latest);
+        }
+
+        await fileMetadata.set(fileId, updated);
+        emitFileEvent('file.updated', fileId, updated);
+        res.json(getManagementInfo(fileId, updated));
+    } catch (error) {
+        console.error('File update error:', error);
+        res.status(500).json({ error: 'Update failed' });
+    }
 });
 
-app.listen(PORT, () => {
-    console.log(`Cosmic Uploads backend running on port ${PORT}`);
-    console.log('Cleaning expired files and managing storage...');
-    cleanExpiredFiles();
-    manageStorageCapacity();
+// Delete a file before it expires
+app.delete('/api/file/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = fileMetadata.get(fileId);
+
+        if (!metadata) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!checkManagementToken(req, res, metadata)) return;
+
+        await removeFile(fileId, 'owner');
+        console.log(`Deleted file by owner: ${fileId}`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('File delete error:', error);
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Uploader's view of a collection
+app.get('/api/collection/:collectionId/manage', (req, res) => {
+    const { collectionId } = req.params;
+    const collection = collections.get(collectionId);
+
+    if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (!checkManagementToken(req, res, collection)) return;
+
+    const files = getCollectionFiles(collection);
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'Collection has expired' });
+    }
+
+    res.json({
+        collectionId,
+        createdAt: collection.createdAt,
+        expiresAt: new Date(Math.max(...files.map(({ metadata }) => getExpiryTime(metadata)))).toISOString(),
+        files: files.map(({ fileId, metadata }) => getManagementInfo(fileId, metadata))
+    });
+});
+
+// Delete a collection and every file in it
+app.delete('/api/collection/:collectionId', async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+        const collection = collections.get(collectionId);
+
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+
+        if (!checkManagementToken(req, res, collection)) return;
+
+        // Collections from before grouping was checked may hold other
+        // people's files; those only leave the collection
+        for (const fileId of collection.fileIds) {
+            const metadata = fileMetadata.get(fileId);
+            if (!metadata) continue;
+            if (collection.filesVerified || (collection.ownerId && metadata.ownerId === collection.ownerId)) {
+                await removeFile(fileId, 'owner');
+            } else {
+                await fileMetadata.set(fileId, { ...metadata, collectionId: undefined });
+            }
+        }
+        await collections.delete(collectionId);
+        console.log(`Deleted collection by owner: ${collectionId}`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Collection delete error:', error);
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Get file metadata
+app.get('/api/file/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = await getAccessibleFile(req, res, fileId);
+        if (!metadata) return;
+
+        res.json({
+            fileId: fileId,
+            slug: metadata.slug || null,
+            originalName: metadata.originalName,
+            size: metadata.size,
+            mimetype: metadata.mimetype,
+            uploadTime: metadata.uploadTime,
+            expiresAt: new Date(getExpiryTime(metadata)).toISOString(),
+            maxDownloads: metadata.maxDownloads || null,
+            remainingDownloads: getRemainingDownloads(metadata),
+            collectionId: metadata.collectionId,
+            passwordProtected: Boolean(metadata.passwordHash),
+            encrypted: Boolean(metadata.encrypted),
+            encryptedMetadata: metadata.encryptedMetadata,
+            sha256: metadata.contentHash,
+            uploadedBy: getOwnerName(metadata.ownerId),
+            scan: getScanInfo(metadata)
+        });
+    } catch (error) {
+        console.error('File info error:', error);
+        res.status(500).json({ error: 'Failed to load file' });
+    }
+});
+
+// Live events for a file as server-sent events (see fileStreams). Until a
+// resumable upload has arrived under the ID, the stream reports its progress;
+// no one but the uploader knows the ID by then.
+app.get('/api/file/:fileId/events', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        if (!fileMetadata.has(fileId) && !blocklist.has(fileId)) {
+            const progress = await resumableUploads.getUploadProgress(fileId);
+            if (progress) {
+                if (fileStreams.open(fileId, res, req.ip)) fileStreams.sendTo(res, 'upload', progress);
+                return;
+            }
+        }
+
+        const metadata = await getAccessibleFile(req, res, fileId);
+        if (!metadata) return;
+        if (!fileStreams.open(fileId, res, req.ip)) return;
+        fileStreams.sendTo(res, 'state', getLiveState(fileId, metadata));
+        scheduleExpiry(fileId, metadata);
+    } catch (error) {
+        if (res.headersSent) return res.end();
+        console.error('File events error:', error);
+        res.status(500).json({ error: 'Failed to follow file' });
+    }
+});
+
+// Download file
+app.get('/api/download/:fileId', limitDownloads, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = await getAccessibleFile(req, res, fileId);
+        if (!metadata) return;
+        if (!checkScanStatus(res, metadata)) return;
+
+        // Check the file still exists in storage
+        if (!(await storageDriver.stat(metadata.contentHash))) {
+            await removeFile(fileId, 'missing');
+            return res.status(404).json({ error: 'File not found in storage' });
+        }
+
+        await serveStoredFile(req, res, fileId, metadata, {
+            contentType: metadata.mimetype,
+            attachmentName: metadata.originalName,
+            countDownload: true
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Download interrupted:', error);
+            return res.destroy();
+        }
+        console.error('Download error:', error);
+        res.status(500).json({ error: 'Download failed' });
+    }
+});
+
+// Short download links (/d/ID) lead to the frontend's download page, which
+// checks the file and handles passwords before downloading. Browsers keep the
+// #key of encrypted links across the redirect.
+const FRONTEND_BASE_URL = config.FRONTEND_BASE_URL;
+
+app.get('/d/:fileId', (req, res) => {
+    res.redirect(302, `${FRONTEND_BASE_URL}/download.html?id=${encodeURIComponent(req.params.fileId)}`);
+});
+
+// Preview file (for supported types)
+app.get('/api/preview/:fileId', limitDownloads, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = await getAccessibleFile(req, res, fileId);
+        if (!metadata) return;
+        if (!checkScanStatus(res, metadata)) return;
+
+        // Previews would let a download-limited file be read without counting
+        if (metadata.maxDownloads) {
+            return res.status(403).json({ error: 'Preview is disabled for download-limited files' });
+        }
+
+        // Encrypted files are decrypted and previewed by the browser, so the
+        // ciphertext is served as-is
+        if (metadata.encrypted) {
+            setPreviewHeaders(res);
+            res.attachment('encrypted.bin');
+            await serveStoredFile(req, res, fileId, metadata, { contentType: 'application/octet-stream' });
+            return;
+        }
+
+        // The uploader's type (or, for code and data files often uploaded
+        // without one, the name) decides whether there is a preview; the
+        // content decides what it is served as (see safe-preview.js)
+        const preview = getPreviewType(metadata.mimetype, await getSniffedType(fileId, metadata),
+            getEntryPreviewType(metadata.originalName));
+        if (!preview) {
+            return res.status(400).json({ error: 'File type not previewable' });
+        }
+
+        setPreviewHeaders(res);
+        if (preview.inline) {
+            res.setHeader('Content-Disposition', 'inline');
+        } else {
+            res.attachment(metadata.originalName);
+        }
+        await serveStoredFile(req, res, fileId, metadata, { contentType: preview.contentType });
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Preview interrupted:', error);
+            return res.destroy();
+        }
+        console.error('Preview error:', error);
+        res.status(500).json({ error: 'Preview failed' });
+    }
+});
+
+// Thumbnail of an image, or of the first page of a PDF, at one of the
+// THUMBNAIL_SIZES (?size=small|medium|large, medium by default)
+app.get('/api/thumbnail/:fileId', limitDownloads, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const thumbnailSize = req.query.size || 'medium';
+        if (!Object.hasOwn(THUMBNAIL_SIZES, thumbnailSize)) {
+            return res.status(400).json({ error: `Size must be one of ${Object.keys(THUMBNAIL_SIZES).join(', ')}` });
+        }
+
+        const metadata = await getAccessibleFile(req, res, fileId);
+        if (!metadata) return;
+
+        // A thumbnail shows the content just like a preview does
+        if (metadata.maxDownloads) {
+            return res.status(403).json({ error: 'Preview is disabled for download-limited files' });
+        }
+        if (metadata.encrypted) {
+            return res.status(400).json({ error: 'Encrypted files can only be previewed in the browser' });
+        }
+        if (!checkScanStatus(res, metadata)) return;
+
+        const sniffedType = await getSniffedType(fileId, metadata);
+        const thumbnail = await derivedAssets.getThumbnail({ ...metadata, sniffedType }, thumbnailSize);
+        if (!thumbnail) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const entity = {
+            size: thumbnail.size,
+            etag: `"${metadata.contentHash}-${thumbnailSize}"`,
+            lastModified: thumbnail.createdAt,
+            contentType: 'image/webp'
+        };
+        // Thumbnails are small, so they are always sent whole
+        const result = evaluateRequest(req, { ...entity, allowRanges: false });
+        if (req.method === 'GET' && result.status === 200) {
+            if (!(await enforceLimits(req, res, [[limits.downloadBytes, thumbnail.size]]))) return;
+        }
+
+        setPreviewHeaders(res);
+        const openRange = async (start, end) => createReadStream(thumbnail.path, { start, end });
+        await sendFileResponse(req, res, openRange, result, entity);
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Thumbnail interrupted:', error);
+            return res.destroy();
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Thumbnail error:', error);
+        res.status(500).json({ error: 'Thumbnail failed' });
+    }
+});
+
+// Helper function to find a file whose archive entries may be browsed.
+// Sends an error and returns null when they may not.
+const getBrowsableArchive = async (req, res, fileId) => {
+    const metadata = await getAccessibleFile(req, res, fileId);
+    if (!metadata) return null;
+
+    // Browsing an archive shows its content just like a preview does
+    if (metadata.maxDownloads) {
+        res.status(403).json({ error: 'Archive browsing is disabled for download-limited files' });
+        return null;
+    }
+    if (metadata.encrypted) {
+        res.status(400).json({ error: 'Encrypted archives can only be opened after downloading' });
+        return null;
+    }
+    if (!checkScanStatus(res, metadata)) return null;
+    return metadata;
+};
+
+// The entries of a ZIP, tar or tar.gz file. The listing is read from the
+// archive's index (or, for tar, its headers) without extracting anything, and
+// cached alongside the content's thumbnails. So is the reason an archive could
+// not be listed, so a hostile one is only decompressed once.
+app.get('/api/archive/:fileId', limitDownloads, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = await getBrowsableArchive(req, res, fileId);
+        if (!metadata) return;
+
+        const openRange = (start, end) => storageDriver.get(metadata.contentHash, { start, end });
+        const listing = await derivedAssets.getDocument(metadata.contentHash, 'archive-index.json',
+            () => listArchive(openRange, metadata.size));
+        res.json({ fileId, ...listing });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Archive listing error:', error);
+        res.status(500).json({ error: 'Failed to read archive' });
+    }
+});
+
+// Stream one file out of an archive, named by its path in the listing. With
+// ?inline=1 images and text are sent to be shown in the page; text always as
+// plain text, so nothing in an archive can run as part of this site.
+app.get('/api/archive/:fileId/entry', limitDownloads, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const entryPath = req.query.path;
+        if (typeof entryPath !== 'string' || !entryPath) {
+            return res.status(400).json({ error: 'Entry path is required' });
+        }
+
+        const metadata = await getBrowsableArchive(req, res, fileId);
+        if (!metadata) return;
+
+        const openRange = (start, end) => storageDriver.get(metadata.contentHash, { start, end });
+        const entry = await openArchiveEntry(openRange, metadata.size, entryPath);
+        if (!(await enforceLimits(req, res, [[limits.downloadBytes, entry.size]]))) {
+            return entry.close();
+        }
+
+        // Entries are only shown inline as images or plain text (see
+        // archive-browser.js), and get the same protection as previews
+        const previewType = req.query.inline === '1' ? getEntryPreviewType(entryPath) : null;
+        setPreviewHeaders(res);
+        if (previewType) {
+            res.setHeader('Content-Type', previewType);
+        } else {
+            res.attachment(path.posix.basename(entryPath));
+            res.setHeader('Content-Type', 'application/octet-stream');
+        }
+        res.setHeader('Content-Length', entry.size);
+        if (entry.modifiedAt) {
+            res.setHeader('Last-Modified', new Date(entry.modifiedAt).toUTCString());
+        }
+
+        // Content being read cannot be evicted until the response ends
+        trackStream(metadata.contentHash, res);
+        await touchFile(fileId);
+
+        res.on('close', () => {
+            if (!res.writableFinished) entry.close();
+        });
+        entry.stream.on('error', (error) => {
+            console.error('Archive entry interrupted:', error.message);
+            res.destroy();
+        });
+        entry.stream.pipe(res);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Archive entry error:', error);
+        res.status(500).json({ error: 'Failed to read archive entry' });
+    }
+});
+
+// What the client has left of each per-client limit (null when a limit is
+// off), and the largest and longest-lived upload it may make
+app.get('/api/quota', async (req, res) => {
+    try {
+        const clientId = getClientId(req);
+        const uploadLimits = getUploadLimits(req.account);
+        const clientLimits = { uploadBytes: uploadLimits.uploadQuota };
+        const quota = {
+            account: req.account ? req.account.username : null,
+            maxFileSize: uploadLimits.maxFileSize,
+            maxExpirySeconds: uploadLimits.maxExpiry / 1000
+        };
+        for (const [name, limiter] of Object.entries(limits)) {
+            const clientLimit = name in clientLimits ? clientLimits[name] : limiter.limit;
+            if (!(clientLimit > 0)) {
+                quota[name] = null;
+                continue;
+            }
+            const { limit, remaining, resetAt } = await limiter.check(clientId, 0, clientLimit);
+            quota[name] = {
+                limit,
+                remaining,
+                windowSeconds: limiter.windowMs / 1000,
+                resetAt: new Date(resetAt).toISOString()
+            };
+        }
+        res.json(quota);
+    } catch (error) {
+        console.error('Quota error:', error);
+        res.status(500).json({ error: 'Failed to load quota' });
+    }
+});
+
+// Helper function to build an administrator's view of a file
+const getAdminFileInfo = (fileId, metadata, now = Date.now()) => ({
+    ...getManagementInfo(fileId, metadata),
+    remainingSeconds: Math.max(Math.floor((getExpiryTime(metadata) - now) / 1000), 0),
+    ownerId: metadata.ownerId || null,
+    lastAccessedAt: new Date(metadata.lastAccessedAt || metadata.uploadTime).toISOString(),
+    pinned: Boolean(metadata.pinned),
+    protectedBy: getEvictionProtection(metadata)
+});
+
+// Helper function to describe the runtime settings in API units
+const describeSettings = (settings = getSettings()) => ({
+    maxStorage: settings.maxStorage,
+    evictionPolicy: settings.evictionPolicy,
+    evictionPolicies: Object.keys(EVICTION_POLICIES),
+    maxExpirySeconds: settings.maxExpiry / 1000,
+    defaultExpirySeconds: settings.defaultExpiry / 1000,
+    accountMaxExpirySeconds: settings.accountMaxExpiry / 1000
+});
+
+// Helper function to validate a settings change from the admin API, returning
+// the settings that would result from it
+const parseSettings = (body = {}) => {
+    const settings = getSettings();
+    const fields = {
+        maxStorage: ['maxStorage', 1],
+        maxExpirySeconds: ['maxExpiry', 1000],
+        defaultExpirySeconds: ['defaultExpiry', 1000],
+        accountMaxExpirySeconds: ['accountMaxExpiry', 1000]
+    };
+
+    for (const [field, [name, scale]] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+        const value = Number(body[field]) * scale;
+        if (!Number.isSafeInteger(value) || value <= 0) {
+            throw Object.assign(new Error(`Invalid ${field}`), { status: 400 });
+        }
+        settings[name] = value;
+    }
+
+    if (body.evictionPolicy !== undefined) {
+        if (!Object.hasOwn(EVICTION_POLICIES, body.evictionPolicy)) {
+            throw Object.assign(new Error(`Eviction policy must be one of ${Object.keys(EVICTION_POLICIES).join(', ')}`), {
+                status: 400
+            });
+        }
+        settings.evictionPolicy = body.evictionPolicy;
+    }
+
+    for (const name of ['maxExpiry', 'defaultExpiry', 'accountMaxExpiry']) {
+        if (settings[name] < MIN_EXPIRY) {
+            throw Object.assign(new Error(`Expiry limits must be at least ${MIN_EXPIRY / 60000} minutes`), { status: 400 });
+        }
+    }
+    if (settings.defaultExpiry > settings.maxExpiry) {
+        throw Object.assign(new Error('The default expiry cannot be longer than the maximum'), { status: 400 });
+    }
+    return settings;
+};
+
+// Helper function to validate per-account limits from the admin API. Each is
+// a number, or null to fall back to the account defaults again.
+const parseAccountLimits = (body = {}, current = {}) => {
+    const limits = { ...current };
+    const fields = {
+        maxFileSize: ['maxFileSize', 1],
+        maxExpirySeconds: ['maxExpiry', 1000],
+        uploadQuota: ['uploadQuota', 1]
+    };
+
+    for (const [field, [name, scale]] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null) {
+            delete limits[name];
+            continue;
+        }
+        const value = Number(body[field]) * scale;
+        // A quota of 0 turns it off; the other limits must allow something
+        if (!Number.isSafeInteger(value) || value < 0 || (value === 0 && name !== 'uploadQuota')) {
+            throw Object.assign(new Error(`Invalid ${field}`), { status: 400 });
+        }
+        if (name === 'maxExpiry' && value < MIN_EXPIRY) {
+            throw Object.assign(new Error(`Expiry limits must be at least ${MIN_EXPIRY / 60000} minutes`), { status: 400 });
+        }
+        limits[name] = value;
+    }
+    return limits;
+};
+
+// Admin endpoints, for accounts listed in ADMIN_ACCOUNTS
+app.use('/api/admin', accounts.requireAdmin);
+
+// Storage use against capacity, and counts of what is stored
+app.get('/api/admin/overview', (req, res) => {
+    let logicalSize = 0;
+    for (const [, metadata] of fileMetadata.entries()) {
+        logicalSize += metadata.size;
+    }
+    const since = Date.now() - DAY;
+    const removedToday = {};
+    for (const { reason } of removals.list({ since })) {
+        removedToday[reason] = (removedToday[reason] || 0) + 1;
+    }
+
+    res.json({
+        used: blobs.totalSize,
+        logicalSize,
+        capacity: getSettings().maxStorage,
+        files: fileMetadata.size,
+        collections: collections.size,
+        accounts: accounts.listAccounts().length,
+        blocked: blocklist.size,
+        removedToday,
+        scans: scanQueue ? scanQueue.counts() : null,
+        webhooks: webhooks.counts(),
+        settings: describeSettings()
+    });
+});
+
+// List stored files, optionally filtered by a search over ID, name, type,
+// uploader and hash, sorted and paged
+app.get('/api/admin/files', (req, res) => {
+    const now = Date.now();
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const sortFields = ['uploadTime', 'size', 'expiresAt', 'originalName', 'downloadCount', 'lastAccessedAt'];
+    const sort = sortFields.includes(req.query.sort) ? req.query.sort : 'uploadTime';
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const files = Array.from(fileMetadata.entries())
+    .map(([fileId, metadata]) => getAdminFileInfo(fileId, metadata, now))
+    .filter(file => !query || [file.fileId, file.originalName, file.mimetype, file.uploadedBy, file.sha256]
+        .some(value => value && value.toLowerCase().includes(query)))
+    .sort((a, b) => (a[sort] < b[sort] ? -1 : a[sort] > b[sort] ? 1 : 0) * direction);
+
+    res.json({
+        files: files.slice(offset, offset + limit),
+        total: files.length,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0)
+    });
+});
+
+// Force-delete a file
+app.delete('/api/admin/files/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        if (!fileMetadata.has(fileId)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await removeFile(fileId, 'admin');
+        await cleanEmptyCollections();
+        console.log(`Deleted file by administrator ${req.account.username}: ${fileId}`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Admin delete error:', error);
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Pin a file so it is never evicted to make room, or unpin it
+app.patch('/api/admin/files/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const metadata = fileMetadata.get(fileId);
+        if (!metadata) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const { pinned } = req.body || {};
+        if (typeof pinned !== 'boolean') {
+            return res.status(400).json({ error: 'pinned must be true or false' });
+        }
+
+        const updated = { ...metadata, pinned };
+        await fileMetadata.set(fileId, updated);
+        res.json(getAdminFileInfo(fileId, updated));
+    } catch (error) {
+        console.error('Admin file update error:', error);
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// Blocked file IDs
+app.get('/api/admin/blocks', (req, res) => {
+    const blocks = Array.from(blocklist.entries())
+    .map(([fileId, block]) => ({ fileId, ...block, blockedAt: new Date(block.blockedAt).toISOString() }))
+    .sort((a, b) => (a.blockedAt < b.blockedAt ? 1 : -1));
+    res.json({ blocks });
+});
+
+// Block a file ID: the file and every other file with the same content are
+// removed, its link reports that an administrator removed it, and the same
+// content is refused if uploaded again
+app.post('/api/admin/blocks', async (req, res) => {
+    try {
+        const { fileId, reason = '' } = req.body || {};
+        if (typeof fileId !== 'string' || !fileId) {
+            return res.status(400).json({ error: 'File ID required' });
+        }
+        if (typeof reason !== 'string' || reason.length > 500) {
+            return res.status(400).json({ error: 'Invalid reason' });
+        }
+
+        const metadata = fileMetadata.get(fileId);
+        if (!metadata) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (blocklist.has(fileId)) {
+            return res.status(409).json({ error: 'File is already blocked' });
+        }
+
+        const block = {
+            sha256: metadata.contentHash,
+            originalName: metadata.originalName,
+            reason: reason.trim(),
+            blockedBy: req.account.username,
+            blockedAt: Date.now()
+        };
+        await blocklist.set(fileId, block);
+
+        const removed = [];
+        for (const [id, other] of Array.from(fileMetadata.entries())) {
+            if (other.contentHash !== metadata.contentHash) continue;
+            await removeFile(id, 'blocked');
+            removed.push(id);
+        }
+        await cleanEmptyCollections();
+        console.log(`Blocked file by administrator ${req.account.username}: ${fileId}`);
+
+        res.status(201).json({ fileId, ...block, blockedAt: new Date(block.blockedAt).toISOString(), removed });
+    } catch (error) {
+        console.error('Admin block error:', error);
+        res.status(500).json({ error: 'Block failed' });
+    }
+});
+
+// Lift a block, allowing the content to be uploaded again
+app.delete('/api/admin/blocks/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        if (!blocklist.has(fileId)) {
+            return res.status(404).json({ error: 'Block not found' });
+        }
+
+        await blocklist.delete(fileId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Admin unblock error:', error);
+        res.status(500).json({ error: 'Unblock failed' });
+    }
+});
+
+// Storage usage samples, oldest first, over the last `hours` hours (default a week)
+app.get('/api/admin/storage-history', (req, res) => {
+    const hours = Math.min(Math.max(Number(req.query.hours) || 7 * 24, 1), 30 * 24);
+    const samples = storageHistory.list({ since: Date.now() - hours * HOUR })
+    .map(sample => ({ ...sample, at: new Date(sample.at).toISOString() }));
+    res.json({ samples });
+});
+
+// Removed files, newest first, optionally only those removed for one reason
+app.get('/api/admin/removals', (req, res) => {
+    const { reason } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const entries = removals.list({ filter: entry => !reason || entry.reason === reason })
+    .reverse()
+    .slice(0, limit)
+    .map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+    res.json({ removals: entries });
+});
+
+// Eviction decisions, newest first: files evicted or skipped because they
+// were protected, uploads refused for lack of space, and runs that could not
+// get back under capacity
+app.get('/api/admin/evictions', (req, res) => {
+    const { decision } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const entries = evictionAudit.list({ filter: entry => !decision || entry.decision === decision })
+    .reverse()
+    .slice(0, limit)
+    .map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+    res.json({ evictions: entries });
+});
+
+// Webhook subscriptions, the events they can subscribe to, and how many
+// deliveries are waiting or gave up in the last day
+app.get('/api/admin/webhooks', (req, res) => {
+    res.json({ webhooks: webhooks.list(), events: WEBHOOK_EVENTS, ...webhooks.counts() });
+});
+
+// Subscribe a URL to file events (all of them unless some are named). The
+// response holds the signing secret, which is not shown again.
+app.post('/api/admin/webhooks', async (req, res) => {
+    try {
+        const { url, events, description } = req.body || {};
+        const webhook = await webhooks.subscribe({ url, events, description, createdBy: req.account.username });
+        console.log(`Webhook added by administrator ${req.account.username}: ${webhook.url}`);
+        res.status(201).json(webhook);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: 'Could not add webhook' });
+    }
+});
+
+// Webhook deliveries that ran out of attempts, newest first
+app.get('/api/admin/webhooks/dead-letters', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    res.json({ deadLetters: webhooks.listDeadLetters({ limit }) });
+});
+
+app.delete('/api/admin/webhooks/:webhookId', async (req, res) => {
+    try {
+        if (!(await webhooks.unsubscribe(req.params.webhookId))) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        console.log(`Webhook removed by administrator ${req.account.username}: ${req.params.webhookId}`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: 'Could not remove webhook' });
+    }
+});
+
+// Capacity, eviction and expiry limits
+app.get('/api/admin/settings', (req, res) => {
+    res.json(describeSettings());
+});
+
+// Change capacity, eviction and expiry limits; they apply at once, and a
+// lower capacity evicts files straight away
+app.patch('/api/admin/settings', async (req, res) => {
+    try {
+        const settings = parseSettings(req.body);
+        const previous = getSettings();
+        await settingsStore.set('limits', settings);
+        console.log(`Settings changed by administrator ${req.account.username}:`, describeSettings(settings));
+
+        if (settings.maxStorage < previous.maxStorage) {
+            await manageStorageCapacity();
+            await recordStorageUsage().catch(console.error);
+        }
+        res.json(describeSettings(settings));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Settings error:', error);
+        res.status(500).json({ error: 'Could not change settings' });
+    }
+});
+
+// Accounts with the limits that apply to them and what they have stored
+app.get('/api/admin/accounts', (req, res) => {
+    const usage = new Map();
+    for (const [, metadata] of fileMetadata.entries()) {
+        if (!metadata.ownerId) continue;
+        const { files = 0, size = 0 } = usage.get(metadata.ownerId) || {};
+        usage.set(metadata.ownerId, { files: files + 1, size: size + metadata.size });
+    }
+
+    res.json({
+        accounts: accounts.listAccounts()
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(account => {
+            const { files = 0, size = 0 } = usage.get(account.id) || {};
+            return {
+                ...describeAccount(account),
+                // Limits set for this account alone; the others follow the defaults
+                customLimits: {
+                    maxFileSize: account.limits.maxFileSize,
+                    maxExpirySeconds: account.limits.maxExpiry && account.limits.maxExpiry / 1000,
+                    uploadQuota: account.limits.uploadQuota
+                },
+                files,
+                storedSize: size
+            };
+        })
+    });
+});
+
+// Change an account's own limits
+app.patch('/api/admin/accounts/:accountId', async (req, res) => {
+    try {
+        const account = accounts.getAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const limits = parseAccountLimits((req.body || {}).limits, account.limits);
+        const updated = await accounts.updateAccount(account.id, { limits });
+        res.json(describeAccount(updated));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Account update error:', error);
+        res.status(500).json({ error: 'Could not update account' });
+    }
+});
+
+// The public part of the configuration, for the frontends: upload limits,
+// expiry choices and which features are on. Runtime settings an
+// administrator changes show here straight away. What is left of a client's
+// own allowance is at /api/quota.
+app.get('/api/config', (req, res) => {
+    const settings = getSettings();
+    const anonymous = getUploadLimits(null);
+    res.json({
+        previewOrigin: PREVIEW_ORIGIN,
+        limits: {
+            maxFileSize: MAX_FILE_SIZE,
+            anonymousMaxFileSize: anonymous.maxFileSize,
+            accountMaxFileSize: Math.min(ACCOUNT_LIMITS.maxFileSize, MAX_FILE_SIZE),
+            maxCollectionFiles: MAX_COLLECTION_FILES,
+            maxDownloadLimit: MAX_DOWNLOAD_LIMIT,
+            maxPasswordLength: MAX_PASSWORD_LENGTH
+        },
+        expiry: {
+            minSeconds: MIN_EXPIRY / 1000,
+            maxSeconds: settings.maxExpiry / 1000,
+            accountMaxSeconds: settings.accountMaxExpiry / 1000,
+            defaultSeconds: settings.defaultExpiry / 1000,
+            presetSeconds: EXPIRY_PRESETS.map(expiry => expiry / 1000)
+        },
+        features: {
+            anonymousUploads: ALLOW_ANONYMOUS_UPLOADS,
+            registration: ALLOW_REGISTRATION,
+            malwareScanning: Boolean(scanner),
+            separatePreviewOrigin: Boolean(PREVIEW_ORIGIN)
+        }
+    });
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+const start = async () => {
+    await storageDriver.init();
+    await derivedAssets.init();
+    await fs.mkdir(partialDir, { recursive: true });
+    // Anything left here is from an upload interrupted by a restart
+    await fs.rm(incomingDir, { recursive: true, force: true });
+    await fs.mkdir(incomingDir, { recursive: true });
+    await fileMetadata.load();
+    await uploadSessions.load();
+    await collections.load();
+    await blobs.load();
+    await accounts.load();
+    // Usernames cannot be trusted for admin access; say which IDs to use instead
+    for (const username of config.ADMIN_USERS) {
+        const account = accounts.listAccounts().find(entry => entry.username.toLowerCase() === username.toLowerCase());
+        console.warn(`ADMIN_USERS is no longer honoured; list account IDs in ADMIN_ACCOUNTS instead (${username}: ${
+            account ? account.id : 'no such account'})`);
+    }
+    await settingsStore.load();
+    await blocklist.load();
+    await removals.load();
+    await evictionAudit.load();
+    await storageHistory.load();
+    if (scanQueue) await scanQueue.load();
+    await slugs.load();
+    await webhooks.load();
+    await reconcileStorage();
+    await resumableUploads.cleanStaleSessions();
+    await cleanEmptyCollections();
+    await slugs.prune(fileId => fileMetadata.has(fileId));
+    // Scan content stored before scanning was set up, and pick up scans a
+    // restart cut short
+    if (scanQueue) {
+        for (const [, metadata] of fileMetadata.entries()) {
+            if (!metadata.encrypted) await scanQueue.enqueue(metadata.contentHash);
+        }
+    }
+    console.log(`Loaded metadata for ${fileMetadata.size} files`);
+
+    app.listen(PORT, () => {
+        console.log(`Cosmic Uploads backend running on port ${PORT}`);
+        console.log('Cleaning expired files and managing storage...');
+        cleanExpiredFiles().catch(console.error);
+        manageStorageCapacity().then(recordStorageUsage).catch(console.error);
+    });
+};
+
+start().catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
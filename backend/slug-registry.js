@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Short, readable names for files ("slugs"), kept in a MetadataStore as
+// slug -> { fileId, createdAt }. A slug is either generated from words, like
+// brave-golden-otter-4821, or chosen by the uploader. Slugs are lower case and
+// are looked up case-insensitively, so they survive being read out or typed on
+// a phone. File IDs are 32 hex characters, which no slug may be, so the two can
+// share a URL segment.
+// When its file goes away a slug is kept as a tombstone (with releasedAt) for
+// TOMBSTONE_TTL, so an old link can never lead to someone else's file.
+const ADJECTIVES = [
+    'amber', 'bold', 'brave', 'bright', 'calm', 'clever', 'cosmic', 'crisp', 'daring', 'eager', 'fancy', 'fuzzy',
+    'gentle', 'giant', 'glad', 'golden', 'happy', 'hidden', 'humble', 'jolly', 'keen', 'kind', 'lively', 'lucky',
+    'mellow', 'merry', 'mighty', 'misty', 'noble', 'polite', 'proud', 'quick', 'quiet', 'rapid', 'rosy', 'rustic',
+    'shiny', 'silent', 'silver', 'sleepy', 'smooth', 'snowy', 'solar', 'sunny', 'swift', 'tidy', 'vivid', 'witty'
+];
+const NOUNS = [
+    'badger', 'beaver', 'bison', 'comet', 'crane', 'dolphin', 'eagle', 'falcon', 'ferret', 'finch', 'fox', 'gecko',
+    'heron', 'hippo', 'koala', 'lemur', 'lion', 'llama', 'lynx', 'magpie', 'meteor', 'moose', 'nebula', 'newt',
+    'orbit', 'otter', 'owl', 'panda', 'parrot', 'pebble', 'penguin', 'planet', 'puffin', 'quasar', 'rabbit', 'raven',
+    'robin', 'rocket', 'salmon', 'seal', 'sparrow', 'squirrel', 'tiger', 'toucan', 'turtle', 'walrus', 'whale', 'zebra'
+];
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/;
+const FILE_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Generated slugs are two different adjectives, a noun and a four-digit
+// number: about 970 million of them, too many to find files by guessing
+const MAX_ATTEMPTS = 50;
+// How long a released slug stays unavailable
+const TOMBSTONE_TTL = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const pick = (list) => list[crypto.randomInt(list.length)];
+
+class SlugRegistry {
+    constructor(store) {
+        this.store = store;
+    }
+
+    load() {
+        return this.store.load();
+    }
+
+    // Check a slug chosen by an uploader and return it in canonical form.
+    // Throws a 400 when it is not a valid slug.
+    parse(value) {
+        const slug = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        if (!SLUG_PATTERN.test(slug) || FILE_ID_PATTERN.test(slug)) {
+            throw Object.assign(new Error(
+                'Short links must be 3 to 40 letters, digits or hyphens, starting and ending with a letter or digit'
+            ), { status: 400 });
+        }
+        return slug;
+    }
+
+    isAvailable(slug) {
+        return !this.store.has(slug);
+    }
+
+    // File ID a slug points to, or null
+    resolve(slug) {
+        const record = typeof slug === 'string' && this.store.get(slug.toLowerCase());
+        return record && !record.releasedAt ? record.fileId : null;
+    }
+
+    // Point a slug at a file. Throws a 409 if another file already has it.
+    async claim(slug, fileId) {
+        if (!this.isAvailable(slug)) {
+            throw Object.assign(new Error('That short link is already taken'), { status: 409 });
+        }
+        await this.store.set(slug, { fileId, createdAt: Date.now() });
+        return slug;
+    }
+
+    // Give a file a fresh word-based slug
+    async generate(fileId) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const first = pick(ADJECTIVES);
+            const second = pick(ADJECTIVES.filter(adjective => adjective !== first));
+            const slug = `${first}-${second}-${pick(NOUNS)}-${crypto.randomInt(1000, 10000)}`;
+            if (this.isAvailable(slug)) {
+                return this.claim(slug, fileId);
+            }
+        }
+        throw new Error('Could not find a free short link');
+    }
+
+    // Stop a slug leading to a file, keeping it as a tombstone
+    async release(slug, fileId) {
+        const record = this.store.get(slug);
+        if (record && !record.releasedAt && record.fileId === fileId) {
+            await this.store.set(slug, { ...record, releasedAt: Date.now() });
+        }
+    }
+
+    // Release slugs whose files are gone, and forget tombstones past TOMBSTONE_TTL
+    async prune(isLive) {
+        const now = Date.now();
+        for (const [slug, record] of Array.from(this.store.entries())) {
+            if (record.releasedAt) {
+                if (now - record.releasedAt > TOMBSTONE_TTL) await this.store.delete(slug);
+            } else if (!isLive(record.fileId)) {
+                await this.store.set(slug, { ...record, releasedAt: now });
+            }
+        }
+    }
+}
+
+module.exports = SlugRegistry;
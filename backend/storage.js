@@ -0,0 +1,47 @@
+const LocalStorage = require('./local-storage');
+const S3Storage = require('./s3-storage');
+
+// Storage drivers hold the content of uploaded files, addressed by key.
+// Every driver implements:
+//   init()                      prepare the backend (create the directory, check the bucket)
+//   put(key, stream, size)      store a stream under key
+//   putFile(key, filePath)      store a local file under key, consuming the file
+//   get(key, { start, end })    readable stream of the object or an inclusive byte range;
+//                               rejects with code ENOENT if the object is missing
+//   delete(key)                 remove an object; a missing object is not an error
+//   stat(key)                   { size, lastModified }, or null if the object is missing
+//   list()                      async iterable of { key, size } for every stored object
+//
+// The driver is chosen with STORAGE_DRIVER, from the checked settings (see
+// config.js):
+//   local (default)  files in backend/uploads
+//   s3               S3_BUCKET, S3_REGION, S3_ENDPOINT (for MinIO and other
+//                    S3-compatible services), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//                    optional S3_SESSION_TOKEN, S3_PREFIX (cosmic-uploads/ unless
+//                    set, empty for the bucket root), S3_FORCE_PATH_STYLE and
+//                    S3_TIMEOUT_SECONDS
+const createStorage = ({ localDir, config }) => {
+    const driver = config.STORAGE_DRIVER;
+
+    if (driver === 'local') {
+        return new LocalStorage(localDir);
+    }
+
+    if (driver === 's3') {
+        return new S3Storage({
+            bucket: config.S3_BUCKET,
+            region: config.S3_REGION,
+            endpoint: config.S3_ENDPOINT || undefined,
+            accessKeyId: config.S3_ACCESS_KEY_ID,
+            secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+            sessionToken: config.S3_SESSION_TOKEN || undefined,
+            prefix: config.S3_PREFIX,
+            forcePathStyle: config.S3_FORCE_PATH_STYLE !== null ? config.S3_FORCE_PATH_STYLE : undefined,
+            timeout: config.S3_TIMEOUT_SECONDS * 1000
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};
+
+module.exports = createStorage;
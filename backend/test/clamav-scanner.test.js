@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ClamAVScanner = require('../clamav-scanner');
+
+// The EICAR test file, which every scanner reports as malware
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// A stand-in for clamd that speaks INSTREAM. It reassembles the content from
+// its chunks (kept in received, for checking) and answers by what it holds:
+//   the EICAR string     "stream: Eicar-Test-Signature FOUND"
+//   "too large"          an ERROR, sent as soon as the words arrive and
+//                        before the content ends, as clamd does at its limit
+//   "hang"               nothing at all
+//   anything else        "stream: OK"
+const createFakeClamd = () => {
+    const received = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        let buffer = Buffer.alloc(0);
+        let command = null;
+        const chunks = [];
+
+        const answer = (reply) => {
+            socket.end(`${reply}\0`);
+            socket.removeAllListeners('data');
+        };
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            if (command === null) {
+                const end = buffer.indexOf(0);
+                if (end === -1) return;
+                command = buffer.subarray(0, end).toString();
+                buffer = buffer.subarray(end + 1);
+                if (command !== 'zINSTREAM') return answer('UNKNOWN COMMAND');
+            }
+
+            while (buffer.length >= 4) {
+                const length = buffer.readUInt32BE(0);
+                if (buffer.length < 4 + length) return;
+                chunks.push(buffer.subarray(4, 4 + length));
+                buffer = buffer.subarray(4 + length);
+
+                const content = Buffer.concat(chunks);
+                if (content.includes('too large')) {
+                    return answer('INSTREAM size limit exceeded. ERROR');
+                }
+                if (length === 0) {
+                    received.push({ content, chunkSizes: chunks.map(chunk => chunk.length) });
+                    if (content.includes('hang')) return;
+                    if (content.includes(EICAR)) return answer('stream: Eicar-Test-Signature FOUND');
+                    return answer('stream: OK');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    // Drop connections left hanging so the server can close
+    const stop = () => {
+        for (const socket of sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => server.close(resolve));
+    };
+
+    return { server, received, stop };
+};
+
+const listen = (server, ...args) => new Promise(resolve => server.listen(...args, resolve));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('ClamAVScanner', () => {
+    let clamd;
+    let port;
+
+    before(async () => {
+        clamd = createFakeClamd();
+        await listen(clamd.server, 0, '127.0.0.1');
+        port = clamd.server.address().port;
+    });
+
+    after(() => clamd.stop());
+
+    const scan = (content, options = {}) =>
+        new ClamAVScanner({ port, ...options }).scan(Readable.from([Buffer.from(content)]));
+
+    it('reports clean content', async () => {
+        assert.deepStrictEqual(await scan('just a text file'), { infected: false, signature: null });
+    });
+
+    it('reports infected content with its signature', async () => {
+        assert.deepStrictEqual(await scan(`prefix ${EICAR} suffix`), { infected: true, signature: 'Eicar-Test-Signature' });
+    });
+
+    it('rejects with the error clamd reports', async () => {
+        await assert.rejects(scan('this file is too large'), { message: 'ClamAV error: INSTREAM size limit exceeded.' });
+    });
+
+    it('takes an answer that arrives before the content has all been sent', async () => {
+        const content = Buffer.concat([Buffer.from('too large'), Buffer.alloc(8 * 1024 * 1024)]);
+        await assert.rejects(scan(content), /size limit exceeded/);
+    });
+
+    it('rejects when clamd does not answer in time', async () => {
+        const started = Date.now();
+        await assert.rejects(scan('hang', { timeout: 200 }), { message: 'ClamAV did not answer in time' });
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('rejects when clamd cannot be reached', async () => {
+        const unused = net.createServer();
+        await listen(unused, 0, '127.0.0.1');
+        const closedPort = unused.address().port;
+        await close(unused);
+
+        await assert.rejects(scan('content', { port: closedPort }), { code: 'ECONNREFUSED' });
+    });
+
+    it('rejects when the content stream fails', async () => {
+        const stream = new Readable({
+            read() {
+                this.destroy(new Error('storage read failed'));
+            }
+        });
+        await assert.rejects(new ClamAVScanner({ port }).scan(stream), /storage read failed/);
+    });
+
+    it('sends content in chunks of at most 64KB, ended by an empty one', async () => {
+        const content = Buffer.alloc(200 * 1024);
+        for (let i = 0; i < content.length; i++) {
+            content[i] = i % 251;
+        }
+        clamd.received.length = 0;
+        await scan(content);
+
+        const [{ content: received, chunkSizes }] = clamd.received;
+        assert.deepStrictEqual(received, content);
+        assert.ok(chunkSizes.every(size => size <= 64 * 1024));
+        assert.strictEqual(chunkSizes.at(-1), 0);
+    });
+
+    it('connects over a Unix socket', { skip: process.platform === 'win32' }, async (t) => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clamd-'));
+        const socketPath = path.join(dir, 'clamd.sock');
+        const local = createFakeClamd();
+        await listen(local.server, socketPath);
+        t.after(async () => {
+            await local.stop();
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        });
+
+        const result = await new ClamAVScanner({ socketPath }).scan(Readable.from([Buffer.from(EICAR)]));
+        assert.deepStrictEqual(result, { infected: true, signature: 'Eicar-Test-Signature' });
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const yauzl = require('yauzl');
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// A bucket that keeps objects in a Map: just enough of S3 for the server to
+// start, store uploads and read them back. The server is run against it
+// rather than local storage, which lives in the repository's uploads/.
+const createBucket = () => {
+    const objects = new Map();
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const key = url.pathname.split('/').slice(2).map(decodeURIComponent).join('/');
+        if (!key) {
+            if (req.method === 'HEAD') return res.end();
+            res.writeHead(200, { 'content-type': 'application/xml' });
+            return res.end('<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+                Array.from(objects, ([name, body]) => `<Contents><Key>${name}</Key><Size>${body.length}</Size></Contents>`).join('') +
+                '<IsTruncated>false</IsTruncated></ListBucketResult>');
+        }
+        if (req.method === 'PUT') {
+            objects.set(key, await readStream(req));
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (!objects.has(key)) {
+            res.writeHead(404, { 'content-type': 'application/xml' });
+            return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code></Error>');
+        }
+        res.writeHead(200, { 'content-length': objects.get(key).length });
+        res.end(req.method === 'GET' ? objects.get(key) : undefined);
+    });
+};
+
+// Helper function to find a port nothing is listening on
+const getFreePort = () => new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Names of the entries in a ZIP archive
+const listZip = (buffer) => new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipfile) => {
+        if (error) return reject(error);
+        const names = [];
+        zipfile.on('entry', (entry) => {
+            names.push(entry.fileName);
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(names));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+    });
+});
+
+describe('collection downloads', () => {
+    let dir;
+    let bucket;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'collections-'));
+        bucket = createBucket();
+        await new Promise(resolve => bucket.listen(0, '127.0.0.1', resolve));
+        const port = await getFreePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+
+        server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: {
+                PATH: process.env.PATH,
+                PORT: String(port),
+                DATA_DIR: path.join(dir, 'data'),
+                DERIVED_DIR: path.join(dir, 'derived'),
+                STORAGE_DRIVER: 's3',
+                S3_BUCKET: 'files',
+                S3_ENDPOINT: `http://127.0.0.1:${bucket.address().port}`,
+                S3_ACCESS_KEY_ID: 'key',
+                S3_SECRET_ACCESS_KEY: 'secret'
+            },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        await new Promise((resolve, reject) => {
+            let output = '';
+            server.stdout.on('data', (chunk) => {
+                output += chunk;
+                if (output.includes('running on port')) resolve();
+            });
+            server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+        });
+        server.stdout.resume();
+    });
+
+    after(async () => {
+        if (server.exitCode === null) {
+            const exited = new Promise(resolve => server.once('exit', resolve));
+            server.kill();
+            await exited;
+        }
+        await new Promise(resolve => bucket.close(resolve));
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('leaves out files whose last download another request took', async () => {
+        const form = new FormData();
+        const names = ['a.txt', 'b.txt', 'c.txt', 'd.txt'];
+        for (const name of names) {
+            form.append('files', new Blob([`content of ${name}`], { type: 'text/plain' }), name);
+        }
+        form.append('maxDownloads', '1');
+        const upload = await fetch(`${baseUrl}/api/collections`, { method: 'POST', body: form });
+        assert.strictEqual(upload.status, 200);
+        const { collectionId } = await upload.json();
+
+        // The requests check the files together, then count them one by one
+        const responses = await Promise.all(Array.from({ length: 6 }, async () => {
+            const res = await fetch(`${baseUrl}/api/collection/${collectionId}/zip`);
+            return { status: res.status, body: Buffer.from(await res.arrayBuffer()) };
+        }));
+
+        const sent = [];
+        for (const { status, body } of responses) {
+            assert.ok([200, 404, 410].includes(status), `Unexpected status ${status}`);
+            if (status === 200) sent.push(...await listZip(body));
+        }
+        // Every file was allowed one download, and each went out exactly once
+        assert.deepStrictEqual(sent.sort(), names);
+    });
+});
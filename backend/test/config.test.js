@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../config');
+
+describe('loadConfig', () => {
+    it('defaults to local storage, no scanner and a random token secret', () => {
+        const config = loadConfig({ env: {} });
+        assert.strictEqual(config.STORAGE_DRIVER, 'local');
+        assert.strictEqual(config.SCANNER, 'none');
+        assert.strictEqual(config.TOKEN_SECRET, null);
+        assert.strictEqual(config.S3_PREFIX, 'cosmic-uploads/');
+    });
+
+    it('checks the scanner settings', () => {
+        assert.throws(() => loadConfig({ env: { SCANNER: 'clamav', CLAMAV_PORT: 'clamd' } }), /CLAMAV_PORT must be a number/);
+        assert.throws(() => loadConfig({ env: { CLAMAV_PORT: '70000' } }), /CLAMAV_PORT must be at most 65535/);
+        assert.throws(() => loadConfig({ env: { CLAMAV_TIMEOUT_SECONDS: '0' } }), /CLAMAV_TIMEOUT_SECONDS must be at least 1/);
+        assert.throws(() => loadConfig({ env: { SCANNER: 'virustotal' } }), /SCANNER must be one of none, clamav/);
+
+        const config = loadConfig({ env: { SCANNER: 'ClamAV', CLAMAV_PORT: '3311' } });
+        assert.strictEqual(config.SCANNER, 'clamav');
+        assert.strictEqual(config.CLAMAV_PORT, 3311);
+    });
+
+    it('checks the storage settings', () => {
+        assert.throws(() => loadConfig({ env: { STORAGE_DRIVER: 'ftp' } }), /STORAGE_DRIVER must be one of local, s3/);
+        assert.throws(() => loadConfig({ env: { STORAGE_DRIVER: 's3' } }), /S3_BUCKET is required/);
+        assert.throws(() => loadConfig({ env: { STORAGE_DRIVER: 's3', S3_BUCKET: 'files' } }), /S3_SECRET_ACCESS_KEY are required/);
+        assert.throws(() => loadConfig({ env: { S3_ENDPOINT: 'minio:9000' } }), /S3_ENDPOINT must be an http or https URL/);
+        assert.throws(() => loadConfig({ env: { S3_FORCE_PATH_STYLE: 'maybe' } }), /S3_FORCE_PATH_STYLE must be true or false/);
+    });
+
+    it('takes S3 credentials from the AWS variables, and an empty prefix for the bucket root', () => {
+        const config = loadConfig({
+            env: {
+                STORAGE_DRIVER: 'S3',
+                S3_BUCKET: 'files',
+                S3_PREFIX: '',
+                AWS_REGION: 'eu-west-1',
+                AWS_ACCESS_KEY_ID: 'key',
+                AWS_SECRET_ACCESS_KEY: 'secret'
+            }
+        });
+        assert.strictEqual(config.STORAGE_DRIVER, 's3');
+        assert.strictEqual(config.S3_REGION, 'eu-west-1');
+        assert.strictEqual(config.S3_ACCESS_KEY_ID, 'key');
+        assert.strictEqual(config.S3_SECRET_ACCESS_KEY, 'secret');
+        assert.strictEqual(config.S3_PREFIX, '');
+        assert.strictEqual(config.S3_FORCE_PATH_STYLE, null);
+    });
+
+    it('reports every invalid setting at once', () => {
+        assert.throws(() => loadConfig({ env: { CLAMAV_PORT: 'x', S3_TIMEOUT_SECONDS: 'y' } }),
+            (error) => /CLAMAV_PORT/.test(error.message) && /S3_TIMEOUT_SECONDS/.test(error.message));
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { DerivedAssets } = require('../derived-assets');
+const { sniffContentType } = require('../safe-preview');
+
+// Storage holding a few pieces of content by hash
+const createStorage = (contents) => ({
+    get: async (hash) => Readable.from([contents.get(hash)])
+});
+
+describe('DerivedAssets', () => {
+    let dir;
+    let png;
+    const contents = new Map();
+
+    before(async () => {
+        png = await sharp({ create: { width: 64, height: 32, channels: 3, background: 'red' } }).png().toBuffer();
+        contents.set('png', png);
+        contents.set('pdf', Buffer.from('%PDF-1.4\n'));
+        contents.set('html', Buffer.from('<html><body>Not an image</body></html>'));
+    });
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'derived-'));
+    });
+
+    afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    // Assets from the given storage, with a pdftoppm that is not installed
+    const createAssets = async () => {
+        const assets = new DerivedAssets({ dir, storage: createStorage(contents), pdftoppm: path.join(dir, 'missing') });
+        await assets.init();
+        return assets;
+    };
+
+    // A stored file as the thumbnail route sees it
+    const fileOf = (hash, mimetype) => ({
+        contentHash: hash,
+        mimetype,
+        size: contents.get(hash).length,
+        sniffedType: sniffContentType(contents.get(hash))
+    });
+
+    it('thumbnails an image whatever type it was declared as', async () => {
+        const assets = await createAssets();
+        const thumbnail = await assets.getThumbnail(fileOf('png', 'application/pdf'), 'small');
+
+        const { format, width, height } = await sharp(thumbnail.path).metadata();
+        assert.strictEqual(format, 'webp');
+        assert.deepStrictEqual([width, height], [64, 32]);
+    });
+
+    it('renders PDFs as PDFs even when declared as images', async () => {
+        const assets = await createAssets();
+        // Only pdftoppm being missing stops it
+        await assert.rejects(assets.getThumbnail(fileOf('pdf', 'image/png'), 'small'), { status: 501 });
+    });
+
+    it('makes no thumbnail of other content declared as an image', async () => {
+        const assets = await createAssets();
+        await assert.rejects(assets.getThumbnail(fileOf('html', 'image/svg+xml'), 'small'), { status: 415 });
+        assert.deepStrictEqual(await fs.promises.readdir(dir), []);
+    });
+
+    it('keeps thumbnails until their content is removed', async () => {
+        const assets = await createAssets();
+        const first = await assets.getThumbnail(fileOf('png', 'image/png'), 'medium');
+        const again = await assets.getThumbnail(fileOf('png', 'image/png'), 'medium');
+        assert.strictEqual(again.createdAt, first.createdAt);
+
+        await assets.remove('png');
+        assert.strictEqual(await assets.stat(first.path), null);
+    });
+
+    it('caches documents, and failures the content is to blame for', async () => {
+        const assets = await createAssets();
+        let builds = 0;
+        const build = async () => {
+            builds++;
+            throw Object.assign(new Error('This archive expands too far to be read safely'), { status: 422 });
+        };
+
+        await assert.rejects(assets.getDocument('html', 'archive-index.json', build), { status: 422 });
+        await assert.rejects(assets.getDocument('html', 'archive-index.json', build),
+            { status: 422, message: /expands too far/ });
+        assert.strictEqual(builds, 1);
+
+        assert.deepStrictEqual(await assets.getDocument('png', 'archive-index.json', async () => ({ entries: [] })),
+            { entries: [] });
+        assert.deepStrictEqual(await assets.getDocument('png', 'archive-index.json', build), { entries: [] });
+        assert.strictEqual(builds, 1);
+    });
+
+    it('tries again after failures of its own', async () => {
+        const assets = await createAssets();
+        let builds = 0;
+        const build = async () => {
+            builds++;
+            if (builds === 1) throw new Error('Storage is unreachable');
+            return { entries: [] };
+        };
+
+        await assert.rejects(assets.getDocument('png', 'archive-index.json', build), /unreachable/);
+        assert.deepStrictEqual(await assets.getDocument('png', 'archive-index.json', build), { entries: [] });
+        assert.strictEqual(builds, 2);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const EventChannels = require('../event-channels');
+
+describe('EventChannels', () => {
+    let channels;
+    let server;
+    let port;
+    const requests = new Set();
+
+    before(async () => {
+        const app = express();
+        // The client is named in the query string, standing in for req.ip
+        app.get('/events/:key', (req, res) => {
+            if (channels.open(req.params.key, res, req.query.client)) {
+                channels.sendTo(res, 'hello', { key: req.params.key });
+            }
+        });
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        port = server.address().port;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => {
+        for (const req of requests) {
+            req.destroy();
+        }
+        requests.clear();
+    });
+
+    // Open a stream and resolve with its response once the first event or an
+    // error arrives
+    const connect = (key, client) => new Promise((resolve, reject) => {
+        const req = http.get({ port, host: '127.0.0.1', path: `/events/${key}?client=${client}`, agent: false }, (res) => {
+            res.setEncoding('utf8');
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+                if (res.statusCode !== 200 || body.includes('event: hello')) resolve({ status: res.statusCode, req, body });
+            });
+            res.on('end', () => resolve({ status: res.statusCode, req, body }));
+        });
+        req.on('error', reject);
+        requests.add(req);
+    });
+
+    // Streams are only let go once the server sees the connection close
+    const disconnect = async ({ req }) => {
+        req.destroy();
+        requests.delete(req);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    };
+
+    it('limits how many streams one client may hold open', async () => {
+        channels = new EventChannels({ maxConnections: 10, maxPerClient: 2 });
+        const first = await connect('a', '10.0.0.1');
+        await connect('b', '10.0.0.1');
+
+        const refused = await connect('c', '10.0.0.1');
+        assert.strictEqual(refused.status, 429);
+        assert.match(refused.body, /Too many live connections from your address/);
+
+        // Other clients are not held back by it
+        assert.strictEqual((await connect('c', '10.0.0.2')).status, 200);
+
+        await disconnect(first);
+        assert.strictEqual((await connect('c', '10.0.0.1')).status, 200);
+    });
+
+    it('frees a client\'s streams when their channel is closed', async () => {
+        channels = new EventChannels({ maxConnections: 10, maxPerClient: 2 });
+        await connect('a', '10.0.0.1');
+        await connect('a', '10.0.0.1');
+
+        channels.close('a', 'removed', {});
+        assert.strictEqual(channels.clients.size, 0);
+        assert.strictEqual((await connect('b', '10.0.0.1')).status, 200);
+    });
+
+    it('still limits streams from everyone together', async () => {
+        channels = new EventChannels({ maxConnections: 2, maxPerClient: 2 });
+        await connect('a', '10.0.0.1');
+        await connect('a', '10.0.0.2');
+
+        assert.strictEqual((await connect('a', '10.0.0.3')).status, 503);
+    });
+
+    it('forgets clients once their streams have all closed', async () => {
+        channels = new EventChannels({ maxConnections: 10, maxPerClient: 2 });
+        const stream = await connect('a', '10.0.0.1');
+        assert.strictEqual(channels.clients.get('10.0.0.1'), 1);
+
+        await disconnect(stream);
+        assert.strictEqual(channels.clients.size, 0);
+        assert.strictEqual(channels.connections, 0);
+    });
+});
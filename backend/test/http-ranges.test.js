@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const express = require('express');
+const { evaluateRequest, sendFileResponse } = require('../http-ranges');
+
+// 26 bytes, so every offset maps to a distinct letter
+const CONTENT = Buffer.from('abcdefghijklmnopqrstuvwxyz');
+const ETAG = '"v1"';
+const LAST_MODIFIED = Date.parse('2024-03-01T12:00:00Z');
+
+const entity = { size: CONTENT.length, etag: ETAG, lastModified: LAST_MODIFIED, contentType: 'application/octet-stream' };
+
+describe('http-ranges', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.get('/file', async (req, res) => {
+            const result = evaluateRequest(req, entity);
+            const openRange = async (start, end) => Readable.from([CONTENT.subarray(start, end + 1)]);
+            await sendFileResponse(req, res, openRange, result, entity);
+        });
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/file`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const get = async (headers = {}, method = 'GET') => {
+        const response = await fetch(baseUrl, { method, headers });
+        return { response, body: Buffer.from(await response.arrayBuffer()) };
+    };
+
+    it('sends the whole file without a Range header', async () => {
+        const { response, body } = await get();
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+        assert.strictEqual(response.headers.get('content-length'), '26');
+        assert.deepStrictEqual(body, CONTENT);
+    });
+
+    describe('single ranges', () => {
+        const cases = [
+            ['bytes=0-0', 0, 0, 'a'],
+            ['bytes=0-4', 0, 4, 'abcde'],
+            ['bytes=10-', 10, 25, 'klmnopqrstuvwxyz'],
+            ['bytes=-3', 23, 25, 'xyz'],
+            // Ends past the file are clamped to its last byte
+            ['bytes=24-100', 24, 25, 'yz'],
+            ['bytes=25-25', 25, 25, 'z'],
+            // Suffixes longer than the file cover all of it
+            ['bytes=-100', 0, 25, CONTENT.toString()]
+        ];
+
+        for (const [range, start, end, expected] of cases) {
+            it(`answers ${range} with bytes ${start}-${end}`, async () => {
+                const { response, body } = await get({ Range: range });
+                assert.strictEqual(response.status, 206);
+                assert.strictEqual(response.headers.get('content-range'), `bytes ${start}-${end}/26`);
+                assert.strictEqual(response.headers.get('content-length'), String(end - start + 1));
+                assert.strictEqual(response.headers.get('content-type'), 'application/octet-stream');
+                assert.strictEqual(body.toString(), expected);
+            });
+        }
+
+        it('ignores Range for HEAD', async () => {
+            const response = await fetch(baseUrl, { method: 'HEAD', headers: { Range: 'bytes=0-4' } });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('content-length'), '26');
+        });
+    });
+
+    describe('multiple ranges', () => {
+        const parseMultipart = (response, body) => {
+            const match = /^multipart\/byteranges; boundary=(\S+)$/.exec(response.headers.get('content-type'));
+            assert.ok(match, 'multipart content type');
+            return { boundary: match[1], text: body.toString('latin1') };
+        };
+
+        it('sends each range as a part, with an exact Content-Length', async () => {
+            const { response, body } = await get({ Range: 'bytes=0-2, 10-12, -2' });
+            assert.strictEqual(response.status, 206);
+            const { boundary, text } = parseMultipart(response, body);
+
+            const part = (start, end) =>
+                `--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes ${start}-${end}/26\r\n\r\n` +
+                CONTENT.subarray(start, end + 1).toString();
+            const expected = `${part(0, 2)}\r\n${part(10, 12)}\r\n${part(24, 25)}\r\n--${boundary}--\r\n`;
+
+            assert.strictEqual(text, expected);
+            assert.strictEqual(response.headers.get('content-length'), String(body.length));
+        });
+
+        it('leaves out unsatisfiable ranges', async () => {
+            const { response, body } = await get({ Range: 'bytes=0-0, 50-60, 25-' });
+            assert.strictEqual(response.status, 206);
+            const { boundary, text } = parseMultipart(response, body);
+            assert.match(text, /Content-Range: bytes 0-0\/26\r\n\r\na\r\n/);
+            assert.match(text, /Content-Range: bytes 25-25\/26\r\n\r\nz\r\n/);
+            assert.doesNotMatch(text, /bytes 50/);
+            assert.ok(text.endsWith(`--${boundary}--\r\n`));
+        });
+
+        it('sends a single part when only one range is satisfiable', async () => {
+            const { response, body } = await get({ Range: 'bytes=3-4, 40-50' });
+            assert.strictEqual(response.status, 206);
+            assert.strictEqual(response.headers.get('content-range'), 'bytes 3-4/26');
+            assert.strictEqual(body.toString(), 'de');
+        });
+
+        it('sends the whole file for more than 20 ranges', async () => {
+            const ranges = Array.from({ length: 21 }, (_, index) => `${index}-${index}`).join(',');
+            const { response, body } = await get({ Range: `bytes=${ranges}` });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(body, CONTENT);
+        });
+    });
+
+    describe('unsatisfiable and malformed ranges', () => {
+        for (const range of ['bytes=26-', 'bytes=26-30', 'bytes=100-200', 'bytes=-0']) {
+            it(`answers ${range} with 416`, async () => {
+                const { response, body } = await get({ Range: range });
+                assert.strictEqual(response.status, 416);
+                assert.strictEqual(response.headers.get('content-range'), 'bytes */26');
+                assert.strictEqual(body.length, 0);
+            });
+        }
+
+        // Servers ignore Range headers they cannot parse
+        for (const range of ['bytes=5-2', 'bytes=-', 'bytes=a-b', 'items=0-4', 'bytes=0-4;x']) {
+            it(`ignores ${range}`, async () => {
+                const { response, body } = await get({ Range: range });
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(body, CONTENT);
+            });
+        }
+    });
+
+    describe('If-Range', () => {
+        it('honours Range when the entity tag matches', async () => {
+            const { response, body } = await get({ Range: 'bytes=0-1', 'If-Range': ETAG });
+            assert.strictEqual(response.status, 206);
+            assert.strictEqual(body.toString(), 'ab');
+        });
+
+        it('sends the whole file when the entity tag differs', async () => {
+            const { response, body } = await get({ Range: 'bytes=0-1', 'If-Range': '"v0"' });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(body, CONTENT);
+        });
+
+        it('never matches a weak entity tag', async () => {
+            const { response } = await get({ Range: 'bytes=0-1', 'If-Range': `W/${ETAG}` });
+            assert.strictEqual(response.status, 200);
+        });
+
+        it('honours Range when the date matches Last-Modified', async () => {
+            const { response, body } = await get({ Range: 'bytes=0-1', 'If-Range': new Date(LAST_MODIFIED).toUTCString() });
+            assert.strictEqual(response.status, 206);
+            assert.strictEqual(body.toString(), 'ab');
+        });
+
+        it('sends the whole file when the date differs', async () => {
+            const { response } = await get({ Range: 'bytes=0-1', 'If-Range': new Date(LAST_MODIFIED - 1000).toUTCString() });
+            assert.strictEqual(response.status, 200);
+        });
+    });
+
+    describe('conditional requests', () => {
+        it('answers a matching If-None-Match with 304 and no body', async () => {
+            const { response, body } = await get({ 'If-None-Match': ETAG });
+            assert.strictEqual(response.status, 304);
+            assert.strictEqual(response.headers.get('etag'), ETAG);
+            assert.strictEqual(body.length, 0);
+        });
+
+        it('compares If-None-Match weakly and accepts lists and *', async () => {
+            for (const header of [`W/${ETAG}`, `"other", ${ETAG}`, '*']) {
+                const { response } = await get({ 'If-None-Match': header });
+                assert.strictEqual(response.status, 304, header);
+            }
+        });
+
+        it('takes 304 over Range', async () => {
+            const { response } = await get({ 'If-None-Match': ETAG, Range: 'bytes=0-1' });
+            assert.strictEqual(response.status, 304);
+        });
+
+        it('sends the file when If-None-Match does not match', async () => {
+            const { response } = await get({ 'If-None-Match': '"other"' });
+            assert.strictEqual(response.status, 200);
+        });
+
+        it('answers If-Modified-Since at or after Last-Modified with 304', async () => {
+            for (const offset of [0, 999, 60 * 1000]) {
+                const { response } = await get({ 'If-Modified-Since': new Date(LAST_MODIFIED + offset).toUTCString() });
+                assert.strictEqual(response.status, 304, String(offset));
+            }
+        });
+
+        it('sends the file when modified since the given date', async () => {
+            const { response } = await get({ 'If-Modified-Since': new Date(LAST_MODIFIED - 1000).toUTCString() });
+            assert.strictEqual(response.status, 200);
+        });
+
+        it('ignores If-Modified-Since when If-None-Match is present', async () => {
+            const { response } = await get({
+                'If-None-Match': '"other"',
+                'If-Modified-Since': new Date(LAST_MODIFIED).toUTCString()
+            });
+            assert.strictEqual(response.status, 200);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const MetadataStore = require('../metadata-store');
+
+const FILE_ID = 'a'.repeat(32);
+const CONTENT_HASH = 'c'.repeat(64);
+
+describe('MetadataStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metadata-'));
+    });
+
+    afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    it('rebuilds its records from the snapshot and journal', async () => {
+        const store = new MetadataStore(dir);
+        await store.load();
+        await store.set(FILE_ID, { size: 1 });
+        await store.set('other', { size: 2 });
+        await store.delete('other');
+        // A crash mid-write leaves a torn last line
+        await fs.promises.appendFile(path.join(dir, 'metadata.journal'), '{"op":"set","id":"torn"');
+
+        const reloaded = new MetadataStore(dir);
+        await reloaded.load();
+        assert.deepStrictEqual(Array.from(reloaded.entries()), [[FILE_ID, { size: 1 }]]);
+    });
+
+    it('refuses to load a snapshot it cannot parse, and leaves it be', async () => {
+        const snapshotPath = path.join(dir, 'metadata.json');
+        const truncated = JSON.stringify({ [FILE_ID]: { size: 1 } }).slice(0, -5);
+        await fs.promises.writeFile(snapshotPath, truncated);
+
+        await assert.rejects(new MetadataStore(dir).load(), /Could not read metadata snapshot/);
+        assert.strictEqual(await fs.promises.readFile(snapshotPath, 'utf8'), truncated);
+    });
+
+    it('refuses to load a journal it cannot read', async () => {
+        await fs.promises.writeFile(path.join(dir, 'metadata.json'), JSON.stringify({ [FILE_ID]: { size: 1 } }));
+        // Reading a directory fails with EISDIR, standing in for EACCES or EIO
+        await fs.promises.mkdir(path.join(dir, 'metadata.journal'));
+
+        await assert.rejects(new MetadataStore(dir).load(), /Could not read metadata journal/);
+        assert.match(await fs.promises.readFile(path.join(dir, 'metadata.json'), 'utf8'), new RegExp(FILE_ID));
+    });
+
+    it('keeps the server from starting, and from deleting stored files, over a corrupt snapshot', async () => {
+        // A bucket holding one stored file, noting every request made of it
+        const requests = [];
+        const bucket = http.createServer((req, res) => {
+            requests.push(`${req.method} ${req.url}`);
+            res.end();
+        });
+        await new Promise(resolve => bucket.listen(0, '127.0.0.1', resolve));
+
+        const dataDir = path.join(dir, 'data');
+        await fs.promises.mkdir(dataDir);
+        const snapshotPath = path.join(dataDir, 'metadata.json');
+        await fs.promises.writeFile(snapshotPath, `{"${FILE_ID}":{"contentHash":"${CONTENT_HASH}"`);
+
+        try {
+            const exitCode = await new Promise((resolve) => {
+                execFile(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+                    env: {
+                        PATH: process.env.PATH,
+                        DATA_DIR: dataDir,
+                        DERIVED_DIR: path.join(dir, 'derived'),
+                        STORAGE_DRIVER: 's3',
+                        S3_BUCKET: 'files',
+                        S3_ENDPOINT: `http://127.0.0.1:${bucket.address().port}`,
+                        S3_ACCESS_KEY_ID: 'key',
+                        S3_SECRET_ACCESS_KEY: 'secret'
+                    },
+                    timeout: 30 * 1000
+                }, (error) => resolve(error ? error.code : 0));
+            });
+
+            assert.strictEqual(exitCode, 1);
+            assert.deepStrictEqual(requests.filter(request => !request.startsWith('HEAD ')), []);
+            assert.match(await fs.promises.readFile(snapshotPath, 'utf8'), new RegExp(CONTENT_HASH));
+        } finally {
+            await new Promise(resolve => bucket.close(resolve));
+        }
+    });
+});
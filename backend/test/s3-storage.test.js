@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const S3Storage = require('../s3-storage');
+
+const BUCKET = 'test-bucket';
+const CREDENTIALS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret' };
+
+const escapeXml = (value) => value
+.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// Just enough of the S3 API, path-style, to exercise the driver: objects live
+// in a Map, listings come back two keys per page, and keys in a "stall/"
+// directory never get an answer
+const createMockS3 = () => {
+    const objects = new Map();
+    const requests = [];
+
+    const sendError = (res, status, code) => {
+        res.writeHead(status, { 'content-type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = rest.map(decodeURIComponent).join('/');
+        requests.push({ method: req.method, key, headers: req.headers });
+
+        if (!/^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=\S+, Signature=[a-f0-9]{64}$/
+        .test(req.headers.authorization || '')) {
+            return sendError(res, 403, 'AccessDenied');
+        }
+        if (bucket !== BUCKET) return sendError(res, 404, 'NoSuchBucket');
+        if (/(^|\/)stall\//.test(key)) return;
+
+        if (!key) {
+            if (req.method === 'HEAD') return res.end();
+            const prefix = url.searchParams.get('prefix') || '';
+            const keys = Array.from(objects.keys()).filter(name => name.startsWith(prefix)).sort();
+            const start = Number(url.searchParams.get('continuation-token') || 0);
+            const page = keys.slice(start, start + 2);
+            const truncated = start + 2 < keys.length;
+            res.writeHead(200, { 'content-type': 'application/xml' });
+            return res.end('<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+                page.map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).body.length}</Size></Contents>`).join('') +
+                `<IsTruncated>${truncated}</IsTruncated>` +
+                (truncated ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '') +
+                '</ListBucketResult>');
+        }
+
+        const object = objects.get(key);
+        switch (req.method) {
+            case 'PUT': {
+                const body = await readStream(req);
+                objects.set(key, { body, lastModified: new Date('2024-03-01T12:00:00Z') });
+                return res.end();
+            }
+            case 'DELETE':
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            case 'HEAD':
+            case 'GET': {
+                if (!object) return sendError(res, 404, 'NoSuchKey');
+                const headers = { 'last-modified': object.lastModified.toUTCString() };
+                const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+                if (range) {
+                    const start = Number(range[1]);
+                    const end = range[2] ? Number(range[2]) : object.body.length - 1;
+                    res.writeHead(206, { ...headers, 'content-length': end - start + 1 });
+                    return res.end(req.method === 'GET' ? object.body.subarray(start, end + 1) : undefined);
+                }
+                res.writeHead(200, { ...headers, 'content-length': object.body.length });
+                return res.end(req.method === 'GET' ? object.body : undefined);
+            }
+            default:
+                return sendError(res, 405, 'MethodNotAllowed');
+        }
+    });
+
+    return { server, objects, requests };
+};
+
+describe('S3Storage', () => {
+    let mock;
+    let endpoint;
+
+    const createStorage = (options = {}) => new S3Storage({ bucket: BUCKET, endpoint, ...CREDENTIALS, ...options });
+
+    before(async () => {
+        mock = createMockS3();
+        await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${mock.server.address().port}`;
+    });
+
+    after(() => {
+        mock.server.closeAllConnections();
+        return new Promise(resolve => mock.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        mock.objects.clear();
+        mock.requests.length = 0;
+    });
+
+    it('checks the bucket on init', async () => {
+        await createStorage().init();
+        await assert.rejects(createStorage({ bucket: 'missing' }).init(), /not accessible \(HTTP 404\)/);
+    });
+
+    it('stores objects under a dedicated prefix by default', async () => {
+        await createStorage().put('a'.repeat(64), Readable.from([Buffer.from('hello')]), 5);
+        assert.deepStrictEqual(Array.from(mock.objects.keys()), [`cosmic-uploads/${'a'.repeat(64)}`]);
+    });
+
+    it('keeps to a configured prefix, or the bucket root when it is empty', async () => {
+        await createStorage({ prefix: 'team/' }).put('one', Readable.from([Buffer.from('1')]), 1);
+        await createStorage({ prefix: '' }).put('two', Readable.from([Buffer.from('2')]), 1);
+        assert.deepStrictEqual(Array.from(mock.objects.keys()).sort(), ['team/one', 'two']);
+    });
+
+    it('signs every request', async () => {
+        const storage = createStorage({ sessionToken: 'token' });
+        await storage.put('key', Readable.from([Buffer.from('x')]), 1);
+        const { headers } = mock.requests[0];
+        assert.strictEqual(headers['x-amz-content-sha256'], 'UNSIGNED-PAYLOAD');
+        assert.strictEqual(headers['x-amz-security-token'], 'token');
+        assert.match(headers.authorization, /SignedHeaders=content-length;host;x-amz-content-sha256;x-amz-date;x-amz-security-token,/);
+    });
+
+    it('reads back whole objects and byte ranges', async () => {
+        const storage = createStorage();
+        const content = Buffer.from('abcdefghijklmnopqrstuvwxyz');
+        await storage.put('letters', Readable.from([content]), content.length);
+
+        assert.deepStrictEqual(await readStream(await storage.get('letters')), content);
+        assert.strictEqual((await readStream(await storage.get('letters', { start: 0, end: 0 }))).toString(), 'a');
+        assert.strictEqual((await readStream(await storage.get('letters', { start: 23, end: 25 }))).toString(), 'xyz');
+        assert.strictEqual((await readStream(await storage.get('letters', { start: 20 }))).toString(), 'uvwxyz');
+        assert.strictEqual(mock.requests.at(-1).headers.range, 'bytes=20-');
+    });
+
+    it('encodes keys that need it', async () => {
+        const storage = createStorage();
+        const key = "dir/a b+c(1)!*'";
+        await storage.put(key, Readable.from([Buffer.from('x')]), 1);
+        assert.ok(mock.objects.has(`cosmic-uploads/${key}`));
+        assert.strictEqual((await readStream(await storage.get(key))).toString(), 'x');
+    });
+
+    it('reports missing objects', async () => {
+        const storage = createStorage();
+        await assert.rejects(storage.get('missing'), { code: 'ENOENT' });
+        assert.strictEqual(await storage.stat('missing'), null);
+        // Deleting what is not there is not an error
+        await storage.delete('missing');
+    });
+
+    it('stats and deletes objects', async () => {
+        const storage = createStorage();
+        await storage.put('key', Readable.from([Buffer.from('12345')]), 5);
+        assert.deepStrictEqual(await storage.stat('key'), {
+            size: 5,
+            lastModified: Date.parse('2024-03-01T12:00:00Z')
+        });
+        await storage.delete('key');
+        assert.strictEqual(mock.objects.size, 0);
+    });
+
+    it('lists every page of objects under its prefix, without the prefix', async () => {
+        const storage = createStorage();
+        for (const key of ['a', 'b', 'c', 'd', 'e&f']) {
+            await storage.put(key, Readable.from([Buffer.from(key)]), key.length);
+        }
+        mock.objects.set('elsewhere', { body: Buffer.from('x') });
+
+        const listed = [];
+        for await (const entry of storage.list()) {
+            listed.push(entry);
+        }
+        assert.deepStrictEqual(listed, [
+            { key: 'a', size: 1 },
+            { key: 'b', size: 1 },
+            { key: 'c', size: 1 },
+            { key: 'd', size: 1 },
+            { key: 'e&f', size: 3 }
+        ]);
+    });
+
+    it('uploads a local file and removes it', async (t) => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 's3-storage-'));
+        t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+        const filePath = path.join(dir, 'upload');
+        await fs.promises.writeFile(filePath, 'file content');
+
+        await createStorage().putFile('file', filePath);
+        assert.strictEqual(mock.objects.get('cosmic-uploads/file').body.toString(), 'file content');
+        await assert.rejects(fs.promises.stat(filePath), { code: 'ENOENT' });
+    });
+
+    it('turns error responses into errors with the S3 code', async () => {
+        const storage = createStorage({ accessKeyId: 'other' });
+        await assert.rejects(storage.get('key'), { message: 'S3 download failed: AccessDenied', statusCode: 403 });
+        await assert.rejects(storage.delete('key'), { message: 'S3 delete failed: AccessDenied' });
+    });
+
+    it('rejects requests to a server that stops answering', async () => {
+        const storage = createStorage({ timeout: 200 });
+        const started = Date.now();
+        await assert.rejects(storage.get('stall/key'), { code: 'ETIMEDOUT' });
+        await assert.rejects(storage.put('stall/key', Readable.from([Buffer.from('x')]), 1), { code: 'ETIMEDOUT' });
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('lets a downloaded body sit unread for longer than the timeout', async () => {
+        const storage = createStorage({ timeout: 200 });
+        const content = Buffer.alloc(4 * 1024 * 1024, 'x');
+        await storage.put('large', Readable.from([content]), content.length);
+
+        const stream = await storage.get('large');
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.strictEqual((await readStream(stream)).length, content.length);
+    });
+});
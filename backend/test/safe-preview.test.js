@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SNIFF_LENGTH, sniffContentType, getPreviewType, setPreviewHeaders } = require('../safe-preview');
+
+const TEXT_TYPE = 'text/plain; charset=utf-8';
+
+// Minimal valid-looking headers of formats that are served as themselves
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0]);
+const GIF = Buffer.from('GIF89a\x01\x00\x01\x00\x80\x00\x00', 'latin1');
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom\0\0\0\0isommp41')]);
+
+const SCRIPT = '<script>fetch("/api/account").then(r => r.text()).then(alert)</script>';
+
+// What a file is served as, end to end, for a declared type and its content
+const previewOf = (declaredType, content, nameType) =>
+    getPreviewType(declaredType, sniffContentType(Buffer.from(content).subarray(0, SNIFF_LENGTH)), nameType);
+
+describe('safe-preview', () => {
+    describe('sniffContentType', () => {
+        const cases = [
+            ['PNG', PNG, 'image/png'],
+            ['JPEG', JPEG, 'image/jpeg'],
+            ['GIF', GIF, 'image/gif'],
+            ['PDF', PDF, 'application/pdf'],
+            ['MP4', MP4, 'video/mp4'],
+            ['WebP', Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1'), 'image/webp'],
+            ['WAV', Buffer.from('RIFF\x10\x00\x00\x00WAVEfmt ', 'latin1'), 'audio/wav'],
+            ['zip', Buffer.from('PK\x03\x04\x14\x00', 'latin1'), 'application/zip'],
+            ['plain text', 'Just some notes\nwith two lines', 'text/plain'],
+            ['JSON', '{"html": "<script>"}', 'text/plain'],
+            ['empty content', '', 'text/plain'],
+            ['UTF-16 text', Buffer.from('\uFEFF<html><script>', 'utf16le'), 'text/plain'],
+            ['binary data', Buffer.from([0x01, 0x02, 0x03, 0x04, 0x00, 0xff]), 'application/octet-stream'],
+            ['HTML', `<!DOCTYPE html><html>${SCRIPT}`, 'text/html'],
+            ['HTML after whitespace and a BOM', `\uFEFF \n\t<HTML>${SCRIPT}`, 'text/html'],
+            ['a bare script tag', SCRIPT, 'text/html'],
+            ['an HTML comment', `<!-- note -->${SCRIPT}`, 'text/html'],
+            ['SVG', '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>', 'image/svg+xml'],
+            ['SVG after an XML declaration', '<?xml version="1.0"?>\n<svg onload="alert(1)">', 'image/svg+xml'],
+            ['XML', '<?xml version="1.0"?><x:script xmlns:x="http://www.w3.org/1999/xhtml">alert(1)</x:script>', 'text/xml'],
+            // "BM" starts plenty of text; only a real bitmap header counts
+            ['text starting with BM', 'BMW owners club\n', 'text/plain']
+        ];
+
+        for (const [name, content, expected] of cases) {
+            it(`recognises ${name} as ${expected}`, () => {
+                assert.strictEqual(sniffContentType(Buffer.from(content)), expected);
+            });
+        }
+    });
+
+    describe('malicious payloads', () => {
+        // Whatever they are declared as, none of these may come back as a type
+        // a browser would run script in
+        const payloads = [
+            ['an HTML page', `<!doctype html><html><body>${SCRIPT}</body></html>`],
+            ['HTML in upper case', `<HTML><BODY><SCRIPT>alert(1)</SCRIPT>`],
+            ['HTML behind leading blank lines', `\n\n\n   <html>${SCRIPT}`],
+            ['HTML that only starts past the sniffed bytes', `${'a'.repeat(SNIFF_LENGTH)}<html>${SCRIPT}`],
+            ['an SVG with an onload handler', '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(document.domain)"></svg>'],
+            ['an SVG with a script element', '<svg><script>alert(1)</script></svg>'],
+            ['an SVG behind text', `just a picture\n<svg><script>alert(1)</script></svg>`],
+            ['an XHTML document', `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml">${SCRIPT}</html>`],
+            ['an XML stylesheet', '<?xml version="1.0"?><?xml-stylesheet type="text/xsl" href="data:,"?><x/>'],
+            ['a JavaScript file', 'alert(document.cookie)'],
+            ['UTF-16 HTML', Buffer.from(`\uFEFF<html>${SCRIPT}`, 'utf16le')]
+        ];
+        const declaredTypes = ['text/html', 'image/svg+xml', 'text/xml', 'application/xhtml+xml', 'text/plain',
+            'image/png', 'application/json', 'text/html; charset=utf-8'];
+
+        for (const [name, content] of payloads) {
+            it(`serves ${name} as plain text, whatever it is declared as`, () => {
+                for (const declared of declaredTypes) {
+                    const preview = previewOf(declared, content, 'text/plain');
+                    assert.deepStrictEqual(preview, { contentType: TEXT_TYPE, inline: true }, declared);
+                }
+            });
+        }
+
+        // Polyglots: valid files of a passive type that also hold markup. They
+        // are served as what their content starts as, and nosniff keeps the
+        // browser from looking any further.
+        const polyglots = [
+            ['a GIF with HTML after its header', Buffer.concat([GIF, Buffer.from(`<html>${SCRIPT}`)]), 'image/gif'],
+            ['a PNG with an SVG after its header', Buffer.concat([PNG, Buffer.from('<svg onload="alert(1)">')]), 'image/png'],
+            ['a JPEG with HTML in a comment', Buffer.concat([JPEG, Buffer.from([0xff, 0xfe]), Buffer.from(SCRIPT)]), 'image/jpeg'],
+            ['a PDF with HTML after its header', Buffer.concat([PDF, Buffer.from(`<html>${SCRIPT}`)]), 'application/pdf']
+        ];
+
+        for (const [name, content, expected] of polyglots) {
+            it(`serves ${name} as ${expected}`, () => {
+                for (const declared of ['text/html', 'image/svg+xml', expected]) {
+                    assert.deepStrictEqual(previewOf(declared, content), { contentType: expected, inline: true }, declared);
+                }
+            });
+        }
+
+        it('does not let markup hide behind binary bytes', () => {
+            const content = Buffer.concat([Buffer.from('<html>'), Buffer.from([0x01, 0x02]), Buffer.from(SCRIPT)]);
+            assert.deepStrictEqual(previewOf('text/html', content), { contentType: 'application/octet-stream', inline: false });
+        });
+    });
+
+    describe('declared type not matching the content', () => {
+        it('serves content as the type it turns out to be', () => {
+            assert.deepStrictEqual(previewOf('image/jpeg', PNG), { contentType: 'image/png', inline: true });
+            assert.deepStrictEqual(previewOf('text/plain', PDF), { contentType: 'application/pdf', inline: true });
+            assert.deepStrictEqual(previewOf('application/pdf', GIF), { contentType: 'image/gif', inline: true });
+        });
+
+        it('serves text declared as an image as text', () => {
+            assert.deepStrictEqual(previewOf('image/png', 'not a picture'), { contentType: TEXT_TYPE, inline: true });
+        });
+
+        it('serves unrecognised binary data as a download', () => {
+            const content = Buffer.from([0x00, 0x01, 0x02, 0x03]);
+            assert.deepStrictEqual(previewOf('image/png', content), { contentType: 'application/octet-stream', inline: false });
+            assert.deepStrictEqual(previewOf('text/plain', content), { contentType: 'application/octet-stream', inline: false });
+        });
+
+        it('serves archives declared as something previewable as a download', () => {
+            const zip = Buffer.from('PK\x03\x04\x14\x00\x00\x00', 'latin1');
+            assert.deepStrictEqual(previewOf('image/png', zip), { contentType: 'application/octet-stream', inline: false });
+        });
+
+        it('only takes the declared type to tell audio from video in the same container', () => {
+            const ogg = Buffer.from('OggS\x00\x02', 'latin1');
+            assert.deepStrictEqual(previewOf('video/ogg', ogg), { contentType: 'video/ogg', inline: true });
+            assert.deepStrictEqual(previewOf('audio/ogg', ogg), { contentType: 'audio/ogg', inline: true });
+            assert.deepStrictEqual(previewOf('text/html', ogg), { contentType: 'audio/ogg', inline: true });
+        });
+
+        it('does not preview what was neither declared nor named as previewable', () => {
+            assert.strictEqual(previewOf('application/octet-stream', PNG), null);
+            assert.strictEqual(previewOf('application/zip', 'plain text'), null);
+            assert.strictEqual(previewOf('', 'plain text'), null);
+            assert.strictEqual(previewOf(undefined, PNG), null);
+        });
+
+        it('previews files whose name implies a previewable type', () => {
+            assert.deepStrictEqual(previewOf('application/octet-stream', PNG, 'image/png'), { contentType: 'image/png', inline: true });
+            assert.deepStrictEqual(previewOf('application/octet-stream', `<html>${SCRIPT}`, 'text/html'),
+                { contentType: TEXT_TYPE, inline: true });
+        });
+    });
+
+    describe('setPreviewHeaders', () => {
+        const headersFor = () => {
+            const headers = {};
+            setPreviewHeaders({ setHeader: (name, value) => { headers[name.toLowerCase()] = value; } });
+            return headers;
+        };
+
+        it('sandboxes the document and blocks every subresource and script', () => {
+            const directives = headersFor()['content-security-policy'].split(';').map(part => part.trim());
+            assert.ok(directives.includes('sandbox'), 'bare sandbox, with no allow-scripts or allow-same-origin');
+            assert.ok(directives.includes("default-src 'none'"));
+            assert.ok(!directives.some(directive => /^script-src/.test(directive)));
+        });
+
+        it('turns off MIME sniffing', () => {
+            assert.strictEqual(headersFor()['x-content-type-options'], 'nosniff');
+        });
+
+        it('lets the frontend embed previews from its own origin', () => {
+            assert.strictEqual(headersFor()['cross-origin-resource-policy'], 'cross-origin');
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const MetadataStore = require('../metadata-store');
+const ScanQueue = require('../scan-queue');
+
+// Storage holding a few pieces of content by hash
+const createStorage = (contents) => ({
+    get: async (hash) => {
+        if (!contents.has(hash)) {
+            throw Object.assign(new Error(`Object not found: ${hash}`), { code: 'ENOENT' });
+        }
+        return Readable.from([Buffer.from(contents.get(hash))]);
+    }
+});
+
+// Scanner that answers by content, the way the ClamAV scanner does:
+//   "EICAR"      infected
+//   "broken"     rejects, as when clamd reports an error
+//   "slow"       rejects after a while, as when clamd does not answer in time
+//   "flaky"      rejects on the first try, then finds it clean
+//   anything else is clean
+const createScanner = () => {
+    const scanned = [];
+    const attempts = new Map();
+    return {
+        name: 'fake',
+        scanned,
+        async scan(stream) {
+            let content = '';
+            for await (const chunk of stream) {
+                content += chunk;
+            }
+            scanned.push(content);
+            attempts.set(content, (attempts.get(content) || 0) + 1);
+
+            if (content.includes('EICAR')) return { infected: true, signature: 'Eicar-Test-Signature' };
+            if (content === 'broken') throw new Error('ClamAV error: INSTREAM size limit exceeded.');
+            if (content === 'slow') {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                throw new Error('ClamAV did not answer in time');
+            }
+            if (content === 'flaky' && attempts.get(content) === 1) throw new Error('connect ECONNREFUSED');
+            return { infected: false, signature: null };
+        }
+    };
+};
+
+describe('ScanQueue', () => {
+    let dir;
+    let results;
+    let scanner;
+    let keepAlive;
+
+    const contents = new Map([
+        ['clean', 'a holiday photo'],
+        ['infected', 'X5O!P%@AP EICAR test'],
+        ['broken', 'broken'],
+        ['slow', 'slow'],
+        ['flaky', 'flaky']
+    ]);
+
+    const createQueue = async (options = {}) => {
+        const queue = new ScanQueue({
+            store: new MetadataStore(dir, 'scans'),
+            scanner,
+            storage: createStorage(contents),
+            maxAttempts: 3,
+            retryDelay: 5,
+            onResult: (hash, result) => results.emit(hash, result),
+            ...options
+        });
+        await queue.load();
+        return queue;
+    };
+
+    // Resolves with the next result reported for a hash
+    const nextResult = (hash) => new Promise(resolve => results.once(hash, resolve));
+
+    // Retries wait on unref'd timers, which alone would let the process exit
+    before(() => {
+        keepAlive = setInterval(() => {}, 1000);
+    });
+
+    after(() => clearInterval(keepAlive));
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scan-queue-'));
+        results = new EventEmitter();
+        scanner = createScanner();
+    });
+
+    afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    it('marks clean content clean', async () => {
+        const queue = await createQueue();
+        const result = nextResult('clean');
+        assert.strictEqual((await queue.enqueue('clean')).status, 'pending');
+
+        assert.deepStrictEqual(await result, queue.get('clean'));
+        assert.strictEqual(queue.get('clean').status, 'clean');
+        assert.strictEqual(queue.get('clean').scanner, 'fake');
+        assert.strictEqual(queue.get('clean').signature, undefined);
+    });
+
+    it('quarantines infected content with its signature', async () => {
+        const queue = await createQueue();
+        const result = nextResult('infected');
+        await queue.enqueue('infected');
+
+        assert.strictEqual((await result).status, 'quarantined');
+        assert.strictEqual(queue.get('infected').signature, 'Eicar-Test-Signature');
+    });
+
+    it('retries scans that fail, then gives up with the error', async () => {
+        const queue = await createQueue();
+        const result = nextResult('broken');
+        await queue.enqueue('broken');
+
+        const { status, error } = await result;
+        assert.strictEqual(status, 'failed');
+        assert.strictEqual(error, 'ClamAV error: INSTREAM size limit exceeded.');
+        assert.strictEqual(scanner.scanned.filter(content => content === 'broken').length, 3);
+    });
+
+    it('treats a scan that times out like any other failure', async () => {
+        const queue = await createQueue({ maxAttempts: 2 });
+        const result = nextResult('slow');
+        await queue.enqueue('slow');
+
+        assert.deepStrictEqual(
+            { status: (await result).status, error: queue.get('slow').error },
+            { status: 'failed', error: 'ClamAV did not answer in time' }
+        );
+        assert.strictEqual(scanner.scanned.length, 2);
+    });
+
+    it('uses a retry that succeeds', async () => {
+        const queue = await createQueue();
+        const result = nextResult('flaky');
+        await queue.enqueue('flaky');
+
+        assert.strictEqual((await result).status, 'clean');
+        assert.strictEqual(scanner.scanned.length, 2);
+    });
+
+    it('does not scan content twice', async () => {
+        const queue = await createQueue();
+        const result = nextResult('clean');
+        await Promise.all([queue.enqueue('clean'), queue.enqueue('clean')]);
+        await result;
+
+        assert.strictEqual((await queue.enqueue('clean')).status, 'clean');
+        assert.strictEqual(scanner.scanned.length, 1);
+    });
+
+    it('drops the result of content removed while it was scanned', async () => {
+        const queue = await createQueue();
+        await queue.enqueue('slow');
+        await queue.remove('slow');
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.strictEqual(queue.get('slow'), null);
+        assert.strictEqual(scanner.scanned.length, 1);
+    });
+
+    it('picks up pending scans after a restart', async () => {
+        const stopped = await createQueue({ scanner: { name: 'fake', scan: () => new Promise(() => {}) } });
+        await stopped.enqueue('infected');
+
+        const queue = await createQueue();
+        assert.strictEqual(queue.get('infected').status, 'pending');
+        const result = nextResult('infected');
+        await queue.enqueue('infected');
+        assert.strictEqual((await result).status, 'quarantined');
+    });
+
+    it('scans no more at once than its concurrency', async () => {
+        let running = 0;
+        let most = 0;
+        const queue = await createQueue({
+            concurrency: 2,
+            scanner: {
+                name: 'fake',
+                async scan(stream) {
+                    stream.resume();
+                    most = Math.max(most, ++running);
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    running--;
+                    return { infected: false, signature: null };
+                }
+            }
+        });
+
+        const hashes = ['clean', 'infected', 'broken', 'slow', 'flaky'];
+        const done = Promise.all(hashes.map(nextResult));
+        for (const hash of hashes) {
+            await queue.enqueue(hash);
+        }
+        await done;
+        assert.strictEqual(most, 2);
+        assert.deepStrictEqual(queue.counts(), { pending: 0, clean: 5, quarantined: 0, failed: 0 });
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetadataStore = require('../metadata-store');
+const SlugRegistry = require('../slug-registry');
+
+const FILE_ID = 'a'.repeat(32);
+const OTHER_FILE_ID = 'b'.repeat(32);
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+describe('SlugRegistry', () => {
+    let dir;
+    let store;
+    let slugs;
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'slugs-'));
+        store = new MetadataStore(dir, 'slugs');
+        slugs = new SlugRegistry(store);
+        await slugs.load();
+    });
+
+    afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    it('generates slugs of two adjectives, a noun and four digits', async () => {
+        for (let i = 0; i < 50; i++) {
+            const slug = await slugs.generate(FILE_ID);
+            const [first, second, noun, number] = slug.split('-');
+            assert.match(slug, /^[a-z]+-[a-z]+-[a-z]+-\d{4}$/);
+            assert.notStrictEqual(first, second);
+            assert.ok(noun && Number(number) >= 1000);
+            assert.strictEqual(slugs.parse(slug), slug);
+            assert.strictEqual(slugs.resolve(slug.toUpperCase()), FILE_ID);
+        }
+    });
+
+    it('refuses slugs that are taken or could be file IDs', async () => {
+        await slugs.claim('my-report', FILE_ID);
+        await assert.rejects(slugs.claim('my-report', OTHER_FILE_ID), { status: 409 });
+        assert.throws(() => slugs.parse(OTHER_FILE_ID), { status: 400 });
+        assert.throws(() => slugs.parse('-bad-'), { status: 400 });
+    });
+
+    it('keeps a released slug from being resolved or claimed again', async () => {
+        await slugs.claim('my-report', FILE_ID);
+        // Only the file holding the slug can release it
+        await slugs.release('my-report', OTHER_FILE_ID);
+        assert.strictEqual(slugs.resolve('my-report'), FILE_ID);
+
+        await slugs.release('my-report', FILE_ID);
+        assert.strictEqual(slugs.resolve('my-report'), null);
+        assert.strictEqual(slugs.isAvailable('my-report'), false);
+        await assert.rejects(slugs.claim('my-report', OTHER_FILE_ID), { status: 409 });
+    });
+
+    it('releases slugs of files that are gone and forgets tombstones after a year', async () => {
+        await slugs.claim('live', FILE_ID);
+        await slugs.claim('gone', OTHER_FILE_ID);
+        await store.set('old', { fileId: OTHER_FILE_ID, createdAt: 0, releasedAt: Date.now() - YEAR - 1000 });
+
+        await slugs.prune(fileId => fileId === FILE_ID);
+
+        assert.strictEqual(slugs.resolve('live'), FILE_ID);
+        assert.strictEqual(slugs.resolve('gone'), null);
+        assert.strictEqual(slugs.isAvailable('gone'), false);
+        assert.strictEqual(slugs.isAvailable('old'), true);
+    });
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const MetadataStore = require('../metadata-store');
+const HistoryLog = require('../history-log');
+const { WebhookDispatcher, parseWebhookUrl } = require('../webhooks');
+
+const EVENT = { id: 'evt-1', type: 'file.uploaded', fileId: 'a'.repeat(32), at: '2024-03-01T12:00:00.000Z' };
+
+// Names the lookup stub knows, as a resolver would answer them
+const ADDRESSES = {
+    'loopback.test': [{ address: '127.0.0.1', family: 4 }],
+    'metadata.test': [{ address: '169.254.169.254', family: 4 }],
+    'mapped.test': [{ address: '::ffff:10.0.0.1', family: 6 }],
+    'unique-local.test': [{ address: 'fd00::1', family: 6 }],
+    // Public first, so only a check of every address catches it
+    'mixed.test': [{ address: '192.0.2.10', family: 4 }, { address: '192.168.1.1', family: 4 }],
+    'public.test': [{ address: '192.0.2.10', family: 4 }]
+};
+
+const lookupStub = (hostname, options, callback) => {
+    const addresses = ADDRESSES[hostname];
+    if (!addresses) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+    if (options.all) return callback(null, addresses);
+    // Asked for one, give the last, the private one of mixed.test
+    const { address, family } = addresses[addresses.length - 1];
+    callback(null, address, family);
+};
+
+// Resolve once check() holds, polling
+const waitFor = async (check, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+const expectedSignature = (secret, { headers, body }) => {
+    const timestamp = headers['x-cosmic-timestamp'];
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+describe('WebhookDispatcher', () => {
+    let dir;
+    let receiver;
+    let receiverUrl;
+    let received;
+    // How the receiver answers each request, given how many came before it
+    let respond;
+    let dispatcher;
+
+    before(async () => {
+        receiver = http.createServer(async (req, res) => {
+            let body = '';
+            for await (const chunk of req) {
+                body += chunk;
+            }
+            received.push({ headers: req.headers, body, at: Date.now() });
+            const [status, text] = respond(received.length - 1);
+            res.writeHead(status);
+            res.end(text);
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    after(() => new Promise(resolve => receiver.close(resolve)));
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+        received = [];
+        respond = () => [200, 'ok'];
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        for (const timer of dispatcher.timers.values()) {
+            clearTimeout(timer);
+        }
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    const createDispatcher = async (options = {}) => {
+        dispatcher = new WebhookDispatcher({
+            subscriptions: new MetadataStore(dir, 'webhooks'),
+            deliveries: new MetadataStore(dir, 'webhook-deliveries'),
+            deadLetters: new HistoryLog(new MetadataStore(dir, 'webhook-dead-letters')),
+            ...options
+        });
+        await dispatcher.load();
+        return dispatcher;
+    };
+
+    it('signs deliveries to subscribers with their secret', async () => {
+        await createDispatcher();
+        const subscription = await dispatcher.subscribe({ url: receiverUrl, events: ['file.uploaded'] });
+        await dispatcher.publish(EVENT);
+        // Not subscribed to
+        await dispatcher.publish({ ...EVENT, id: 'evt-2', type: 'file.deleted' });
+
+        await waitFor(() => received.length === 1 && dispatcher.deliveries.size === 0);
+        const [request] = received;
+        assert.deepStrictEqual(JSON.parse(request.body), EVENT);
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        assert.strictEqual(request.headers['x-cosmic-event'], 'file.uploaded');
+        assert.match(request.headers['x-cosmic-delivery'], /^[a-f0-9]{24}$/);
+        assert.ok(Math.abs(Number(request.headers['x-cosmic-timestamp']) - Date.now() / 1000) < 5);
+        assert.strictEqual(request.headers['x-cosmic-signature'], expectedSignature(subscription.secret, request));
+        assert.notStrictEqual(request.headers['x-cosmic-signature'], expectedSignature('another secret', request));
+    });
+
+    it('signs uploader callbacks with the secret they were given', async () => {
+        await createDispatcher({ allowPrivateCallbacks: true });
+        await dispatcher.notify({ url: receiverUrl, secret: 'callback secret' }, { ...EVENT, type: 'file.downloaded' });
+
+        await waitFor(() => received.length === 1);
+        assert.strictEqual(received[0].headers['x-cosmic-event'], 'file.downloaded');
+        assert.strictEqual(received[0].headers['x-cosmic-signature'], expectedSignature('callback secret', received[0]));
+    });
+
+    it('retries with exponential backoff up to the longest delay, under the same delivery ID', async () => {
+        await createDispatcher({ retryDelay: 100, maxRetryDelay: 200 });
+        respond = (index) => (index < 3 ? [500, 'nope'] : [204, '']);
+        await dispatcher.subscribe({ url: receiverUrl });
+        await dispatcher.publish(EVENT);
+
+        await waitFor(() => received.length === 1 && dispatcher.deliveries.size === 1 &&
+            Array.from(dispatcher.deliveries.entries())[0][1].attempts === 1);
+        const [[, pending]] = Array.from(dispatcher.deliveries.entries());
+        assert.strictEqual(pending.lastError, 'HTTP 500: nope');
+        assert.ok(pending.nextAttemptAt >= received[0].at + 90);
+
+        await waitFor(() => received.length === 4 && dispatcher.deliveries.size === 0);
+        const gaps = received.slice(1).map((request, index) => request.at - received[index].at);
+        // 100ms, then 200ms, then 200ms rather than 400ms
+        assert.ok(gaps[0] >= 95 && gaps[1] >= 195 && gaps[2] >= 195, `Retried too soon: ${gaps}`);
+        assert.ok(gaps[2] < 380, `Longest delay not applied: ${gaps}`);
+        assert.strictEqual(new Set(received.map(request => request.headers['x-cosmic-delivery'])).size, 1);
+        assert.strictEqual(dispatcher.listDeadLetters().length, 0);
+    });
+
+    it('moves deliveries to the dead-letter log once out of attempts', async () => {
+        await createDispatcher({ maxAttempts: 2, retryDelay: 20 });
+        respond = () => [503, 'Down for maintenance'];
+        const subscription = await dispatcher.subscribe({ url: receiverUrl });
+        await dispatcher.publish(EVENT);
+
+        await waitFor(() => dispatcher.listDeadLetters().length === 1);
+        assert.strictEqual(received.length, 2);
+        assert.strictEqual(dispatcher.deliveries.size, 0);
+
+        const [letter] = dispatcher.listDeadLetters();
+        assert.strictEqual(letter.deliveryId, received[0].headers['x-cosmic-delivery']);
+        assert.strictEqual(letter.subscriptionId, subscription.id);
+        assert.strictEqual(letter.url, receiverUrl);
+        assert.strictEqual(letter.type, 'file.uploaded');
+        assert.strictEqual(letter.eventId, 'evt-1');
+        assert.strictEqual(letter.attempts, 2);
+        assert.strictEqual(letter.error, 'HTTP 503: Down for maintenance');
+        assert.deepStrictEqual(letter.event, EVENT);
+        assert.strictEqual(dispatcher.counts().deadLetters, 1);
+    });
+
+    it('refuses callbacks to private, loopback and IPv4-mapped addresses without retrying', async () => {
+        mock.method(dns, 'lookup', lookupStub);
+        await createDispatcher();
+        const { port } = receiver.address();
+        const urls = [
+            receiverUrl,
+            `http://[::1]:${port}/`,
+            `http://[::ffff:127.0.0.1]:${port}/`,
+            `http://loopback.test:${port}/`,
+            `http://metadata.test:${port}/latest/meta-data/`,
+            `http://mapped.test:${port}/`,
+            `http://unique-local.test:${port}/`,
+            `http://mixed.test:${port}/`
+        ];
+        for (const url of urls) {
+            await dispatcher.notify({ url, secret: 'secret' }, EVENT);
+        }
+
+        await waitFor(() => dispatcher.listDeadLetters().length === urls.length);
+        assert.strictEqual(received.length, 0);
+        for (const letter of dispatcher.listDeadLetters()) {
+            assert.strictEqual(letter.attempts, 1);
+            assert.match(letter.error, /is a private address|resolves to a private address/, letter.url);
+        }
+    });
+
+    it('lets callbacks through to names that resolve to public addresses', async () => {
+        mock.method(dns, 'lookup', lookupStub);
+        // Nothing answers at the documentation address, so the request fails
+        // and is retried; it is not refused
+        await createDispatcher({ timeout: 200, retryDelay: 60 * 1000 });
+        await dispatcher.notify({ url: 'http://public.test/hooks', secret: 'secret' }, EVENT);
+
+        await waitFor(() => Array.from(dispatcher.deliveries.entries()).some(([, delivery]) => delivery.attempts === 1));
+        const [[, pending]] = Array.from(dispatcher.deliveries.entries());
+        assert.doesNotMatch(pending.lastError, /private/);
+        assert.strictEqual(dns.lookup.mock.calls[0].arguments[0], 'public.test');
+        assert.strictEqual(dispatcher.listDeadLetters().length, 0);
+    });
+});
+
+describe('parseWebhookUrl', () => {
+    it('takes only http and https URLs', () => {
+        assert.strictEqual(parseWebhookUrl(' https://example.com/hooks '), 'https://example.com/hooks');
+        assert.throws(() => parseWebhookUrl('ftp://example.com/'), { status: 400 });
+        assert.throws(() => parseWebhookUrl('javascript:alert(1)'), { status: 400 });
+        assert.throws(() => parseWebhookUrl('not a url'), { status: 400 });
+        assert.throws(() => parseWebhookUrl(`https://example.com/${'a'.repeat(2048)}`), { status: 400 });
+    });
+});
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Webhooks: file lifecycle events POSTed as JSON to subscribed URLs, and
+// one-time callbacks an uploader asks for. Each request carries
+//   X-Cosmic-Event      the event type, e.g. file.downloaded
+//   X-Cosmic-Delivery   an ID that stays the same across retries
+//   X-Cosmic-Timestamp  Unix time in seconds the request was signed
+//   X-Cosmic-Signature  sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex
+// so receivers can check it came from this server and is not a replay.
+// Deliveries that do not get a 2xx answer are retried with exponential
+// backoff; after maxAttempts they go to the dead-letter log. Pending
+// deliveries are kept in a store, so a restart picks them up again.
+const WEBHOOK_EVENTS = ['file.uploaded', 'file.downloaded', 'file.expired', 'file.evicted', 'file.deleted'];
+
+const MINUTE = 60 * 1000;
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 200;
+// Error responses are kept, shortened, with dead letters
+const MAX_ERROR_BODY = 200;
+const USER_AGENT = 'CosmicUploads-Webhooks/1.0';
+
+// Addresses an uploader's callback may not reach: this host, private
+// networks, link-local (including cloud metadata services) and multicast
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+// IPv6 loopback and unspecified, unique local, link-local and multicast.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Helper function to check whether an IP address is one callbacks may not reach
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// DNS lookup that refuses names resolving to private addresses. It runs as
+// the connection is made, so a name cannot be switched to another address
+// between the check and the request.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
+        }
+        callback(null, address, family);
+    });
+};
+
+// Check a URL given for a webhook or callback. Throws a 400 when it is not
+// an http or https URL.
+const parseWebhookUrl = (value) => {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw Object.assign(new Error('Webhook URL must be a valid URL'), { status: 400 });
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.href.length > MAX_URL_LENGTH) {
+        throw Object.assign(new Error('Webhook URL must be an http or https URL'), { status: 400 });
+    }
+    return url.href;
+};
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Helper function to POST a body, resolving on a 2xx answer. Redirects are
+// not followed. With restricted set, private addresses are refused.
+const post = (url, body, headers, { timeout, restricted }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    // Addresses given as such are never looked up
+    if (restricted && net.isIP(host) && isPrivateAddress(host)) {
+        return reject(Object.assign(new Error(`${host} is a private address`), { code: 'EPRIVATE' }));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout,
+        lookup: restricted ? publicLookup : undefined
+    }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            if (text.length < MAX_ERROR_BODY) text += chunk;
+        });
+        res.on('end', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res.statusCode);
+            const detail = text.trim().slice(0, MAX_ERROR_BODY);
+            reject(new Error(`HTTP ${res.statusCode}${detail ? `: ${detail}` : ''}`));
+        });
+        res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('Timed out')));
+    req.on('error', reject);
+    req.end(body);
+});
+
+class WebhookDispatcher {
+    constructor({
+        subscriptions, deliveries, deadLetters, maxAttempts = 8, retryDelay = 30 * 1000, maxRetryDelay = 60 * MINUTE,
+        timeout = 10 * 1000, allowPrivateCallbacks = false, maxSubscriptions = 50
+    }) {
+        this.subscriptions = subscriptions;
+        this.deliveries = deliveries;
+        this.deadLetters = deadLetters;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.timeout = timeout;
+        this.allowPrivateCallbacks = allowPrivateCallbacks;
+        this.maxSubscriptions = maxSubscriptions;
+        // Timers of deliveries waiting for their next attempt, by delivery ID
+        this.timers = new Map();
+    }
+
+    // Load subscriptions and dead letters, and resume pending deliveries
+    async load() {
+        await this.subscriptions.load();
+        await this.deliveries.load();
+        await this.deadLetters.load();
+        const now = Date.now();
+        for (const [id, delivery] of this.deliveries.entries()) {
+            this.schedule(id, Math.max(delivery.nextAttemptAt - now, 0));
+        }
+    }
+
+    // Subscriptions without their secrets
+    list() {
+        return Array.from(this.subscriptions.entries())
+        .map(([id, { secret, ...subscription }]) => ({ id, ...subscription, createdAt: new Date(subscription.createdAt).toISOString() }))
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+    }
+
+    // Subscribe a URL to some events (all of them if none are given). Resolves
+    // with the subscription, including the signing secret, which is not shown
+    // again. Throws a 400 for an invalid URL or event.
+    async subscribe({ url, events, description = '', createdBy }) {
+        const subscribed = events === undefined || (Array.isArray(events) && events.length === 0) ? WEBHOOK_EVENTS : events;
+        if (!Array.isArray(subscribed) || subscribed.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            throw Object.assign(new Error(`Events must be some of ${WEBHOOK_EVENTS.join(', ')}`), { status: 400 });
+        }
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw Object.assign(new Error('Invalid description'), { status: 400 });
+        }
+        if (this.subscriptions.size >= this.maxSubscriptions) {
+            throw Object.assign(new Error(`There can be at most ${this.maxSubscriptions} webhooks`), { status: 409 });
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const subscription = {
+            url: parseWebhookUrl(url),
+            events: [...new Set(subscribed)],
+            description: description.trim(),
+            secret: crypto.randomBytes(32).toString('base64url'),
+            createdBy,
+            createdAt: Date.now()
+        };
+        await this.subscriptions.set(id, subscription);
+        return { id, ...subscription, createdAt: new Date(subscription.createdAt).toISOString() };
+    }
+
+    // Remove a subscription; its pending deliveries are dropped as they come up
+    unsubscribe(id) {
+        return this.subscriptions.delete(id);
+    }
+
+    // Queue an event for every subscription that wants it
+    async publish(event) {
+        for (const [subscriptionId, subscription] of Array.from(this.subscriptions.entries())) {
+            if (subscription.events.includes(event.type)) {
+                await this.enqueue({ subscriptionId, url: subscription.url, event });
+            }
+        }
+    }
+
+    // Queue a one-time callback to a URL an uploader gave, signed with the
+    // secret they were given
+    notify({ url, secret }, event) {
+        return this.enqueue({ url, secret, event, restricted: !this.allowPrivateCallbacks });
+    }
+
+    async enqueue(delivery) {
+        const id = crypto.randomBytes(12).toString('hex');
+        await this.deliveries.set(id, { ...delivery, attempts: 0, createdAt: Date.now(), nextAttemptAt: Date.now() });
+        this.schedule(id, 0);
+        return id;
+    }
+
+    schedule(id, delay) {
+        clearTimeout(this.timers.get(id));
+        const timer = setTimeout(() => {
+            this.timers.delete(id);
+            this.attempt(id).catch(error => console.error(`Webhook delivery error for ${id}:`, error));
+        }, delay);
+        timer.unref();
+        this.timers.set(id, timer);
+    }
+
+    async attempt(id) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) return;
+
+        let { secret } = delivery;
+        if (delivery.subscriptionId) {
+            const subscription = this.subscriptions.get(delivery.subscriptionId);
+            // Unsubscribed while the delivery waited
+            if (!subscription) {
+                await this.deliveries.delete(id);
+                return;
+            }
+            secret = subscription.secret;
+        }
+
+        const body = JSON.stringify(delivery.event);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'X-Cosmic-Event': delivery.event.type,
+            'X-Cosmic-Delivery': id,
+            'X-Cosmic-Timestamp': timestamp,
+            'X-Cosmic-Signature': `sha256=${sign(secret, timestamp, body)}`
+        };
+
+        try {
+            await post(delivery.url, body, headers, { timeout: this.timeout, restricted: delivery.restricted });
+            await this.deliveries.delete(id);
+        } catch (error) {
+            const attempts = delivery.attempts + 1;
+            // A private address will not become public by trying again
+            if (attempts >= this.maxAttempts || error.code === 'EPRIVATE') {
+                await this.deliveries.delete(id);
+                await this.deadLetters.add({
+                    deliveryId: id,
+                    subscriptionId: delivery.subscriptionId || null,
+                    url: delivery.url,
+                    type: delivery.event.type,
+                    eventId: delivery.event.id,
+                    attempts,
+                    error: error.message,
+                    event: delivery.event
+                });
+                console.warn(`Gave up on webhook delivery ${id} to ${delivery.url} after ${attempts} attempt${attempts === 1 ? '' : 's'}:`,
+                    error.message);
+                return;
+            }
+
+            const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+            await this.deliveries.set(id, { ...delivery, attempts, lastError: error.message, nextAttemptAt: Date.now() + delay });
+            this.schedule(id, delay);
+        }
+    }
+
+    // Dead letters, newest first, optionally only those since a time
+    listDeadLetters({ since = 0, limit = 200 } = {}) {
+        return this.deadLetters.list({ since })
+        .reverse()
+        .slice(0, limit)
+        .map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+    }
+
+    counts() {
+        return {
+            subscriptions: this.subscriptions.size,
+            pending: this.deliveries.size,
+            deadLetters: this.deadLetters.list({ since: Date.now() - 24 * 60 * MINUTE }).length
+        };
+    }
+}
+
+module.exports = { WEBHOOK_EVENTS, WebhookDispatcher, parseWebhookUrl };
@@ -0,0 +1,174 @@
+const fs = require('fs');
+
+// Client for the Cosmic Uploads HTTP API, shared by the CLI commands
+
+const RETRYABLE_STATUS = new Set([423, 500, 502, 503, 504]);
+const MAX_RETRIES = 5;
+
+// Error for a failed API call; status is the HTTP status, or undefined when
+// the server could not be reached at all
+class ApiError extends Error {
+    constructor(message, status, body = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// apiKey, when given, is sent with every request so uploads belong to its account
+const createClient = ({ server, token = null, apiKey = null }) => {
+    const base = server.replace(/\/+$/, '');
+    let accessToken = token;
+
+    const request = async (method, path, { headers = {}, body, json } = {}) => {
+        const init = { method, headers: { ...headers } };
+        if (apiKey) {
+            init.headers['X-API-Key'] = apiKey;
+        }
+        if (accessToken) {
+            init.headers.Authorization = `Bearer ${accessToken}`;
+        }
+        if (json !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(json);
+        } else if (body !== undefined) {
+            init.body = body;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${base}${path}`, init);
+        } catch (error) {
+            throw new ApiError(`Could not reach ${base}: ${error.cause ? error.cause.message : error.message}`);
+        }
+        return response;
+    };
+
+    // Request expecting a JSON reply; non-2xx responses become ApiErrors
+    const requestJson = async (method, path, options) => {
+        const response = await request(method, path, options);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ApiError(result.error || `Request failed with HTTP ${response.status}`, response.status, result);
+        }
+        return result;
+    };
+
+    const getFile = (fileId) => requestJson('GET', `/api/file/${encodeURIComponent(fileId)}`);
+    const getCollection = (collectionId) => requestJson('GET', `/api/collection/${encodeURIComponent(collectionId)}`);
+
+    // Exchange a password for an access token used by later requests
+    const unlock = async (kind, id, password) => {
+        const result = await requestJson('POST', `/api/${kind}/${encodeURIComponent(id)}/unlock`, { json: { password } });
+        accessToken = result.token;
+        return result;
+    };
+
+    // Upload a local file through the resumable API. Each chunk is retried
+    // with backoff, asking the server for its offset before carrying on.
+    const uploadFile = async (filePath, { filename, size, mimetype, options = {}, chunkSize, onProgress = () => {} }) => {
+        const session = await requestJson('POST', '/api/uploads', {
+            json: { filename, size, mimetype, ...options }
+        });
+        const { uploadId } = session;
+        const chunkLimit = Math.min(chunkSize, session.maxChunkSize || chunkSize);
+
+        let offset = 0;
+        let retries = 0;
+        while (offset < size) {
+            const end = Math.min(offset + chunkLimit, size);
+            try {
+                const chunk = await readRange(filePath, offset, end);
+                const response = await request('PATCH', `/api/uploads/${uploadId}`, {
+                    headers: {
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Upload-Offset': String(offset)
+                    },
+                    body: chunk
+                });
+                if (response.status !== 204) {
+                    const result = await response.json().catch(() => ({}));
+                    throw new ApiError(result.error || `Chunk upload failed with HTTP ${response.status}`, response.status, result);
+                }
+                offset = Number(response.headers.get('Upload-Offset'));
+                retries = 0;
+                onProgress(offset, size);
+            } catch (error) {
+                if (error.status === 409 && typeof error.body.offset === 'number') {
+                    offset = error.body.offset;
+                    continue;
+                }
+                if (error.status !== undefined && !RETRYABLE_STATUS.has(error.status)) throw error;
+                if (++retries > MAX_RETRIES) throw error;
+
+                await sleep(Math.min(1000 * Math.pow(2, retries - 1), 30000));
+                const head = await request('HEAD', `/api/uploads/${uploadId}`).catch(() => null);
+                if (head && head.ok) {
+                    offset = Number(head.headers.get('Upload-Offset'));
+                } else if (head && head.status === 404) {
+                    throw new ApiError('Upload session expired', 404);
+                }
+            }
+        }
+
+        return requestJson('POST', `/api/uploads/${uploadId}/complete`);
+    };
+
+    // Files are grouped by ID; the server wants each file's management token
+    const createCollection = (fileIds, manageTokens, options = {}) => requestJson('POST', '/api/collections', {
+        json: { fileIds, manageTokens, ...options }
+    });
+
+    // Start a download; resolves with the fetch Response once headers arrive
+    const download = async (path, { start } = {}) => {
+        const headers = start ? { Range: `bytes=${start}-` } : {};
+        const response = await request('GET', path, { headers });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new ApiError(result.error || `Download failed with HTTP ${response.status}`, response.status, result);
+        }
+        return response;
+    };
+
+    // Without a management token, only the owning account (via the API key) may delete
+    const remove = (kind, id, manageToken) => requestJson('DELETE', `/api/${kind}/${encodeURIComponent(id)}`, {
+        headers: manageToken ? { 'X-Management-Token': manageToken } : {}
+    });
+
+    const listFiles = () => requestJson('GET', '/api/account/files');
+
+    return {
+        base,
+        hasApiKey: Boolean(apiKey),
+        getFile,
+        getCollection,
+        unlock,
+        uploadFile,
+        createCollection,
+        download,
+        remove,
+        listFiles
+    };
+};
+
+// Read bytes [start, end) of a file into a Buffer
+const readRange = async (filePath, start, end) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        let read = 0;
+        while (read < buffer.length) {
+            const { bytesRead } = await handle.read(buffer, read, buffer.length - read, start + read);
+            if (bytesRead === 0) throw new Error(`${filePath} changed size during upload`);
+            read += bytesRead;
+        }
+        return buffer;
+    } finally {
+        await handle.close();
+    }
+};
+
+module.exports = { createClient, ApiError };
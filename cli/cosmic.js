@@ -0,0 +1,643 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const { createClient, ApiError } = require('./api');
+const encryption = require('./encryption');
+const { version } = require('./package.json');
+
+const USAGE = `Usage: cosmic <command> [options]
+
+Commands:
+  upload <files...>       Upload files ("-" or no files reads stdin); several files become a collection
+  get <id|link>           Download a file, or a collection as a ZIP
+  info <id|link>          Show details of a file or collection
+  delete <id|link>        Delete an upload using its management token (or your API key)
+  list                    List the files uploaded with your API key
+
+Options:
+  -s, --server <url>      API server (default: $COSMIC_SERVER or http://localhost:3000)
+      --site <url>        Site used in share links (default: $COSMIC_SITE or the server)
+  -k, --api-key <key>     Upload as your account (or set $COSMIC_API_KEY)
+      --json              Print machine-readable JSON
+  -q, --quiet             No progress; upload prints only the share links
+  -h, --help              Show this help
+      --version           Show the version
+
+Upload options:
+  -e, --expires <time>    Lifetime such as 30m, 12h or 7d (plain numbers are seconds)
+  -p, --password <pw>     Protect with a password (or set $COSMIC_PASSWORD)
+      --max-downloads <n> Delete after this many downloads
+      --notify-url <url>  POST a signed notice to this URL once, on the first download (single files only)
+      --encrypt           Encrypt before uploading; the key is only in the share link
+      --name <name>       File name to use for stdin
+      --separate          Upload several files individually instead of as a collection
+      --chunk-size <size> Resumable chunk size such as 8M (default 8M)
+
+Download options:
+  -o, --output <path>     Where to save ("-" for stdout); a directory for encrypted collections
+  -c, --continue          Resume a partial download
+  -f, --force             Overwrite an existing file
+  -p, --password <pw>     Password for protected uploads (or set $COSMIC_PASSWORD)
+      --collection        Treat a bare ID as a collection ID
+
+Delete options:
+  -t, --token <token>     Management token from the upload (or set $COSMIC_MANAGE_TOKEN)
+
+Exit codes:
+  0 success                 4 password required or access denied
+  1 other error             5 checksum or decryption failure
+  2 invalid usage           6 rejected: too large, limit reached or out of space
+  3 not found or expired    7 server unreachable or server error`;
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    NOT_FOUND: 3,
+    ACCESS: 4,
+    INTEGRITY: 5,
+    REJECTED: 6,
+    SERVER: 7
+};
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// A CLI error carrying the exit code it should end the process with
+class CliError extends Error {
+    constructor(message, exitCode = EXIT.ERROR) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+const exitCodeFor = (error) => {
+    if (error instanceof CliError) return error.exitCode;
+    if (!(error instanceof ApiError)) return EXIT.ERROR;
+    if (error.status === undefined || error.status >= 500) {
+        return error.status === 507 ? EXIT.REJECTED : EXIT.SERVER;
+    }
+    if (error.status === 404 || error.status === 410) return EXIT.NOT_FOUND;
+    if (error.status === 401 || error.status === 403) return EXIT.ACCESS;
+    if (error.status === 422) return EXIT.INTEGRITY;
+    if (error.status === 413 || error.status === 429) return EXIT.REJECTED;
+    return EXIT.ERROR;
+};
+
+const MIME_TYPES = {
+    '.txt': 'text/plain', '.log': 'text/plain', '.md': 'text/markdown', '.csv': 'text/csv',
+    '.html': 'text/html', '.css': 'text/css', '.js': 'text/javascript', '.json': 'application/json',
+    '.xml': 'application/xml', '.pdf': 'application/pdf', '.zip': 'application/zip',
+    '.gz': 'application/gzip', '.tar': 'application/x-tar', '.png': 'image/png', '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp',
+    '.mp4': 'video/mp4', '.webm': 'video/webm', '.mp3': 'audio/mpeg', '.wav': 'audio/wav'
+};
+
+const guessMimeType = (filename) => MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+const formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+};
+
+// "90" (seconds), "30m", "12h" or "7d" to seconds
+const parseDuration = (value) => {
+    const match = /^(\d+)\s*([smhd]?)$/i.exec(String(value).trim());
+    if (!match) throw new CliError(`Invalid expiry: ${value}`, EXIT.USAGE);
+    const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    return Number(match[1]) * multipliers[match[2].toLowerCase()];
+};
+
+// "8M", "512K" or a plain number of bytes
+const parseSize = (value) => {
+    const match = /^(\d+)\s*([kmg]?)b?$/i.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0) throw new CliError(`Invalid size: ${value}`, EXIT.USAGE);
+    const multipliers = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+    return Number(match[1]) * multipliers[match[2].toLowerCase()];
+};
+
+// Accept a bare ID, a file.html share link or an API URL. The #key= fragment
+// of an encrypted share link is kept for decryption.
+const parseTarget = (value, { collection = false } = {}) => {
+    if (!value) throw new CliError('Missing file ID or link', EXIT.USAGE);
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return { kind: collection ? 'collection' : 'file', id: value, key: null };
+    }
+
+    const key = new URLSearchParams(url.hash.replace(/^#/, '')).get('key');
+    if (url.searchParams.get('collection')) {
+        return { kind: 'collection', id: url.searchParams.get('collection'), key };
+    }
+    if (url.searchParams.get('id')) {
+        return { kind: 'file', id: url.searchParams.get('id'), key };
+    }
+
+    const match = /\/api\/(file|download|preview|collection)\/([^/?#]+)/.exec(url.pathname);
+    if (match) {
+        return { kind: match[1] === 'collection' ? 'collection' : 'file', id: decodeURIComponent(match[2]), key };
+    }
+    throw new CliError(`Not a Cosmic Uploads link: ${value}`, EXIT.USAGE);
+};
+
+// Progress line on stderr, only when it is a terminal
+const createProgress = (label, enabled) => {
+    const active = enabled && process.stderr.isTTY;
+    let lastDraw = 0;
+    return {
+        update(loaded, total) {
+            if (!active) return;
+            const now = Date.now();
+            if (now - lastDraw < 100 && loaded !== total) return;
+            lastDraw = now;
+            const percent = total ? Math.floor(loaded / total * 100) : 0;
+            const amount = total ? `${formatFileSize(loaded)} / ${formatFileSize(total)}` : formatFileSize(loaded);
+            process.stderr.write(`\r\x1b[K${label}  ${String(percent).padStart(3)}%  ${amount}`);
+        },
+        done() {
+            if (active) process.stderr.write('\r\x1b[K');
+        }
+    };
+};
+
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+// Pass-through that hashes whatever flows through it
+const createHashStream = () => {
+    const hash = crypto.createHash('sha256');
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+    stream.digest = () => hash.digest('hex');
+    return stream;
+};
+
+// Pass-through that reports how many bytes have gone by
+const createCounter = (onProgress) => {
+    let count = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            count += chunk.length;
+            onProgress(count);
+            callback(null, chunk);
+        }
+    });
+};
+
+const getUploadOptions = (values) => {
+    const options = {};
+    if (values.expires) options.expiresIn = parseDuration(values.expires);
+    if (values.password) options.password = values.password;
+    if (values['max-downloads']) {
+        const maxDownloads = Number(values['max-downloads']);
+        if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+            throw new CliError(`Invalid download limit: ${values['max-downloads']}`, EXIT.USAGE);
+        }
+        options.maxDownloads = maxDownloads;
+    }
+    if (values['notify-url']) options.notifyUrl = values['notify-url'];
+    return options;
+};
+
+const upload = async (client, values, paths, output) => {
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cosmic-'));
+    try {
+        if (paths.length === 0) {
+            if (process.stdin.isTTY) throw new CliError('No files given (use "-" to read stdin)', EXIT.USAGE);
+            paths = ['-'];
+        }
+        if (paths.filter(filePath => filePath === '-').length > 1) {
+            throw new CliError('stdin can only be read once', EXIT.USAGE);
+        }
+
+        const options = getUploadOptions(values);
+        const chunkSize = values['chunk-size'] ? parseSize(values['chunk-size']) : DEFAULT_CHUNK_SIZE;
+        const key = values.encrypt ? encryption.generateKey() : null;
+        const asCollection = paths.length > 1 && !values.separate;
+        if (asCollection && options.notifyUrl) {
+            throw new CliError('--notify-url can only be used for single files (add --separate)', EXIT.USAGE);
+        }
+
+        const results = [];
+        for (const inputPath of paths) {
+            // stdin is spooled to disk first: uploads need a known size and
+            // chunks may have to be re-sent
+            let filePath = inputPath;
+            let filename = path.basename(inputPath);
+            if (inputPath === '-') {
+                filename = values.name || 'stdin';
+                filePath = path.join(tmpDir, 'stdin');
+                await pipeline(process.stdin, fs.createWriteStream(filePath));
+            }
+
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (error) {
+                throw new CliError(`Cannot read ${inputPath}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+            }
+            if (!stats.isFile()) throw new CliError(`Not a file: ${inputPath}`);
+
+            const mimetype = guessMimeType(filename);
+            const fileOptions = { ...options };
+
+            if (key) {
+                const encryptedPath = path.join(tmpDir, `encrypted-${results.length}`);
+                await pipeline(
+                    fs.createReadStream(filePath),
+                    encryption.createEncryptStream(key, stats.size),
+                    fs.createWriteStream(encryptedPath)
+                );
+                filePath = encryptedPath;
+                stats = await fs.promises.stat(filePath);
+                fileOptions.encrypted = true;
+                fileOptions.encryptedMetadata = encryption.encryptMetadata(key, { name: filename, type: mimetype });
+            }
+
+            // The server rejects the upload if what arrives does not match
+            fileOptions.sha256 = await hashFile(filePath);
+
+            const progress = createProgress(filename, !values.quiet && !values.json);
+            let result;
+            try {
+                result = await client.uploadFile(filePath, {
+                    filename: key ? 'encrypted.bin' : filename,
+                    size: stats.size,
+                    mimetype: key ? 'application/octet-stream' : mimetype,
+                    options: fileOptions,
+                    chunkSize,
+                    onProgress: (loaded, total) => progress.update(loaded, total)
+                });
+            } finally {
+                progress.done();
+            }
+            results.push({ name: filename, size: stats.size, ...result });
+        }
+
+        const fragment = key ? `#key=${encryption.exportKey(key)}` : '';
+        const withLinks = (result) => ({
+            ...result,
+            shareLink: `${output.site}/file.html?id=${result.fileId}${fragment}`,
+            downloadLink: key ? null : `${client.base}/api/download/${result.fileId}`,
+            encryptionKey: key ? encryption.exportKey(key) : undefined
+        });
+        const files = results.map(withLinks);
+
+        let collection = null;
+        if (asCollection) {
+            const created = await client.createCollection(
+                files.map(file => file.fileId),
+                Object.fromEntries(files.map(file => [file.fileId, file.manageToken])),
+                options
+            );
+            collection = {
+                ...created,
+                shareLink: `${output.site}/file.html?collection=${created.collectionId}${fragment}`,
+                downloadLink: key ? null : `${client.base}/api/collection/${created.collectionId}/zip`
+            };
+        }
+
+        if (values.json) {
+            output.json({ files, collection });
+        } else if (values.quiet) {
+            if (collection) {
+                output.line(collection.shareLink);
+            } else {
+                files.forEach(file => output.line(file.shareLink));
+            }
+        } else {
+            for (const file of files) {
+                output.line(`✔ ${file.name} (${formatFileSize(file.size)})`);
+                output.line(`  Link:         ${file.shareLink}`);
+                if (file.downloadLink) output.line(`  Download:     ${file.downloadLink}`);
+                output.line(`  SHA-256:      ${file.sha256}`);
+                output.line(`  Expires:      ${file.expiresAt}`);
+                if (!collection) output.line(`  Manage token: ${file.manageToken}`);
+                if (file.callbackSecret) output.line(`  Callback secret: ${file.callbackSecret}`);
+            }
+            if (collection) {
+                output.line(`✔ Collection of ${files.length} files`);
+                output.line(`  Link:         ${collection.shareLink}`);
+                if (collection.downloadLink) output.line(`  Download:     ${collection.downloadLink}`);
+                output.line(`  Manage token: ${collection.manageToken}`);
+            }
+        }
+    } finally {
+        await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+};
+
+// Fetch file or collection details, unlocking with the password when asked for one
+const getInfo = async (client, target, password) => {
+    const fetchInfo = () => target.kind === 'collection' ? client.getCollection(target.id) : client.getFile(target.id);
+    try {
+        return await fetchInfo();
+    } catch (error) {
+        if (!(error instanceof ApiError) || !error.body.passwordRequired) throw error;
+        if (!password) {
+            throw new CliError('This upload is password protected - pass --password or set COSMIC_PASSWORD', EXIT.ACCESS);
+        }
+        await client.unlock(target.kind, target.id, password);
+        return fetchInfo();
+    }
+};
+
+// Replace the placeholder name and type of an encrypted file with the real ones
+const decryptInfo = (fileInfo, key) => {
+    if (!fileInfo.encrypted) return fileInfo;
+    if (!key) {
+        throw new CliError('This upload is end-to-end encrypted, but the link has no #key=', EXIT.INTEGRITY);
+    }
+    const metadata = encryption.decryptMetadata(key, fileInfo.encryptedMetadata);
+    return { ...fileInfo, originalName: metadata.name, mimetype: metadata.type || 'application/octet-stream' };
+};
+
+const getKey = (target) => {
+    if (!target.key) return null;
+    try {
+        return encryption.importKey(target.key);
+    } catch (error) {
+        throw new CliError(error.message, EXIT.INTEGRITY);
+    }
+};
+
+const info = async (client, values, target, output) => {
+    const key = getKey(target);
+    const details = await getInfo(client, target, values.password);
+
+    if (target.kind === 'collection') {
+        details.files = details.files.map(file => decryptInfo(file, key));
+    } else {
+        Object.assign(details, decryptInfo(details, key));
+    }
+
+    if (values.json) {
+        output.json(details);
+        return;
+    }
+
+    const describe = (file, indent = '') => {
+        output.line(`${indent}${file.originalName} (${formatFileSize(file.size)}, ${file.mimetype})`);
+        output.line(`${indent}  Expires:   ${file.expiresAt}`);
+        if (file.remainingDownloads !== null && file.remainingDownloads !== undefined) {
+            output.line(`${indent}  Downloads: ${file.remainingDownloads} left`);
+        }
+        if (file.sha256) output.line(`${indent}  SHA-256:   ${file.sha256}`);
+    };
+
+    if (target.kind === 'collection') {
+        output.line(`Collection ${details.collectionId}: ${details.files.length} files, ${formatFileSize(details.totalSize)}`);
+        if (details.passwordProtected) output.line('  Password protected');
+        if (details.encrypted) output.line('  End-to-end encrypted');
+        details.files.forEach(file => describe(file, '  '));
+    } else {
+        describe(details);
+        if (details.passwordProtected) output.line('  Password protected');
+        if (details.encrypted) output.line('  End-to-end encrypted');
+    }
+};
+
+// Download one file to outputPath (or stdout), verifying its checksum.
+// Encrypted files are decrypted on the way; --continue resumes plain files.
+const downloadFile = async (client, fileInfo, key, outputPath, values) => {
+    const toStdout = outputPath === '-';
+    let start = 0;
+
+    if (!toStdout) {
+        const existing = await fs.promises.stat(outputPath).catch(() => null);
+        if (existing && values.continue && !fileInfo.encrypted) {
+            start = existing.size;
+        } else if (existing && !values.force) {
+            throw new CliError(`${outputPath} already exists (use --force to overwrite or --continue to resume)`);
+        }
+    }
+
+    if (start > 0 && start >= fileInfo.size) {
+        return outputPath;
+    }
+
+    const response = await client.download(`/api/download/${encodeURIComponent(fileInfo.fileId)}`, { start });
+    // The server sends the whole file when it cannot resume (for example
+    // download-limited files), so start over in that case
+    const resumed = start > 0 && response.status === 206;
+    const total = fileInfo.encrypted ? Number(response.headers.get('content-length')) : fileInfo.size;
+
+    const progress = createProgress(fileInfo.originalName, !values.quiet && !values.json && !toStdout);
+    const hasher = createHashStream();
+    const stages = [
+        Readable.fromWeb(response.body),
+        createCounter(count => progress.update((resumed ? start : 0) + count, total)),
+        hasher
+    ];
+    if (fileInfo.encrypted) {
+        stages.push(encryption.createDecryptStream(key));
+    }
+
+    try {
+        await pipeline(...stages, toStdout
+            ? process.stdout
+            : fs.createWriteStream(outputPath, { flags: resumed ? 'a' : 'w' }));
+    } catch (error) {
+        if (/decrypt|encrypted/i.test(error.message)) throw new CliError(error.message, EXIT.INTEGRITY);
+        throw error;
+    } finally {
+        progress.done();
+    }
+
+    if (fileInfo.sha256) {
+        const actual = resumed ? await hashFile(outputPath) : hasher.digest();
+        if (actual !== fileInfo.sha256) {
+            if (!toStdout) await fs.promises.rm(outputPath, { force: true });
+            throw new CliError(`Checksum mismatch for ${fileInfo.originalName}: expected ${fileInfo.sha256}, got ${actual}`,
+                EXIT.INTEGRITY);
+        }
+    }
+    return outputPath;
+};
+
+// Keep downloaded names inside the output directory
+const safeName = (name) => path.basename(name).replace(/^\.+/, '') || 'download';
+
+const get = async (client, values, target, output) => {
+    const key = getKey(target);
+    const details = await getInfo(client, target, values.password);
+    const saved = [];
+
+    if (target.kind === 'file') {
+        const fileInfo = decryptInfo(details, key);
+        const outputPath = values.output || safeName(fileInfo.originalName);
+        saved.push(await downloadFile(client, fileInfo, key, outputPath, values));
+    } else if (details.encrypted) {
+        // The server can only zip ciphertext, so each file is fetched and decrypted
+        const dir = values.output || `collection-${target.id}`;
+        if (dir === '-') throw new CliError('Encrypted collections cannot be written to stdout', EXIT.USAGE);
+        await fs.promises.mkdir(dir, { recursive: true });
+        for (const file of details.files) {
+            const fileInfo = decryptInfo(file, key);
+            saved.push(await downloadFile(client, fileInfo, key, path.join(dir, safeName(fileInfo.originalName)), values));
+        }
+    } else {
+        const outputPath = values.output || `collection-${target.id}.zip`;
+        const toStdout = outputPath === '-';
+        if (!toStdout && !values.force && fs.existsSync(outputPath)) {
+            throw new CliError(`${outputPath} already exists (use --force to overwrite)`);
+        }
+        const response = await client.download(`/api/collection/${encodeURIComponent(target.id)}/zip`);
+        const progress = createProgress(path.basename(outputPath), !values.quiet && !values.json && !toStdout);
+        try {
+            await pipeline(
+                Readable.fromWeb(response.body),
+                createCounter(count => progress.update(count, 0)),
+                toStdout ? process.stdout : fs.createWriteStream(outputPath)
+            );
+        } finally {
+            progress.done();
+        }
+        saved.push(outputPath);
+    }
+
+    if (values.json) {
+        output.json({ saved });
+    } else if (!values.quiet) {
+        saved.filter(file => file !== '-').forEach(file => output.error(`Saved ${file}`));
+    }
+};
+
+const remove = async (client, values, target, output) => {
+    const token = values.token || process.env.COSMIC_MANAGE_TOKEN;
+    if (!token && !client.hasApiKey) {
+        throw new CliError('Missing management token - pass --token, set COSMIC_MANAGE_TOKEN or use an API key', EXIT.USAGE);
+    }
+
+    await client.remove(target.kind, target.id, token);
+    if (values.json) {
+        output.json({ deleted: true, kind: target.kind, id: target.id });
+    } else if (!values.quiet) {
+        output.line(`Deleted ${target.kind} ${target.id}`);
+    }
+};
+
+const list = async (client, values, output) => {
+    const { files, totalSize } = await client.listFiles();
+
+    if (values.json) {
+        output.json({ files, totalSize });
+        return;
+    }
+    for (const file of files) {
+        const name = file.encrypted ? '(encrypted)' : file.originalName;
+        output.line(`${file.fileId}  ${formatFileSize(file.size).padStart(9)}  ${file.expiresAt}  ${name}`);
+    }
+    if (!values.quiet) {
+        output.error(`${files.length} ${files.length === 1 ? 'file' : 'files'}, ${formatFileSize(totalSize)}`);
+    }
+};
+
+const main = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'server': { type: 'string', short: 's' },
+                'site': { type: 'string' },
+                'api-key': { type: 'string', short: 'k' },
+                'json': { type: 'boolean' },
+                'quiet': { type: 'boolean', short: 'q' },
+                'help': { type: 'boolean', short: 'h' },
+                'version': { type: 'boolean' },
+                'expires': { type: 'string', short: 'e' },
+                'password': { type: 'string', short: 'p' },
+                'max-downloads': { type: 'string' },
+                'notify-url': { type: 'string' },
+                'encrypt': { type: 'boolean' },
+                'name': { type: 'string' },
+                'separate': { type: 'boolean' },
+                'chunk-size': { type: 'string' },
+                'output': { type: 'string', short: 'o' },
+                'continue': { type: 'boolean', short: 'c' },
+                'force': { type: 'boolean', short: 'f' },
+                'collection': { type: 'boolean' },
+                'token': { type: 'string', short: 't' }
+            }
+        });
+    } catch (error) {
+        throw new CliError(`${error.message}\n\n${USAGE}`, EXIT.USAGE);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.version) {
+        console.log(version);
+        return;
+    }
+    if (values.help || !command) {
+        console.log(USAGE);
+        if (!command && !values.help) throw new CliError('Missing command', EXIT.USAGE);
+        return;
+    }
+
+    values.password = values.password || process.env.COSMIC_PASSWORD;
+    const server = values.server || process.env.COSMIC_SERVER || 'http://localhost:3000';
+    const apiKey = values['api-key'] || process.env.COSMIC_API_KEY || null;
+    const client = createClient({ server, apiKey });
+    const output = {
+        site: (values.site || process.env.COSMIC_SITE || client.base).replace(/\/+$/, ''),
+        line: (text) => process.stdout.write(`${text}\n`),
+        error: (text) => process.stderr.write(`${text}\n`),
+        json: (value) => process.stdout.write(`${JSON.stringify(value, null, 2)}\n`)
+    };
+
+    switch (command) {
+    case 'upload':
+        return upload(client, values, args, output);
+    case 'get':
+    case 'download':
+        return get(client, values, parseTarget(args[0], values), output);
+    case 'info':
+        return info(client, values, parseTarget(args[0], values), output);
+    case 'delete':
+    case 'rm':
+        return remove(client, values, parseTarget(args[0], values), output);
+    case 'list':
+    case 'ls':
+        if (!apiKey) throw new CliError('Listing uploads needs an API key - pass --api-key or set COSMIC_API_KEY', EXIT.USAGE);
+        return list(client, values, output);
+    default:
+        throw new CliError(`Unknown command: ${command}\n\n${USAGE}`, EXIT.USAGE);
+    }
+};
+
+main(process.argv.slice(2)).then(() => {
+    process.exitCode = EXIT.OK;
+}).catch((error) => {
+    // The reader of a pipe such as "cosmic get ID -o - | head" went away
+    if (error.code === 'EPIPE') return;
+    const exitCode = exitCodeFor(error);
+    // Rate-limited requests say how many seconds to wait
+    const retryAfter = error.body && error.body.retryAfter;
+    if (process.argv.includes('--json')) {
+        process.stdout.write(`${JSON.stringify({ error: error.message, status: error.status, retryAfter, exitCode }, null, 2)}\n`);
+    } else {
+        process.stderr.write(`cosmic: ${error.message}${retryAfter ? ` (retry in ${retryAfter}s)` : ''}\n`);
+    }
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Node implementation of the end-to-end encryption format used by the web
+// pages (see encryption.js at the repository root), so files encrypted in the
+// browser can be decrypted here and the other way round:
+//
+//   header:  "CUE1" | record size (uint32 BE) | nonce prefix (8 bytes)
+//   records: AES-256-GCM(plaintext record) followed by its 16-byte tag
+//
+// Each record's IV is the nonce prefix plus the record index (uint32 BE), and
+// its additional data is a single byte marking the final record.
+
+const MAGIC = Buffer.from('CUE1');
+const HEADER_SIZE = 16;
+const RECORD_SIZE = 1024 * 1024;
+const TAG_SIZE = 16;
+
+const generateKey = () => crypto.randomBytes(32);
+
+const exportKey = (key) => key.toString('base64url');
+
+const importKey = (value) => {
+    const key = Buffer.from(value || '', 'base64url');
+    if (key.length !== 32) {
+        throw new Error('The decryption key in the link is not valid');
+    }
+    return key;
+};
+
+const getRecordIv = (noncePrefix, index) => {
+    const iv = Buffer.alloc(12);
+    noncePrefix.copy(iv);
+    iv.writeUInt32BE(index, 8);
+    return iv;
+};
+
+const getRecordCount = (plainSize) => Math.max(1, Math.ceil(plainSize / RECORD_SIZE));
+
+const encryptRecord = (key, noncePrefix, index, isFinal, plaintext) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, getRecordIv(noncePrefix, index));
+    cipher.setAAD(Buffer.from([isFinal ? 1 : 0]));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptRecord = (key, noncePrefix, index, isFinal, record) => {
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, getRecordIv(noncePrefix, index));
+        decipher.setAAD(Buffer.from([isFinal ? 1 : 0]));
+        decipher.setAuthTag(record.subarray(record.length - TAG_SIZE));
+        return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_SIZE)), decipher.final()]);
+    } catch (error) {
+        throw new Error('Decryption failed - the key is wrong or the file was modified');
+    }
+};
+
+// Transform encrypting a stream of known length; the length decides which
+// record is marked as the final one
+const createEncryptStream = (key, plainSize) => {
+    const noncePrefix = crypto.randomBytes(8);
+    const recordCount = getRecordCount(plainSize);
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let headerSent = false;
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    MAGIC.copy(header);
+    header.writeUInt32BE(RECORD_SIZE, 4);
+    noncePrefix.copy(header, 8);
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!headerSent) {
+                this.push(header);
+                headerSent = true;
+            }
+            pending = Buffer.concat([pending, chunk]);
+            // Hold back a full record until the end so the final one is known
+            while (pending.length > RECORD_SIZE) {
+                this.push(encryptRecord(key, noncePrefix, index, index === recordCount - 1, pending.subarray(0, RECORD_SIZE)));
+                pending = pending.subarray(RECORD_SIZE);
+                index++;
+            }
+            callback();
+        },
+
+        flush(callback) {
+            if (!headerSent) this.push(header);
+            if (index !== recordCount - 1) {
+                return callback(new Error('File changed size while it was being encrypted'));
+            }
+            this.push(encryptRecord(key, noncePrefix, index, true, pending));
+            callback();
+        }
+    });
+};
+
+// Transform turning the encrypted stream back into plaintext
+const createDecryptStream = (key) => {
+    let pending = Buffer.alloc(0);
+    let noncePrefix = null;
+    let encryptedRecordSize = 0;
+    let index = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            pending = Buffer.concat([pending, chunk]);
+
+            if (!noncePrefix) {
+                if (pending.length < HEADER_SIZE) return callback();
+                if (!pending.subarray(0, 4).equals(MAGIC)) {
+                    return callback(new Error('This file is not in a recognised encrypted format'));
+                }
+                encryptedRecordSize = pending.readUInt32BE(4) + TAG_SIZE;
+                noncePrefix = Buffer.from(pending.subarray(8, HEADER_SIZE));
+                pending = pending.subarray(HEADER_SIZE);
+            }
+
+            try {
+                while (pending.length > encryptedRecordSize) {
+                    this.push(decryptRecord(key, noncePrefix, index++, false, pending.subarray(0, encryptedRecordSize)));
+                    pending = pending.subarray(encryptedRecordSize);
+                }
+            } catch (error) {
+                return callback(error);
+            }
+            callback();
+        },
+
+        flush(callback) {
+            if (!noncePrefix || pending.length < TAG_SIZE) {
+                return callback(new Error('Encrypted file is truncated'));
+            }
+            try {
+                this.push(decryptRecord(key, noncePrefix, index, true, pending));
+            } catch (error) {
+                return callback(error);
+            }
+            callback();
+        }
+    });
+};
+
+// Small metadata (original name and type) as one base64url string: IV | ciphertext | tag
+const encryptMetadata = (key, metadata) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(metadata), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+};
+
+const decryptMetadata = (key, value) => {
+    const combined = Buffer.from(value, 'base64url');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, combined.subarray(0, 12));
+        decipher.setAuthTag(combined.subarray(combined.length - TAG_SIZE));
+        const plaintext = Buffer.concat([decipher.update(combined.subarray(12, combined.length - TAG_SIZE)), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error('Could not decrypt - the key in the link is wrong or incomplete');
+    }
+};
+
+module.exports = {
+    generateKey,
+    exportKey,
+    importKey,
+    createEncryptStream,
+    createDecryptStream,
+    encryptMetadata,
+    decryptMetadata
+};
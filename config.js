@@ -0,0 +1,22 @@
+// Where the backend and these pages are hosted. Every page loads this file
+// before its own script, so this is the one place to change them.
+const COSMIC_CONFIG = {
+    apiBase: 'https://cosmic-uploads.onrender.com', // Replace with your Render URL
+    frontendBase: 'https://lucasnegerson-eng.github.io/cosmic-uploads' // Replace with your GitHub Pages URL
+};
+
+// Upload limits, expiry choices and features from the server (/api/config),
+// fetched once per page. Resolves with null when the server cannot be reached.
+let serverConfigRequest = null;
+
+function loadServerConfig() {
+    if (!serverConfigRequest) {
+        serverConfigRequest = fetch(`${COSMIC_CONFIG.apiBase}/api/config`)
+        .then(response => (response.ok ? response.json() : null))
+        .catch(error => {
+            console.warn('Could not load server configuration:', error);
+            return null;
+        });
+    }
+    return serverConfigRequest;
+}
@@ -0,0 +1,245 @@
+const API_BASE_DOWNLOAD = COSMIC_CONFIG.apiBase;
+const FRONTEND_BASE_DOWNLOAD = COSMIC_CONFIG.frontendBase;
+
+// Direct download page: checks the file first, shows what is about to be
+// downloaded, then starts the download. Reached as download.html?id=ID, or
+// through the backend's short /d/ID links, which redirect here.
+const downloadParams = new URLSearchParams(window.location.search);
+const downloadId = (downloadParams.get('id') || '').trim();
+
+const SCAN_POLL_INTERVAL = 5000;
+// Give the page a moment to show the file before the save dialog covers it
+const AUTO_DOWNLOAD_DELAY = 1000;
+
+// Access token for password-protected links, shared with the file page
+const downloadAccessKey = `cosmicAccess:${downloadId}`;
+let downloadAccessToken = loadDownloadAccessToken();
+let currentFile = null;
+
+function loadDownloadAccessToken() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(downloadAccessKey));
+        if (stored && new Date(stored.expiresAt) > new Date()) {
+            return stored.token;
+        }
+    } catch (e) {
+        // Ignore unreadable or unavailable storage
+    }
+    return null;
+}
+
+function saveDownloadAccessToken(token, expiresAt) {
+    downloadAccessToken = token;
+    try {
+        sessionStorage.setItem(downloadAccessKey, JSON.stringify({ token, expiresAt }));
+    } catch (e) {
+        // Token still works for this page load
+    }
+}
+
+function showState(id) {
+    for (const section of ['loading', 'passwordSection', 'fileInfoSection', 'errorSection']) {
+        document.getElementById(section).style.display = section === id ? 'block' : 'none';
+    }
+}
+
+function showError(title, message) {
+    document.getElementById('errorTitle').textContent = title;
+    document.getElementById('errorText').textContent = message;
+    showState('errorSection');
+}
+
+async function loadDownload() {
+    if (!/^[\w-]{1,128}$/.test(downloadId)) {
+        showError('❌ Invalid Link', 'This download link has no valid file ID - check that it was copied completely.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_DOWNLOAD}/api/file/${encodeURIComponent(downloadId)}`, {
+            headers: downloadAccessToken ? { Authorization: `Bearer ${downloadAccessToken}` } : {}
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            showPasswordPrompt();
+            return;
+        }
+        if (response.status === 404) {
+            showError('⌛ File Not Available', result.error === 'File has expired'
+                ? 'This file has expired and was deleted.'
+                : 'This file does not exist - it may have expired or been deleted by its uploader.');
+            return;
+        }
+        if (response.status === 410) {
+            showError('🔥 File Gone', result.error === 'Download limit reached'
+                ? 'This file reached its download limit and was deleted.'
+                : `${result.error || 'This file is no longer available'}.`);
+            return;
+        }
+        if (response.status === 429) {
+            showError('⏳ Too Many Requests', `${result.error || 'Too many requests'} - try again in a little while.`);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}: Failed to load file`);
+        }
+
+        showFile(result);
+    } catch (error) {
+        console.error('Error loading file:', error);
+        showError('❌ Download Failed', error.message || 'Could not reach the server - try again later.');
+    }
+}
+
+function showPasswordPrompt(message = '') {
+    showState('passwordSection');
+    document.getElementById('passwordError').textContent = message;
+    document.getElementById('passwordInput').focus();
+}
+
+async function unlockDownload(password) {
+    const unlockBtn = document.getElementById('unlockBtn');
+    unlockBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_DOWNLOAD}/api/file/${encodeURIComponent(downloadId)}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 429) {
+            const minutes = Math.ceil((result.retryAfter || 60) / 60);
+            showPasswordPrompt(`Too many incorrect attempts - try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+            return;
+        }
+        if (response.status === 403) {
+            showPasswordPrompt('Incorrect password');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to unlock file');
+        }
+
+        saveDownloadAccessToken(result.token, result.expiresAt);
+        showState('loading');
+        loadDownload();
+    } catch (error) {
+        console.error('Error unlocking file:', error);
+        showError('❌ Download Failed', error.message || 'Failed to unlock file');
+    } finally {
+        unlockBtn.disabled = false;
+    }
+}
+
+function showFile(fileInfo) {
+    currentFile = fileInfo;
+    const fileLink = `${FRONTEND_BASE_DOWNLOAD}/file.html?id=${fileInfo.fileId}`;
+
+    // Only the file page can decrypt, and only with the key from the full
+    // share link; a key that came along in this link is passed on to it
+    if (fileInfo.encrypted) {
+        if (window.location.hash.startsWith('#key=')) {
+            window.location.replace(`${fileLink}${window.location.hash}`);
+            return;
+        }
+        showError('🔒 End-to-End Encrypted', 'This file can only be decrypted in the browser with its full share link ' +
+            '(the one with the key after #). Ask the sender for that link.');
+        return;
+    }
+
+    const scan = fileInfo.scan || { status: 'unscanned' };
+    if (scan.status === 'quarantined' || scan.status === 'failed') {
+        showError('⛔ Download Blocked', scan.status === 'quarantined'
+            ? `This file was quarantined because malware was detected${scan.signature ? ` (${scan.signature})` : ''}.`
+            : 'This file could not be checked for malware, so it cannot be downloaded.');
+        return;
+    }
+
+    document.getElementById('fileName').textContent = fileInfo.originalName;
+    document.getElementById('fileSize').textContent = formatFileSize(fileInfo.size);
+    document.getElementById('expiresIn').textContent = `Expires ${formatExpiry(new Date(fileInfo.expiresAt))}`;
+    const downloadsLeft = document.getElementById('downloadsLeft');
+    downloadsLeft.style.display = fileInfo.remainingDownloads === null ? 'none' : 'inline';
+    downloadsLeft.textContent = fileInfo.remainingDownloads === null ? '' : `• ${formatDownloadsLeft(fileInfo.remainingDownloads)}`;
+    document.getElementById('filePageLink').href = fileLink;
+    showState('fileInfoSection');
+
+    const status = document.getElementById('downloadStatus');
+    const downloadBtn = document.getElementById('downloadBtn');
+    if (scan.status === 'pending') {
+        status.textContent = '⏳ Checking the file for malware - the download starts as soon as it is done...';
+        downloadBtn.disabled = true;
+        setTimeout(loadDownload, SCAN_POLL_INTERVAL);
+        return;
+    }
+
+    downloadBtn.disabled = false;
+    // Each download of a limited file uses one up, so those wait for a click
+    if (fileInfo.remainingDownloads !== null) {
+        status.textContent = 'This file can only be downloaded a limited number of times - click to download it.';
+        return;
+    }
+    status.textContent = 'Your download will start in a moment...';
+    setTimeout(() => {
+        startDownload();
+        status.textContent = 'Your download has started. If it did not, use the button below.';
+    }, AUTO_DOWNLOAD_DELAY);
+}
+
+function startDownload() {
+    if (!currentFile) return;
+    let url = `${API_BASE_DOWNLOAD}/api/download/${currentFile.fileId}`;
+    if (downloadAccessToken) {
+        url += `?token=${encodeURIComponent(downloadAccessToken)}`;
+    }
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = currentFile.originalName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    if (currentFile.remainingDownloads !== null) {
+        currentFile.remainingDownloads = Math.max(currentFile.remainingDownloads - 1, 0);
+        document.getElementById('downloadsLeft').textContent = `• ${formatDownloadsLeft(currentFile.remainingDownloads)}`;
+        if (currentFile.remainingDownloads === 0) {
+            document.getElementById('downloadBtn').disabled = true;
+            document.getElementById('downloadStatus').textContent = '🔥 That was the last download - the file is now deleted.';
+        }
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function formatExpiry(expiryDate) {
+    const minutes = Math.max(Math.round((expiryDate - new Date()) / 60000), 0);
+    if (minutes < 60) return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+    return `in ${Math.round(hours / 24)} days`;
+}
+
+function formatDownloadsLeft(remaining) {
+    if (remaining === 0) return 'no downloads left';
+    return `${remaining} download${remaining === 1 ? '' : 's'} left`;
+}
+
+document.getElementById('passwordForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('passwordInput');
+    unlockDownload(input.value);
+    input.value = '';
+});
+document.getElementById('downloadBtn').addEventListener('click', startDownload);
+
+loadDownload();
@@ -0,0 +1,240 @@
+// End-to-end encryption shared by the upload and file pages.
+//
+// Files are encrypted with AES-256-GCM in fixed-size records so neither side
+// ever needs the whole file in memory. The encrypted stream is:
+//
+//   header:  "CUE1" | record size (uint32 BE) | nonce prefix (8 bytes)
+//   records: AES-GCM(plaintext record) with a 16-byte tag, one per record
+//
+// Each record's IV is the nonce prefix followed by the record index (uint32 BE),
+// and its additional data marks whether it is the final record, so records
+// cannot be reordered, dropped or truncated without failing authentication.
+// The key is only ever placed in the share link's #fragment, which browsers
+// never send to the server.
+
+const ENCRYPTION_MAGIC = [0x43, 0x55, 0x45, 0x31]; // "CUE1"
+const ENCRYPTION_HEADER_SIZE = 16;
+const ENCRYPTION_RECORD_SIZE = 1024 * 1024; // 1MB of plaintext per record
+const ENCRYPTION_TAG_SIZE = 16;
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function generateEncryptionKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+async function exportEncryptionKey(key) {
+    return bytesToBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+async function importEncryptionKey(value) {
+    return crypto.subtle.importKey('raw', base64UrlToBytes(value), { name: 'AES-GCM' }, false, ['decrypt']);
+}
+
+// Read the key from a "#key=..." URL fragment, or null if there is none
+function getKeyFromFragment(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.get('key');
+}
+
+function getEncryptedRecordCount(plainSize) {
+    // An empty file still gets one (empty) final record
+    return Math.max(1, Math.ceil(plainSize / ENCRYPTION_RECORD_SIZE));
+}
+
+function getEncryptedSize(plainSize) {
+    return ENCRYPTION_HEADER_SIZE + plainSize + getEncryptedRecordCount(plainSize) * ENCRYPTION_TAG_SIZE;
+}
+
+// Inverse of getEncryptedSize, for showing the real size of an encrypted upload
+function getPlaintextSize(encryptedSize) {
+    const body = encryptedSize - ENCRYPTION_HEADER_SIZE;
+    const records = Math.max(1, Math.ceil(body / (ENCRYPTION_RECORD_SIZE + ENCRYPTION_TAG_SIZE)));
+    return Math.max(0, body - records * ENCRYPTION_TAG_SIZE);
+}
+
+function getRecordIv(noncePrefix, index) {
+    const iv = new Uint8Array(12);
+    iv.set(noncePrefix);
+    new DataView(iv.buffer).setUint32(8, index);
+    return iv;
+}
+
+function getRecordAad(isFinal) {
+    return new Uint8Array([isFinal ? 1 : 0]);
+}
+
+// Wrap a File so any byte range of its encrypted form can be produced on
+// demand. Records are deterministic for a given key and nonce prefix, so a
+// resumed upload can re-encrypt from any offset.
+function createEncryptedSource(file, key) {
+    const noncePrefix = crypto.getRandomValues(new Uint8Array(8));
+    const recordCount = getEncryptedRecordCount(file.size);
+    const encryptedRecordSize = ENCRYPTION_RECORD_SIZE + ENCRYPTION_TAG_SIZE;
+
+    const header = new Uint8Array(ENCRYPTION_HEADER_SIZE);
+    header.set(ENCRYPTION_MAGIC);
+    new DataView(header.buffer).setUint32(4, ENCRYPTION_RECORD_SIZE);
+    header.set(noncePrefix, 8);
+
+    async function encryptRecord(index) {
+        const start = index * ENCRYPTION_RECORD_SIZE;
+        const plaintext = await file.slice(start, start + ENCRYPTION_RECORD_SIZE).arrayBuffer();
+        const ciphertext = await crypto.subtle.encrypt({
+            name: 'AES-GCM',
+            iv: getRecordIv(noncePrefix, index),
+            additionalData: getRecordAad(index === recordCount - 1)
+        }, key, plaintext);
+        return new Uint8Array(ciphertext);
+    }
+
+    return {
+        size: getEncryptedSize(file.size),
+
+        async slice(start, end) {
+            end = Math.min(end, this.size);
+            const parts = [];
+            let partsStart;
+
+            if (start < ENCRYPTION_HEADER_SIZE) {
+                parts.push(header);
+                partsStart = 0;
+            }
+
+            const firstRecord = Math.max(0, Math.floor((start - ENCRYPTION_HEADER_SIZE) / encryptedRecordSize));
+            const lastRecord = Math.min(recordCount - 1, Math.floor((end - 1 - ENCRYPTION_HEADER_SIZE) / encryptedRecordSize));
+            if (partsStart === undefined) {
+                partsStart = ENCRYPTION_HEADER_SIZE + firstRecord * encryptedRecordSize;
+            }
+
+            for (let index = firstRecord; index <= lastRecord && end > ENCRYPTION_HEADER_SIZE; index++) {
+                parts.push(await encryptRecord(index));
+            }
+
+            return new Blob(parts).slice(start - partsStart, end - partsStart);
+        }
+    };
+}
+
+// Encrypt small metadata (original name and type) into one base64url string
+async function encryptMetadata(key, metadata) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(metadata));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+    const combined = new Uint8Array(iv.length + ciphertext.length);
+    combined.set(iv);
+    combined.set(ciphertext, iv.length);
+    return bytesToBase64Url(combined);
+}
+
+async function decryptMetadata(key, value) {
+    const combined = base64UrlToBytes(value);
+    const plaintext = await crypto.subtle.decrypt({
+        name: 'AES-GCM',
+        iv: combined.slice(0, 12)
+    }, key, combined.slice(12));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// TransformStream turning the encrypted byte stream back into plaintext
+function createDecryptStream(key) {
+    let pending = [];
+    let pendingLength = 0;
+    let noncePrefix = null;
+    let encryptedRecordSize = 0;
+    let index = 0;
+
+    function take(length) {
+        const out = new Uint8Array(length);
+        let offset = 0;
+        while (offset < length) {
+            const chunk = pending[0];
+            const needed = length - offset;
+            if (chunk.length <= needed) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+                pending.shift();
+            } else {
+                out.set(chunk.subarray(0, needed), offset);
+                pending[0] = chunk.subarray(needed);
+                offset += needed;
+            }
+        }
+        pendingLength -= length;
+        return out;
+    }
+
+    async function decryptRecord(record, isFinal) {
+        try {
+            const plaintext = await crypto.subtle.decrypt({
+                name: 'AES-GCM',
+                iv: getRecordIv(noncePrefix, index),
+                additionalData: getRecordAad(isFinal)
+            }, key, record);
+            index++;
+            return new Uint8Array(plaintext);
+        } catch (error) {
+            throw new Error('Decryption failed - the key is wrong or the file was modified');
+        }
+    }
+
+    function readHeader() {
+        const header = take(ENCRYPTION_HEADER_SIZE);
+        if (!ENCRYPTION_MAGIC.every((byte, i) => header[i] === byte)) {
+            throw new Error('This file is not in a recognised encrypted format');
+        }
+        encryptedRecordSize = new DataView(header.buffer).getUint32(4) + ENCRYPTION_TAG_SIZE;
+        noncePrefix = header.slice(8, 16);
+    }
+
+    return new TransformStream({
+        async transform(chunk, controller) {
+            pending.push(chunk);
+            pendingLength += chunk.length;
+
+            if (!noncePrefix) {
+                if (pendingLength < ENCRYPTION_HEADER_SIZE) return;
+                readHeader();
+            }
+
+            // Keep at least one full record back: only the end of the stream
+            // tells us which record is the final one
+            while (pendingLength > encryptedRecordSize) {
+                controller.enqueue(await decryptRecord(take(encryptedRecordSize), false));
+            }
+        },
+
+        async flush(controller) {
+            if (!noncePrefix) {
+                throw new Error('Encrypted file is truncated');
+            }
+            if (pendingLength < ENCRYPTION_TAG_SIZE) {
+                throw new Error('Encrypted file is truncated');
+            }
+            controller.enqueue(await decryptRecord(take(pendingLength), true));
+        }
+    });
+}
+
+// Decrypt a whole Blob (used for previews of smaller files)
+async function decryptBlob(key, blob, type = '') {
+    const stream = blob.stream().pipeThrough(createDecryptStream(key));
+    const plaintext = await new Response(stream).blob();
+    return type ? new Blob([plaintext], { type }) : plaintext;
+}
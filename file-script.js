@@ -1,23 +1,164 @@
-const API_BASE_FILE = 'https://cosmic-uploads.onrender.com'; // Replace with your Render URL
-const FRONTEND_BASE_FILE = 'https://lucasnegerson-eng.github.io/cosmic-uploads'; // Replace with your GitHub Pages URL
+const API_BASE_FILE = COSMIC_CONFIG.apiBase;
+const FRONTEND_BASE_FILE = COSMIC_CONFIG.frontendBase;
+// Previews, thumbnails and archive entries are loaded from here: the server's
+// preview origin, once its configuration says it has one
+let previewBase = API_BASE_FILE;
 
-// Get file ID from URL
+// Get file or collection ID from URL
 const urlParams = new URLSearchParams(window.location.search);
 const fileId = urlParams.get('id');
+const collectionId = urlParams.get('collection');
 
 const loading = document.getElementById('loading');
 const fileInfoSection = document.getElementById('fileInfoSection');
 const errorSection = document.getElementById('errorSection');
+const passwordSection = document.getElementById('passwordSection');
 
-if (!fileId) {
-    showError('No file ID provided in URL');
-} else {
-    loadFileInfo();
+// Decryption key for end-to-end encrypted uploads, taken from the #fragment
+const encryptionKeyString = getKeyFromFragment();
+const linkFragment = encryptionKeyString ? `#key=${encryptionKeyString}` : '';
+let encryptionKey = null;
+
+// Encrypted previews are decrypted in memory, so only smaller files get one
+const MAX_ENCRYPTED_PREVIEW_SIZE = 100 * 1024 * 1024; // 100MB
+// Types the server makes thumbnails of
+const THUMBNAIL_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff', 'image/svg+xml', 'application/pdf'
+];
+
+// Archives the server can list the contents of
+const ARCHIVE_TYPES = [
+    'application/zip', 'application/x-zip-compressed', 'application/x-tar', 'application/gzip',
+    'application/x-gzip', 'application/x-gtar', 'application/x-compressed-tar'
+];
+// Entries of an archive previewed in the page are kept small
+const MAX_ARCHIVE_TEXT_PREVIEW_SIZE = 1024 * 1024; // 1MB
+const MAX_ARCHIVE_IMAGE_PREVIEW_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Malware scan results the server reports. Files can only be opened once
+// scanned clean, or when the server does not scan them at all.
+const SCAN_LABELS = {
+    pending: '⏳ Scanning for malware...',
+    clean: '🛡️ No threats found',
+    quarantined: '⛔ Quarantined - malware detected',
+    failed: '⚠️ Could not be scanned for malware'
+};
+const SCAN_POLL_INTERVAL = 5000;
+let scanPollTimer = null;
+let expiryInterval = null;
+
+// Live events from the server (expiry changes, downloads, scan results and
+// deletion), so the page stays current without polling
+let fileEventSource = null;
+const REMOVAL_MESSAGES = {
+    expired: 'This file has expired and is no longer available.',
+    'download-limit': 'This file reached its download limit and was deleted.',
+    capacity: 'This file was removed to free up storage space.',
+    blocked: 'This file was removed by an administrator.',
+    admin: 'This file was removed by an administrator.'
+};
+
+// Access token for password-protected links, kept for this browser tab only
+const accessKey = `cosmicAccess:${collectionId || fileId}`;
+let accessToken = loadAccessToken();
+
+function loadAccessToken() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(accessKey));
+        if (stored && new Date(stored.expiresAt) > new Date()) {
+            return stored.token;
+        }
+    } catch (e) {
+        // Ignore unreadable or unavailable storage
+    }
+    return null;
+}
+
+function saveAccessToken(token, expiresAt) {
+    accessToken = token;
+    try {
+        sessionStorage.setItem(accessKey, JSON.stringify({ token, expiresAt }));
+    } catch (e) {
+        // Token still works for this page load
+    }
+}
+
+function authHeaders() {
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+}
+
+// Media elements and download links cannot send headers, so the token goes in the URL
+function withToken(url) {
+    if (!accessToken) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(accessToken)}`;
+}
+
+// Whether the server can show a thumbnail of the file: it must be able to read
+// it, and previews must not use up a limited number of downloads
+function hasThumbnail(fileInfo) {
+    return !fileInfo.encrypted && isScanCleared(fileInfo) &&
+        (fileInfo.remainingDownloads === null || fileInfo.remainingDownloads === undefined) &&
+        THUMBNAIL_TYPES.includes(fileInfo.mimetype.toLowerCase());
 }
 
+// Whether the file passed the server's malware scan, or was never scanned
+function isScanCleared(fileInfo) {
+    return !fileInfo.scan || ['clean', 'unscanned'].includes(fileInfo.scan.status);
+}
+
+function describeScan(scan) {
+    if (!scan || !SCAN_LABELS[scan.status]) return '';
+    return scan.status === 'quarantined' && scan.signature
+        ? `${SCAN_LABELS.quarantined} (${scan.signature})`
+        : SCAN_LABELS[scan.status];
+}
+
+// Reload the file or collection once its pending scans may have finished
+function pollScanStatus(reload) {
+    clearTimeout(scanPollTimer);
+    scanPollTimer = setTimeout(reload, SCAN_POLL_INTERVAL);
+}
+
+function getThumbnailUrl(fileInfo, size) {
+    return withToken(`${previewBase}/api/thumbnail/${fileInfo.fileId}?size=${size}`);
+}
+
+// Whether the server can list the entries of the file. Mimetypes of gzip
+// files say nothing of a tar inside, so the name decides for those.
+function isBrowsableArchive(fileInfo) {
+    const mimetype = fileInfo.mimetype.toLowerCase();
+    const name = fileInfo.originalName.toLowerCase();
+    if (fileInfo.encrypted || !ARCHIVE_TYPES.includes(mimetype)) return false;
+    return !mimetype.includes('gzip') || /\.(tar\.gz|tgz)$/.test(name);
+}
+
+function getArchiveEntryUrl(fileInfo, entryPath, inline) {
+    const url = `${inline ? previewBase : API_BASE_FILE}/api/archive/${fileInfo.fileId}/entry?path=${encodeURIComponent(entryPath)}`;
+    return withToken(inline ? `${url}&inline=1` : url);
+}
+
+loadServerConfig().then(serverConfig => {
+    if (serverConfig && serverConfig.previewOrigin) {
+        previewBase = serverConfig.previewOrigin;
+    }
+
+    if (collectionId) {
+        loadCollectionInfo();
+    } else if (!fileId) {
+        showError('No file ID provided in URL');
+    } else {
+        loadFileInfo();
+    }
+});
+
 async function loadFileInfo() {
     try {
-        const response = await fetch(`${API_BASE_FILE}/api/file/${fileId}`);
+        const response = await fetch(`${API_BASE_FILE}/api/file/${fileId}`, { headers: authHeaders() });
+
+        if (response.status === 401) {
+            showPasswordPrompt();
+            return;
+        }
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({ error: 'Failed to load file' }));
@@ -25,13 +166,242 @@ async function loadFileInfo() {
         }
 
         const fileInfo = await response.json();
-        displayFileInfo(fileInfo);
+        displayFileInfo(await decryptFileInfo(fileInfo));
     } catch (error) {
         console.error('Error loading file:', error);
         showError(error.message || 'Failed to load file information');
     }
 }
 
+async function loadCollectionInfo() {
+    try {
+        const response = await fetch(`${API_BASE_FILE}/api/collection/${collectionId}`, { headers: authHeaders() });
+
+        if (response.status === 401) {
+            showPasswordPrompt();
+            return;
+        }
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Failed to load collection' }));
+            throw new Error(error.error || `HTTP ${response.status}: Failed to load collection`);
+        }
+
+        const collectionInfo = await response.json();
+        collectionInfo.files = await Promise.all(collectionInfo.files.map(decryptFileInfo));
+        displayCollectionInfo(collectionInfo);
+    } catch (error) {
+        console.error('Error loading collection:', error);
+        showError(error.message || 'Failed to load collection information');
+    }
+}
+
+// Replace the placeholder name, type and size of an encrypted upload with the real ones
+async function decryptFileInfo(fileInfo) {
+    if (!fileInfo.encrypted) return fileInfo;
+
+    if (!encryptionKeyString) {
+        throw new Error('This file is end-to-end encrypted, but the link is missing its key (the part after #)');
+    }
+
+    try {
+        encryptionKey = encryptionKey || await importEncryptionKey(encryptionKeyString);
+        const metadata = await decryptMetadata(encryptionKey, fileInfo.encryptedMetadata);
+        return {
+            ...fileInfo,
+            originalName: metadata.name,
+            mimetype: metadata.type || 'application/octet-stream',
+            encryptedSize: fileInfo.size,
+            size: getPlaintextSize(fileInfo.size)
+        };
+    } catch (error) {
+        console.error('Error decrypting file info:', error);
+        throw new Error('Could not decrypt this file - the key in the link is wrong or incomplete');
+    }
+}
+
+function showPasswordPrompt(message = '') {
+    loading.style.display = 'none';
+    fileInfoSection.style.display = 'none';
+    passwordSection.style.display = 'block';
+    document.getElementById('passwordError').textContent = message;
+    document.getElementById('passwordInput').focus();
+}
+
+async function unlock(password) {
+    const resourcePath = collectionId ? `collection/${collectionId}` : `file/${fileId}`;
+    const unlockBtn = document.getElementById('unlockBtn');
+    unlockBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_FILE}/api/${resourcePath}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 429) {
+            const minutes = Math.ceil((result.retryAfter || 60) / 60);
+            showPasswordPrompt(`Too many incorrect attempts - try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+            return;
+        }
+        if (response.status === 403) {
+            showPasswordPrompt('Incorrect password');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to unlock file');
+        }
+
+        saveAccessToken(result.token, result.expiresAt);
+        passwordSection.style.display = 'none';
+        loading.style.display = 'block';
+
+        if (collectionId) {
+            loadCollectionInfo();
+        } else {
+            loadFileInfo();
+        }
+    } catch (error) {
+        console.error('Error unlocking file:', error);
+        showError(error.message || 'Failed to unlock file');
+    } finally {
+        unlockBtn.disabled = false;
+    }
+}
+
+document.getElementById('passwordForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('passwordInput');
+    unlock(input.value);
+    input.value = '';
+});
+
+function displayCollectionInfo(collectionInfo) {
+    loading.style.display = 'none';
+    fileInfoSection.style.display = 'block';
+
+    const count = collectionInfo.files.length;
+    document.getElementById('fileName').textContent = `${count} ${count === 1 ? 'file' : 'files'}`;
+    document.getElementById('fileSize').textContent = formatFileSize(collectionInfo.totalSize);
+    document.getElementById('uploadTime').textContent = formatDate(new Date(collectionInfo.createdAt));
+
+    updateExpiryTime(new Date(collectionInfo.expiresAt));
+
+    const shareLink = `${FRONTEND_BASE_FILE}/file.html?collection=${collectionInfo.collectionId}${linkFragment}`;
+    document.getElementById('shareLink').value = shareLink;
+    document.getElementById('encryptedBadge').style.display = collectionInfo.encrypted ? 'inline' : 'none';
+    showUploader(collectionInfo.uploadedBy);
+
+    if (collectionInfo.encrypted) {
+        // The server can only zip ciphertext, so each file is decrypted and saved in turn
+        document.getElementById('downloadLink').value = shareLink;
+        document.querySelector('.file-actions .download-btn span').textContent = '⬇️ Download All';
+    } else {
+        document.getElementById('downloadLink').value = `${API_BASE_FILE}/api/collection/${collectionInfo.collectionId}/zip`;
+        document.querySelector('.file-actions .download-btn span').textContent = '⬇️ Download All as ZIP';
+    }
+
+    // The ZIP waits for every file's scan to finish
+    const scanning = collectionInfo.files.some(fileInfo => fileInfo.scan && fileInfo.scan.status === 'pending');
+    document.querySelector('.file-actions .download-btn').disabled = scanning;
+    if (scanning) {
+        document.querySelector('.file-actions .download-btn span').textContent = SCAN_LABELS.pending;
+        pollScanStatus(loadCollectionInfo);
+    }
+
+    // Each file gets its own row instead of the single preview area
+    document.getElementById('filePreview').style.display = 'none';
+    renderCollectionList(collectionInfo.files);
+
+    window.currentCollectionInfo = collectionInfo;
+
+    startExpiryCountdown(new Date(collectionInfo.expiresAt));
+}
+
+function renderCollectionList(files) {
+    const list = document.getElementById('collectionList');
+    list.innerHTML = '';
+    list.style.display = 'block';
+
+    files.forEach(fileInfo => {
+        const item = document.createElement('div');
+        item.className = 'collection-item';
+
+        const header = document.createElement('div');
+        header.className = 'collection-item-header';
+
+        const icon = document.createElement('span');
+        icon.className = 'collection-item-icon';
+        icon.textContent = getFileIcon(fileInfo.mimetype.toLowerCase());
+        if (hasThumbnail(fileInfo)) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'collection-item-thumbnail';
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+            // Keep the icon if there is no thumbnail after all
+            thumbnail.onload = () => icon.replaceChildren(thumbnail);
+            thumbnail.src = getThumbnailUrl(fileInfo, 'small');
+        }
+
+        const details = document.createElement('div');
+        details.className = 'collection-item-details';
+        const name = document.createElement('div');
+        name.className = 'collection-item-name';
+        name.textContent = fileInfo.originalName;
+        const size = document.createElement('div');
+        size.className = 'collection-item-size';
+        size.textContent = formatFileSize(fileInfo.size);
+        if (fileInfo.remainingDownloads !== null) {
+            size.textContent += ` • ${formatDownloadsLeft(fileInfo.remainingDownloads)}`;
+        }
+        if (fileInfo.scan && fileInfo.scan.status !== 'unscanned') {
+            size.textContent += ` • ${describeScan(fileInfo.scan)}`;
+        }
+        if (fileInfo.sha256) {
+            details.title = `SHA-256: ${fileInfo.sha256}`;
+        }
+        details.append(name, size);
+
+        const preview = document.createElement('div');
+        preview.className = 'file-preview collection-item-preview';
+        preview.style.display = 'none';
+
+        const previewBtn = document.createElement('button');
+        previewBtn.className = 'share-btn';
+        previewBtn.textContent = '👁️ Preview';
+        previewBtn.onclick = () => {
+            const isVisible = preview.style.display !== 'none';
+            preview.style.display = isVisible ? 'none' : 'flex';
+            previewBtn.textContent = isVisible ? '👁️ Preview' : '❌ Hide';
+            // Only fetch the preview the first time it is opened
+            if (!isVisible && !preview.hasChildNodes()) {
+                loadPreview(fileInfo, preview);
+            }
+        };
+
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'download-btn';
+        downloadBtn.textContent = '⬇️ Download';
+        downloadBtn.onclick = () => {
+            if (fileInfo.encrypted) {
+                downloadEncryptedFile(fileInfo, text => { downloadBtn.textContent = text; })
+                .then(() => { downloadBtn.textContent = '⬇️ Download'; });
+            } else {
+                triggerDownload(withToken(`${API_BASE_FILE}/api/download/${fileInfo.fileId}`), fileInfo.originalName);
+            }
+        };
+
+        previewBtn.disabled = !isScanCleared(fileInfo);
+        downloadBtn.disabled = !isScanCleared(fileInfo);
+
+        header.append(icon, details, previewBtn, downloadBtn);
+        item.append(header, preview);
+        list.appendChild(item);
+    });
+}
+
 function displayFileInfo(fileInfo) {
     loading.style.display = 'none';
     fileInfoSection.style.display = 'block';
@@ -43,10 +413,39 @@ function displayFileInfo(fileInfo) {
 
     // Update expiry time with live countdown
     updateExpiryTime(new Date(fileInfo.expiresAt));
+    updateDownloadsLeft(fileInfo.remainingDownloads);
+
+    document.getElementById('encryptedBadge').style.display = fileInfo.encrypted ? 'inline' : 'none';
+    showUploader(fileInfo.uploadedBy);
+    showScanStatus(fileInfo.scan);
 
-    // Set up sharing links
-    document.getElementById('shareLink').value = `${FRONTEND_BASE_FILE}/file.html?id=${fileInfo.fileId}`;
-    document.getElementById('downloadLink').value = `${API_BASE_FILE}/api/download/${fileInfo.fileId}`;
+    // Set up sharing links (encrypted files can only be opened through this page)
+    // Links use the file's short code when it has one
+    const linkId = fileInfo.slug || fileInfo.fileId;
+    const shareLink = `${FRONTEND_BASE_FILE}/file.html?id=${linkId}${linkFragment}`;
+    document.getElementById('shareLink').value = shareLink;
+    document.getElementById('downloadLink').value = fileInfo.encrypted
+        ? shareLink
+        : `${API_BASE_FILE}/d/${linkId}`;
+
+    // Checksum so recipients can verify what they downloaded. For encrypted
+    // files the server only knows the hash of the ciphertext.
+    if (fileInfo.sha256) {
+        document.getElementById('checksumLabel').textContent = fileInfo.encrypted
+            ? 'SHA-256 Checksum (of the encrypted data):'
+            : 'SHA-256 Checksum:';
+        document.getElementById('fileChecksum').value = fileInfo.sha256;
+        document.getElementById('checksumGroup').style.display = 'block';
+    }
+
+    // Nothing can be opened until the scan clears the file
+    const downloadBtn = document.querySelector('.file-actions .download-btn');
+    downloadBtn.disabled = !isScanCleared(fileInfo);
+    downloadBtn.querySelector('span').textContent = isScanCleared(fileInfo) ? '⬇️ Download File' : describeScan(fileInfo.scan);
+    // Without live events, check back until the scan is done
+    if (fileInfo.scan && fileInfo.scan.status === 'pending' && !followFileEvents(fileInfo)) {
+        pollScanStatus(loadFileInfo);
+    }
 
     // Load preview if supported
     loadPreview(fileInfo);
@@ -56,25 +455,126 @@ function displayFileInfo(fileInfo) {
 
     // Start expiry countdown timer
     startExpiryCountdown(new Date(fileInfo.expiresAt));
+    followFileEvents(fileInfo);
+}
+
+// Subscribe to the file's live events once. Returns false where the browser
+// has no EventSource.
+function followFileEvents(fileInfo) {
+    if (fileEventSource) return true;
+    if (typeof EventSource === 'undefined') return false;
+
+    fileEventSource = new EventSource(withToken(`${API_BASE_FILE}/api/file/${fileInfo.fileId}/events`));
+    fileEventSource.addEventListener('state', event => applyFileState(JSON.parse(event.data)));
+    fileEventSource.addEventListener('download', event => applyFileState(JSON.parse(event.data)));
+    fileEventSource.addEventListener('removed', event => {
+        fileEventSource.close();
+        showFileRemoved(JSON.parse(event.data).reason);
+    });
+    // Browsers reconnect dropped streams themselves; a refused one stays closed
+    fileEventSource.onerror = () => {
+        const current = window.currentFileInfo;
+        if (fileEventSource.readyState === EventSource.CLOSED && current && current.scan && current.scan.status === 'pending') {
+            pollScanStatus(loadFileInfo);
+        }
+    };
+    return true;
+}
+
+// Bring the page in line with the file's state on the server
+function applyFileState(state) {
+    const fileInfo = window.currentFileInfo;
+    if (!fileInfo) return;
+
+    // Scan finished: show the file again now that it can be opened
+    if (fileInfo.scan && state.scan.status !== fileInfo.scan.status) {
+        clearTimeout(scanPollTimer);
+        loadFileInfo();
+        return;
+    }
+
+    if (state.expiresAt !== fileInfo.expiresAt) {
+        fileInfo.expiresAt = state.expiresAt;
+        startExpiryCountdown(new Date(state.expiresAt));
+    }
+
+    fileInfo.remainingDownloads = state.remainingDownloads;
+    updateDownloadsLeft(state.remainingDownloads);
+    if (state.remainingDownloads === 0) {
+        showLastDownloadUsed();
+    }
+    updateDownloadActivity(state);
+}
+
+function showFileRemoved(reason) {
+    clearInterval(expiryInterval);
+    // The last permitted download may be this page's own, still in progress
+    if (reason === 'download-limit' && window.currentFileInfo) {
+        updateDownloadsLeft(0);
+        showLastDownloadUsed();
+        return;
+    }
+    showError(REMOVAL_MESSAGES[reason] || 'This file was deleted and is no longer available.');
+}
+
+function showLastDownloadUsed() {
+    document.querySelector('.file-actions .download-btn').disabled = true;
+    document.querySelector('.file-actions .download-btn span').textContent = '🔥 Last download used';
 }
 
-function loadPreview(fileInfo) {
-    const previewContainer = document.getElementById('filePreview');
+// How often the file was downloaded, and whether anyone is downloading it now
+function updateDownloadActivity({ completedDownloads, activeDownloads }) {
+    const element = document.getElementById('downloadActivity');
+    const parts = [];
+    if (completedDownloads > 0) {
+        parts.push(`Downloaded ${completedDownloads} time${completedDownloads === 1 ? '' : 's'}`);
+    }
+    if (activeDownloads > 0) {
+        parts.push(`${activeDownloads} downloading now`);
+    }
+    element.textContent = parts.map(part => `• ${part}`).join(' ');
+    element.style.display = parts.length > 0 ? 'inline' : 'none';
+}
+
+function loadPreview(fileInfo, previewContainer = document.getElementById('filePreview')) {
     const mimetype = fileInfo.mimetype.toLowerCase();
 
     // Clear any existing content
     previewContainer.innerHTML = '';
 
+    if (!isScanCleared(fileInfo)) {
+        showPreviewPlaceholder(previewContainer, getFileIcon(mimetype), getFileTypeDescription(mimetype),
+            fileInfo.scan.status === 'pending'
+                ? 'Preview available once the malware scan finishes'
+                : 'This file cannot be opened - it did not pass the malware scan');
+        return;
+    }
+
+    // Previewing would use up one of a limited number of downloads
+    if (fileInfo.remainingDownloads !== null && fileInfo.remainingDownloads !== undefined) {
+        showPreviewPlaceholder(previewContainer, getFileIcon(mimetype), getFileTypeDescription(mimetype),
+            'Preview disabled - this file can only be downloaded a limited number of times');
+        return;
+    }
+
+    if (fileInfo.encrypted && fileInfo.size > MAX_ENCRYPTED_PREVIEW_SIZE) {
+        showPreviewPlaceholder(previewContainer, getFileIcon(mimetype), getFileTypeDescription(mimetype),
+            'Encrypted file is too large to preview - Click download to decrypt and save it');
+        return;
+    }
+
     if (mimetype.startsWith('image/')) {
         loadImagePreview(previewContainer, fileInfo);
-    } else if (mimetype.startsWith('text/') || mimetype === 'application/json') {
+    } else if (detectLanguage(fileInfo.originalName, mimetype)) {
         loadTextPreview(previewContainer, fileInfo);
     } else if (mimetype === 'application/pdf') {
-        showPreviewPlaceholder(previewContainer, '📋', 'PDF Document', 'Click download to view the PDF file');
+        loadPdfPreview(previewContainer, fileInfo);
     } else if (mimetype.startsWith('video/')) {
         loadVideoPreview(previewContainer, fileInfo);
     } else if (mimetype.startsWith('audio/')) {
         loadAudioPreview(previewContainer, fileInfo);
+    } else if (isBrowsableArchive(fileInfo)) {
+        loadArchivePreview(previewContainer, fileInfo);
     } else {
         const icon = getFileIcon(mimetype);
         const fileType = getFileTypeDescription(mimetype);
@@ -82,68 +582,170 @@ function loadPreview(fileInfo) {
     }
 }
 
+// URL for the preview of a file: the preview route itself, or for encrypted
+// files an object URL of the decrypted content
+async function getPreviewSource(fileInfo) {
+    const url = `${previewBase}/api/preview/${fileInfo.fileId}`;
+    if (!fileInfo.encrypted) {
+        return withToken(url);
+    }
+
+    const response = await fetch(url, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Preview not available');
+    const plaintext = await decryptBlob(encryptionKey, await response.blob(), fileInfo.mimetype);
+    return URL.createObjectURL(plaintext);
+}
+
+// Images are shown as a thumbnail made by the server where possible; the
+// full image is only loaded when the thumbnail is clicked
 function loadImagePreview(container, fileInfo) {
     const img = document.createElement('img');
-    img.src = `${API_BASE_FILE}/api/preview/${fileInfo.fileId}`;
     img.alt = fileInfo.originalName;
+    img.title = 'Click to view full size';
+    img.className = 'zoomable';
     img.style.cssText = 'max-width: 100%; max-height: 500px; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.3);';
+    let showingThumbnail = hasThumbnail(fileInfo);
 
     img.onload = () => {
+        container.innerHTML = '';
         container.appendChild(img);
     };
 
     img.onerror = () => {
+        // Fall back to the original when the server could not make a thumbnail
+        if (showingThumbnail) {
+            showingThumbnail = false;
+            loadOriginal();
+            return;
+        }
         showPreviewPlaceholder(container, '🖼️', 'Image File', 'Image preview not available');
     };
 
+    img.onclick = () => {
+        // The server only serves SVG as text (it could run script), so the
+        // large thumbnail is as full size as it gets
+        if (!showingThumbnail || fileInfo.mimetype.toLowerCase() === 'image/svg+xml') {
+            openLightbox(img.src, fileInfo.originalName);
+            return;
+        }
+        getPreviewSource(fileInfo)
+        .then(src => openLightbox(src, fileInfo.originalName))
+        .catch(() => {});
+    };
+
+    function loadOriginal() {
+        getPreviewSource(fileInfo)
+        .then(src => {
+            img.src = src;
+        })
+        .catch(() => img.onerror());
+    }
+
     // Show loading state
     container.innerHTML = '<div class="preview-loading">Loading image...</div>';
+
+    if (showingThumbnail) {
+        img.src = getThumbnailUrl(fileInfo, 'large');
+    } else {
+        loadOriginal();
+    }
+}
+
+// PDFs are shown as an image of their first page; clicking it opens the whole
+// document in the browser's PDF viewer
+function loadPdfPreview(container, fileInfo) {
+    if (!hasThumbnail(fileInfo)) {
+        showPreviewPlaceholder(container, '📋', 'PDF Document', 'Click download to view the PDF file');
+        return;
+    }
+
+    const img = document.createElement('img');
+    img.alt = `First page of ${fileInfo.originalName}`;
+    img.title = 'Click to open the PDF';
+    img.className = 'zoomable';
+    img.style.cssText = 'max-width: 100%; max-height: 500px; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.3); background: #ffffff;';
+
+    img.onload = () => {
+        container.innerHTML = '';
+        container.appendChild(img);
+    };
+
+    img.onerror = () => {
+        showPreviewPlaceholder(container, '📋', 'PDF Document', 'Click download to view the PDF file');
+    };
+
+    img.onclick = () => {
+        window.open(withToken(`${previewBase}/api/preview/${fileInfo.fileId}`), '_blank', 'noopener');
+    };
+
+    container.innerHTML = '<div class="preview-loading">Loading first page...</div>';
+    img.src = getThumbnailUrl(fileInfo, 'large');
+}
+
+// Full-screen view of an image, closed by clicking anywhere or pressing Escape
+function openLightbox(src, alt) {
+    const overlay = document.createElement('div');
+    overlay.className = 'lightbox';
+
+    const status = document.createElement('p');
+    status.className = 'lightbox-status';
+    status.textContent = 'Loading full image...';
+
+    const img = document.createElement('img');
+    img.alt = alt;
+    img.onload = () => status.remove();
+    img.onerror = () => {
+        status.textContent = 'Full image not available';
+    };
+    img.src = src;
+
+    const close = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', onKeyDown);
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    overlay.onclick = close;
+    document.addEventListener('keydown', onKeyDown);
+
+    overlay.append(status, img);
+    document.body.appendChild(overlay);
 }
 
+// Text is shown by text-viewer.js, which reads it a chunk at a time: through
+// Range requests, or for encrypted files from the decrypted copy in memory
 function loadTextPreview(container, fileInfo) {
     // Show loading state
     container.innerHTML = '<div class="preview-loading">Loading text preview...</div>';
 
-    fetch(`${API_BASE_FILE}/api/preview/${fileInfo.fileId}`)
-    .then(response => {
-        if (!response.ok) throw new Error('Preview not available');
-        return response.text();
-    })
-    .then(text => {
-        const pre = document.createElement('pre');
-        pre.style.cssText = `
-        white-space: pre-wrap;
-        word-wrap: break-word;
-        padding: 20px;
-        margin: 0;
-        font-family: 'Courier New', monospace;
-        font-size: 0.9em;
-        max-height: 400px;
-        overflow-y: auto;
-        background: #1a1a1a;
-        border-radius: 8px;
-        border: 1px solid #333;
-        `;
-
-        // Truncate very long text files
-        const maxLength = 5000;
-        if (text.length > maxLength) {
-            pre.textContent = text.substring(0, maxLength) + '\n\n[Content truncated - Download to view full file]';
-        } else {
-            pre.textContent = text;
-        }
-
+    getTextRangeReader(fileInfo)
+    .then(({ readRange, size }) => {
         container.innerHTML = '';
-        container.appendChild(pre);
+        return renderTextPreview(container, {
+            readRange,
+            size,
+            name: fileInfo.originalName,
+            mimetype: fileInfo.mimetype,
+            linkable: !collectionId
+        });
     })
     .catch(() => {
         showPreviewPlaceholder(container, '📄', 'Text File', 'Text preview not available');
     });
 }
 
+async function getTextRangeReader(fileInfo) {
+    if (!fileInfo.encrypted) {
+        const url = `${previewBase}/api/preview/${fileInfo.fileId}`;
+        return { readRange: createRemoteRangeReader(url, authHeaders()), size: fileInfo.size };
+    }
+    const plaintext = await (await fetch(await getPreviewSource(fileInfo))).blob();
+    return { readRange: createBlobRangeReader(plaintext), size: plaintext.size };
+}
+
 function loadVideoPreview(container, fileInfo) {
     const video = document.createElement('video');
-    video.src = `${API_BASE_FILE}/api/preview/${fileInfo.fileId}`;
     video.controls = true;
     video.style.cssText = 'max-width: 100%; max-height: 400px; border-radius: 8px;';
     video.preload = 'metadata';
@@ -152,12 +754,17 @@ function loadVideoPreview(container, fileInfo) {
         showPreviewPlaceholder(container, '🎥', 'Video File', 'Video preview not available');
     };
 
+    getPreviewSource(fileInfo)
+    .then(src => {
+        video.src = src;
+    })
+    .catch(() => video.onerror());
+
     container.appendChild(video);
 }
 
 function loadAudioPreview(container, fileInfo) {
     const audio = document.createElement('audio');
-    audio.src = `${API_BASE_FILE}/api/preview/${fileInfo.fileId}`;
     audio.controls = true;
     audio.style.cssText = 'width: 100%; margin: 20px 0;';
     audio.preload = 'metadata';
@@ -171,9 +778,206 @@ function loadAudioPreview(container, fileInfo) {
         showPreviewPlaceholder(container, '🎵', 'Audio File', 'Audio preview not available');
     };
 
+    getPreviewSource(fileInfo)
+    .then(src => {
+        audio.src = src;
+    })
+    .catch(() => audio.onerror());
+
     container.appendChild(wrapper);
 }
 
+// Archives are shown as a tree of their entries, read by the server from the
+// archive's index. Each file can be downloaded on its own, and images and
+// text can be shown below the tree.
+function loadArchivePreview(container, fileInfo) {
+    container.innerHTML = '<div class="preview-loading">Reading archive...</div>';
+
+    fetch(`${API_BASE_FILE}/api/archive/${fileInfo.fileId}`, { headers: authHeaders() })
+    .then(response => response.json().then(data => {
+        if (!response.ok) throw new Error(data.error || 'Archive not readable');
+        return data;
+    }))
+    .then(listing => {
+        const browser = document.createElement('div');
+        browser.className = 'archive-browser';
+
+        const files = listing.entries.filter(entry => entry.type === 'file');
+        const totalSize = files.reduce((sum, entry) => sum + entry.size, 0);
+        const summary = document.createElement('p');
+        summary.className = 'archive-summary';
+        summary.textContent = `${files.length} file${files.length === 1 ? '' : 's'}, ${formatFileSize(totalSize)} unpacked`;
+        if (listing.skipped) {
+            summary.textContent += ` • ${listing.skipped} unsafe or special entr${listing.skipped === 1 ? 'y' : 'ies'} hidden`;
+        }
+        if (listing.truncated) {
+            summary.textContent += ` • Only the first ${listing.entries.length} entries are shown`;
+        }
+
+        const entryPreview = document.createElement('div');
+        entryPreview.className = 'archive-entry-preview';
+        entryPreview.style.display = 'none';
+
+        const tree = renderArchiveTree(buildArchiveTree(listing.entries), fileInfo, entryPreview);
+        tree.classList.add('archive-tree');
+        if (!tree.children.length) {
+            tree.appendChild(createArchiveMessage('This archive is empty'));
+        }
+
+        browser.append(summary, tree, entryPreview);
+        container.innerHTML = '';
+        container.appendChild(browser);
+    })
+    .catch(error => {
+        showPreviewPlaceholder(container, '🗜️', 'Archive File', 'Contents not available - Click download to open the archive');
+        console.error('Archive listing error:', error.message);
+    });
+}
+
+// Nest listed entries into directories. Directories are not always listed
+// themselves, so any a path passes through are created as needed.
+function buildArchiveTree(entries) {
+    const root = { directories: new Map(), files: [] };
+    for (const entry of entries) {
+        const parts = entry.path.split('/');
+        const name = parts.pop();
+        let node = root;
+        for (const part of entry.type === 'directory' ? [...parts, name] : parts) {
+            if (!node.directories.has(part)) {
+                node.directories.set(part, { directories: new Map(), files: [] });
+            }
+            node = node.directories.get(part);
+        }
+        if (entry.type === 'file') {
+            node.files.push({ ...entry, name });
+        }
+    }
+    return root;
+}
+
+function countArchiveFiles(node) {
+    let count = node.files.length;
+    for (const child of node.directories.values()) {
+        count += countArchiveFiles(child);
+    }
+    return count;
+}
+
+function renderArchiveTree(node, fileInfo, entryPreview, depth = 0) {
+    const list = document.createElement('ul');
+    const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+    for (const name of [...node.directories.keys()].sort(byName)) {
+        const child = node.directories.get(name);
+        const item = document.createElement('li');
+        const details = document.createElement('details');
+        // Open the first level, or everything when an archive holds one folder
+        details.open = depth === 0 || node.directories.size === 1 && node.files.length === 0 && depth < 3;
+
+        const summary = document.createElement('summary');
+        const count = countArchiveFiles(child);
+        summary.textContent = `📁 ${name}`;
+        const size = document.createElement('span');
+        size.className = 'archive-entry-size';
+        size.textContent = `${count} file${count === 1 ? '' : 's'}`;
+        summary.appendChild(size);
+
+        details.append(summary, renderArchiveTree(child, fileInfo, entryPreview, depth + 1));
+        item.appendChild(details);
+        list.appendChild(item);
+    }
+
+    for (const entry of node.files.sort((a, b) => byName(a.name, b.name))) {
+        list.appendChild(renderArchiveEntry(entry, fileInfo, entryPreview));
+    }
+    return list;
+}
+
+function renderArchiveEntry(entry, fileInfo, entryPreview) {
+    const item = document.createElement('li');
+    item.className = 'archive-entry';
+
+    const name = document.createElement('span');
+    name.className = 'archive-entry-name';
+    name.textContent = `${entry.preview === 'image' ? '🖼️' : '📄'} ${entry.name}`;
+    name.title = entry.modifiedAt ? `${entry.path}\nModified ${new Date(entry.modifiedAt).toLocaleString()}` : entry.path;
+
+    const size = document.createElement('span');
+    size.className = 'archive-entry-size';
+    size.textContent = formatFileSize(entry.size);
+
+    item.append(name, size);
+
+    const maxPreviewSize = entry.preview === 'image' ? MAX_ARCHIVE_IMAGE_PREVIEW_SIZE : MAX_ARCHIVE_TEXT_PREVIEW_SIZE;
+    if (entry.preview && entry.size <= maxPreviewSize) {
+        const previewBtn = document.createElement('button');
+        previewBtn.type = 'button';
+        previewBtn.className = 'archive-entry-action';
+        previewBtn.textContent = 'Preview';
+        previewBtn.onclick = () => showArchiveEntry(entryPreview, entry, fileInfo);
+        item.appendChild(previewBtn);
+    }
+
+    if (entry.encrypted) {
+        const locked = document.createElement('span');
+        locked.className = 'archive-entry-size';
+        locked.textContent = '🔒 Password protected';
+        item.appendChild(locked);
+    } else {
+        const download = document.createElement('a');
+        download.className = 'archive-entry-action';
+        download.href = getArchiveEntryUrl(fileInfo, entry.path, false);
+        download.textContent = 'Download';
+        item.appendChild(download);
+    }
+    return item;
+}
+
+function createArchiveMessage(text) {
+    const item = document.createElement('li');
+    item.className = 'archive-entry-size';
+    item.textContent = text;
+    return item;
+}
+
+// Show one entry of the archive below the tree
+function showArchiveEntry(entryPreview, entry, fileInfo) {
+    const title = document.createElement('p');
+    title.className = 'archive-entry-title';
+    title.textContent = entry.path;
+    entryPreview.innerHTML = '';
+    entryPreview.style.display = 'block';
+    entryPreview.appendChild(title);
+    entryPreview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    const src = getArchiveEntryUrl(fileInfo, entry.path, true);
+    if (entry.preview === 'image') {
+        const img = document.createElement('img');
+        img.alt = entry.name;
+        img.title = 'Click to view full size';
+        img.className = 'zoomable';
+        img.onclick = () => openLightbox(src, entry.name);
+        img.onerror = () => {
+            title.textContent = `${entry.path} - Preview not available`;
+            img.remove();
+        };
+        img.src = src;
+        entryPreview.appendChild(img);
+        return;
+    }
+
+    // Entries are sent whole, which the range reader copes with
+    renderTextPreview(entryPreview, {
+        readRange: createRemoteRangeReader(src, {}),
+        size: entry.size,
+        name: entry.name,
+        mimetype: 'text/plain'
+    })
+    .catch(() => {
+        title.textContent = `${entry.path} - Preview not available`;
+    });
+}
+
 function showPreviewPlaceholder(container, icon, title, message) {
     container.innerHTML = `
     <div class="preview-placeholder">
@@ -188,7 +992,7 @@ function getFileIcon(mimetype) {
     if (mimetype.includes('video')) return '🎥';
     if (mimetype.includes('audio')) return '🎵';
     if (mimetype.includes('image')) return '🖼️';
-    if (mimetype.includes('archive') || mimetype.includes('zip') || mimetype.includes('rar')) return '🗜️';
+    if (mimetype.includes('archive') || mimetype.includes('zip') || mimetype.includes('rar') || mimetype.includes('tar')) return '🗜️';
     if (mimetype.includes('pdf')) return '📋';
     if (mimetype.includes('word') || mimetype.includes('document')) return '📝';
     if (mimetype.includes('spreadsheet') || mimetype.includes('excel')) return '📊';
@@ -205,11 +1009,26 @@ function getFileTypeDescription(mimetype) {
     if (mimetype.includes('word')) return 'Word Document';
     if (mimetype.includes('excel')) return 'Excel Spreadsheet';
     if (mimetype.includes('powerpoint')) return 'PowerPoint Presentation';
-    if (mimetype.includes('zip') || mimetype.includes('rar')) return 'Archive File';
+    if (mimetype.includes('zip') || mimetype.includes('rar') || mimetype.includes('tar')) return 'Archive File';
     if (mimetype.includes('text')) return 'Text File';
     return 'File';
 }
 
+// Name of the account that uploaded the file, when it was not anonymous
+function showUploader(username) {
+    const uploadedBy = document.getElementById('uploadedBy');
+    uploadedBy.textContent = username ? `• Uploaded by ${username}` : '';
+    uploadedBy.style.display = username ? 'inline' : 'none';
+}
+
+function showScanStatus(scan) {
+    const scanBadge = document.getElementById('scanBadge');
+    const shown = scan && scan.status !== 'unscanned';
+    scanBadge.textContent = shown ? `• ${describeScan(scan)}` : '';
+    scanBadge.style.display = shown ? 'inline' : 'none';
+    scanBadge.style.color = shown && ['quarantined', 'failed'].includes(scan.status) ? '#f44336' : '';
+}
+
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -262,11 +1081,30 @@ function updateExpiryTime(expiryDate) {
     }
 }
 
+function formatDownloadsLeft(remaining) {
+    if (remaining === 0) return 'no downloads left';
+    return `${remaining} download${remaining === 1 ? '' : 's'} left`;
+}
+
+function updateDownloadsLeft(remaining) {
+    const element = document.getElementById('downloadsLeft');
+
+    if (remaining === null || remaining === undefined) {
+        element.style.display = 'none';
+        return;
+    }
+
+    element.style.display = 'inline';
+    element.textContent = `• ${formatDownloadsLeft(remaining)}`;
+    element.style.color = remaining <= 1 ? '#ff9800' : '';
+}
+
 function startExpiryCountdown(expiryDate) {
     // Update immediately
     updateExpiryTime(expiryDate);
 
-    // Update every second
+    // Update every second (reloads after a scan replace the earlier countdown)
+    clearInterval(expiryInterval);
     const interval = setInterval(() => {
         updateExpiryTime(expiryDate);
 
@@ -279,31 +1117,121 @@ function startExpiryCountdown(expiryDate) {
             }, 1000);
         }
     }, 1000);
+    expiryInterval = interval;
 }
 
 function showError(message) {
     loading.style.display = 'none';
     fileInfoSection.style.display = 'none';
+    passwordSection.style.display = 'none';
     errorSection.style.display = 'block';
     document.getElementById('errorText').textContent = message;
 }
 
-function downloadFile() {
-    if (window.currentFileInfo) {
-        // Create a temporary link to trigger download
-        const link = document.createElement('a');
-        link.href = `${API_BASE_FILE}/api/download/${window.currentFileInfo.fileId}`;
-        link.download = window.currentFileInfo.originalName;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+async function downloadFile() {
+    const setStatus = text => {
+        document.querySelector('.file-actions .download-btn span').textContent = text;
+    };
+
+    if (window.currentCollectionInfo && window.currentCollectionInfo.encrypted) {
+        // Only the first save dialog would still count as a user gesture, so save each file directly
+        for (const fileInfo of window.currentCollectionInfo.files) {
+            await downloadEncryptedFile(fileInfo, setStatus, false);
+        }
+        setStatus('⬇️ Download All');
+    } else if (window.currentCollectionInfo) {
+        const id = window.currentCollectionInfo.collectionId;
+        triggerDownload(withToken(`${API_BASE_FILE}/api/collection/${id}/zip`), `collection-${id}.zip`);
+    } else if (window.currentFileInfo) {
+        const fileInfo = window.currentFileInfo;
+        if (fileInfo.remainingDownloads === 0 || !isScanCleared(fileInfo)) return;
+
+        if (fileInfo.encrypted) {
+            await downloadEncryptedFile(fileInfo, setStatus);
+            setStatus('⬇️ Download File');
+        } else {
+            triggerDownload(withToken(`${API_BASE_FILE}/api/download/${fileInfo.fileId}`), fileInfo.originalName);
+        }
+
+        if (fileInfo.remainingDownloads !== null) {
+            fileInfo.remainingDownloads--;
+            updateDownloadsLeft(fileInfo.remainingDownloads);
+            if (fileInfo.remainingDownloads === 0) {
+                showLastDownloadUsed();
+            }
+        }
+    }
+}
+
+// Download an encrypted file and decrypt it as it streams in. Where the browser
+// can write straight to disk (File System Access API) nothing is buffered;
+// otherwise the decrypted chunks are collected into a Blob before saving.
+async function downloadEncryptedFile(fileInfo, setStatus, useFilePicker = true) {
+    let writable = null;
+
+    try {
+        // Ask for the destination first, while the click still counts as a user gesture
+        if (useFilePicker && window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({ suggestedName: fileInfo.originalName });
+                writable = await handle.createWritable();
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                throw error;
+            }
+        }
+
+        const response = await fetch(`${API_BASE_FILE}/api/download/${fileInfo.fileId}`, { headers: authHeaders() });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Download failed');
+        }
+
+        let received = 0;
+        const progress = new TransformStream({
+            transform(chunk, controller) {
+                received += chunk.length;
+                setStatus(`🔓 Decrypting... ${Math.round(received / fileInfo.encryptedSize * 100)}%`);
+                controller.enqueue(chunk);
+            }
+        });
+        const plaintext = response.body.pipeThrough(progress).pipeThrough(createDecryptStream(encryptionKey));
+
+        if (writable) {
+            await plaintext.pipeTo(writable);
+        } else {
+            const blob = await new Response(plaintext).blob();
+            const url = URL.createObjectURL(new Blob([blob], { type: fileInfo.mimetype }));
+            triggerDownload(url, fileInfo.originalName);
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+    } catch (error) {
+        console.error('Encrypted download failed:', error);
+        if (writable) {
+            await writable.abort().catch(() => {});
+        }
+        alert(`Download failed: ${error.message}`);
     }
 }
 
+function triggerDownload(url, filename) {
+    // Create a temporary link to trigger download
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
 function shareFile() {
     const shareSection = document.getElementById('shareSection');
     const isVisible = shareSection.style.display !== 'none';
     shareSection.style.display = isVisible ? 'none' : 'block';
+    // A QR code of the share link, for opening it on a phone
+    if (!isVisible) {
+        renderQrCode(document.getElementById('shareQrCode'), document.getElementById('shareLink').value);
+    }
 
     // Update button text
     const shareBtn = document.querySelector('.share-btn span');
@@ -0,0 +1,335 @@
+// QR codes for share links, drawn in the browser so links never leave the page.
+//
+// Encodes text as UTF-8 in byte mode at error correction level M (about 15% of
+// the code can be damaged and still read), in the smallest of versions 1 to 40
+// that fits, following ISO/IEC 18004. Links up to about 2300 bytes fit; a share
+// link with an encryption key is well under 200.
+
+const QR_EC_LEVEL_BITS = 0; // M
+// Error correction codewords per block, and number of blocks, by version (level M)
+const QR_EC_CODEWORDS_PER_BLOCK = [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const QR_EC_BLOCKS = [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+const QR_QUIET_ZONE = 4; // modules of blank margin the standard asks for
+
+// Modules left for data and error correction once the function patterns
+// (finders, timing, alignment, format and version) are placed
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function qrDataCodewords(version) {
+    return Math.floor(qrRawDataModules(version) / 8) - QR_EC_CODEWORDS_PER_BLOCK[version] * QR_EC_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Multiplication in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// Data codewords for the text: mode, length, bytes, terminator and padding
+function qrEncodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0x4, 4); // byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = qrDataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// Split the data into blocks, add each block's error correction, interleave
+function qrAddErrorCorrection(data, version) {
+    const blockCount = QR_EC_BLOCKS[version];
+    const ecLength = QR_EC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrReedSolomonDivisor(ecLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - ecLength + (i < shortBlockCount ? 0 : 1));
+        offset += blockData.length;
+        const ec = qrReedSolomonRemainder(blockData, divisor);
+        // Short blocks are padded so columns line up; the padding is skipped below
+        if (i < shortBlockCount) blockData.push(0);
+        blocks.push(blockData.concat(ec));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - ecLength || j >= shortBlockCount) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+function qrMaskApplies(mask, x, y) {
+    switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+    case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+    default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+    }
+}
+
+// Build the module grid (true is dark) for a version, codewords and mask
+function qrBuildMatrix(version, codewords, mask) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns, then the finders over their ends
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    const alignment = qrAlignmentPositions(version);
+    alignment.forEach((cx, i) => {
+        alignment.forEach((cy, j) => {
+            // Skip the three that would overlap the finders
+            const last = alignment.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Format information: level and mask, BCH-protected, in two copies
+    const formatData = (QR_EC_LEVEL_BITS << 3) | mask;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const format = ((formatData << 10) | remainder) ^ 0x5412;
+    const formatBit = i => ((format >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, formatBit(i));
+    set(8, 7, formatBit(6));
+    set(8, 8, formatBit(7));
+    set(7, 8, formatBit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, formatBit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, formatBit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, formatBit(i));
+    set(8, size - 8, true);
+
+    // Version information, from version 7 up
+    if (version >= 7) {
+        let versionRemainder = version;
+        for (let i = 0; i < 12; i++) versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+        const versionBits = (version << 12) | versionRemainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Data in two-module columns, zigzagging up and down from the right
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x]) continue;
+                let dark = false;
+                if (bit < codewords.length * 8) {
+                    dark = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                    bit++;
+                }
+                modules[y][x] = dark !== qrMaskApplies(mask, x, y);
+            }
+        }
+    }
+    return modules;
+}
+
+// Penalty score of a finished grid; the mask with the lowest is used
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    const scoreLine = (line) => {
+        let runColor = line[0];
+        let runLength = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === runColor) {
+                runLength++;
+                continue;
+            }
+            if (runLength >= 5) penalty += runLength - 2;
+            if (i < line.length) {
+                runColor = line[i];
+                runLength = 1;
+            }
+        }
+        // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (const pattern of [/(?=00001011101)/g, /(?=10111010000)/g]) {
+            penalty += (text.match(pattern) || []).length * 40;
+        }
+    };
+
+    let darkCount = 0;
+    for (let y = 0; y < size; y++) {
+        scoreLine(modules[y]);
+        scoreLine(modules.map(row => row[y]));
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) darkCount++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    penalty += Math.floor(Math.abs(darkCount * 20 - total * 10) / total) * 10;
+    return penalty;
+}
+
+// Module grid (true is dark) for the text
+function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+        version++;
+        if (version > 40) throw new Error('Text is too long for a QR code');
+    }
+
+    const codewords = qrAddErrorCorrection(qrEncodeData(bytes, version), version);
+    let best = null;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        const modules = qrBuildMatrix(version, codewords, mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = modules;
+            bestPenalty = penalty;
+        }
+    }
+    return best;
+}
+
+// Draw a QR code for the text into a container, replacing what it held
+function renderQrCode(container, text) {
+    const modules = createQrMatrix(text);
+    const count = modules.length + QR_QUIET_ZONE * 2;
+    // Whole pixels per module keep the code sharp
+    const scale = Math.max(Math.floor(200 / count), 2);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = count * scale;
+    canvas.height = count * scale;
+    canvas.className = 'qr-code';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `QR code for ${text}`);
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) context.fillRect((x + QR_QUIET_ZONE) * scale, (y + QR_QUIET_ZONE) * scale, scale, scale);
+        });
+    });
+
+    container.textContent = '';
+    container.appendChild(canvas);
+}
@@ -1,5 +1,5 @@
-const API_BASE = 'https://cosmic-uploads.onrender.com'; // Replace with your Render URL
-const FRONTEND_BASE = 'https://lucasnegerson-eng.github.io/cosmic-uploads'; // Replace with your GitHub Pages URL
+const API_BASE = COSMIC_CONFIG.apiBase;
+const FRONTEND_BASE = COSMIC_CONFIG.frontendBase;
 
 const uploadZone = document.getElementById('uploadZone');
 const fileInput = document.getElementById('fileInput');
@@ -10,7 +10,9 @@ const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
 
 // File upload handling
-uploadZone.addEventListener('click', () => {
+uploadZone.addEventListener('click', (e) => {
+    // Clicks on the option fields should not open the file picker
+    if (e.target.closest('.upload-options')) return;
     fileInput.click();
 });
 
@@ -28,39 +30,198 @@ uploadZone.addEventListener('drop', (e) => {
     uploadZone.classList.remove('dragover');
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-        uploadFile(files[0]);
+        uploadFiles(Array.from(files));
     }
 });
 
 fileInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-        uploadFile(e.target.files[0]);
+        uploadFiles(Array.from(e.target.files));
     }
 });
 
-function uploadFile(file) {
-    // Check file size (1GB limit)
-    const maxSize = 1024 * 1024 * 1024; // 1GB
-    if (file.size > maxSize) {
-        showError('File size exceeds 1GB limit');
+// Resumable upload settings
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB per request
+const MAX_RETRIES = 8;
+const SESSION_STORAGE_KEY = 'cosmicUploadSessions';
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // Matches server-side session lifetime
+const MY_UPLOADS_KEY = 'cosmicMyUploads';
+
+// Label for the upload in progress, remembered in "My uploads" once it finishes
+let currentUploadLabel = '';
+// How many files the upload in progress has; short links are for single files
+let currentUploadFileCount = 0;
+// Bytes of the file being uploaded that the server reports having received
+let serverReceivedBytes = null;
+
+// Signed-in account, or null; uploads made while signed in belong to it
+let currentAccount = null;
+
+// Server limits and expiry choices (see config.js), once loaded
+let serverConfig = null;
+
+// Largest upload the server accepts from this user, from /api/config and then
+// /api/quota; the server checks it either way
+let maxUploadSize = null;
+let maxCollectionFiles = null;
+
+// Per-upload options chosen in the upload zone
+function getUploadOptions() {
+    const options = {};
+    const password = document.getElementById('uploadPassword').value;
+    if (password) {
+        options.password = password;
+    }
+    const expiresIn = document.getElementById('uploadExpiry').value;
+    if (expiresIn) {
+        options.expiresIn = expiresIn;
+    }
+    const maxDownloads = document.getElementById('uploadDownloadLimit').value;
+    if (maxDownloads) {
+        options.maxDownloads = maxDownloads;
+    }
+    // A short link names one file, so collections go without
+    if (currentUploadFileCount === 1) {
+        const slug = document.getElementById('uploadSlug').value.trim();
+        if (slug) {
+            options.slug = slug;
+        } else if (document.getElementById('uploadShortLink').checked) {
+            options.shortLink = true;
+        }
+    }
+    return options;
+}
+
+// End-to-end encryption needs WebCrypto, which browsers only offer on HTTPS
+function isEncryptionSupported() {
+    return Boolean(window.crypto && window.crypto.subtle && window.isSecureContext);
+}
+
+function uploadFiles(files) {
+    currentUploadLabel = files.length === 1 ? files[0].name : `${files.length} files`;
+    currentUploadFileCount = files.length;
+    const encrypt = document.getElementById('uploadEncrypt').checked;
+    if (files.length === 1) {
+        uploadFile(files[0], encrypt);
+    } else {
+        uploadCollection(files, encrypt);
+    }
+}
+
+// Generate a fresh key for an encrypted upload, or null for a plain one
+async function prepareEncryption(encrypt) {
+    if (!encrypt) return null;
+    const key = await generateEncryptionKey();
+    return { key, keyString: await exportEncryptionKey(key) };
+}
+
+function uploadFile(file, encrypt = false) {
+    // Check file size
+    if (maxUploadSize && file.size > maxUploadSize) {
+        showError(`File size exceeds the ${formatFileSize(maxUploadSize)} limit`);
         return;
     }
 
     // Show progress
     uploadZone.style.display = 'none';
     progressSection.style.display = 'block';
+    document.getElementById('resumeNotice').style.display = 'none';
+
+    (async () => {
+        const encryption = await prepareEncryption(encrypt);
+        const result = await resumableUpload(file, undefined, encryption && encryption.key);
+        return encryption ? { ...result, encryptionKey: encryption.keyString } : result;
+    })()
+    .then(showSuccess)
+    .catch(error => {
+        if (error.unsupported && encrypt) {
+            showError('Encrypted uploads are not supported by this server');
+        } else if (error.unsupported) {
+            // Server has no resumable endpoint; send the whole file at once
+            uploadSinglePart([file]);
+        } else {
+            showError(error.message || 'Upload failed');
+        }
+    });
+}
+
+// Upload several files one after another, then bundle them into a collection
+function uploadCollection(files, encrypt = false) {
+    const tooLarge = maxUploadSize && files.find(file => file.size > maxUploadSize);
+    if (tooLarge) {
+        showError(`${tooLarge.name} exceeds the ${formatFileSize(maxUploadSize)} limit`);
+        return;
+    }
+    if (maxCollectionFiles && files.length > maxCollectionFiles) {
+        showError(`You can upload at most ${maxCollectionFiles} files at once`);
+        return;
+    }
+
+    uploadZone.style.display = 'none';
+    progressSection.style.display = 'block';
+    document.getElementById('resumeNotice').style.display = 'none';
+
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+    (async () => {
+        // Every file in the collection shares one key, so one link opens them all
+        const encryption = await prepareEncryption(encrypt);
+        const fileIds = [];
+        // The server only groups files whose management tokens come along
+        const manageTokens = {};
+        let uploadedBytes = 0;
+
+        for (const file of files) {
+            const result = await resumableUpload(file, loaded => updateProgress(uploadedBytes + loaded, totalSize),
+                encryption && encryption.key);
+            uploadedBytes += file.size;
+            fileIds.push(result.fileId);
+            manageTokens[result.fileId] = result.manageToken;
+        }
+
+        progressText.textContent = 'Creating collection...';
+        const response = await fetch(`${API_BASE}/api/collections`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileIds, manageTokens, ...getUploadOptions() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(getErrorMessage(result, 'Upload failed - Server error'));
+        }
+        return encryption ? { ...result, encrypted: true, encryptionKey: encryption.keyString } : result;
+    })()
+    .then(showSuccess)
+    .catch(error => {
+        if (error.unsupported && encrypt) {
+            showError('Encrypted uploads are not supported by this server');
+        } else if (error.unsupported) {
+            uploadSinglePart(files);
+        } else {
+            showError(error.message || 'Upload failed');
+        }
+    });
+}
 
+// Single-request upload, used when resumable uploads are unavailable
+function uploadSinglePart(files) {
     const formData = new FormData();
-    formData.append('file', file);
+    for (const [name, value] of Object.entries(getUploadOptions())) {
+        formData.append(name, value);
+    }
+    if (files.length === 1) {
+        formData.append('file', files[0]);
+    } else {
+        files.forEach(file => formData.append('files', file));
+    }
 
     const xhr = new XMLHttpRequest();
 
     // Progress tracking
     xhr.upload.addEventListener('progress', (e) => {
         if (e.lengthComputable) {
-            const percentComplete = (e.loaded / e.total) * 100;
-            progressFill.style.width = percentComplete + '%';
-            progressText.textContent = `Uploading... ${Math.round(percentComplete)}%`;
+            updateProgress(e.loaded, e.total);
         }
     });
 
@@ -72,7 +233,7 @@ function uploadFile(file) {
         } else {
             try {
                 const error = JSON.parse(xhr.responseText);
-                showError(error.error || 'Upload failed');
+                showError(getErrorMessage(error, 'Upload failed'));
             } catch (e) {
                 showError('Upload failed - Server error');
             }
@@ -91,23 +252,514 @@ function uploadFile(file) {
 
     // Set timeout (10 minutes for large files)
     xhr.timeout = 600000;
+    xhr.withCredentials = true;
 
     // Send request
-    xhr.open('POST', `${API_BASE}/api/upload`);
+    xhr.open('POST', files.length === 1 ? `${API_BASE}/api/upload` : `${API_BASE}/api/collections`);
     xhr.send(formData);
 }
 
+function updateProgress(loaded, total) {
+    const percentComplete = total > 0 ? (loaded / total) * 100 : 0;
+    progressFill.style.width = percentComplete + '%';
+    progressText.textContent = `Uploading... ${Math.round(percentComplete)}%` +
+        (serverReceivedBytes !== null ? ` • ${formatFileSize(serverReceivedBytes)} received by the server` : '');
+}
+
+// Follow an upload on its file's live event stream, which reports the bytes
+// the server has received; null where there is no file ID or no EventSource
+function followUpload(fileId) {
+    if (!fileId || typeof EventSource === 'undefined') return null;
+    const events = new EventSource(`${API_BASE}/api/file/${fileId}/events`);
+    events.addEventListener('upload', event => {
+        serverReceivedBytes = JSON.parse(event.data).receivedBytes;
+    });
+    return events;
+}
+
+// Chunked upload that survives dropped connections and page reloads. With an
+// encryption key the file is encrypted chunk by chunk as it is sent; such
+// uploads only resume within the page, since resuming after a reload would
+// mean keeping the key in storage.
+async function resumableUpload(file, onProgress = loaded => updateProgress(loaded, file.size), encryptionKey = null) {
+    const source = encryptionKey ? createEncryptedSource(file, encryptionKey) : file;
+    const fingerprint = encryptionKey ? null : getFileFingerprint(file);
+    const storedSession = fingerprint ? getStoredSession(fingerprint) : null;
+    let uploadId = storedSession ? storedSession.uploadId : null;
+    // ID the file will have, given out with the session
+    let fileId = storedSession ? storedSession.fileId : null;
+    let offset = null;
+
+    // Progress is reported in plaintext bytes whatever is actually sent
+    const reportProgress = loaded => onProgress(source.size > 0 ? Math.min(loaded, source.size) / source.size * file.size : 0);
+
+    // Resume a previous session for the same file if the server still has it
+    if (uploadId) {
+        offset = await getUploadOffset(uploadId).catch(() => null);
+        if (offset === null) {
+            forgetSession(fingerprint);
+            uploadId = null;
+        }
+    }
+
+    if (!uploadId) {
+        const sessionInfo = encryptionKey ? {
+            filename: 'encrypted.bin',
+            size: source.size,
+            mimetype: 'application/octet-stream',
+            encrypted: true,
+            encryptedMetadata: await encryptMetadata(encryptionKey, { name: file.name, type: file.type })
+        } : {
+            filename: file.name,
+            size: file.size,
+            mimetype: file.type
+        };
+        ({ uploadId, fileId } = await createUploadSession(sessionInfo));
+        offset = 0;
+        if (fingerprint) {
+            rememberSession(fingerprint, file, uploadId, fileId);
+        }
+    }
+
+    // Collections show overall progress only
+    const uploadEvents = currentUploadFileCount === 1 ? followUpload(fileId) : null;
+    try {
+        return await sendUploadChunks(source, fingerprint, uploadId, offset, reportProgress);
+    } finally {
+        if (uploadEvents) uploadEvents.close();
+        serverReceivedBytes = null;
+    }
+}
+
+// Send the rest of an upload from offset, then finish it
+async function sendUploadChunks(source, fingerprint, uploadId, offset, reportProgress) {
+    let retries = 0;
+    while (offset < source.size) {
+        const chunk = await source.slice(offset, offset + CHUNK_SIZE);
+        try {
+            offset = await sendChunk(uploadId, chunk, offset, reportProgress);
+            retries = 0;
+        } catch (error) {
+            if (error.status === 404) {
+                // Session expired on the server; start over with a new one
+                if (fingerprint) {
+                    forgetSession(fingerprint);
+                }
+                throw new Error('Upload session expired - Please try again');
+            }
+            if (error.status === 409 && typeof error.offset === 'number') {
+                offset = error.offset;
+                continue;
+            }
+            if (error.status && error.status < 500 && error.status !== 423) {
+                throw error;
+            }
+            if (++retries > MAX_RETRIES) {
+                throw new Error('Network error occurred - Please check your connection and select the file again to resume');
+            }
+
+            const delay = Math.min(1000 * Math.pow(2, retries - 1), 30000);
+            progressText.textContent = `Connection lost - Retrying in ${Math.round(delay / 1000)}s...`;
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            // Ask the server how much actually arrived before continuing
+            offset = await getUploadOffset(uploadId).catch(() => offset);
+        }
+    }
+
+    progressText.textContent = 'Finishing upload...';
+    const response = await fetch(`${API_BASE}/api/uploads/${uploadId}/complete`, { method: 'POST' });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || 'Upload failed - Server error');
+    }
+
+    forgetSession(fingerprint);
+    return result;
+}
+
+async function createUploadSession(sessionInfo) {
+    let response;
+    try {
+        response = await fetch(`${API_BASE}/api/uploads`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...sessionInfo,
+                ...getUploadOptions()
+            })
+        });
+    } catch (error) {
+        throw new Error('Network error occurred - Please check your connection');
+    }
+
+    if (response.status === 404 || response.status === 405 || response.status === 501) {
+        throw Object.assign(new Error('Resumable uploads not supported'), { unsupported: true });
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(getErrorMessage(result, 'Upload failed - Server error'));
+    }
+    return result;
+}
+
+async function getUploadOffset(uploadId) {
+    const response = await fetch(`${API_BASE}/api/uploads/${uploadId}`, {
+        method: 'HEAD',
+        cache: 'no-store'
+    });
+    if (!response.ok) {
+        throw Object.assign(new Error('Upload session not found'), { status: response.status });
+    }
+    return Number(response.headers.get('Upload-Offset'));
+}
+
+function sendChunk(uploadId, chunk, offset, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                onProgress(offset + e.loaded);
+            }
+        });
+
+        xhr.addEventListener('load', () => {
+            if (xhr.status === 204) {
+                const newOffset = Number(xhr.getResponseHeader('Upload-Offset'));
+                onProgress(newOffset);
+                resolve(newOffset);
+                return;
+            }
+
+            let body = {};
+            try {
+                body = JSON.parse(xhr.responseText);
+            } catch (e) {
+                // Not JSON; fall through with an empty body
+            }
+            reject(Object.assign(new Error(body.error || 'Upload failed - Server error'), {
+                status: xhr.status,
+                offset: body.offset
+            }));
+        });
+
+        xhr.addEventListener('error', () => reject(new Error('Network error')));
+        xhr.addEventListener('timeout', () => reject(new Error('Chunk upload timed out')));
+
+        xhr.timeout = 120000;
+        xhr.open('PATCH', `${API_BASE}/api/uploads/${uploadId}`);
+        xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+        xhr.setRequestHeader('Upload-Offset', String(offset));
+        xhr.send(chunk);
+    });
+}
+
+// Stored upload sessions, keyed by a fingerprint of the file being uploaded
+function getFileFingerprint(file) {
+    return [file.name, file.size, file.lastModified].join(':');
+}
+
+function loadStoredSessions() {
+    try {
+        const sessions = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || {};
+        const now = Date.now();
+        for (const key of Object.keys(sessions)) {
+            if (now - sessions[key].createdAt > SESSION_MAX_AGE) {
+                delete sessions[key];
+            }
+        }
+        return sessions;
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveStoredSessions(sessions) {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+    } catch (e) {
+        // Storage unavailable (private mode or quota); uploads still work without resume
+    }
+}
+
+function getStoredSession(fingerprint) {
+    return loadStoredSessions()[fingerprint] || null;
+}
+
+function rememberSession(fingerprint, file, uploadId, fileId) {
+    const sessions = loadStoredSessions();
+    sessions[fingerprint] = { uploadId, fileId, name: file.name, size: file.size, createdAt: Date.now() };
+    saveStoredSessions(sessions);
+}
+
+function forgetSession(fingerprint) {
+    const sessions = loadStoredSessions();
+    delete sessions[fingerprint];
+    saveStoredSessions(sessions);
+}
+
+function showResumeNotice() {
+    const pending = Object.values(loadStoredSessions());
+    if (pending.length === 0) return;
+
+    const names = pending.map(session => session.name).join(', ');
+    const notice = document.getElementById('resumeNotice');
+    notice.textContent = `Unfinished upload: ${names} - select the same file to resume`;
+    notice.style.display = 'block';
+}
+
 function showSuccess(response) {
     progressSection.style.display = 'none';
     resultSection.style.display = 'block';
+    refreshQuota();
 
-    const fileId = response.fileId;
     const expiresAt = new Date(response.expiresAt).toLocaleString();
+    document.getElementById('expiresAt').textContent = expiresAt;
+    document.getElementById('passwordNote').style.display = response.passwordProtected ? 'block' : 'none';
+    document.getElementById('downloadLimitNote').style.display = response.maxDownloads ? 'block' : 'none';
+    if (response.maxDownloads) {
+        document.getElementById('downloadLimit').textContent = response.maxDownloads === 1
+            ? 'deleted after the first download'
+            : `deleted after ${response.maxDownloads} downloads`;
+    }
+
+    rememberUpload(response, currentUploadLabel);
+
+    // The key rides in the fragment, which never reaches the server
+    const fragment = response.encryptionKey ? `#key=${response.encryptionKey}` : '';
+    document.getElementById('encryptionNote').style.display = fragment ? 'block' : 'none';
 
+    if (response.collectionId) {
+        const collectionId = response.collectionId;
+        const shareLink = `${FRONTEND_BASE}/file.html?collection=${collectionId}${fragment}`;
+        document.getElementById('fileIdLabel').textContent = `Collection ID (${response.fileIds.length} files):`;
+        document.getElementById('fileId').textContent = collectionId;
+        document.getElementById('slugNote').style.display = 'none';
+        document.getElementById('shareLink').value = shareLink;
+        renderQrCode(document.getElementById('shareQrCode'), shareLink);
+        // A ZIP of ciphertext is no use to anyone; encrypted files are saved from the file page
+        document.getElementById('downloadLink').value = fragment ? shareLink : `${API_BASE}/api/collection/${collectionId}/zip`;
+        return;
+    }
+
+    const fileId = response.fileId;
+    // Links use the short code when the upload has one
+    const linkId = response.slug || fileId;
+    const shareLink = `${FRONTEND_BASE}/file.html?id=${linkId}${fragment}`;
+    document.getElementById('fileIdLabel').textContent = 'File ID:';
     document.getElementById('fileId').textContent = fileId;
-    document.getElementById('expiresAt').textContent = expiresAt;
-    document.getElementById('shareLink').value = `${FRONTEND_BASE}/file.html?id=${fileId}`;
-    document.getElementById('downloadLink').value = `${FRONTEND_BASE}/download.html?id=${fileId}`;
+    document.getElementById('slugNote').style.display = response.slug ? 'block' : 'none';
+    document.getElementById('slug').textContent = response.slug || '';
+    document.getElementById('shareLink').value = shareLink;
+    // Short link to the download page, which checks the file before downloading
+    document.getElementById('downloadLink').value = fragment ? shareLink : `${API_BASE}/d/${linkId}`;
+    renderQrCode(document.getElementById('shareQrCode'), shareLink);
+}
+
+// "My uploads": uploads made from this browser, with the token needed to revoke them
+function loadMyUploads() {
+    try {
+        const uploads = JSON.parse(localStorage.getItem(MY_UPLOADS_KEY)) || [];
+        return uploads.filter(upload => new Date(upload.expiresAt) > new Date());
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveMyUploads(uploads) {
+    try {
+        localStorage.setItem(MY_UPLOADS_KEY, JSON.stringify(uploads));
+    } catch (e) {
+        // Storage unavailable; the panel just won't persist
+    }
+}
+
+function rememberUpload(response, label) {
+    if (!response.manageToken) return;
+
+    const uploads = loadMyUploads();
+    uploads.unshift({
+        id: response.collectionId || response.fileId,
+        type: response.collectionId ? 'collection' : 'file',
+        slug: response.slug || undefined,
+        name: label,
+        // Kept so the uploader's own links still open encrypted uploads
+        encryptionKey: response.encryptionKey,
+        manageToken: response.manageToken,
+        expiresAt: response.expiresAt,
+        uploadedAt: Date.now()
+    });
+    saveMyUploads(uploads);
+    renderMyUploads();
+}
+
+function getManagePath(upload) {
+    return `${API_BASE}/api/${upload.type}/${upload.id}`;
+}
+
+function getUploadShareLink(upload) {
+    const param = upload.type === 'collection' ? 'collection' : 'id';
+    const fragment = upload.encryptionKey ? `#key=${upload.encryptionKey}` : '';
+    return `${FRONTEND_BASE}/file.html?${param}=${upload.slug || upload.id}${fragment}`;
+}
+
+// Ask the server which uploads still exist and pick up their current expiry
+async function refreshMyUploads() {
+    const uploads = loadMyUploads();
+    const active = [];
+
+    for (const upload of uploads) {
+        try {
+            const response = await fetch(`${getManagePath(upload)}/manage`, {
+                headers: { 'X-Management-Token': upload.manageToken }
+            });
+            if (response.status === 404 || response.status === 403) {
+                continue;
+            }
+            if (response.ok) {
+                const info = await response.json();
+                upload.expiresAt = info.expiresAt;
+                // Encrypted uploads only have a placeholder name on the server
+                if (upload.type === 'file' && !info.encrypted) {
+                    upload.name = info.originalName;
+                }
+            }
+        } catch (e) {
+            // Keep the entry if the server can't be reached right now
+        }
+        active.push(upload);
+    }
+
+    saveMyUploads(active);
+    renderMyUploads();
+}
+
+function renderMyUploads() {
+    const uploads = loadMyUploads();
+    const section = document.getElementById('myUploadsSection');
+    const list = document.getElementById('myUploadsList');
+
+    section.style.display = uploads.length > 0 ? 'block' : 'none';
+    list.innerHTML = '';
+
+    uploads.forEach(upload => {
+        const item = document.createElement('li');
+        item.className = 'my-upload';
+
+        const details = document.createElement('div');
+        details.className = 'my-upload-details';
+        const link = document.createElement('a');
+        link.href = getUploadShareLink(upload);
+        link.textContent = upload.name;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        const expiry = document.createElement('div');
+        expiry.className = 'my-upload-expiry';
+        expiry.textContent = `Expires ${new Date(upload.expiresAt).toLocaleString()}`;
+        details.append(link, expiry);
+
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'revoke-btn';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.onclick = () => revokeUpload(upload, revokeBtn);
+
+        item.append(details, revokeBtn);
+        list.appendChild(item);
+    });
+}
+
+async function revokeUpload(upload, button) {
+    if (!confirm(`Delete "${upload.name}" now? The share link will stop working.`)) return;
+
+    button.disabled = true;
+    button.textContent = 'Revoking...';
+
+    try {
+        const response = await fetch(getManagePath(upload), {
+            method: 'DELETE',
+            headers: { 'X-Management-Token': upload.manageToken }
+        });
+        // 404 means it is already gone, which is what we wanted
+        if (!response.ok && response.status !== 404) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Revoke failed');
+        }
+
+        saveMyUploads(loadMyUploads().filter(item => item.id !== upload.id));
+        renderMyUploads();
+    } catch (error) {
+        console.error('Revoke failed:', error);
+        alert(`Could not revoke upload: ${error.message}`);
+        button.disabled = false;
+        button.textContent = 'Revoke';
+    }
+}
+
+// Accounts: signing in is optional, and attributes uploads to the account
+async function loadAccount() {
+    try {
+        const response = await fetch(`${API_BASE}/api/account`, { credentials: 'include' });
+        currentAccount = response.ok ? await response.json() : null;
+    } catch (error) {
+        currentAccount = null;
+    }
+    renderAccount();
+}
+
+function renderAccount() {
+    document.getElementById('accountStatus').textContent = currentAccount ? `Signed in as ${currentAccount.username}` : '';
+    document.getElementById('accountToggle').textContent = currentAccount ? 'Sign out' : 'Sign in';
+    document.getElementById('accountForm').style.display = 'none';
+}
+
+function toggleAccountForm() {
+    if (currentAccount) {
+        signOut();
+        return;
+    }
+    const form = document.getElementById('accountForm');
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+}
+
+async function submitAccountForm(action = 'login') {
+    const accountError = document.getElementById('accountError');
+    const passwordInput = document.getElementById('accountPassword');
+    accountError.textContent = '';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/account/${action}`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('accountUsername').value.trim(),
+                password: passwordInput.value
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(getErrorMessage(result, action === 'register' ? 'Could not create account' : 'Sign in failed'));
+        }
+
+        passwordInput.value = '';
+        currentAccount = result;
+        renderAccount();
+        refreshQuota();
+    } catch (error) {
+        accountError.textContent = error instanceof TypeError
+            ? 'Network error occurred - Please check your connection'
+            : error.message;
+    }
+}
+
+async function signOut() {
+    await fetch(`${API_BASE}/api/account/logout`, { method: 'POST', credentials: 'include' }).catch(() => {});
+    currentAccount = null;
+    renderAccount();
+    refreshQuota();
 }
 
 function showError(message) {
@@ -115,6 +767,113 @@ function showError(message) {
     progressSection.style.display = 'none';
     errorSection.style.display = 'block';
     document.getElementById('errorText').textContent = message;
+    refreshQuota();
+}
+
+// Error text from a failed API response; rate-limited requests say when to
+// try again rather than just "later"
+function getErrorMessage(result, fallback) {
+    const message = result.error || fallback;
+    if (!result.retryAfter) return message;
+    return message.replace(/later$/, `in ${formatWait(result.retryAfter)}`);
+}
+
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} seconds`;
+    if (seconds < 90 * 60) return `${Math.round(seconds / 60)} minutes`;
+    return `${Math.round(seconds / 3600)} hours`;
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function formatWindow(seconds) {
+    if (seconds === 86400) return 'day';
+    if (seconds === 3600) return 'hour';
+    return seconds % 3600 === 0 ? `${seconds / 3600} hours` : `${Math.round(seconds / 60)} minutes`;
+}
+
+function formatDuration(seconds) {
+    const count = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    if (seconds > 86400 && seconds % 86400 === 0) return count(seconds / 86400, 'day');
+    if (seconds >= 3600 && seconds % 3600 === 0) return count(seconds / 3600, 'hour');
+    return count(Math.round(seconds / 60), 'minute');
+}
+
+// Set up the upload zone from the server's configuration
+async function loadUploadSettings() {
+    serverConfig = await loadServerConfig();
+    if (!serverConfig) return;
+
+    maxCollectionFiles = serverConfig.limits.maxCollectionFiles;
+    showSizeLimit(currentAccount ? serverConfig.limits.accountMaxFileSize : serverConfig.limits.anonymousMaxFileSize);
+    showExpiryOptions(currentAccount ? serverConfig.expiry.accountMaxSeconds : serverConfig.expiry.maxSeconds);
+}
+
+function showSizeLimit(size) {
+    maxUploadSize = size;
+    const sizeLimit = document.getElementById('sizeLimit');
+    sizeLimit.textContent = `Maximum file size: ${formatFileSize(size)}`;
+    sizeLimit.style.display = 'block';
+}
+
+// Offer the server's preset expiry times up to this user's maximum, and the
+// maximum itself, keeping the current choice where it is still allowed
+function showExpiryOptions(maxSeconds) {
+    if (!serverConfig) return;
+    const select = document.getElementById('uploadExpiry');
+    const choices = serverConfig.expiry.presetSeconds
+    .filter(seconds => seconds >= serverConfig.expiry.minSeconds && seconds < maxSeconds)
+    .concat(maxSeconds);
+    const current = Number(select.value);
+    const fallback = Math.min(serverConfig.expiry.defaultSeconds, maxSeconds);
+
+    select.innerHTML = '';
+    for (const seconds of choices) {
+        const option = document.createElement('option');
+        option.value = seconds;
+        option.textContent = formatDuration(seconds);
+        select.appendChild(option);
+    }
+    select.value = choices.includes(current) ? current : choices.includes(fallback) ? fallback : maxSeconds;
+}
+
+// Show what is left of this client's upload allowance, if the server limits it
+async function refreshQuota() {
+    const quotaInfo = document.getElementById('quotaInfo');
+    try {
+        const response = await fetch(`${API_BASE}/api/quota`, { cache: 'no-store', credentials: 'include' });
+        if (!response.ok) {
+            throw new Error('Quota unavailable');
+        }
+        const quota = await response.json();
+
+        if (quota.maxFileSize) {
+            showSizeLimit(quota.maxFileSize);
+        }
+        if (quota.maxExpirySeconds) {
+            showExpiryOptions(quota.maxExpirySeconds);
+        }
+
+        const parts = [];
+        if (quota.uploadBytes) {
+            const { remaining, limit, windowSeconds } = quota.uploadBytes;
+            parts.push(`${formatFileSize(remaining)} of ${formatFileSize(limit)} per ${formatWindow(windowSeconds)} left`);
+        }
+        if (quota.uploads) {
+            const { remaining, windowSeconds } = quota.uploads;
+            parts.push(`${remaining} ${remaining === 1 ? 'upload' : 'uploads'} left this ${formatWindow(windowSeconds)}`);
+        }
+        quotaInfo.textContent = parts.length > 0 ? `Your quota: ${parts.join(' • ')}` : '';
+        quotaInfo.style.display = parts.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        quotaInfo.style.display = 'none';
+    }
 }
 
 function resetUpload() {
@@ -125,6 +884,11 @@ function resetUpload() {
     progressFill.style.width = '0%';
     progressText.textContent = 'Uploading...';
     fileInput.value = '';
+    document.getElementById('uploadPassword').value = '';
+    document.getElementById('uploadEncrypt').checked = false;
+    document.getElementById('uploadShortLink').checked = false;
+    document.getElementById('uploadSlug').value = '';
+    showResumeNotice();
 }
 
 function copyLink(inputId) {
@@ -169,6 +933,23 @@ function showCopyFeedback(input) {
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
+    showResumeNotice();
+
+    if (!isEncryptionSupported()) {
+        const encryptOption = document.getElementById('uploadEncrypt');
+        encryptOption.disabled = true;
+        encryptOption.parentElement.title = 'End-to-end encryption needs a secure (HTTPS) page';
+    }
+    renderMyUploads();
+    refreshMyUploads();
+    loadUploadSettings().then(refreshQuota);
+    loadAccount();
+
+    document.getElementById('accountForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAccountForm('login');
+    });
+
     // Check if API is reachable
     fetch(`${API_BASE}/api/health`)
     .then(response => {
@@ -0,0 +1,997 @@
+// Rich previews of text files for the file page.
+//
+// Code gets syntax highlighting and line numbers; clicking a line number
+// links to it as #L10, and shift-clicking another selects #L10-L20. JSON is
+// shown as a collapsible tree, CSV and TSV as a paged table, and Markdown is
+// rendered. Everything is built from DOM nodes and text, never from HTML
+// markup, so nothing in a previewed file can run script or style the page.
+//
+// Files are read a chunk at a time through byte ranges, so a large log starts
+// showing at once and more is loaded as it is scrolled, rather than it being
+// cut off. JSON and Markdown need the whole text, so those are only given
+// their rich view up to MAX_STRUCTURED_PREVIEW_SIZE.
+
+const TEXT_CHUNK_SIZE = 512 * 1024; // 512KB
+const MAX_STRUCTURED_PREVIEW_SIZE = 5 * 1024 * 1024; // 5MB
+const TABLE_PAGE_SIZE = 100;
+const JSON_CHILDREN_BATCH = 500;
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends ' +
+    'finally for from function if import in instanceof let new of return static super switch this throw try typeof ' +
+    'var void while with yield';
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int ' +
+    'long register return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+// Token rules of each grammar, as [type, pattern]. Patterns must not contain
+// capturing groups, since the first group that matched names the token type.
+const GRAMMARS = {
+    clike: (keywords) => [
+        ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*(?:`|(?![\s\S]))/],
+        ['number', /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[fFlLuUn]?\b/],
+        ['literal', /\b(?:true|false|null|undefined|nil|nullptr|NaN|Infinity|None)\b/],
+        ['keyword', wordsPattern(keywords)]
+    ],
+    hash: (keywords) => [
+        ['comment', /#.*/],
+        ['string', /"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S]))|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+        ['variable', /\$\{[^}\n]*\}|\$\(?[\w@#?*!-]+\)?/],
+        ['number', /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+        ['literal', /\b(?:true|false|True|False|None|nil|null)\b/],
+        ['keyword', wordsPattern(keywords)]
+    ],
+    sql: () => [
+        ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/],
+        ['string', /'(?:''|[^'])*'|"(?:""|[^"])*"/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['literal', /\b(?:true|false|null)\b/],
+        ['keyword', wordsPattern('select from where and or not insert into values update set delete create table drop ' +
+            'alter add index primary key foreign references join left right inner outer full cross on group by order ' +
+            'having limit offset as distinct union all exists in is like between case when then else end default ' +
+            'unique view with returning begin commit rollback asc desc')]
+    ],
+    css: () => [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+        ['keyword', /@[\w-]+|!important\b/],
+        ['property', /[\w-]+(?=\s*:[^{}]*[;}])/],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?/]
+    ],
+    markup: () => [
+        ['comment', /<!--[\s\S]*?(?:-->|(?![\s\S]))/],
+        ['keyword', /<!DOCTYPE[^>]*>|<\?[\s\S]*?\?>/],
+        ['tag', /<\/?[\w:.-]+|\/?>/],
+        ['attr', /[\w:.-]+(?==)/],
+        ['string', /"[^"]*"|'[^']*'/]
+    ],
+    json: () => [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\\n])*"/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+        ['literal', /\b(?:true|false|null)\b/]
+    ],
+    yaml: () => [
+        ['comment', /#.*/],
+        ['property', /(?<=^[ \t]*(?:- )?)[\w.$/-]+(?=\s*:(?:\s|$))/],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:''|[^'\n])*'/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['literal', /\b(?:true|false|yes|no|null|on|off)\b|~/]
+    ],
+    ini: () => [
+        ['comment', /^\s*[#;].*/],
+        ['keyword', /^\s*\[[^\]\n]*\]/],
+        ['property', /^\s*[\w.-]+(?=\s*[=:])/],
+        ['string', /"(?:\\.|[^"\\\n])*"|'[^'\n]*'/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['literal', /\b(?:true|false)\b/]
+    ],
+    markdown: () => [
+        ['keyword', /^ {0,3}#{1,6} .*/],
+        ['string', /^ {0,3}(?:```|~~~).*|`[^`\n]+`/],
+        ['attr', /!?\[[^\]\n]*\]\([^)\n]*\)/],
+        ['tag', /^\s*(?:[-*+]|\d+[.)])(?=\s)|^ {0,3}>/]
+    ]
+};
+
+// Languages by file extension, file name and MIME type, with the grammar that
+// highlights them. Languages without a grammar are shown as plain text.
+const TEXT_LANGUAGES = {
+    javascript: { label: 'JavaScript', extensions: ['js', 'mjs', 'cjs', 'jsx'], mimetypes: ['text/javascript', 'application/javascript', 'application/x-javascript'], grammar: GRAMMARS.clike(JS_KEYWORDS) },
+    typescript: { label: 'TypeScript', extensions: ['ts', 'tsx', 'mts', 'cts'], mimetypes: ['application/typescript'], grammar: GRAMMARS.clike(`${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private protected public readonly type`) },
+    json: { label: 'JSON', extensions: ['json', 'geojson', 'webmanifest', 'har'], mimetypes: ['application/json', 'application/geo+json', 'application/manifest+json'], grammar: GRAMMARS.json() },
+    python: { label: 'Python', extensions: ['py', 'pyw', 'pyi'], mimetypes: ['text/x-python', 'application/x-python-code'], grammar: GRAMMARS.hash('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield') },
+    ruby: { label: 'Ruby', extensions: ['rb', 'rake', 'gemspec'], names: ['gemfile', 'rakefile'], mimetypes: ['text/x-ruby', 'application/x-ruby'], grammar: GRAMMARS.hash('begin break case class def do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require') },
+    shell: { label: 'Shell', extensions: ['sh', 'bash', 'zsh', 'ksh', 'fish'], names: ['.bashrc', '.zshrc', '.profile'], mimetypes: ['application/x-sh', 'text/x-shellscript', 'application/x-shellscript'], grammar: GRAMMARS.hash('if then else elif fi case esac for while until do done in function return local export readonly declare unset shift exit') },
+    go: { label: 'Go', extensions: ['go'], mimetypes: ['text/x-go'], grammar: GRAMMARS.clike('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var') },
+    rust: { label: 'Rust', extensions: ['rs'], mimetypes: ['text/rust', 'text/x-rust'], grammar: GRAMMARS.clike('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while') },
+    java: { label: 'Java', extensions: ['java'], mimetypes: ['text/x-java', 'text/x-java-source'], grammar: GRAMMARS.clike('abstract assert break case catch class const continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public record return static super switch synchronized this throw throws transient try var void volatile while') },
+    kotlin: { label: 'Kotlin', extensions: ['kt', 'kts'], mimetypes: ['text/x-kotlin'], grammar: GRAMMARS.clike('as break class companion continue data do else for fun if import in interface internal is object open override package private protected public return sealed super this throw try typealias val var when while') },
+    c: { label: 'C', extensions: ['c', 'h'], mimetypes: ['text/x-c', 'text/x-csrc', 'text/x-chdr'], grammar: GRAMMARS.clike(C_KEYWORDS) },
+    cpp: { label: 'C++', extensions: ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'hxx'], mimetypes: ['text/x-c++src', 'text/x-c++hdr'], grammar: GRAMMARS.clike(`${C_KEYWORDS} bool catch class constexpr delete explicit friend namespace new noexcept operator private protected public template this throw try typename using virtual`) },
+    csharp: { label: 'C#', extensions: ['cs'], mimetypes: ['text/x-csharp'], grammar: GRAMMARS.clike('abstract as async await base bool break case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly ref return sealed short static string struct switch this throw try typeof uint ulong using var virtual void while') },
+    php: { label: 'PHP', extensions: ['php'], mimetypes: ['application/x-httpd-php', 'text/x-php'], grammar: GRAMMARS.clike('abstract and array as break case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global if implements include instanceof interface isset list namespace new or print private protected public require return static switch throw trait try unset use var while yield') },
+    swift: { label: 'Swift', extensions: ['swift'], mimetypes: ['text/x-swift'], grammar: GRAMMARS.clike('as associatedtype break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal is let operator private protocol public repeat rethrows return self static struct subscript super switch throw throws try typealias var where while') },
+    sql: { label: 'SQL', extensions: ['sql'], mimetypes: ['application/sql', 'text/x-sql'], grammar: GRAMMARS.sql(), flags: 'i' },
+    css: { label: 'CSS', extensions: ['css', 'scss', 'less'], mimetypes: ['text/css'], grammar: GRAMMARS.css() },
+    html: { label: 'HTML', extensions: ['html', 'htm', 'xhtml', 'vue', 'svelte'], mimetypes: ['text/html', 'application/xhtml+xml'], grammar: GRAMMARS.markup() },
+    xml: { label: 'XML', extensions: ['xml', 'svg', 'xsd', 'xsl', 'plist', 'csproj', 'gpx', 'kml'], mimetypes: ['application/xml', 'text/xml', 'image/svg+xml'], grammar: GRAMMARS.markup() },
+    yaml: { label: 'YAML', extensions: ['yml', 'yaml'], mimetypes: ['application/x-yaml', 'application/yaml', 'text/yaml', 'text/x-yaml'], grammar: GRAMMARS.yaml() },
+    toml: { label: 'TOML', extensions: ['toml'], mimetypes: ['application/toml'], grammar: GRAMMARS.ini() },
+    ini: { label: 'Config', extensions: ['ini', 'cfg', 'conf', 'properties', 'env'], names: ['.env', '.gitconfig', '.editorconfig'], mimetypes: [], grammar: GRAMMARS.ini() },
+    dockerfile: { label: 'Dockerfile', extensions: ['dockerfile'], names: ['dockerfile', 'containerfile'], mimetypes: [], grammar: GRAMMARS.hash('FROM AS RUN CMD LABEL EXPOSE ENV ADD COPY ENTRYPOINT VOLUME USER WORKDIR ARG ONBUILD STOPSIGNAL HEALTHCHECK SHELL') },
+    makefile: { label: 'Makefile', extensions: ['mk'], names: ['makefile', 'gnumakefile'], mimetypes: ['text/x-makefile'], grammar: GRAMMARS.hash('ifeq ifneq ifdef ifndef else endif include define endef export') },
+    markdown: { label: 'Markdown', extensions: ['md', 'markdown', 'mdown', 'mkd'], mimetypes: ['text/markdown', 'text/x-markdown'], grammar: GRAMMARS.markdown() },
+    csv: { label: 'CSV', extensions: ['csv'], mimetypes: ['text/csv'], delimiter: ',' },
+    tsv: { label: 'TSV', extensions: ['tsv', 'tab'], mimetypes: ['text/tab-separated-values'], delimiter: '\t' },
+    plaintext: { label: 'Text', extensions: ['txt', 'text', 'log', 'out'], mimetypes: ['text/plain'] }
+};
+
+// Compile each grammar's rules into one pattern, matched left to right
+for (const language of Object.values(TEXT_LANGUAGES)) {
+    if (!language.grammar) continue;
+    const rules = language.grammar;
+    language.grammar = {
+        pattern: new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join('|'), `gm${language.flags || ''}`),
+        types: rules.map(([type]) => type)
+    };
+}
+
+function wordsPattern(words) {
+    return new RegExp(`\\b(?:${words.split(' ').join('|')})\\b`);
+}
+
+// The language of a file, from its name first since many code files are
+// uploaded as text/plain or application/octet-stream. Null when it is not
+// a kind of text this viewer knows.
+function detectLanguage(name, mimetype) {
+    const lowerName = (name || '').toLowerCase();
+    const ext = lowerName.includes('.') ? lowerName.split('.').pop() : '';
+    const byName = Object.keys(TEXT_LANGUAGES).find(key => (TEXT_LANGUAGES[key].names || []).includes(lowerName));
+    if (byName) return byName;
+    const byExtension = Object.keys(TEXT_LANGUAGES).find(key => TEXT_LANGUAGES[key].extensions.includes(ext));
+    if (byExtension) return byExtension;
+    const type = (mimetype || '').toLowerCase().split(';')[0].trim();
+    const byType = Object.keys(TEXT_LANGUAGES).find(key => TEXT_LANGUAGES[key].mimetypes.includes(type));
+    if (byType) return byType;
+    return type.startsWith('text/') ? 'plaintext' : null;
+}
+
+// The language named by a Markdown code fence ("js", "python", "c++"...)
+function findLanguageByAlias(alias) {
+    const name = (alias || '').toLowerCase();
+    if (!name) return null;
+    if (TEXT_LANGUAGES[name]) return name;
+    const aliases = { 'c++': 'cpp', 'c#': 'csharp', sh: 'shell', zsh: 'shell', console: 'shell', yml: 'yaml', md: 'markdown', docker: 'dockerfile', make: 'makefile' };
+    return aliases[name] || Object.keys(TEXT_LANGUAGES).find(key => TEXT_LANGUAGES[key].extensions.includes(name)) || null;
+}
+
+// Split text into [{ type, text }] tokens; type is null for unhighlighted text
+function tokenize(text, grammar) {
+    if (!grammar) return [{ type: null, text }];
+
+    const tokens = [];
+    const { pattern, types } = grammar;
+    let last = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text))) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        if (match.index > last) {
+            tokens.push({ type: null, text: text.slice(last, match.index) });
+        }
+        tokens.push({ type: types[match.findIndex((group, i) => i > 0 && group !== undefined) - 1], text: match[0] });
+        last = pattern.lastIndex;
+    }
+    if (last < text.length) {
+        tokens.push({ type: null, text: text.slice(last) });
+    }
+    return tokens;
+}
+
+// Highlighted text as lines of DOM nodes, one array of nodes per line
+function highlightLines(text, languageKey) {
+    const language = TEXT_LANGUAGES[languageKey] || {};
+    const lines = [[]];
+    for (const token of tokenize(text, language.grammar)) {
+        token.text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push([]);
+            if (!part) return;
+            if (!token.type) {
+                lines[lines.length - 1].push(document.createTextNode(part));
+                return;
+            }
+            const span = document.createElement('span');
+            span.className = `tok-${token.type}`;
+            span.textContent = part;
+            lines[lines.length - 1].push(span);
+        });
+    }
+    return lines;
+}
+
+// Reads text a chunk at a time. readRange(start, end) resolves with the bytes
+// from start up to (not including) end. Each call to next() resolves with the
+// next run of whole lines, decoding UTF-8 across chunk boundaries.
+function createTextReader(readRange, size) {
+    const decoder = new TextDecoder('utf-8');
+    let offset = 0;
+    let partialLine = '';
+
+    return {
+        size,
+        get done() {
+            return offset >= size;
+        },
+        get loaded() {
+            return offset;
+        },
+        async next() {
+            if (offset >= size) return '';
+            const end = Math.min(offset + TEXT_CHUNK_SIZE, size);
+            const bytes = await readRange(offset, end);
+            offset = end;
+
+            let text = partialLine + decoder.decode(bytes, { stream: offset < size });
+            partialLine = '';
+            if (offset < size) {
+                const lineEnd = text.lastIndexOf('\n');
+                partialLine = text.slice(lineEnd + 1);
+                text = text.slice(0, lineEnd + 1);
+            }
+            return text;
+        },
+        async readAll() {
+            let text = '';
+            while (offset < size) {
+                text += await this.next();
+            }
+            return text;
+        }
+    };
+}
+
+// readRange for a file on the server, using Range requests. A server that
+// ignores Range sends the whole file, which is then kept and sliced.
+function createRemoteRangeReader(url, headers) {
+    let wholeFile = null;
+    return async (start, end) => {
+        if (wholeFile) return wholeFile.slice(start, end);
+
+        const response = await fetch(url, { headers: { ...headers, Range: `bytes=${start}-${end - 1}` } });
+        if (!response.ok) throw new Error('Preview not available');
+        const bytes = await response.arrayBuffer();
+        if (response.status === 206) return bytes;
+        wholeFile = bytes;
+        return wholeFile.slice(start, end);
+    };
+}
+
+// readRange for content already in the browser, such as a decrypted file
+function createBlobRangeReader(blob) {
+    return (start, end) => blob.slice(start, end).arrayBuffer();
+}
+
+// Line anchors live in the page's #fragment next to anything else there
+// (such as an encryption key), as "#L10" or "#L10-L20"
+function getLineAnchor() {
+    for (const part of window.location.hash.replace(/^#/, '').split('&')) {
+        const match = part.match(/^L(\d+)(?:-L(\d+))?$/);
+        if (match) {
+            const first = parseInt(match[1], 10);
+            const last = match[2] ? parseInt(match[2], 10) : first;
+            return { start: Math.min(first, last), end: Math.max(first, last) };
+        }
+    }
+    return null;
+}
+
+function setLineAnchor(range) {
+    const parts = window.location.hash.replace(/^#/, '').split('&').filter(part => part && !/^L\d+/.test(part));
+    if (range) {
+        parts.push(range.start === range.end ? `L${range.start}` : `L${range.start}-L${range.end}`);
+    }
+    const hash = parts.length ? `#${parts.join('&')}` : '';
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+// Numbered, highlighted lines of text, appended to as more is loaded
+function createCodeView(languageKey, { linkable = false } = {}) {
+    const element = document.createElement('div');
+    element.className = 'code-view';
+    let lineCount = 0;
+    let selection = null;
+
+    function append(text) {
+        if (!text) return;
+        const fragment = document.createDocumentFragment();
+        // Text ending in a newline does not start another line
+        const lines = highlightLines(text.endsWith('\n') ? text.slice(0, -1) : text, languageKey);
+        for (const nodes of lines) {
+            lineCount++;
+            const line = document.createElement('div');
+            line.className = 'code-line';
+            if (linkable) line.id = `L${lineCount}`;
+
+            const number = document.createElement(linkable ? 'a' : 'span');
+            number.className = 'line-number';
+            number.textContent = lineCount;
+            if (linkable) {
+                const lineNumber = lineCount;
+                number.href = `#L${lineNumber}`;
+                number.onclick = (e) => {
+                    e.preventDefault();
+                    const range = e.shiftKey && selection
+                        ? { start: Math.min(selection.start, lineNumber), end: Math.max(selection.start, lineNumber) }
+                        : { start: lineNumber, end: lineNumber };
+                    select(range);
+                    setLineAnchor(range);
+                };
+            }
+
+            const content = document.createElement('span');
+            content.className = 'line-content';
+            content.append(...nodes);
+
+            line.append(number, content);
+            if (selection && lineCount >= selection.start && lineCount <= selection.end) {
+                line.classList.add('selected');
+            }
+            fragment.appendChild(line);
+        }
+        element.appendChild(fragment);
+    }
+
+    function select(range) {
+        for (const line of element.querySelectorAll('.code-line.selected')) {
+            line.classList.remove('selected');
+        }
+        selection = range;
+        if (!range) return;
+        for (let i = range.start; i <= Math.min(range.end, lineCount); i++) {
+            element.children[i - 1].classList.add('selected');
+        }
+    }
+
+    function scrollToLine(lineNumber) {
+        const line = element.children[Math.min(lineNumber, lineCount) - 1];
+        if (line) {
+            element.scrollTop = line.offsetTop - element.clientHeight / 3;
+        }
+    }
+
+    return {
+        element,
+        append,
+        select,
+        scrollToLine,
+        get lineCount() {
+            return lineCount;
+        }
+    };
+}
+
+// Entry point for the file page: show a text file in container. The file is
+// read through readRange (see createTextReader) and is size bytes long.
+// linkable turns on #L line anchors, for pages showing a single file.
+function renderTextPreview(container, { readRange, size, name, mimetype, linkable = false }) {
+    const languageKey = detectLanguage(name, mimetype) || 'plaintext';
+    const language = TEXT_LANGUAGES[languageKey];
+    const reader = createTextReader(readRange, size);
+
+    const viewer = document.createElement('div');
+    viewer.className = 'text-viewer';
+    const toolbar = document.createElement('div');
+    toolbar.className = 'text-viewer-toolbar';
+    const label = document.createElement('span');
+    label.className = 'text-viewer-language';
+    label.textContent = language.label;
+    toolbar.appendChild(label);
+    const body = document.createElement('div');
+    viewer.append(toolbar, body);
+    container.appendChild(viewer);
+
+    if (language.delimiter) {
+        return showTablePreview(body, reader, language.delimiter);
+    }
+
+    const structured = (languageKey === 'json' || languageKey === 'markdown') && size <= MAX_STRUCTURED_PREVIEW_SIZE;
+    if (!structured) {
+        return showCodePreview(body, reader, languageKey, linkable);
+    }
+
+    return reader.readAll().then(text => {
+        let rich;
+        if (languageKey === 'json') {
+            try {
+                rich = { label: 'Tree', render: () => renderJsonTree(JSON.parse(text)) };
+            } catch (e) {
+                label.textContent = 'JSON (not valid, shown as text)';
+            }
+        } else {
+            rich = { label: 'Rendered', render: () => renderMarkdown(text) };
+        }
+
+        const blob = new Blob([text]);
+        const showSource = () => showCodePreview(body, createTextReader(createBlobRangeReader(blob), blob.size), languageKey, linkable);
+        if (!rich) return showSource();
+
+        // Start on the source when the link points at a line of it
+        const views = [
+            { label: rich.label, show: () => body.appendChild(rich.render()) },
+            { label: 'Source', show: showSource }
+        ];
+        addViewSwitch(toolbar, body, views, linkable && getLineAnchor() ? 1 : 0);
+    });
+}
+
+// Buttons in the toolbar switching between views of the same file
+function addViewSwitch(toolbar, body, views, initial) {
+    const buttons = views.map((view, i) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'text-viewer-mode';
+        button.textContent = view.label;
+        button.onclick = () => show(i);
+        return button;
+    });
+    const group = document.createElement('span');
+    group.className = 'text-viewer-modes';
+    group.append(...buttons);
+    toolbar.appendChild(group);
+
+    function show(index) {
+        buttons.forEach((button, i) => button.classList.toggle('active', i === index));
+        body.innerHTML = '';
+        views[index].show();
+    }
+    show(initial);
+}
+
+// Highlighted code, loading more as it is scrolled to the end
+function showCodePreview(body, reader, languageKey, linkable) {
+    const view = createCodeView(languageKey, { linkable });
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'text-viewer-more';
+    body.append(view.element, more);
+
+    let loading = null;
+    function loadMore() {
+        if (!loading && !reader.done) {
+            more.disabled = true;
+            more.textContent = 'Loading...';
+            loading = reader.next()
+            .then(text => {
+                view.append(text);
+                more.textContent = `Load more (${formatFileSize(reader.loaded)} of ${formatFileSize(reader.size)} shown)`;
+            })
+            .catch(() => {
+                more.textContent = 'Could not load more - Click to try again';
+            })
+            .finally(() => {
+                loading = null;
+                more.disabled = false;
+                more.style.display = reader.done ? 'none' : 'block';
+            });
+        }
+        return loading || Promise.resolve();
+    }
+    more.onclick = loadMore;
+
+    view.element.addEventListener('scroll', () => {
+        const { scrollTop, clientHeight, scrollHeight } = view.element;
+        if (scrollTop + clientHeight > scrollHeight - 200) loadMore();
+    });
+
+    // Lines linked to are loaded (within reason) and scrolled into view
+    async function showAnchor() {
+        const anchor = linkable ? getLineAnchor() : null;
+        view.select(anchor);
+        if (!anchor) return;
+        for (let chunks = 0; view.lineCount < anchor.end && !reader.done && chunks < 20; chunks++) {
+            await loadMore();
+        }
+        view.select(anchor);
+        view.scrollToLine(anchor.start);
+    }
+    if (linkable) {
+        window.addEventListener('hashchange', () => {
+            if (view.element.isConnected) showAnchor();
+        });
+    }
+
+    return loadMore().then(() => {
+        if (!reader.done && reader.loaded === 0) throw new Error('Preview not available');
+        return showAnchor();
+    });
+}
+
+// A streaming parser for CSV and TSV: quoted fields may hold delimiters,
+// doubled quotes and line breaks, even across chunks
+function createDelimitedParser(delimiter) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteClosed = false;
+
+    function endField() {
+        row.push(field);
+        field = '';
+        quoteClosed = false;
+    }
+
+    return {
+        push(text) {
+            const rows = [];
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (inQuotes) {
+                    if (char === '"') {
+                        inQuotes = false;
+                        quoteClosed = true;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    if (quoteClosed) {
+                        // A doubled quote inside quotes is a literal quote
+                        field += '"';
+                        inQuotes = true;
+                    } else if (field === '') {
+                        inQuotes = true;
+                    } else {
+                        field += '"';
+                    }
+                    quoteClosed = false;
+                } else if (char === delimiter) {
+                    endField();
+                } else if (char === '\n') {
+                    endField();
+                    rows.push(row);
+                    row = [];
+                } else if (char !== '\r') {
+                    field += char;
+                    quoteClosed = false;
+                }
+            }
+            return rows;
+        },
+        end() {
+            if (field === '' && row.length === 0) return [];
+            endField();
+            const last = row;
+            row = [];
+            return [last];
+        }
+    };
+}
+
+// CSV and TSV as a table, a page of rows at a time; the first row is the header
+function showTablePreview(body, reader, delimiter) {
+    const parser = createDelimitedParser(delimiter);
+    const rows = [];
+    let page = 0;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-view';
+    const pager = document.createElement('div');
+    pager.className = 'table-pager';
+    const prev = document.createElement('button');
+    prev.type = 'button';
+    prev.className = 'text-viewer-mode';
+    prev.textContent = '← Previous';
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.className = 'text-viewer-mode';
+    next.textContent = 'Next →';
+    const position = document.createElement('span');
+    pager.append(prev, position, next);
+    body.append(wrapper, pager);
+
+    // Rows are parsed as far as the page being shown needs
+    async function loadRows(count) {
+        while (rows.length < count && !reader.done) {
+            rows.push(...parser.push(await reader.next()));
+            if (reader.done) rows.push(...parser.end());
+        }
+    }
+
+    async function showPage(index) {
+        prev.disabled = next.disabled = true;
+        await loadRows((index + 1) * TABLE_PAGE_SIZE + 2);
+        page = index;
+
+        const header = rows[0] || [];
+        const pageRows = rows.slice(1 + page * TABLE_PAGE_SIZE, 1 + (page + 1) * TABLE_PAGE_SIZE);
+        const columns = Math.max(header.length, ...pageRows.map(row => row.length));
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headRow.appendChild(document.createElement('th'));
+        for (let i = 0; i < columns; i++) {
+            const th = document.createElement('th');
+            th.textContent = header[i] !== undefined ? header[i] : '';
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        const tbody = document.createElement('tbody');
+        pageRows.forEach((row, i) => {
+            const tr = document.createElement('tr');
+            const number = document.createElement('th');
+            number.textContent = page * TABLE_PAGE_SIZE + i + 1;
+            tr.appendChild(number);
+            for (let c = 0; c < columns; c++) {
+                const td = document.createElement('td');
+                td.textContent = row[c] !== undefined ? row[c] : '';
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        });
+        table.append(thead, tbody);
+        wrapper.innerHTML = '';
+        wrapper.appendChild(table);
+
+        const total = Math.max(rows.length - 1, 0);
+        const first = Math.min(page * TABLE_PAGE_SIZE + 1, total);
+        const last = page * TABLE_PAGE_SIZE + pageRows.length;
+        position.textContent = `Rows ${first.toLocaleString()}–${last.toLocaleString()} of ${total.toLocaleString()}${reader.done ? '' : '+'}`;
+        prev.disabled = page === 0;
+        next.disabled = last >= total && reader.done;
+    }
+
+    prev.onclick = () => showPage(page - 1);
+    next.onclick = () => showPage(page + 1);
+    return showPage(0);
+}
+
+// JSON as a tree of collapsible objects and arrays. Children are only built
+// when a node is opened, and long arrays a batch at a time.
+function renderJsonTree(value) {
+    const tree = document.createElement('ul');
+    tree.className = 'json-tree';
+    tree.appendChild(createJsonNode(null, value, 0));
+    return tree;
+}
+
+function createJsonNode(key, value, depth) {
+    const item = document.createElement('li');
+    const keyLabel = key === null ? null : document.createElement('span');
+    if (keyLabel) {
+        keyLabel.className = typeof key === 'number' ? 'json-index' : 'tok-property';
+        keyLabel.textContent = typeof key === 'number' ? `${key}: ` : `${JSON.stringify(key)}: `;
+    }
+
+    if (value === null || typeof value !== 'object') {
+        const primitive = document.createElement('span');
+        primitive.className = typeof value === 'string' ? 'tok-string' : typeof value === 'number' ? 'tok-number' : 'tok-literal';
+        primitive.textContent = JSON.stringify(value);
+        if (keyLabel) item.appendChild(keyLabel);
+        item.appendChild(primitive);
+        return item;
+    }
+
+    const isArray = Array.isArray(value);
+    const keys = isArray ? null : Object.keys(value);
+    const count = isArray ? value.length : keys.length;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    if (keyLabel) summary.appendChild(keyLabel);
+    const description = document.createElement('span');
+    description.className = 'json-count';
+    description.textContent = isArray
+        ? `[ ${count} item${count === 1 ? '' : 's'} ]`
+        : `{ ${count} key${count === 1 ? '' : 's'} }`;
+    summary.appendChild(description);
+    details.appendChild(summary);
+
+    const children = document.createElement('ul');
+    details.appendChild(children);
+    let rendered = 0;
+    const renderMore = () => {
+        const end = Math.min(rendered + JSON_CHILDREN_BATCH, count);
+        for (let i = rendered; i < end; i++) {
+            children.appendChild(isArray
+                ? createJsonNode(i, value[i], depth + 1)
+                : createJsonNode(keys[i], value[keys[i]], depth + 1));
+        }
+        rendered = end;
+        if (rendered < count) {
+            const moreItem = document.createElement('li');
+            const moreBtn = document.createElement('button');
+            moreBtn.type = 'button';
+            moreBtn.className = 'text-viewer-mode';
+            moreBtn.textContent = `Show ${Math.min(JSON_CHILDREN_BATCH, count - rendered)} more of ${count - rendered}`;
+            moreBtn.onclick = () => {
+                moreItem.remove();
+                renderMore();
+            };
+            moreItem.appendChild(moreBtn);
+            children.appendChild(moreItem);
+        }
+    };
+    details.addEventListener('toggle', () => {
+        if (details.open && rendered === 0) renderMore();
+    });
+    // The top two levels start open, unless they are huge
+    details.open = depth < 2 && count <= 100;
+    if (details.open) renderMore();
+
+    item.appendChild(details);
+    return item;
+}
+
+// Markdown rendered to DOM nodes. Raw HTML in the source is shown as text,
+// and only http(s) and mailto links and http(s) images are kept.
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const MARKDOWN_TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function renderMarkdown(text) {
+    const body = document.createElement('div');
+    body.className = 'markdown-body';
+    appendMarkdownBlocks(body, text.replace(/\r\n?/g, '\n').split('\n'));
+    return body;
+}
+
+function startsMarkdownBlock(line) {
+    return /^ {0,3}(?:`{3,}|~{3,}|#{1,6}\s|>)/.test(line) ||
+        /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line) ||
+        MARKDOWN_LIST_ITEM.test(line) && !/^\s*$/.test(line);
+}
+
+function appendMarkdownBlocks(parent, lines) {
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (!line.trim()) {
+            i++;
+        } else if ((match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/))) {
+            const fence = match[1];
+            const code = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) {
+                code.push(lines[i]);
+            }
+            i++;
+            parent.appendChild(createCodeBlock(code.join('\n'), findLanguageByAlias(match[2])));
+        } else if ((match = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/))) {
+            const heading = document.createElement(`h${match[1].length}`);
+            appendMarkdownInline(heading, match[2]);
+            parent.appendChild(heading);
+            i++;
+        } else if (/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+            parent.appendChild(document.createElement('hr'));
+            i++;
+        } else if (/^ {0,3}>/.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && /^ {0,3}>/.test(lines[i]); i++) {
+                quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+            }
+            const blockquote = document.createElement('blockquote');
+            appendMarkdownBlocks(blockquote, quoted);
+            parent.appendChild(blockquote);
+        } else if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('|') && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1])) {
+            i = appendMarkdownTable(parent, lines, i);
+        } else if (MARKDOWN_LIST_ITEM.test(line)) {
+            i = appendMarkdownList(parent, lines, i);
+        } else if (/^(?: {4}|\t)/.test(line)) {
+            const code = [];
+            for (; i < lines.length && (/^(?: {4}|\t)/.test(lines[i]) || !lines[i].trim()); i++) {
+                code.push(lines[i].replace(/^(?: {4}|\t)/, ''));
+            }
+            while (code.length && !code[code.length - 1].trim()) code.pop();
+            parent.appendChild(createCodeBlock(code.join('\n'), null));
+        } else {
+            const paragraph = [line];
+            for (i++; i < lines.length && lines[i].trim(); i++) {
+                // A line of = or - under a paragraph makes it a heading
+                const underline = lines[i].match(/^ {0,3}(=+|-+)\s*$/);
+                if (!underline && startsMarkdownBlock(lines[i])) break;
+                if (underline) {
+                    const heading = document.createElement(underline[1][0] === '=' ? 'h1' : 'h2');
+                    appendMarkdownInline(heading, paragraph.join('\n'));
+                    parent.appendChild(heading);
+                    paragraph.length = 0;
+                    i++;
+                    break;
+                }
+                paragraph.push(lines[i]);
+            }
+            if (paragraph.length) {
+                const p = document.createElement('p');
+                appendMarkdownInline(p, paragraph.join('\n'));
+                parent.appendChild(p);
+            }
+        }
+    }
+}
+
+function appendMarkdownList(parent, lines, start) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+
+    let i = start;
+    while (i < lines.length) {
+        const match = lines[i].match(MARKDOWN_LIST_ITEM);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = indent + match[2].length + 1;
+        const itemLines = [match[3] || ''];
+        for (i++; i < lines.length; i++) {
+            const line = lines[i];
+            const lineIndent = line.match(/^\s*/)[0].length;
+            if (!line.trim()) {
+                // Blank lines stay in the item when what follows is indented into it
+                const nextLine = lines.slice(i + 1).find(l => l.trim());
+                if (nextLine === undefined || nextLine.match(/^\s*/)[0].length < contentIndent) break;
+                itemLines.push('');
+                continue;
+            }
+            if (lineIndent <= indent && (MARKDOWN_LIST_ITEM.test(line) || startsMarkdownBlock(line))) break;
+            itemLines.push(line.slice(Math.min(lineIndent, contentIndent)));
+        }
+
+        const item = document.createElement('li');
+        const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+        if (task) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.disabled = true;
+            checkbox.checked = task[1] !== ' ';
+            item.appendChild(checkbox);
+            itemLines[0] = itemLines[0].slice(task[0].length);
+        }
+        appendMarkdownBlocks(item, itemLines);
+        list.appendChild(item);
+
+        // A blank line between items of the same list does not end it
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextMatch = next < lines.length ? lines[next].match(MARKDOWN_LIST_ITEM) : null;
+        if (!nextMatch || nextMatch[1].length !== indent) break;
+        i = next;
+    }
+    parent.appendChild(list);
+    return i;
+}
+
+function appendMarkdownTable(parent, lines, start) {
+    const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    const alignments = splitRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const addRow = (section, cells, tag) => {
+        const row = document.createElement('tr');
+        alignments.forEach((align, i) => {
+            const cell = document.createElement(tag);
+            if (align) cell.style.textAlign = align;
+            appendMarkdownInline(cell, cells[i] || '');
+            row.appendChild(cell);
+        });
+        section.appendChild(row);
+    };
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+    addRow(thead, splitRow(lines[start]), 'th');
+    let i = start + 2;
+    for (; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+        addRow(tbody, splitRow(lines[i]), 'td');
+    }
+    table.append(thead, tbody);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-view';
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return i;
+}
+
+function createCodeBlock(code, languageKey) {
+    const pre = document.createElement('pre');
+    pre.className = 'code-block';
+    highlightLines(code, languageKey).forEach((nodes, i) => {
+        if (i > 0) pre.appendChild(document.createTextNode('\n'));
+        pre.append(...nodes);
+    });
+    return pre;
+}
+
+// Inline Markdown, tried at each position in this order
+const MARKDOWN_INLINE_RULES = [
+    [/(`+)([\s\S]*?[^`])\1(?!`)/, (m) => createMarkdownElement('code', m[2].replace(/^ (.+) $/, '$1'))],
+    [/\\([\\`*_{}[\]()#+\-.!|~<>])/, (m) => document.createTextNode(m[1])],
+    [/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"[^"]*")?\s*\)/, (m) => createMarkdownImage(m[1], m[2])],
+    [/\[((?:\\.|[^\]\\])+)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/, (m) => createMarkdownLink(m[2], m[1], m[3])],
+    [/<((?:https?:\/\/|mailto:)[^>\s]+)>/, (m) => createMarkdownLink(m[1], null)],
+    [/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/, (m) => createMarkdownLink(m[0], null)],
+    [/(\*\*|__)(?=\S)([\s\S]*?\S)\1/, (m) => createMarkdownElement('strong', null, m[2])],
+    [/\*(?=\S)([\s\S]*?\S)\*|(?<![\w\\])_(?=\S)([\s\S]*?\S)_(?!\w)/, (m) => createMarkdownElement('em', null, m[1] || m[2])],
+    [/~~(?=\S)([\s\S]*?\S)~~/, (m) => createMarkdownElement('del', null, m[1])],
+    [/(?: {2,}|\\)\n/, () => document.createElement('br')]
+];
+
+function appendMarkdownInline(parent, text) {
+    let rest = text;
+    while (rest) {
+        let best = null;
+        for (const [pattern, render] of MARKDOWN_INLINE_RULES) {
+            const match = rest.match(pattern);
+            if (match && (!best || match.index < best.match.index)) {
+                best = { match, render };
+            }
+        }
+        if (!best) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
+        }
+        if (best.match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, best.match.index)));
+        }
+        parent.appendChild(best.render(best.match));
+        rest = rest.slice(best.match.index + best.match[0].length);
+    }
+}
+
+// An element holding either plain text or more inline Markdown
+function createMarkdownElement(tag, text, markdown) {
+    const element = document.createElement(tag);
+    if (markdown !== undefined) {
+        appendMarkdownInline(element, markdown);
+    } else {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function getSafeUrl(url, protocols) {
+    try {
+        const parsed = new URL(url);
+        return protocols.includes(parsed.protocol) ? parsed.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function createMarkdownLink(url, markdown, title) {
+    const href = getSafeUrl(url, ['http:', 'https:', 'mailto:']);
+    // Links that go nowhere safe keep just their text
+    const link = document.createElement(href ? 'a' : 'span');
+    if (href) {
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow';
+        if (title) link.title = title;
+    }
+    if (markdown === null) {
+        link.textContent = url;
+    } else {
+        appendMarkdownInline(link, markdown);
+    }
+    return link;
+}
+
+function createMarkdownImage(alt, url) {
+    const src = getSafeUrl(url, ['http:', 'https:']);
+    if (!src) return document.createTextNode(alt);
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt;
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer';
+    return img;
+}